@@ -10,29 +10,46 @@ function clamp(value, min = 0, max = 1) {
   return Math.max(min, Math.min(max, value));
 }
 
+const { getBuiltinProfile, DEFAULT_PROFILE_NAME } = require('./scoringProfiles');
+
+const DEFAULT_PROFILE = getBuiltinProfile(DEFAULT_PROFILE_NAME);
+
 /**
- * Module weights for aggregation
+ * Module weights for aggregation (default profile)
  */
-const WEIGHTS = {
-  performance: 0.40,
-  ux: 0.25,
-  seo: 0.20,
-  content: 0.15
-};
+const WEIGHTS = DEFAULT_PROFILE.weights;
+
+/**
+ * Profile weights for the modules present, rescaled to sum to 1.
+ * Reports scanned before the security module existed have no security result.
+ */
+function resolveWeights(profileWeights, hasSecurity) {
+  if (hasSecurity) return profileWeights;
+
+  const { security, ...rest } = profileWeights;
+  const total = Object.values(rest).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return resolveWeights(WEIGHTS, false);
+  return Object.fromEntries(Object.entries(rest).map(([name, weight]) => [name, weight / total]));
+}
 
 /**
  * Aggregate module results into overall health score
- * @param {Object} modules - Module results {performance, ux, seo, content}
+ * @param {Object} modules - Module results {performance, ux, seo, content, security}
+ * @param {Object} profile - Scoring profile (weights + boosts); defaults to the balanced profile
  * @returns {Object} Aggregated result
  */
-function aggregate(modules) {
+function aggregate(modules, profile = DEFAULT_PROFILE) {
   const { 
     performance = { score: 0 }, 
     ux = { score: 0 }, 
     seo = { score: 0 }, 
-    content = { score: 0 } 
+    content = { score: 0 },
+    security = null
   } = modules || {};
 
+  const weights = resolveWeights(profile.weights, !!security);
+  const boosts = profile.boosts;
+
   // ============================================
   // Step 1: Convert scores to penalties
   // ============================================
@@ -40,15 +57,17 @@ function aggregate(modules) {
   const ux_penalty = 1 - (ux.score / 100);
   const seo_penalty = 1 - (seo.score / 100);
   const content_penalty = 1 - (content.score / 100);
+  const security_penalty = security ? 1 - (security.score / 100) : 0;
 
   // ============================================
   // Step 2: Calculate weighted global penalty
   // ============================================
   let GLOBAL_PENALTY =
-    WEIGHTS.performance * perf_penalty +
-    WEIGHTS.ux * ux_penalty +
-    WEIGHTS.seo * seo_penalty +
-    WEIGHTS.content * content_penalty;
+    weights.performance * perf_penalty +
+    weights.ux * ux_penalty +
+    weights.seo * seo_penalty +
+    weights.content * content_penalty +
+    (security ? weights.security * security_penalty : 0);
 
   // ============================================
   // Step 3: Apply boost multipliers
@@ -57,17 +76,17 @@ function aggregate(modules) {
 
   // Critical performance + UX issues
   if (performance.score < 40 && ux.score < 50) {
-    boost *= 1.20;
+    boost *= boosts.performance_ux;
   }
 
   // Critical SEO + Content issues
   if (seo.score < 40 && content.score < 50) {
-    boost *= 1.15;
+    boost *= boosts.seo_content;
   }
 
   // Low confidence in performance
   if (performance.confidence === 'low') {
-    boost *= 1.10;
+    boost *= boosts.low_confidence;
   }
 
   GLOBAL_PENALTY *= boost;
@@ -91,11 +110,14 @@ function aggregate(modules) {
   // Step 6: Identify dominant risk domains
   // ============================================
   const domain_penalties = [
-    { domain: 'Performance', penalty: perf_penalty, weight: WEIGHTS.performance },
-    { domain: 'UX', penalty: ux_penalty, weight: WEIGHTS.ux },
-    { domain: 'SEO', penalty: seo_penalty, weight: WEIGHTS.seo },
-    { domain: 'Content', penalty: content_penalty, weight: WEIGHTS.content }
+    { domain: 'Performance', penalty: perf_penalty, weight: weights.performance },
+    { domain: 'UX', penalty: ux_penalty, weight: weights.ux },
+    { domain: 'SEO', penalty: seo_penalty, weight: weights.seo },
+    { domain: 'Content', penalty: content_penalty, weight: weights.content }
   ];
+  if (security) {
+    domain_penalties.push({ domain: 'Security', penalty: security_penalty, weight: weights.security });
+  }
 
   // Sort by weighted penalty (impact)
   domain_penalties.sort((a, b) => (b.penalty * b.weight) - (a.penalty * a.weight));
@@ -145,6 +167,9 @@ function aggregate(modules) {
     0.8, // SEO (rule-based is reliable)
     0.7  // Content (heuristic-based)
   ];
+  if (security) {
+    confidence_values.push(confidence_map[security.confidence] || 0.8); // Security (header rules)
+  }
   const confidence_overall = confidence_values.reduce((sum, v) => sum + v, 0) / confidence_values.length;
 
   // ============================================
@@ -159,16 +184,24 @@ function aggregate(modules) {
     action_recommendation_flag,
     confidence_overall: Math.round(confidence_overall * 100) / 100,
     boost_applied: boost > 1.0 ? boost : null,
+    scoring_profile: {
+      name: profile.name,
+      label: profile.label,
+      weights,
+      boosts
+    },
     module_scores: {
       performance: performance.score,
       ux: ux.score,
       seo: seo.score,
-      content: content.score
+      content: content.score,
+      ...(security && { security: security.score })
     }
   };
 }
 
 module.exports = {
   aggregate,
-  WEIGHTS
+  WEIGHTS,
+  DEFAULT_PROFILE
 };
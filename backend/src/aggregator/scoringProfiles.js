@@ -0,0 +1,165 @@
+/**
+ * Scoring Profiles
+ * Named module weightings and boost multipliers for the aggregator.
+ * Built-in profiles live here; custom profiles are stored in MongoDB.
+ */
+
+const ScoringProfile = require('../models/ScoringProfile');
+
+const MODULE_NAMES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+/**
+ * Boost multipliers applied when domains fail together
+ *   performance_ux: performance < 40 and ux < 50
+ *   seo_content:    seo < 40 and content < 50
+ *   low_confidence: performance confidence is low
+ */
+const DEFAULT_BOOSTS = {
+  performance_ux: 1.20,
+  seo_content: 1.15,
+  low_confidence: 1.10
+};
+
+const BOOST_LIMITS = { min: 1.0, max: 2.0 };
+
+const BUILTIN_PROFILES = {
+  default: {
+    label: 'Balanced',
+    description: 'General-purpose weighting, led by performance',
+    weights: { performance: 0.35, ux: 0.22, seo: 0.18, content: 0.13, security: 0.12 },
+    boosts: DEFAULT_BOOSTS
+  },
+  ecommerce: {
+    label: 'E-commerce',
+    description: 'Storefronts: speed and checkout UX drive conversion, and payments demand trust',
+    weights: { performance: 0.35, ux: 0.25, seo: 0.15, content: 0.08, security: 0.17 },
+    boosts: { ...DEFAULT_BOOSTS, performance_ux: 1.25 }
+  },
+  blog: {
+    label: 'Blog / Publisher',
+    description: 'Content sites: discoverability and article quality matter most',
+    weights: { performance: 0.20, ux: 0.15, seo: 0.30, content: 0.30, security: 0.05 },
+    boosts: { ...DEFAULT_BOOSTS, seo_content: 1.25 }
+  },
+  saas: {
+    label: 'SaaS App',
+    description: 'Web apps: usability and security outweigh search and copy',
+    weights: { performance: 0.30, ux: 0.30, seo: 0.10, content: 0.10, security: 0.20 },
+    boosts: DEFAULT_BOOSTS
+  }
+};
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+/**
+ * Validate a profile definition
+ * @param {Object} definition - { weights, boosts }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateProfileDefinition({ weights, boosts } = {}) {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object') {
+    return ['weights must be an object'];
+  }
+
+  for (const [name, value] of Object.entries(weights)) {
+    if (!MODULE_NAMES.includes(name)) {
+      errors.push(`Unknown module "${name}" in weights`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`Weight for "${name}" must be a non-negative number`);
+    }
+  }
+  if (errors.length === 0 && Object.values(weights).reduce((sum, v) => sum + v, 0) <= 0) {
+    errors.push('At least one weight must be greater than 0');
+  }
+
+  for (const [name, value] of Object.entries(boosts || {})) {
+    if (!(name in DEFAULT_BOOSTS)) {
+      errors.push(`Unknown boost "${name}"`);
+    } else if (typeof value !== 'number' || value < BOOST_LIMITS.min || value > BOOST_LIMITS.max) {
+      errors.push(`Boost "${name}" must be between ${BOOST_LIMITS.min} and ${BOOST_LIMITS.max}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build a normalized profile: weights sum to 1, missing boosts use defaults
+ * @param {Object} definition - { name, label, description, weights, boosts }
+ * @returns {Object} Profile
+ */
+function buildProfile({ name, label, description = '', weights, boosts }, builtin = false) {
+  const total = MODULE_NAMES.reduce((sum, m) => sum + (weights[m] || 0), 0);
+  const setBoosts = Object.entries(boosts || {}).filter(([, value]) => value != null);
+
+  return {
+    name,
+    label: label || name,
+    description,
+    builtin,
+    weights: Object.fromEntries(MODULE_NAMES.map(m => [m, Math.round(((weights[m] || 0) / total) * 1000) / 1000])),
+    boosts: { ...DEFAULT_BOOSTS, ...Object.fromEntries(setBoosts) }
+  };
+}
+
+/**
+ * Get a built-in profile by name
+ * @returns {Object|null}
+ */
+function getBuiltinProfile(name) {
+  if (!Object.hasOwn(BUILTIN_PROFILES, name)) return null;
+  return buildProfile({ name, ...BUILTIN_PROFILES[name] }, true);
+}
+
+/**
+ * List built-in profiles
+ */
+function listBuiltinProfiles() {
+  return Object.keys(BUILTIN_PROFILES).map(getBuiltinProfile);
+}
+
+/**
+ * Resolve a profile selection from an analysis request.
+ * Accepts a profile name (built-in or stored) or an inline { weights, boosts } definition.
+ * @param {string|Object|undefined} selection
+ * @returns {Promise<Object>} { profile, error }
+ */
+async function resolveProfile(selection) {
+  if (!selection) {
+    return { profile: getBuiltinProfile(DEFAULT_PROFILE_NAME), error: null };
+  }
+
+  if (typeof selection === 'object') {
+    const errors = validateProfileDefinition(selection);
+    if (errors.length > 0) {
+      return { profile: null, error: `Invalid scoring profile: ${errors.join('; ')}` };
+    }
+    return {
+      profile: buildProfile({ ...selection, name: 'custom', label: selection.label || 'Custom' }),
+      error: null
+    };
+  }
+
+  const builtin = getBuiltinProfile(selection);
+  if (builtin) return { profile: builtin, error: null };
+
+  const stored = await ScoringProfile.findOne({ name: selection }).lean();
+  if (!stored) {
+    return { profile: null, error: `Unknown scoring profile "${selection}"` };
+  }
+  return { profile: buildProfile(stored), error: null };
+}
+
+module.exports = {
+  MODULE_NAMES,
+  DEFAULT_BOOSTS,
+  DEFAULT_PROFILE_NAME,
+  BUILTIN_PROFILES,
+  validateProfileDefinition,
+  buildProfile,
+  getBuiltinProfile,
+  listBuiltinProfiles,
+  resolveProfile
+};
@@ -4,12 +4,13 @@ const insightGenerator = require('../services/ai/insightGenerator');
 /**
  * Smart Aggregator
  * Combines traditional heuristic scoring with AI-powered insights
- * @param {Object} modules - Module results {performance, ux, seo, content}
+ * @param {Object} modules - Module results {performance, ux, seo, content, security}
+ * @param {Object} profile - Optional scoring profile (see scoringProfiles.js)
  * @returns {Promise<Object>} Final smart report
  */
-async function smartAggregate(modules) {
+async function smartAggregate(modules, profile) {
   // 1. Run traditional aggregation
-  const baseResult = aggregate(modules);
+  const baseResult = aggregate(modules, profile);
 
   // 2. Generate AI Insights
   let aiInsights = {
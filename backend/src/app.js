@@ -4,6 +4,11 @@ const connectDB = require('./db/connection');
 const analyzeRoutes = require('./routes/analyze');
 const reportsRoutes = require('./routes/reports');
 const chatRoutes = require('./routes/chat');
+const { startWorker } = require('./services/jobQueue');
+const { startScheduler } = require('./services/monitoring/monitorScheduler');
+const { startWebhookWorker } = require('./services/webhooks/webhookDispatcher');
+const { failInterruptedRuns } = require('./services/journeys/journeyRunner');
+const { backfillSiteKeys } = require('./services/history/siteHistory');
 require('dotenv').config();
 
 const app = express();
@@ -25,6 +30,14 @@ app.use('/api', analyzeRoutes);
 app.use('/api', reportsRoutes);
 app.use('/api', chatRoutes);
 app.use('/api/competitor', require('./routes/competitor'));
+app.use('/api/crawl', require('./routes/crawl'));
+app.use('/api/profiles', require('./routes/profiles'));
+app.use('/api/rules', require('./routes/rules'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/sites', require('./routes/sites'));
+app.use('/api/monitors', require('./routes/monitors'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/journeys', require('./routes/journeys'));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -33,6 +46,18 @@ app.get('/', (req, res) => {
     version: '2.0.0',
     endpoints: {
       analyze: 'POST /api/analyze',
+      jobStatus: 'GET /api/job/:id/status',
+      jobEvents: 'GET /api/job/:id/events',
+      crawl: 'POST /api/crawl',
+      getCrawl: 'GET /api/crawl/:id',
+      scoringProfiles: 'GET /api/profiles',
+      ruleSets: 'GET /api/rules',
+      performanceBudgets: 'GET /api/budgets',
+      siteHistory: 'GET /api/sites/:host/history',
+      monitors: 'GET /api/monitors',
+      monitorAlerts: 'GET /api/monitors/alerts',
+      webhooks: 'GET /api/webhooks',
+      journeys: 'GET /api/journeys',
       getReport: 'GET /api/reports/:id',
       listReports: 'GET /api/reports',
       health: 'GET /api/health'
@@ -64,6 +89,21 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Start the analysis job worker
+    await startWorker();
+
+    // Start the scheduled monitor runs
+    await startScheduler();
+
+    // Start the webhook retry worker
+    await startWebhookWorker();
+
+    // Fail journey runs interrupted by the last shutdown
+    await failInterruptedRuns();
+
+    // Key reports saved before site keys existed
+    await backfillSiteKeys();
+
     // Start Express server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
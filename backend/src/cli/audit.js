@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * WebAudit CLI
+ * Audits one or more URLs without the Express server or MongoDB:
+ * scrape → modules → aggregate, then prints a table, optionally writes
+ * JSON / JUnit reports, and exits non-zero when a score is below its threshold.
+ *
+ * Usage: node src/cli/audit.js [options] <url...>
+ * Run with --help for the full option list.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { combinedScrape } = require('../services/scraper/combinedScraper');
+const { checkLinks } = require('../services/links/linkChecker');
+const performanceModule = require('../services/modules/performanceModule');
+const uxModule = require('../services/modules/uxModule');
+const seoModule = require('../services/modules/seoModule');
+const contentModule = require('../services/modules/contentModule');
+const securityModule = require('../services/modules/securityModule');
+const { enhanceModulesWithAI } = require('../services/ai/moduleEnhancer');
+const { aggregate } = require('../aggregator/aggregator');
+const { getBuiltinProfile, BUILTIN_PROFILES, DEFAULT_PROFILE_NAME } = require('../aggregator/scoringProfiles');
+const { formatTable, formatJson, formatJunit } = require('./formatters');
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+// Exit codes
+const EXIT = {
+  PASSED: 0,
+  THRESHOLD_FAILED: 1,
+  ERROR: 2
+};
+
+const HELP = `Usage: webaudit [options] <url...>
+
+Audit URLs and fail the build when scores fall below thresholds.
+
+Input:
+  -f, --urls-file <path>     Read URLs from a file (one per line, # comments)
+      --mobile               Emulate a mobile device
+      --no-ai                Skip AI enhancement of module issues
+      --profile <name>       Scoring profile (${Object.keys(BUILTIN_PROFILES).join(', ')})
+      --timeout <ms>         Page load timeout (default 45000)
+
+Thresholds (0-100):
+      --min-score <n>        Minimum website health score
+      --min-module <n>       Minimum score for every module
+      --min-<module> <n>     Minimum score for one module: ${MODULES.map(m => `--min-${m}`).join(', ')}
+
+Output:
+      --json <path>          Write a JSON report ("-" for stdout)
+      --junit <path>         Write a JUnit XML report ("-" for stdout)
+  -q, --quiet                Do not print the results table
+  -h, --help                 Show this help
+
+Exit codes: 0 all checks passed, 1 a score is below its threshold, 2 an audit or usage error.`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse a 0-100 threshold option
+ */
+function parseThreshold(name, value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new UsageError(`--${name} must be a number between 0 and 100`);
+  }
+  return number;
+}
+
+/**
+ * Read URLs from a file: one per line, blank lines and # comments ignored
+ */
+function readUrlsFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse command-line arguments into an audit configuration
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { urls, mobile, ai, profile, timeout, thresholds, json, junit, quiet, help }
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'urls-file': { type: 'string', short: 'f' },
+      mobile: { type: 'boolean', default: false },
+      'no-ai': { type: 'boolean', default: false },
+      profile: { type: 'string', default: DEFAULT_PROFILE_NAME },
+      timeout: { type: 'string' },
+      'min-score': { type: 'string' },
+      'min-module': { type: 'string' },
+      ...Object.fromEntries(MODULES.map(m => [`min-${m}`, { type: 'string' }])),
+      json: { type: 'string' },
+      junit: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const urls = [...positionals];
+  if (values['urls-file']) urls.push(...readUrlsFile(values['urls-file']));
+  if (urls.length === 0) throw new UsageError('At least one URL is required (or --urls-file)');
+  for (const url of urls) {
+    try { new URL(url); } catch (err) { throw new UsageError(`Invalid URL: ${url}`); }
+  }
+
+  const profile = getBuiltinProfile(values.profile);
+  if (!profile) {
+    throw new UsageError(`Unknown scoring profile "${values.profile}" (expected ${Object.keys(BUILTIN_PROFILES).join(', ')})`);
+  }
+
+  const timeout = values.timeout !== undefined ? parseInt(values.timeout) : undefined;
+  if (timeout !== undefined && !(timeout > 0)) throw new UsageError('--timeout must be a positive number of milliseconds');
+
+  if (values.json === '-' && values.junit === '-') throw new UsageError('Only one of --json and --junit can write to stdout');
+
+  const moduleDefault = parseThreshold('min-module', values['min-module']);
+  const thresholds = {
+    website_health_score: parseThreshold('min-score', values['min-score']),
+    ...Object.fromEntries(MODULES.map(m => [m, parseThreshold(`min-${m}`, values[`min-${m}`]) ?? moduleDefault]))
+  };
+
+  return {
+    urls,
+    mobile: values.mobile,
+    ai: !values['no-ai'],
+    profile,
+    timeout,
+    thresholds: Object.fromEntries(Object.entries(thresholds).filter(([, v]) => v !== undefined)),
+    json: values.json,
+    junit: values.junit,
+    quiet: values.quiet
+  };
+}
+
+/**
+ * Compare scores with the configured thresholds
+ * @returns {Object[]} Failures: [{ check, score, threshold }]
+ */
+function checkThresholds(scores, thresholds) {
+  return Object.entries(thresholds)
+    .filter(([check, threshold]) => typeof scores[check] === 'number' && scores[check] < threshold)
+    .map(([check, threshold]) => ({ check, score: scores[check], threshold }));
+}
+
+/**
+ * Audit a single URL
+ * @param {string} url - URL to audit
+ * @param {Object} config - Parsed CLI configuration
+ * @returns {Promise<Object>} Audit result
+ */
+async function auditUrl(url, config) {
+  const startTime = Date.now();
+  console.error(`[CLI] Auditing ${url}${config.mobile ? ' (mobile)' : ''}...`);
+
+  try {
+    const artifact = await combinedScrape(url, { emulateMobile: config.mobile, timeout: config.timeout });
+
+    try {
+      artifact.link_check = await checkLinks(artifact.seo.links, { sourcePage: artifact.finalUrl || url });
+    } catch (error) {
+      console.error('[CLI] Link check failed:', error.message);
+      artifact.link_check = null;
+    }
+
+    const [performance, ux, seo, content, security] = await Promise.all([
+      performanceModule.analyze(artifact, { url, emulateMobile: config.mobile }),
+      uxModule.analyze(artifact, config.mobile),
+      seoModule.analyze(artifact),
+      contentModule.analyze(artifact),
+      securityModule.analyze(artifact)
+    ]);
+
+    let modules = { performance, ux, seo, content, security };
+    if (config.ai) {
+      try {
+        modules = await enhanceModulesWithAI(modules);
+      } catch (error) {
+        console.error('[CLI] AI enhancement failed, using rule-based results:', error.message);
+      }
+    }
+
+    const aggregated = aggregate(modules, config.profile);
+    const failures = checkThresholds(
+      { website_health_score: aggregated.website_health_score, ...aggregated.module_scores },
+      config.thresholds
+    );
+
+    return {
+      url,
+      final_url: artifact.finalUrl,
+      status: failures.length > 0 ? 'failed' : 'passed',
+      duration_ms: Date.now() - startTime,
+      website_health_score: aggregated.website_health_score,
+      health_grade: aggregated.health_grade,
+      module_scores: aggregated.module_scores,
+      failures,
+      issues: Object.fromEntries(MODULES.map(m => [
+        m,
+        (modules[m]?.issues || []).map(({ id, severity, description, ai }) => ({ id: id || null, severity, description, ...(ai && { ai: true }) }))
+      ])),
+      error: null
+    };
+  } catch (error) {
+    console.error(`[CLI] Audit failed for ${url}:`, error.message);
+    return {
+      url,
+      status: 'error',
+      duration_ms: Date.now() - startTime,
+      website_health_score: null,
+      health_grade: null,
+      module_scores: {},
+      failures: [],
+      issues: {},
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Write a report to a file, or to stdout for "-"
+ */
+function writeOutput(target, content) {
+  if (target === '-') {
+    process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+  fs.writeFileSync(target, content);
+  console.error(`[CLI] Wrote ${target}`);
+}
+
+async function main() {
+  let config;
+  try {
+    config = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`webaudit: ${error.message}\n\n${HELP}`);
+    return EXIT.ERROR;
+  }
+
+  if (config.help) {
+    console.log(HELP);
+    return EXIT.PASSED;
+  }
+
+  // Module logs go to stderr so stdout only carries the table or a "-" report
+  const { log, info } = console;
+  console.log = console.error;
+  console.info = console.error;
+
+  const results = [];
+  for (const url of config.urls) {
+    results.push(await auditUrl(url, config));
+  }
+
+  console.log = log;
+  console.info = info;
+
+  const meta = {
+    device: config.mobile ? 'mobile' : 'desktop',
+    profile: config.profile.name,
+    ai: config.ai,
+    thresholds: config.thresholds
+  };
+  if (config.json) writeOutput(config.json, formatJson(results, meta));
+  if (config.junit) writeOutput(config.junit, formatJunit(results));
+
+  // The table goes to stderr when stdout carries a report
+  if (!config.quiet) {
+    const table = formatTable(results);
+    if (config.json === '-' || config.junit === '-') console.error(`\n${table}`);
+    else console.log(`\n${table}`);
+  }
+
+  if (results.some(r => r.status === 'error')) return EXIT.ERROR;
+  if (results.some(r => r.status === 'failed')) return EXIT.THRESHOLD_FAILED;
+  return EXIT.PASSED;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('webaudit:', error);
+      process.exit(EXIT.ERROR);
+    });
+}
+
+module.exports = {
+  parseCliArgs,
+  checkThresholds,
+  auditUrl
+};
@@ -0,0 +1,139 @@
+/**
+ * CLI Formatters
+ * Table, JSON and JUnit XML renderings of audit results
+ */
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+const COLUMN_LABELS = {
+  performance: 'Perf',
+  ux: 'UX',
+  seo: 'SEO',
+  content: 'Content',
+  security: 'Security'
+};
+
+/**
+ * Plain-text results table; failing scores are marked with "!"
+ * @param {Object[]} results - Audit results
+ * @returns {string} Table
+ */
+function formatTable(results) {
+  const header = ['URL', 'Health', 'Grade', ...MODULES.map(m => COLUMN_LABELS[m]), 'Result'];
+  const rows = results.map(result => {
+    if (result.status === 'error') {
+      return [result.url, '-', '-', ...MODULES.map(() => '-'), `ERROR: ${String(result.error).split('\n')[0]}`];
+    }
+    const failed = new Set(result.failures.map(f => f.check));
+    const cell = (check, value) => (value == null ? '-' : `${value}${failed.has(check) ? '!' : ''}`);
+    return [
+      result.url,
+      cell('website_health_score', result.website_health_score),
+      result.health_grade,
+      ...MODULES.map(m => cell(m, result.module_scores[m])),
+      result.status === 'passed' ? 'PASS' : 'FAIL'
+    ];
+  });
+
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map(row => String(row[i]).length)));
+  const line = (row) => row.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * JSON report
+ * @param {Object[]} results - Audit results
+ * @param {Object} meta - { thresholds, device, profile, ai }
+ * @returns {string} Pretty-printed JSON
+ */
+function formatJson(results, meta) {
+  return JSON.stringify({
+    generated_at: new Date().toISOString(),
+    ...meta,
+    passed: results.every(r => r.status === 'passed'),
+    summary: {
+      total: results.length,
+      passed: results.filter(r => r.status === 'passed').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      errors: results.filter(r => r.status === 'error').length
+    },
+    results
+  }, null, 2);
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * JUnit XML: one test suite per URL, one test case per score check
+ * @param {Object[]} results - Audit results
+ * @returns {string} XML document
+ */
+function formatJunit(results) {
+  const suites = results.map(result => {
+    const time = ((result.duration_ms || 0) / 1000).toFixed(3);
+
+    if (result.status === 'error') {
+      return [
+        `  <testsuite name="${escapeXml(result.url)}" tests="1" failures="0" errors="1" time="${time}">`,
+        `    <testcase classname="${escapeXml(result.url)}" name="audit" time="${time}">`,
+        `      <error message="${escapeXml(result.error)}"/>`,
+        '    </testcase>',
+        '  </testsuite>'
+      ].join('\n');
+    }
+
+    const checks = [
+      { check: 'website_health_score', label: 'health score', score: result.website_health_score },
+      ...MODULES
+        .filter(m => result.module_scores[m] != null)
+        .map(m => ({ check: m, label: `${m} score`, score: result.module_scores[m] }))
+    ];
+    const failures = new Map(result.failures.map(f => [f.check, f]));
+
+    const cases = checks.map(({ check, label, score }) => {
+      const failure = failures.get(check);
+      const name = `${escapeXml(label)} (${score})`;
+      if (!failure) {
+        return `    <testcase classname="${escapeXml(result.url)}" name="${name}"/>`;
+      }
+      return [
+        `    <testcase classname="${escapeXml(result.url)}" name="${name}">`,
+        `      <failure message="${escapeXml(`${label} ${score} is below ${failure.threshold}`)}" type="threshold"/>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    const issues = MODULES.flatMap(m => (result.issues[m] || []).map(i => `[${m}] ${i.severity}: ${i.description}`));
+
+    return [
+      `  <testsuite name="${escapeXml(result.url)}" tests="${checks.length}" failures="${failures.size}" errors="0" time="${time}">`,
+      ...cases,
+      `    <system-out>${escapeXml(`Health ${result.website_health_score} (${result.health_grade})\n${issues.join('\n')}`)}</system-out>`,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const tests = results.reduce((sum, r) => sum + (r.status === 'error' ? 1 : 1 + MODULES.filter(m => r.module_scores[m] != null).length), 0);
+  const failures = results.reduce((sum, r) => sum + (r.failures?.length || 0), 0);
+  const errors = results.filter(r => r.status === 'error').length;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="webaudit" tests="${tests}" failures="${failures}" errors="${errors}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  formatTable,
+  formatJson,
+  formatJunit
+};
@@ -0,0 +1,61 @@
+/**
+ * Journey Model
+ * A reusable multi-step flow (e.g. signup or checkout) audited step by step
+ */
+
+const mongoose = require('mongoose');
+
+const JourneySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: String,
+
+  // Ordered steps; see services/journeys/journeyRunner.js for the actions
+  steps: [{
+    name: String,
+    action: {
+      type: String,
+      enum: ['navigate', 'click', 'fill', 'wait', 'assert'],
+      required: true
+    },
+    url: String,
+    selector: String,
+    value: String,
+    text: String,
+    duration_ms: Number,
+    timeout: Number
+  }],
+
+  // Device preset every run uses
+  device_preset: {
+    type: String,
+    default: 'desktop'
+  },
+
+  last_run_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JourneyRun'
+  },
+
+  // Pending or running run; set with a conditional update so only one run starts at a time
+  active_run_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JourneyRun',
+    default: null
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const Journey = mongoose.model('Journey', JourneySchema);
+
+module.exports = Journey;
@@ -0,0 +1,84 @@
+/**
+ * Journey Run Model
+ * One execution of a journey: a snapshot per step and where it stopped
+ */
+
+const mongoose = require('mongoose');
+
+const JourneyRunSchema = new mongoose.Schema({
+  journey_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey',
+    required: true,
+    index: true
+  },
+
+  // Journey name when the run started
+  journey_name: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  device_preset: String,
+  emulation: mongoose.Schema.Types.Mixed,
+
+  // Index of the first failed step (null when every step passed)
+  failed_step: {
+    type: Number,
+    default: null
+  },
+
+  // Per-step results
+  steps: [{
+    index: Number,
+    name: String,
+    action: String,
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'skipped']
+    },
+    started_at: Date,
+    duration_ms: Number,
+    url: String,
+    title: String,
+    // Whether the step loaded a new document (metrics then cover the full load)
+    new_document: Boolean,
+    metrics: mongoose.Schema.Types.Mixed,
+    ux: mongoose.Schema.Types.Mixed,
+    scores: {
+      performance: Number,
+      ux: Number
+    },
+    // Relative to SCREENSHOT_DIR
+    screenshot_path: String,
+    error: String
+  }],
+
+  // Averages over the steps that ran
+  summary: {
+    steps_total: Number,
+    steps_passed: Number,
+    total_duration_ms: Number,
+    avg_performance_score: Number,
+    avg_ux_score: Number
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  started_at: Date,
+  finished_at: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+JourneyRunSchema.index({ journey_id: 1, created_at: -1 });
+
+const JourneyRun = mongoose.model('JourneyRun', JourneyRunSchema);
+
+module.exports = JourneyRun;
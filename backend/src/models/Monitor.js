@@ -0,0 +1,81 @@
+/**
+ * Monitor Model
+ * A URL registered for recurring scans; each run is compared with the previous one
+ */
+
+const mongoose = require('mongoose');
+
+const MonitorSchema = new mongoose.Schema({
+  name: String,
+
+  url: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  frequency: {
+    type: String,
+    enum: ['hourly', 'daily', 'weekly'],
+    default: 'daily'
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Scan options passed to runAnalysisJob on every run
+  options: {
+    emulate_mobile: { type: Boolean, default: false },
+    scoring_profile: String,
+    rule_sets: { type: [String], default: undefined },
+    budget: String
+  },
+
+  // Alert thresholds
+  thresholds: {
+    health_score_drop: { type: Number, default: 5 },
+    // % of viewport pixels changed since the previous run; null disables visual alerts
+    visual_change_pct: { type: Number, default: null }
+  },
+
+  // Scheduling state
+  next_run_at: {
+    type: Date,
+    index: true
+  },
+  last_run_at: Date,
+  running: {
+    type: Boolean,
+    default: false
+  },
+  run_count: {
+    type: Number,
+    default: 0
+  },
+
+  // Outcome of the most recent run
+  last_status: {
+    type: String,
+    enum: ['completed', 'failed']
+  },
+  last_error: String,
+
+  // Latest report with scores; the next run is compared against it
+  last_report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const Monitor = mongoose.model('Monitor', MonitorSchema);
+
+module.exports = Monitor;
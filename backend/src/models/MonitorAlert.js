@@ -0,0 +1,60 @@
+/**
+ * Monitor Alert Model
+ * Raised when a scheduled run regresses against the previous run of the same monitor
+ */
+
+const mongoose = require('mongoose');
+
+const MonitorAlertSchema = new mongoose.Schema({
+  monitor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Monitor',
+    required: true
+  },
+
+  url: String,
+
+  type: {
+    type: String,
+    enum: ['health_score_drop', 'recommendation_flag_worse', 'new_critical_issues', 'visual_change'],
+    required: true
+  },
+
+  severity: {
+    type: String,
+    enum: ['critical', 'high', 'medium'],
+    default: 'medium'
+  },
+
+  message: String,
+
+  // Type-specific context (scores, flags or issues involved)
+  details: mongoose.Schema.Types.Mixed,
+
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  previous_report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledged_at: Date,
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MonitorAlertSchema.index({ monitor_id: 1, created_at: -1 });
+MonitorAlertSchema.index({ acknowledged: 1, created_at: -1 });
+
+const MonitorAlert = mongoose.model('MonitorAlert', MonitorAlertSchema);
+
+module.exports = MonitorAlert;
@@ -0,0 +1,45 @@
+/**
+ * Performance Budget Model
+ * Per-project limits evaluated against every analysis (the default budget is not stored)
+ */
+
+const mongoose = require('mongoose');
+
+const PerformanceBudgetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  label: String,
+  description: String,
+
+  // Limits; unset metrics are not enforced
+  limits: {
+    js_kb: Number,
+    css_kb: Number,
+    image_kb: Number,
+    font_kb: Number,
+    total_kb: Number,
+    requests: Number,
+    script_requests: Number,
+    third_party_requests: Number,
+    third_party_kb: Number,
+    lcp_ms: Number,
+    cls: Number,
+    tbt_ms: Number
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const PerformanceBudget = mongoose.model('PerformanceBudget', PerformanceBudgetSchema);
+
+module.exports = PerformanceBudget;
@@ -20,6 +20,10 @@ const ReportSchema = new mongoose.Schema({
   },
   
   final_url: String,
+
+  // Normalized host + path of url and final_url ("example.com/pricing"), matched by site history
+  site_key: String,
+  final_site_key: String,
   
   created_at: {
     type: Date,
@@ -34,12 +38,34 @@ const ReportSchema = new mongoose.Schema({
     enum: ['pending', 'running', 'completed', 'failed'],
     default: 'pending'
   },
+
+  // Job Queue State
+  started_at: Date,
+
+  progress: {
+    type: Number,
+    default: 0
+  },
+
+  progress_message: String,
+
+  progress_stage: String,
+
+  job_options: mongoose.Schema.Types.Mixed,
+
+  // Sealed scan credentials (services/auth/secretBox.js); removed once the job finishes
+  auth_secret: {
+    type: String,
+    select: false
+  },
   
   // Raw Artifacts
   raw_artifacts: {
     html: String,
-    screenshot_full_path: String,
+    screenshot_full_path: String, // Relative to SCREENSHOT_DIR
     screenshot_viewport_path: String,
+    screenshot_full_thumb_path: String,
+    screenshot_viewport_thumb_path: String,
     screenshot_full_base64: String, // Optional: store inline for small sites
     screenshot_viewport_base64: String,
     
@@ -48,6 +74,7 @@ const ReportSchema = new mongoose.Schema({
       url: String,
       status: Number,
       contentType: String,
+      contentEncoding: String,
       size: Number,
       timing: mongoose.Schema.Types.Mixed
     }],
@@ -57,6 +84,9 @@ const ReportSchema = new mongoose.Schema({
       to: String,
       status: Number
     }],
+
+    // Link validation results
+    link_check: mongoose.Schema.Types.Mixed,
     
     // Performance raw data
     performance_raw: {
@@ -65,6 +95,9 @@ const ReportSchema = new mongoose.Schema({
       fcp_ms: Number,
       ttfb_ms: Number,
       tbt_ms: Number,
+      inp_ms: Number,
+      // Synthetic interactions behind INP (see scraper/pageProbes.js)
+      interactions: mongoose.Schema.Types.Mixed,
       dom_content_loaded_ms: Number,
       page_load_ms: Number,
       long_tasks: [mongoose.Schema.Types.Mixed],
@@ -77,6 +110,9 @@ const ReportSchema = new mongoose.Schema({
       passes: [mongoose.Schema.Types.Mixed],
       incomplete: [mongoose.Schema.Types.Mixed]
     },
+
+    // Screenshot overlay boxes (see services/screenshots/annotations.js)
+    annotations: mongoose.Schema.Types.Mixed,
     
     // SEO raw data
     seo_raw: {
@@ -115,13 +151,20 @@ const ReportSchema = new mongoose.Schema({
         fcp_s: Number,
         ttfb_s: Number,
         tbt_ms: Number,
+        inp_ms: Number,
         total_js_kb: Number,
         total_css_kb: Number,
         total_images_kb: Number,
         total_requests: Number
       },
+      interactions: mongoose.Schema.Types.Mixed,
+      // Unused JS/CSS per file (see scraper/coverage.js)
+      coverage: mongoose.Schema.Types.Mixed,
+      // Requests, bytes and main-thread time per vendor (see thirdParty/thirdPartyAnalyzer.js)
+      third_parties: mongoose.Schema.Types.Mixed,
       issues: [mongoose.Schema.Types.Mixed],
-      fixes: [mongoose.Schema.Types.Mixed]
+      fixes: [mongoose.Schema.Types.Mixed],
+      custom_rules: mongoose.Schema.Types.Mixed
     },
     
     ux: {
@@ -135,7 +178,8 @@ const ReportSchema = new mongoose.Schema({
       ctas_count: Number,
       ctas_above_fold: Number,
       issues: [mongoose.Schema.Types.Mixed],
-      fixes: [mongoose.Schema.Types.Mixed]
+      fixes: [mongoose.Schema.Types.Mixed],
+      custom_rules: mongoose.Schema.Types.Mixed
     },
     
     seo: {
@@ -150,8 +194,14 @@ const ReportSchema = new mongoose.Schema({
       images_missing_alt_count: Number,
       internal_links_count: Number,
       external_links_count: Number,
+      broken_links_count: Number,
+      redirect_chains_count: Number,
+      http_status: Number,
+      soft_404_suspected: Boolean,
+      content_encoding: String,
       issues: [mongoose.Schema.Types.Mixed],
-      fixes: [mongoose.Schema.Types.Mixed]
+      fixes: [mongoose.Schema.Types.Mixed],
+      custom_rules: mongoose.Schema.Types.Mixed
     },
     
     content: {
@@ -166,7 +216,23 @@ const ReportSchema = new mongoose.Schema({
       keywords: [mongoose.Schema.Types.Mixed],
       entities: [mongoose.Schema.Types.Mixed],
       issues: [mongoose.Schema.Types.Mixed],
-      fixes: [mongoose.Schema.Types.Mixed]
+      fixes: [mongoose.Schema.Types.Mixed],
+      custom_rules: mongoose.Schema.Types.Mixed
+    },
+
+    security: {
+      score: Number,
+      confidence: String,
+      security_risk_level: String,
+      primary_security_risks: [String],
+      recommendation_flag: String,
+      is_https: Boolean,
+      header_grades: mongoose.Schema.Types.Mixed,
+      tls: mongoose.Schema.Types.Mixed,
+      mixed_content: mongoose.Schema.Types.Mixed,
+      issues: [mongoose.Schema.Types.Mixed],
+      fixes: [mongoose.Schema.Types.Mixed],
+      custom_rules: mongoose.Schema.Types.Mixed
     }
   },
   
@@ -197,8 +263,65 @@ const ReportSchema = new mongoose.Schema({
   user_agent: String,
   viewport: mongoose.Schema.Types.Mixed,
   emulate_mobile: Boolean,
+  // Device/network emulation preset (see services/scraper/devicePresets.js)
+  device_preset: String,
+  emulation: mongoose.Schema.Types.Mixed,
+  // What kind of credentials an authenticated scan used (never the values)
+  authentication: mongoose.Schema.Types.Mixed,
   load_time_ms: Number,
-  http_status: Number
+  http_status: Number,
+
+  // Scoring profile that produced the health score
+  scoring_profile: {
+    name: String,
+    label: String,
+    weights: mongoose.Schema.Types.Mixed,
+    boosts: mongoose.Schema.Types.Mixed
+  },
+
+  // Custom rule sets evaluated against the page
+  rule_sets_applied: [String],
+
+  // Scheduled monitor that ran this analysis (null for on-demand scans)
+  monitor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Monitor',
+    index: true
+  },
+
+  // Performance budget evaluation (per-item pass/fail and overage)
+  budget: {
+    name: String,
+    label: String,
+    status: { type: String, enum: ['pass', 'fail'] },
+    enforced: Boolean,
+    passed_count: Number,
+    failed_count: Number,
+    no_data_count: Number,
+    items: [mongoose.Schema.Types.Mixed]
+  },
+
+  // Main document response (status, protocol, compression, caching headers)
+  http_response: {
+    url: String,
+    status: Number,
+    status_text: String,
+    protocol: String,
+    content_type: String,
+    content_encoding: String,
+    cache_control: String,
+    expires: String,
+    etag: String,
+    last_modified: String,
+    security_details: {
+      protocol: String,
+      issuer: String,
+      subject_name: String,
+      valid_from: Date,
+      valid_to: Date
+    },
+    headers: mongoose.Schema.Types.Mixed
+  }
   
 }, {
   timestamps: true
@@ -206,6 +329,8 @@ const ReportSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 ReportSchema.index({ url: 1, created_at: -1 });
+ReportSchema.index({ site_key: 1, created_at: -1 });
+ReportSchema.index({ final_site_key: 1, created_at: -1 });
 ReportSchema.index({ status: 1, created_at: -1 });
 ReportSchema.index({ 'aggregator.website_health_score': -1 });
 
@@ -0,0 +1,37 @@
+/**
+ * Rule Set Model
+ * Named collections of declarative custom rules evaluated after the analysis modules
+ */
+
+const mongoose = require('mongoose');
+
+const RuleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  description: String,
+
+  // Disabled rule sets are skipped unless requested by name
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Rule definitions (see services/rules/rulesEngine.js for the format)
+  rules: [mongoose.Schema.Types.Mixed],
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const RuleSet = mongoose.model('RuleSet', RuleSetSchema);
+
+module.exports = RuleSet;
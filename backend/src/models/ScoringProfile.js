@@ -0,0 +1,45 @@
+/**
+ * Scoring Profile Model
+ * Custom aggregator weightings saved by users (built-in profiles are not stored)
+ */
+
+const mongoose = require('mongoose');
+
+const ScoringProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  label: String,
+  description: String,
+
+  // Module weights (normalized to sum to 1 when applied)
+  weights: {
+    performance: { type: Number, default: 0 },
+    ux: { type: Number, default: 0 },
+    seo: { type: Number, default: 0 },
+    content: { type: Number, default: 0 },
+    security: { type: Number, default: 0 }
+  },
+
+  // Boost multipliers; unset values fall back to the defaults
+  boosts: {
+    performance_ux: Number,
+    seo_content: Number,
+    low_confidence: Number
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const ScoringProfile = mongoose.model('ScoringProfile', ScoringProfileSchema);
+
+module.exports = ScoringProfile;
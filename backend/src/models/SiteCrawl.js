@@ -0,0 +1,91 @@
+/**
+ * Site Crawl Model
+ * Stores multi-page crawl results and the site-level rollup
+ */
+
+const mongoose = require('mongoose');
+
+const SiteCrawlSchema = new mongoose.Schema({
+  start_url: {
+    type: String,
+    required: true
+  },
+
+  origin: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'crawling', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Crawl limits and scan options
+  options: {
+    max_pages: Number,
+    max_depth: Number,
+    emulate_mobile: Boolean,
+    rule_sets: [String]
+  },
+
+  // robots.txt / sitemap discovery
+  robots: {
+    found: Boolean,
+    crawl_delay_s: Number,
+    rules_count: Number,
+    sitemaps: [String]
+  },
+
+  // Scoring profile applied to every page and the rollup
+  scoring_profile: {
+    name: String,
+    label: String,
+    weights: mongoose.Schema.Types.Mixed,
+    boosts: mongoose.Schema.Types.Mixed
+  },
+
+  sitemap_urls_found: Number,
+  skipped_by_robots: [String],
+
+  // Per-page results
+  pages: [{
+    url: String,
+    final_url: String,
+    depth: Number,
+    source: {
+      type: String,
+      enum: ['start', 'sitemap', 'link']
+    },
+    http_status: Number,
+    website_health_score: Number,
+    health_grade: String,
+    module_scores: mongoose.Schema.Types.Mixed,
+    issues: mongoose.Schema.Types.Mixed,
+    error: String,
+    scanned_at: Date
+  }],
+
+  // Site-level rollup
+  site_aggregator: mongoose.Schema.Types.Mixed,
+  worst_pages: mongoose.Schema.Types.Mixed,
+
+  created_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  finished_at: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+SiteCrawlSchema.index({ origin: 1, created_at: -1 });
+
+const SiteCrawl = mongoose.model('SiteCrawl', SiteCrawlSchema);
+
+module.exports = SiteCrawl;
@@ -0,0 +1,53 @@
+/**
+ * Visual Diff Model
+ * Cached pixel comparison of two reports' screenshots (same URL and viewport)
+ */
+
+const mongoose = require('mongoose');
+
+const VisualDiffSchema = new mongoose.Schema({
+  base_report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  target_report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['viewport', 'full'],
+    required: true
+  },
+
+  width: Number,
+  height: Number,
+  changed_pixels: Number,
+  total_pixels: Number,
+  changed_pct: Number,
+
+  // Screenshots of different sizes: the extra area counts as changed
+  size_mismatch: Boolean,
+  // Full-page captures are compared down to MAX_COMPARE_HEIGHT
+  truncated: Boolean,
+
+  // Bounding boxes of changed areas, largest first: [{ x, y, width, height, changed_pixels }]
+  regions: [mongoose.Schema.Types.Mixed],
+
+  // Diff image, relative to SCREENSHOT_DIR
+  diff_path: String,
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+VisualDiffSchema.index({ base_report_id: 1, target_report_id: 1, kind: 1 }, { unique: true });
+
+const VisualDiff = mongoose.model('VisualDiff', VisualDiffSchema);
+
+module.exports = VisualDiff;
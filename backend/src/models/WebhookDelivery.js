@@ -0,0 +1,63 @@
+/**
+ * Webhook Delivery Model
+ * One event sent to one subscription, with every attempt logged.
+ * Pending retries are persisted so they survive a restart.
+ */
+
+const mongoose = require('mongoose');
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+
+  // Sent as X-WebAudit-Delivery; stable across retries so receivers can de-duplicate
+  delivery_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  event: {
+    type: String,
+    required: true
+  },
+
+  // Event envelope { id, event, created_at, data }, serialized and signed on every attempt
+  payload: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['delivering', 'retrying', 'success', 'failed'],
+    default: 'delivering'
+  },
+
+  attempt_count: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: Date,
+  delivered_at: Date,
+
+  attempts: [{
+    attempted_at: Date,
+    status_code: Number,
+    duration_ms: Number,
+    error: String,
+    response_body: String
+  }],
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookDeliverySchema.index({ subscription_id: 1, created_at: -1 });
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,52 @@
+/**
+ * Webhook Subscription Model
+ * An endpoint that receives signed POSTs for the events it subscribes to
+ */
+
+const mongoose = require('mongoose');
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Event names, or "*" for every event
+  events: {
+    type: [String],
+    required: true
+  },
+
+  // HMAC-SHA256 signing secret; only returned when the subscription is created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  description: String,
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Outcome of the most recent delivery
+  last_delivery_at: Date,
+  last_delivery_status: {
+    type: String,
+    enum: ['success', 'failed', 'retrying']
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
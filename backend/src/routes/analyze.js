@@ -1,56 +1,202 @@
 const express = require('express');
 const router = express.Router();
-const { runAnalysisJob } = require('../services/jobRunner');
+const { enqueueAnalysis, getJobStatus } = require('../services/jobQueue');
+const { subscribeToJob } = require('../services/jobEvents');
+const { resolveProfile } = require('../aggregator/scoringProfiles');
+const { resolveRuleSets } = require('../services/rules/rulesEngine');
+const { resolveBudget } = require('../services/budgets/performanceBudget');
+const { resolveDevicePreset, listDevicePresets } = require('../services/scraper/devicePresets');
+const { validateScanAuth } = require('../services/scraper/scanAuth');
+const { isSecretBoxConfigured } = require('../services/auth/secretBox');
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Build the 202 response for a freshly queued job
+ */
+function jobAccepted(report) {
+  return {
+    success: true,
+    jobId: report.request_id,
+    reportId: report._id.toString(),
+    status: report.status,
+    statusUrl: `/api/job/${report.request_id}/status`,
+    eventsUrl: `/api/job/${report.request_id}/events`
+  };
+}
 
 /**
  * POST /api/analyze
- * Analyze a website and return complete report
+ * Queue a full website analysis and return the job ID immediately
+ *
+ * Body:
+ *   - url (string, required)
+ *   - emulateMobile (boolean, optional)
+ *   - devicePreset (string, optional): Device/network preset (see GET /api/devices); overrides emulateMobile
+ *   - scoringProfile (string | object, optional): Profile name or inline { weights, boosts }
+ *   - ruleSets (string[], optional): Custom rule sets to apply (default: all enabled, [] for none)
+ *   - budget (string | object, optional): Performance budget name or inline { limits }
+ *   - failOnBudget (boolean, optional): Mark the job failed when the budget is exceeded
+ *   - auth (object, optional): Credentials for pages behind a login, stored encrypted until the job finishes
+ *       { cookies?: [{ name, value, domain?, path?, url? }], storageState?: {...},
+ *         headers?: { [name]: value }, loginScript?: [{ action: goto|fill|click|waitForUrl|waitForSelector, url?, selector?, value?, timeout? }] }
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { url, emulateMobile = false } = req.body;
+    const { url, emulateMobile = false, devicePreset, scoringProfile, ruleSets, budget, failOnBudget = false, auth } = req.body;
     if (!url) return res.status(400).json({ success: false, error: 'URL is required' });
   try { new URL(url); } catch (err) { return res.status(400).json({ success: false, error: 'Invalid URL format' }); }
 
-    console.log(`[API] Starting full analysis for: ${url} (mobile=${emulateMobile})`);
-    const result = await runAnalysisJob(url, { emulateMobile });
-    console.log(`[API] Analysis completed: ${result.reportId}`);
-    res.json(result);
+    const { profile, error: profileError } = await resolveProfile(scoringProfile);
+    if (profileError) return res.status(400).json({ success: false, error: profileError });
+    const { error: ruleSetError } = await resolveRuleSets(ruleSets);
+    if (ruleSetError) return res.status(400).json({ success: false, error: ruleSetError });
+    const { error: budgetError } = await resolveBudget(budget);
+    if (budgetError) return res.status(400).json({ success: false, error: budgetError });
+    const { preset, error: presetError } = resolveDevicePreset(devicePreset, emulateMobile);
+    if (presetError) return res.status(400).json({ success: false, error: presetError });
+    if (auth !== undefined) {
+      const authErrors = validateScanAuth(auth);
+      if (authErrors.length > 0) return res.status(400).json({ success: false, error: authErrors.join('; ') });
+      if (!isSecretBoxConfigured()) {
+        return res.status(400).json({ success: false, error: 'Authenticated scans need SCAN_SECRETS_KEY configured on the server' });
+      }
+    }
+
+    const report = await enqueueAnalysis(url, {
+      emulateMobile: preset.mobile, devicePreset: preset.name, scoringProfile, ruleSets, budget, failOnBudget, auth
+    });
+    console.log(`[API] Queued full analysis for: ${url} (device=${preset.name}, profile=${profile.name}${auth ? ', authenticated' : ''}, job=${report.request_id})`);
+    res.status(202).json(jobAccepted(report));
   } catch (error) {
     console.error('[API] Analysis error:', error);
-    res.status(500).json({ success: false, error: error.message || 'Analysis failed' });
+    res.status(500).json({ success: false, error: error.message || 'Failed to queue analysis' });
   }
 });
 
 /**
  * POST /api/analyze/mobile
- * Analyze a website in mobile mode (mobile Axe + mobile viewport)
+ * Queue a mobile-mode analysis (mobile Axe + mobile viewport)
  */
 router.post('/analyze/mobile', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, scoringProfile, ruleSets, budget, failOnBudget = false } = req.body;
     if (!url) return res.status(400).json({ success: false, error: 'URL is required' });
     try { new URL(url); } catch (err) { return res.status(400).json({ success: false, error: 'Invalid URL format' }); }
 
-    console.log(`[API] Starting MOBILE analysis for: ${url}`);
-    const result = await runAnalysisJob(url, { emulateMobile: true });
-    console.log(`[API] Mobile analysis completed: ${result.reportId}`);
-    res.json(result);
+    const { profile, error: profileError } = await resolveProfile(scoringProfile);
+    if (profileError) return res.status(400).json({ success: false, error: profileError });
+    const { error: ruleSetError } = await resolveRuleSets(ruleSets);
+    if (ruleSetError) return res.status(400).json({ success: false, error: ruleSetError });
+    const { error: budgetError } = await resolveBudget(budget);
+    if (budgetError) return res.status(400).json({ success: false, error: budgetError });
+
+    const report = await enqueueAnalysis(url, { emulateMobile: true, scoringProfile, ruleSets, budget, failOnBudget });
+    console.log(`[API] Queued MOBILE analysis for: ${url} (profile=${profile.name}, job=${report.request_id})`);
+    res.status(202).json(jobAccepted(report));
   } catch (error) {
     console.error('[API] Mobile analysis error:', error);
-    res.status(500).json({ success: false, error: error.message || 'Mobile analysis failed' });
+    res.status(500).json({ success: false, error: error.message || 'Failed to queue mobile analysis' });
+  }
+});
+
+/**
+ * GET /api/job/:id/status
+ * Get status and progress of a queued analysis job
+ */
+router.get('/job/:id/status', async (req, res) => {
+  try {
+    const status = await getJobStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('[API] Job status error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/job/:id/events
+ * Stream job progress as Server-Sent Events until the job completes or fails
+ */
+router.get('/job/:id/events', async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const snapshot = await getJobStatus(jobId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Set once the job finished or the client left; nothing is written after that
+    let closed = false;
+    const send = (event) => {
+      if (!closed) res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const isFinished = (status) => status === 'completed' || status === 'failed';
+
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': heartbeat\n\n');
+    }, SSE_HEARTBEAT_MS);
+    const unsubscribe = subscribeToJob(jobId, (event) => {
+      send({ reportId: snapshot.reportId, ...event });
+      if (isFinished(event.status)) finish();
+    });
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    const finish = () => {
+      if (closed) return;
+      cleanup();
+      res.end();
+    };
+    req.on('close', cleanup);
+
+    // Late subscribers start from the persisted state (read after subscribing so no event is missed)
+    const current = (await getJobStatus(jobId)) || snapshot;
+    if (closed) return;
+    send({
+      jobId,
+      reportId: current.reportId,
+      status: current.status,
+      progress: current.progress,
+      message: current.message,
+      stage: current.stage,
+      error: current.error
+    });
+    if (isFinished(current.status)) finish();
+  } catch (error) {
+    console.error('[API] Job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: error.message });
+    } else if (!res.writableEnded) {
+      res.end();
+    }
   }
 });
 
 /**
  * POST /api/analyze/:module
- * Run specific analysis module (seo, performance, ux, content)
+ * Run specific analysis module (seo, performance, ux, content, security)
  */
 router.post('/analyze/:module', async (req, res) => {
   try {
     const { module } = req.params;
-    const { url, emulateMobile = false } = req.body;
-    const validModules = ['seo', 'performance', 'ux', 'content'];
+    const { url, emulateMobile = false, ruleSets } = req.body;
+    const validModules = ['seo', 'performance', 'ux', 'content', 'security'];
 
     if (!validModules.includes(module)) {
       return res.status(400).json({ success: false, error: 'Invalid module name' });
@@ -61,7 +207,7 @@ router.post('/analyze/:module', async (req, res) => {
 
     // Use jobRunner's partial analysis
     const { runPartialAnalysis } = require('../services/jobRunner');
-    const result = await runPartialAnalysis(url, [module], { emulateMobile });
+    const result = await runPartialAnalysis(url, [module], { emulateMobile, ruleSets });
 
     res.json(result);
   } catch (error) {
@@ -99,6 +245,14 @@ router.get('/report/:id/:module?', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/devices
+ * List device and network emulation presets accepted as `devicePreset`
+ */
+router.get('/devices', (req, res) => {
+  res.json({ success: true, presets: listDevicePresets() });
+});
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -0,0 +1,160 @@
+/**
+ * Performance Budget Routes
+ * Manage per-project performance budgets
+ */
+
+const express = require('express');
+const router = express.Router();
+const PerformanceBudget = require('../models/PerformanceBudget');
+const {
+  BUDGET_METRICS,
+  DEFAULT_BUDGET,
+  validateBudgetLimits,
+  buildBudget
+} = require('../services/budgets/performanceBudget');
+
+const BUDGET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+/**
+ * GET /api/budgets
+ * List the default and stored budgets, plus the metrics a budget can limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const stored = await PerformanceBudget.find().sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      metrics: Object.fromEntries(Object.entries(BUDGET_METRICS).map(([key, { label, unit }]) => [key, { label, unit }])),
+      budgets: [DEFAULT_BUDGET, ...stored.map(buildBudget)]
+    });
+
+  } catch (error) {
+    console.error('[Budgets API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/budgets/:name
+ * Get a single budget
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    if (req.params.name === DEFAULT_BUDGET.name) {
+      return res.json({ success: true, budget: DEFAULT_BUDGET });
+    }
+
+    const stored = await PerformanceBudget.findOne({ name: req.params.name }).lean();
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Performance budget not found' });
+    }
+
+    res.json({ success: true, budget: buildBudget(stored) });
+
+  } catch (error) {
+    console.error('[Budgets API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/budgets
+ * Create a performance budget
+ *
+ * Body:
+ *   - name (string, required): Lowercase slug, e.g. "marketing-site"
+ *   - label (string, optional)
+ *   - description (string, optional)
+ *   - limits (object, required): e.g. { js_kb: 300, requests: 60, lcp_ms: 2500, third_party_kb: 400 }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, label, description, limits } = req.body;
+
+    if (!name || !BUDGET_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ success: false, error: 'name must be a lowercase slug (2-40 chars)' });
+    }
+    if (name === DEFAULT_BUDGET.name || name === 'custom') {
+      return res.status(400).json({ success: false, error: `"${name}" is a reserved budget name` });
+    }
+
+    const errors = validateBudgetLimits(limits);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    if (await PerformanceBudget.exists({ name })) {
+      return res.status(409).json({ success: false, error: `Performance budget "${name}" already exists` });
+    }
+
+    const stored = await PerformanceBudget.create({ name, label, description, limits });
+    console.log(`[Budgets API] Created performance budget: ${name}`);
+
+    res.status(201).json({ success: true, budget: buildBudget(stored.toObject()) });
+
+  } catch (error) {
+    console.error('[Budgets API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/budgets/:name
+ * Update a budget; a new "limits" object replaces the existing limits
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    if (req.params.name === DEFAULT_BUDGET.name) {
+      return res.status(403).json({ success: false, error: 'The default budget cannot be modified' });
+    }
+
+    const stored = await PerformanceBudget.findOne({ name: req.params.name });
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Performance budget not found' });
+    }
+
+    const { label, description, limits } = req.body;
+    if (limits !== undefined) {
+      const errors = validateBudgetLimits(limits);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; ') });
+      }
+      stored.limits = limits;
+    }
+    if (label !== undefined) stored.label = label;
+    if (description !== undefined) stored.description = description;
+    await stored.save();
+
+    res.json({ success: true, budget: buildBudget(stored.toObject()) });
+
+  } catch (error) {
+    console.error('[Budgets API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/budgets/:name
+ * Delete a budget
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    if (req.params.name === DEFAULT_BUDGET.name) {
+      return res.status(403).json({ success: false, error: 'The default budget cannot be deleted' });
+    }
+
+    const result = await PerformanceBudget.deleteOne({ name: req.params.name });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Performance budget not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Budgets API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
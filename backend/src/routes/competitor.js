@@ -10,6 +10,7 @@ const { analyze3Competitors } = require('../services/competitor/batchAnalyzer');
 const { generateComparison } = require('../services/competitor/comparativeAnalyzer');
 const Report = require('../models/Report');
 const CompetitorComparison = require('../models/CompetitorComparison');
+const { emitWebhookEvent } = require('../services/webhooks/webhookDispatcher');
 
 /**
  * POST /api/competitor/analyze-3-1
@@ -58,9 +59,15 @@ router.post('/analyze-3-1', async (req, res) => {
         
         console.log(`[Competitor API] Discovered competitors:`, competitors.map(c => c.domain));
         
-        // 3. Analyze 3 competitors in parallel
+        // 3. Analyze 3 competitors in parallel, scored with the user's profile
+        const userProfile = userReport.scoring_profile?.name ? userReport.toObject().scoring_profile : null;
         const competitorReports = await analyze3Competitors(
-          competitors.map(c => c.domain)
+          competitors.map(c => c.domain),
+          {
+            scoringProfile: userProfile?.name === 'custom'
+              ? { label: userProfile.label, weights: userProfile.weights, boosts: userProfile.boosts }
+              : userProfile?.name
+          }
         );
         
         // 4. Generate 1 vs 3 comparison
@@ -83,6 +90,22 @@ router.post('/analyze-3-1', async (req, res) => {
         await competitorComparison.save();
         
         console.log(`[Competitor API] Analysis completed for: ${competitorComparison._id}`);
+
+        emitWebhookEvent('competitor.completed', {
+          comparisonId: competitorComparison._id.toString(),
+          reportId: userReport._id.toString(),
+          url: userReport.url,
+          website_health_score: userReport.aggregator?.website_health_score ?? null,
+          health_grade: userReport.aggregator?.health_grade || null,
+          module_scores: userReport.aggregator?.module_scores || null,
+          competitors: competitorReports.map(r => ({
+            reportId: r.reportId,
+            url: r.url,
+            website_health_score: r.website_health_score,
+            health_grade: r.health_grade,
+            module_scores: r.module_scores
+          }))
+        });
         
       } catch (error) {
         console.error('[Competitor API] Analysis failed:', error);
@@ -0,0 +1,116 @@
+/**
+ * Site Crawl Routes
+ * API endpoints for multi-page site audits
+ */
+
+const express = require('express');
+const router = express.Router();
+const { crawlSite } = require('../services/crawler/siteCrawler');
+const SiteCrawl = require('../models/SiteCrawl');
+const { resolveProfile } = require('../aggregator/scoringProfiles');
+const { resolveRuleSets } = require('../services/rules/rulesEngine');
+
+/**
+ * POST /api/crawl
+ * Start a multi-page crawl (runs in background)
+ *
+ * Body:
+ *   - url (string, required): Start URL
+ *   - maxPages (number, optional): Page limit (default 10, max 100)
+ *   - maxDepth (number, optional): Link depth limit (default 2, max 5)
+ *   - emulateMobile (boolean, optional)
+ *   - scoringProfile (string | object, optional): Profile name or inline { weights, boosts }
+ *   - ruleSets (string[], optional): Custom rule sets to apply (default: all enabled)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, maxPages, maxDepth, emulateMobile = false, scoringProfile, ruleSets: ruleSetNames } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
+    let origin;
+    try { origin = new URL(url).origin; } catch (err) { return res.status(400).json({ success: false, error: 'Invalid URL format' }); }
+
+    const { profile, error: profileError } = await resolveProfile(scoringProfile);
+    if (profileError) return res.status(400).json({ success: false, error: profileError });
+    const { ruleSets, error: ruleSetError } = await resolveRuleSets(ruleSetNames);
+    if (ruleSetError) return res.status(400).json({ success: false, error: ruleSetError });
+
+    const siteCrawl = new SiteCrawl({
+      start_url: url,
+      origin,
+      status: 'crawling'
+    });
+    await siteCrawl.save();
+
+    console.log(`[Crawl API] Starting crawl for: ${url} (maxPages=${maxPages ?? 'default'}, maxDepth=${maxDepth ?? 'default'})`);
+
+    // Return immediately with crawl ID (crawl runs in background)
+    res.json({
+      success: true,
+      crawlId: siteCrawl._id,
+      status: 'crawling',
+      message: 'Site crawl started. Check status at /api/crawl/:id'
+    });
+
+    // Run crawl asynchronously
+    (async () => {
+      try {
+        const result = await crawlSite(url, { maxPages, maxDepth, emulateMobile, profile, ruleSets }, async (page) => {
+          siteCrawl.pages.push(page);
+          await siteCrawl.save();
+        });
+
+        siteCrawl.set({
+          options: result.options,
+          scoring_profile: result.scoring_profile,
+          robots: result.robots,
+          sitemap_urls_found: result.sitemap_urls_found,
+          skipped_by_robots: result.skipped_by_robots.slice(0, 100),
+          site_aggregator: result.site_aggregator,
+          worst_pages: result.worst_pages,
+          status: 'completed',
+          finished_at: new Date()
+        });
+        await siteCrawl.save();
+
+        console.log(`[Crawl API] Crawl completed for: ${siteCrawl._id} (${result.pages.length} pages)`);
+
+      } catch (error) {
+        console.error('[Crawl API] Crawl failed:', error);
+        siteCrawl.status = 'failed';
+        siteCrawl.error = error.message;
+        siteCrawl.finished_at = new Date();
+        // The database may be why the crawl failed; never let this save reject unhandled
+        await siteCrawl.save().catch(err => console.error(`[Crawl API] Failed to record crawl failure for ${siteCrawl._id}:`, err.message));
+      }
+    })();
+
+  } catch (error) {
+    console.error('[Crawl API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:id
+ * Get crawl progress or the completed site-level report
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const siteCrawl = await SiteCrawl.findById(req.params.id);
+
+    if (!siteCrawl) {
+      return res.status(404).json({ success: false, error: 'Crawl not found' });
+    }
+
+    res.json({ success: true, crawl: siteCrawl });
+
+  } catch (error) {
+    console.error('[Crawl API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,334 @@
+/**
+ * Journey Routes
+ * Store multi-step flows (signup, checkout, ...) and audit them step by step
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Journey = require('../models/Journey');
+const JourneyRun = require('../models/JourneyRun');
+const { validateJourneySteps, runJourney } = require('../services/journeys/journeyRunner');
+const { runInWorkerSlot } = require('../services/jobQueue');
+const { resolveDevicePreset } = require('../services/scraper/devicePresets');
+const { resolveScreenshotPath } = require('../services/screenshots/screenshotStore');
+
+const RUN_LIMITS = {
+  default: 20,
+  max: 100
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Validate a create/update body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {string[]} Validation errors
+ */
+function validateJourney(body, partial = false) {
+  const { name, description, steps, devicePreset } = body;
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+  }
+  if (description !== undefined && typeof description !== 'string') errors.push('description must be a string');
+  if (!partial || steps !== undefined) errors.push(...validateJourneySteps(steps));
+  if (devicePreset !== undefined) {
+    const { error } = resolveDevicePreset(devicePreset);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+/**
+ * Run list entry without the per-step details
+ */
+const runSummary = (run) => ({
+  _id: run._id,
+  status: run.status,
+  device_preset: run.device_preset,
+  failed_step: run.failed_step,
+  summary: run.summary,
+  error: run.error,
+  created_at: run.created_at,
+  finished_at: run.finished_at
+});
+
+/**
+ * GET /api/journeys
+ * List journeys with their latest run
+ */
+router.get('/', async (req, res) => {
+  try {
+    const journeys = await Journey.find().sort({ created_at: -1 }).lean();
+    const lastRuns = await JourneyRun.find({ _id: { $in: journeys.map(j => j.last_run_id).filter(Boolean) } })
+      .select('-steps')
+      .lean();
+    const runsById = new Map(lastRuns.map(r => [r._id.toString(), r]));
+
+    res.json({
+      success: true,
+      journeys: journeys.map(journey => {
+        const lastRun = journey.last_run_id ? runsById.get(journey.last_run_id.toString()) : null;
+        return { ...journey, last_run: lastRun ? runSummary(lastRun) : null };
+      })
+    });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journeys/:id
+ * Get a journey definition
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey ID' });
+    }
+
+    const journey = await Journey.findById(req.params.id).lean();
+    if (!journey) {
+      return res.status(404).json({ success: false, error: 'Journey not found' });
+    }
+
+    res.json({ success: true, journey });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/journeys
+ * Create a journey
+ *
+ * Body:
+ *   - name (string, required)
+ *   - description (string, optional)
+ *   - steps (array, required): [{ action: navigate|click|fill|wait|assert, name, url, selector, value, text, duration_ms, timeout }]
+ *     The first step must navigate. wait takes a selector, url pattern or duration_ms;
+ *     assert checks a selector is visible and/or that it (or the page) contains text.
+ *   - devicePreset (string, default 'desktop')
+ */
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateJourney(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const { name, description, steps, devicePreset = 'desktop' } = req.body;
+    const journey = await Journey.create({ name: name.trim(), description, steps, device_preset: devicePreset });
+    console.log(`[Journeys API] Created journey "${journey.name}" (${steps.length} steps)`);
+
+    res.status(201).json({ success: true, journey: journey.toObject() });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/journeys/:id
+ * Update a journey; past runs keep the steps they ran
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey ID' });
+    }
+
+    const journey = await Journey.findById(req.params.id);
+    if (!journey) {
+      return res.status(404).json({ success: false, error: 'Journey not found' });
+    }
+
+    const errors = validateJourney(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const { name, description, steps, devicePreset } = req.body;
+    if (name !== undefined) journey.name = name.trim();
+    if (description !== undefined) journey.description = description;
+    if (steps !== undefined) journey.steps = steps;
+    if (devicePreset !== undefined) journey.device_preset = devicePreset;
+    await journey.save();
+
+    res.json({ success: true, journey: journey.toObject() });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/journeys/:id
+ * Delete a journey and its runs
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey ID' });
+    }
+
+    const result = await Journey.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Journey not found' });
+    }
+    await JourneyRun.deleteMany({ journey_id: req.params.id });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/journeys/:id/run
+ * Run a journey now; returns the pending run and the run happens in the background
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey ID' });
+    }
+
+    // Claim the journey atomically; a second request sees active_run_id already set
+    const runId = new mongoose.Types.ObjectId();
+    const journey = await Journey.findOneAndUpdate(
+      { _id: req.params.id, active_run_id: null },
+      { $set: { active_run_id: runId, last_run_id: runId } },
+      { new: true }
+    ).lean();
+    if (!journey) {
+      return await Journey.exists({ _id: req.params.id })
+        ? res.status(409).json({ success: false, error: 'Journey is already running' })
+        : res.status(404).json({ success: false, error: 'Journey not found' });
+    }
+    const release = () => Journey.updateOne({ _id: journey._id, active_run_id: runId }, { $set: { active_run_id: null } });
+
+    let run;
+    try {
+      run = await JourneyRun.create({
+        _id: runId,
+        journey_id: journey._id,
+        journey_name: journey.name,
+        device_preset: journey.device_preset
+      });
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    res.status(202).json({ success: true, run_id: run._id.toString(), status: run.status });
+
+    // Journeys launch a browser, so they wait for a slot shared with queued analyses
+    (async () => {
+      try {
+        await runInWorkerSlot(() => runJourney(journey, run));
+      } catch (error) {
+        console.error(`[Journeys API] Run ${run._id} crashed:`, error);
+        await JourneyRun.updateOne({ _id: run._id }, { $set: { status: 'failed', error: error.message, finished_at: new Date() } });
+      } finally {
+        await release().catch(err => console.error(`[Journeys API] Failed to release journey ${journey._id}:`, err.message));
+      }
+    })();
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journeys/:id/runs
+ * Recent runs of a journey (without per-step details)
+ *
+ * Query: limit (default 20, max 100)
+ */
+router.get('/:id/runs', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey ID' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || RUN_LIMITS.default, RUN_LIMITS.max);
+
+    const runs = await JourneyRun.find({ journey_id: req.params.id })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .select('-steps')
+      .lean();
+
+    res.json({ success: true, count: runs.length, runs: runs.map(runSummary) });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journeys/:id/runs/:runId
+ * A run with its per-step results (the journey report)
+ */
+router.get('/:id/runs/:runId', async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+    if (!isObjectId(id) || !isObjectId(runId)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey or run ID' });
+    }
+
+    const run = await JourneyRun.findOne({ _id: runId, journey_id: id }).lean();
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.json({ success: true, run });
+
+  } catch (error) {
+    console.error('[Journeys API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journeys/:id/runs/:runId/steps/:index/screenshot
+ * Screenshot taken after a step
+ */
+router.get('/:id/runs/:runId/steps/:index/screenshot', async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+    const index = parseInt(req.params.index);
+    if (!isObjectId(id) || !isObjectId(runId) || !Number.isInteger(index)) {
+      return res.status(400).json({ success: false, error: 'Invalid journey, run or step' });
+    }
+
+    const run = await JourneyRun.findOne({ _id: runId, journey_id: id }).select('steps.index steps.screenshot_path').lean();
+    const step = run?.steps.find(s => s.index === index);
+    const file = resolveScreenshotPath(step?.screenshot_path);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Screenshot not available' });
+    }
+
+    // A run's screenshots never change
+    res.sendFile(file, { maxAge: '7d', immutable: true });
+
+  } catch (error) {
+    console.error('[Journeys API] Screenshot error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+/**
+ * Monitor Routes
+ * Register URLs for scheduled scans and review the regression alerts they raise
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Monitor = require('../models/Monitor');
+const MonitorAlert = require('../models/MonitorAlert');
+const Report = require('../models/Report');
+const { FREQUENCY_MS, nextRunAt, claimMonitor, runMonitor } = require('../services/monitoring/monitorScheduler');
+const { resolveProfile } = require('../aggregator/scoringProfiles');
+const { resolveRuleSets } = require('../services/rules/rulesEngine');
+const { resolveBudget } = require('../services/budgets/performanceBudget');
+
+const ALERT_LIMITS = {
+  default: 50,
+  max: 200
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Validate a create/update body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {Promise<string|null>} Error message
+ */
+async function validateMonitor(body, partial = false) {
+  const { url, frequency, thresholds, scoringProfile, ruleSets, budget } = body;
+
+  if (!partial || url !== undefined) {
+    if (!url) return 'URL is required';
+    try { new URL(url); } catch (err) { return 'Invalid URL format'; }
+  }
+  if (frequency !== undefined && !FREQUENCY_MS[frequency]) {
+    return `frequency must be one of ${Object.keys(FREQUENCY_MS).join(', ')}`;
+  }
+  if (thresholds?.health_score_drop !== undefined) {
+    const drop = thresholds.health_score_drop;
+    if (typeof drop !== 'number' || !Number.isFinite(drop) || drop <= 0 || drop > 100) {
+      return 'thresholds.health_score_drop must be a number between 0 and 100';
+    }
+  }
+  if (thresholds?.visual_change_pct !== undefined && thresholds.visual_change_pct !== null) {
+    const pct = thresholds.visual_change_pct;
+    if (typeof pct !== 'number' || !Number.isFinite(pct) || pct <= 0 || pct > 100) {
+      return 'thresholds.visual_change_pct must be a number between 0 and 100 (or null to disable)';
+    }
+  }
+  if (scoringProfile !== undefined && typeof scoringProfile !== 'string') {
+    return 'scoringProfile must be a stored profile name';
+  }
+  if (budget !== undefined && typeof budget !== 'string') {
+    return 'budget must be a stored budget name';
+  }
+
+  const { error: profileError } = await resolveProfile(scoringProfile || undefined);
+  if (profileError) return profileError;
+  const { error: ruleSetError } = await resolveRuleSets(ruleSets);
+  if (ruleSetError) return ruleSetError;
+  const { error: budgetError } = await resolveBudget(budget || undefined);
+  if (budgetError) return budgetError;
+
+  return null;
+}
+
+/**
+ * Unacknowledged alert counts keyed by monitor id
+ */
+async function openAlertCounts(monitorIds) {
+  const counts = await MonitorAlert.aggregate([
+    { $match: { monitor_id: { $in: monitorIds }, acknowledged: false } },
+    { $group: { _id: '$monitor_id', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+}
+
+/**
+ * Attach the latest health score and open alert count to each monitor
+ */
+async function withStatus(monitors) {
+  const reportIds = monitors.map(m => m.last_report_id).filter(Boolean);
+  const [reports, alertCounts] = await Promise.all([
+    Report.find({ _id: { $in: reportIds } })
+      .select('aggregator.website_health_score aggregator.health_grade created_at')
+      .lean(),
+    openAlertCounts(monitors.map(m => m._id))
+  ]);
+  const reportsById = new Map(reports.map(r => [r._id.toString(), r]));
+
+  return monitors.map(monitor => {
+    const last = monitor.last_report_id ? reportsById.get(monitor.last_report_id.toString()) : null;
+    return {
+      ...monitor,
+      last_health_score: last?.aggregator?.website_health_score ?? null,
+      last_health_grade: last?.aggregator?.health_grade || null,
+      open_alerts: alertCounts[monitor._id.toString()] || 0
+    };
+  });
+}
+
+/**
+ * GET /api/monitors
+ * List monitors with their latest score and open alert count
+ */
+router.get('/', async (req, res) => {
+  try {
+    const monitors = await Monitor.find().sort({ created_at: -1 }).lean();
+    res.json({ success: true, monitors: await withStatus(monitors) });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/monitors/alerts
+ * Recent alerts across all monitors
+ *
+ * Query: acknowledged (true|false, optional), limit (default 50, max 200)
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.acknowledged === 'true') filter.acknowledged = true;
+    if (req.query.acknowledged === 'false') filter.acknowledged = false;
+    const limit = Math.min(parseInt(req.query.limit) || ALERT_LIMITS.default, ALERT_LIMITS.max);
+
+    const alerts = await MonitorAlert.find(filter).sort({ created_at: -1 }).limit(limit).lean();
+    res.json({ success: true, count: alerts.length, alerts });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/monitors/alerts/:alertId
+ * Acknowledge (or re-open) an alert
+ *
+ * Body: { acknowledged: boolean }
+ */
+router.put('/alerts/:alertId', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.alertId)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert ID' });
+    }
+    const acknowledged = req.body.acknowledged !== false;
+
+    const alert = await MonitorAlert.findByIdAndUpdate(
+      req.params.alertId,
+      { $set: { acknowledged, acknowledged_at: acknowledged ? new Date() : null } },
+      { new: true }
+    ).lean();
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/monitors/:id
+ * Get a monitor with its recent runs and alerts
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid monitor ID' });
+    }
+
+    const monitor = await Monitor.findById(req.params.id).lean();
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+
+    const [[withCounts], runs, alerts] = await Promise.all([
+      withStatus([monitor]),
+      Report.find({ monitor_id: monitor._id })
+        .sort({ created_at: -1 })
+        .limit(20)
+        .select('status created_at aggregator.website_health_score aggregator.health_grade errors')
+        .lean(),
+      MonitorAlert.find({ monitor_id: monitor._id }).sort({ created_at: -1 }).limit(ALERT_LIMITS.default).lean()
+    ]);
+
+    res.json({
+      success: true,
+      monitor: withCounts,
+      runs: runs.map(r => ({
+        report_id: r._id.toString(),
+        status: r.status,
+        created_at: r.created_at,
+        website_health_score: r.aggregator?.website_health_score ?? null,
+        health_grade: r.aggregator?.health_grade || null,
+        error: r.status === 'failed' ? ((r.errors || [])[0] || null) : null
+      })),
+      alerts
+    });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/monitors
+ * Register a URL for scheduled scans; the first run happens on the next scheduler tick
+ *
+ * Body:
+ *   - url (string, required)
+ *   - name (string, optional)
+ *   - frequency ('hourly' | 'daily' | 'weekly', default 'daily')
+ *   - emulateMobile (boolean, optional)
+ *   - scoringProfile, budget (string, optional): Stored profile / budget names
+ *   - ruleSets (string[], optional): Custom rule sets (default: all enabled)
+ *   - thresholds (object, optional): { health_score_drop: 5, visual_change_pct: null }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = await validateMonitor(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { url, name, frequency = 'daily', emulateMobile = false, scoringProfile, ruleSets, budget, thresholds, enabled = true } = req.body;
+    const monitor = await Monitor.create({
+      url,
+      name: name || new URL(url).hostname,
+      frequency,
+      enabled,
+      options: { emulate_mobile: !!emulateMobile, scoring_profile: scoringProfile, rule_sets: ruleSets, budget },
+      thresholds,
+      next_run_at: new Date()
+    });
+    console.log(`[Monitors API] Created ${frequency} monitor for ${url}`);
+
+    res.status(201).json({ success: true, monitor: monitor.toObject() });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/monitors/:id
+ * Update a monitor; a new frequency reschedules it from the last run
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid monitor ID' });
+    }
+
+    const monitor = await Monitor.findById(req.params.id);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+
+    const validationError = await validateMonitor(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { url, name, frequency, enabled, emulateMobile, scoringProfile, ruleSets, budget, thresholds } = req.body;
+    if (url !== undefined) monitor.url = url;
+    if (name !== undefined) monitor.name = name;
+    if (enabled !== undefined) monitor.enabled = !!enabled;
+    if (emulateMobile !== undefined) monitor.options.emulate_mobile = !!emulateMobile;
+    if (scoringProfile !== undefined) monitor.options.scoring_profile = scoringProfile || undefined;
+    if (ruleSets !== undefined) monitor.options.rule_sets = ruleSets;
+    if (budget !== undefined) monitor.options.budget = budget || undefined;
+    if (thresholds?.health_score_drop !== undefined) monitor.thresholds.health_score_drop = thresholds.health_score_drop;
+    if (thresholds?.visual_change_pct !== undefined) monitor.thresholds.visual_change_pct = thresholds.visual_change_pct;
+    if (frequency !== undefined && frequency !== monitor.frequency) {
+      monitor.frequency = frequency;
+      monitor.next_run_at = monitor.last_run_at ? nextRunAt(frequency, monitor.last_run_at) : new Date();
+    }
+    await monitor.save();
+
+    res.json({ success: true, monitor: monitor.toObject() });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/monitors/:id
+ * Delete a monitor and its alerts (reports from its runs are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid monitor ID' });
+    }
+
+    const result = await Monitor.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    await MonitorAlert.deleteMany({ monitor_id: req.params.id });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/monitors/:id/run
+ * Run a monitor now; returns immediately and the run happens in the background
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid monitor ID' });
+    }
+
+    const monitor = await claimMonitor(req.params.id);
+    if (!monitor) {
+      const exists = await Monitor.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, error: 'Monitor is already running' })
+        : res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+
+    res.status(202).json({ success: true, message: 'Monitor run started' });
+
+    (async () => {
+      await runMonitor(monitor);
+    })();
+
+  } catch (error) {
+    console.error('[Monitors API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
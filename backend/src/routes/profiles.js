@@ -0,0 +1,163 @@
+/**
+ * Scoring Profile Routes
+ * List built-in profiles and manage custom aggregator weightings
+ */
+
+const express = require('express');
+const router = express.Router();
+const ScoringProfile = require('../models/ScoringProfile');
+const {
+  BUILTIN_PROFILES,
+  validateProfileDefinition,
+  buildProfile,
+  getBuiltinProfile,
+  listBuiltinProfiles
+} = require('../aggregator/scoringProfiles');
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+/**
+ * GET /api/profiles
+ * List built-in and custom scoring profiles
+ */
+router.get('/', async (req, res) => {
+  try {
+    const stored = await ScoringProfile.find().sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      profiles: [...listBuiltinProfiles(), ...stored.map(p => buildProfile(p))]
+    });
+
+  } catch (error) {
+    console.error('[Profiles API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/profiles/:name
+ * Get a single scoring profile
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const builtin = getBuiltinProfile(req.params.name);
+    if (builtin) return res.json({ success: true, profile: builtin });
+
+    const stored = await ScoringProfile.findOne({ name: req.params.name }).lean();
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Scoring profile not found' });
+    }
+
+    res.json({ success: true, profile: buildProfile(stored) });
+
+  } catch (error) {
+    console.error('[Profiles API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/profiles
+ * Create a custom scoring profile
+ *
+ * Body:
+ *   - name (string, required): Lowercase slug, e.g. "marketing-site"
+ *   - label (string, optional)
+ *   - description (string, optional)
+ *   - weights (object, required): { performance, ux, seo, content, security }
+ *   - boosts (object, optional): { performance_ux, seo_content, low_confidence }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, label, description, weights, boosts } = req.body;
+
+    if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ success: false, error: 'name must be a lowercase slug (2-40 chars)' });
+    }
+    if (BUILTIN_PROFILES[name] || name === 'custom') {
+      return res.status(400).json({ success: false, error: `"${name}" is a reserved profile name` });
+    }
+
+    const errors = validateProfileDefinition({ weights, boosts });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    if (await ScoringProfile.exists({ name })) {
+      return res.status(409).json({ success: false, error: `Scoring profile "${name}" already exists` });
+    }
+
+    const stored = await ScoringProfile.create({ name, label, description, weights, boosts });
+    console.log(`[Profiles API] Created scoring profile: ${name}`);
+
+    res.status(201).json({ success: true, profile: buildProfile(stored.toObject()) });
+
+  } catch (error) {
+    console.error('[Profiles API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/profiles/:name
+ * Update a custom scoring profile (built-in profiles are read-only)
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    if (BUILTIN_PROFILES[req.params.name]) {
+      return res.status(403).json({ success: false, error: 'Built-in profiles cannot be modified' });
+    }
+
+    const stored = await ScoringProfile.findOne({ name: req.params.name });
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Scoring profile not found' });
+    }
+
+    const { label, description, weights, boosts } = req.body;
+    const errors = validateProfileDefinition({
+      weights: weights || stored.toObject().weights,
+      boosts
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    if (label !== undefined) stored.label = label;
+    if (description !== undefined) stored.description = description;
+    if (weights) stored.weights = weights;
+    if (boosts) stored.boosts = boosts;
+    await stored.save();
+
+    res.json({ success: true, profile: buildProfile(stored.toObject()) });
+
+  } catch (error) {
+    console.error('[Profiles API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:name
+ * Delete a custom scoring profile
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    if (BUILTIN_PROFILES[req.params.name]) {
+      return res.status(403).json({ success: false, error: 'Built-in profiles cannot be deleted' });
+    }
+
+    const result = await ScoringProfile.deleteOne({ name: req.params.name });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Scoring profile not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Profiles API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
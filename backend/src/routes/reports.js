@@ -1,6 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Report = require('../models/Report');
+const { diffReports } = require('../services/history/reportDiff');
+const { renderReportPdf } = require('../services/export/pdfReport');
+const { toSarif, toCsv, toJunit } = require('../services/export/findingsExport');
+const { SCREENSHOT_KINDS, resolveScreenshotPath, findScreenshot, readScreenshot } = require('../services/screenshots/screenshotStore');
+const { VISUAL_FIELDS, getVisualDiff } = require('../services/screenshots/visualDiff');
+
+// Issue/fix exports: GET /api/reports/:id/export.<format>
+const FINDINGS_FORMATS = {
+  sarif: { extension: 'sarif', contentType: 'application/sarif+json', render: (report) => JSON.stringify(toSarif(report), null, 2) },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: toCsv },
+  junit: { extension: 'xml', contentType: 'application/xml; charset=utf-8', render: toJunit }
+};
+
+/**
+ * Download filename: webaudit-<host>-<date>.<extension>
+ */
+function exportFilename(report, extension) {
+  let host = 'report';
+  try { host = new URL(report.url).hostname; } catch (err) { /* keep default */ }
+  return `webaudit-${host}-${new Date(report.created_at).toISOString().slice(0, 10)}.${extension}`;
+}
 
 /**
  * GET /api/reports/:id
@@ -10,7 +32,8 @@ router.get('/reports/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const report = await Report.findById(id);
+    const report = await Report.findById(id)
+      .select('-raw_artifacts.screenshot_full_base64 -raw_artifacts.screenshot_viewport_base64');
 
     if (!report) {
       return res.status(404).json({
@@ -30,6 +53,244 @@ router.get('/reports/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/:id/export.pdf
+ * Download the full report as a PDF (rendered with Playwright's Chromium)
+ */
+router.get('/reports/:id/export.pdf', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const report = await Report.findById(id)
+      .select('-raw_artifacts.html -raw_artifacts.screenshot_full_base64 -raw_artifacts.axe_results -raw_artifacts.resources')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (report.status !== 'completed' && !report.aggregator?.module_scores) {
+      return res.status(400).json({ success: false, error: 'Report has not finished' });
+    }
+
+    const screenshot = await readScreenshot(report, 'viewport');
+    const pdf = await renderReportPdf(report, { screenshot: screenshot ? screenshot.toString('base64') : null });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${exportFilename(report, 'pdf')}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('[API] PDF export error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to export report'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/export.:format
+ * Download every module's issues and fixes as SARIF, CSV or JUnit XML
+ */
+router.get('/reports/:id/export.:format', async (req, res) => {
+  try {
+    const { id, format } = req.params;
+    const exporter = FINDINGS_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown export format "${format}" (expected pdf, ${Object.keys(FINDINGS_FORMATS).join(', ')})`
+      });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const report = await Report.findById(id)
+      .select('url final_url status created_at finished_at aggregator modules')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${exportFilename(report, exporter.extension)}"`
+    });
+    res.send(exporter.render(report));
+
+  } catch (error) {
+    console.error('[API] Findings export error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to export findings'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/screenshots/:kind
+ * Serve a stored screenshot (kind: viewport | full); ?size=thumb returns the JPEG thumbnail
+ */
+router.get('/reports/:id/screenshots/:kind', async (req, res) => {
+  try {
+    const { id, kind } = req.params;
+    if (!SCREENSHOT_KINDS[kind]) {
+      return res.status(400).json({ success: false, error: `Unknown screenshot kind "${kind}" (expected ${Object.keys(SCREENSHOT_KINDS).join(', ')})` });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const report = await Report.findById(id)
+      .select('raw_artifacts.screenshot_full_path raw_artifacts.screenshot_viewport_path ' +
+        'raw_artifacts.screenshot_full_thumb_path raw_artifacts.screenshot_viewport_thumb_path')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    const file = findScreenshot(report, kind, req.query.size === 'thumb');
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Screenshot not available' });
+    }
+
+    // A report's screenshots never change
+    res.sendFile(file, { maxAge: '7d', immutable: true });
+
+  } catch (error) {
+    console.error('[API] Screenshot error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to load screenshot'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:a/diff/:b
+ * Compare two reports: what changed going from report :a to report :b
+ */
+router.get('/reports/:a/diff/:b', async (req, res) => {
+  try {
+    const { a, b } = req.params;
+    if (!mongoose.isValidObjectId(a) || !mongoose.isValidObjectId(b)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const fields = '-raw_artifacts.html -raw_artifacts.screenshot_full_base64 -raw_artifacts.screenshot_viewport_base64 ' +
+      '-raw_artifacts.axe_results -raw_artifacts.content_raw.visible_text';
+    const [base, target] = await Promise.all([
+      Report.findById(a).select(fields).lean(),
+      Report.findById(b).select(fields).lean()
+    ]);
+    if (!base || !target) {
+      return res.status(404).json({ success: false, error: `Report ${!base ? a : b} not found` });
+    }
+    if (!base.aggregator?.module_scores || !target.aggregator?.module_scores) {
+      return res.status(400).json({ success: false, error: 'Both reports must be finished analyses' });
+    }
+
+    res.json({ success: true, ...diffReports(base, target) });
+
+  } catch (error) {
+    console.error('[API] Report diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to diff reports'
+    });
+  }
+});
+
+/**
+ * Load both reports and their (cached) visual diff
+ * @returns {Promise<Object>} { status, error } on failure, otherwise { diff, base, target }
+ */
+async function loadVisualDiff(req) {
+  const { a, b } = req.params;
+  const kind = req.query.kind || 'viewport';
+  if (!SCREENSHOT_KINDS[kind]) {
+    return { status: 400, error: `Unknown screenshot kind "${kind}" (expected ${Object.keys(SCREENSHOT_KINDS).join(', ')})` };
+  }
+  if (!mongoose.isValidObjectId(a) || !mongoose.isValidObjectId(b)) {
+    return { status: 400, error: 'Invalid report ID' };
+  }
+
+  const [base, target] = await Promise.all([
+    Report.findById(a).select(VISUAL_FIELDS).lean(),
+    Report.findById(b).select(VISUAL_FIELDS).lean()
+  ]);
+  if (!base || !target) {
+    return { status: 404, error: `Report ${!base ? a : b} not found` };
+  }
+
+  const { diff, error } = await getVisualDiff(base, target, kind);
+  if (error) return { status: 400, error };
+  return { diff, base, target };
+}
+
+/**
+ * GET /api/reports/:a/visual-diff/:b
+ * Pixel comparison of two reports' screenshots (same URL and viewport)
+ *
+ * Query: kind (viewport|full, default viewport)
+ */
+router.get('/reports/:a/visual-diff/:b', async (req, res) => {
+  try {
+    const { diff, base, target, status, error } = await loadVisualDiff(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const { diff_path, ...result } = diff;
+    res.json({
+      success: true,
+      ...result,
+      base: { report_id: base._id, created_at: base.created_at },
+      target: { report_id: target._id, created_at: target.created_at },
+      diff_image: diff_path ? `/api/reports/${base._id}/visual-diff/${target._id}/image?kind=${diff.kind}` : null
+    });
+
+  } catch (error) {
+    console.error('[API] Visual diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to compare screenshots'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:a/visual-diff/:b/image
+ * Diff image: changed pixels in red over a faded copy of the newer screenshot
+ */
+router.get('/reports/:a/visual-diff/:b/image', async (req, res) => {
+  try {
+    const { diff, status, error } = await loadVisualDiff(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const file = resolveScreenshotPath(diff.diff_path);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Diff image not available' });
+    }
+    res.sendFile(file, { maxAge: '7d', immutable: true });
+
+  } catch (error) {
+    console.error('[API] Visual diff image error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to load diff image'
+    });
+  }
+});
+
 /**
  * GET /api/reports
  * Get all reports (with pagination)
@@ -0,0 +1,193 @@
+/**
+ * Custom Rule Set Routes
+ * Manage declarative rule sets (JSON or YAML) evaluated against every analysis
+ */
+
+const express = require('express');
+const yaml = require('js-yaml');
+const router = express.Router();
+const RuleSet = require('../models/RuleSet');
+const { validateRuleSet } = require('../services/rules/rulesEngine');
+
+const RULE_SET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+const YAML_TYPES = ['text/yaml', 'text/x-yaml', 'application/yaml', 'application/x-yaml'];
+
+// YAML bodies arrive as text and are parsed per request
+router.use(express.text({ type: YAML_TYPES, limit: '256kb' }));
+
+/**
+ * Read a rule set definition from a JSON or YAML request body
+ * @returns {Object} { definition, error }
+ */
+function parseDefinition(req) {
+  if (typeof req.body !== 'string') {
+    return { definition: req.body || {}, error: null };
+  }
+
+  try {
+    const definition = yaml.load(req.body, { schema: yaml.JSON_SCHEMA });
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { definition: null, error: 'YAML body must be a mapping with a "rules" list' };
+    }
+    return { definition, error: null };
+  } catch (error) {
+    return { definition: null, error: `Invalid YAML: ${error.message}` };
+  }
+}
+
+/**
+ * GET /api/rules
+ * List rule sets
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ruleSets = await RuleSet.find().sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      rule_sets: ruleSets.map(r => ({
+        name: r.name,
+        description: r.description || '',
+        enabled: r.enabled,
+        rule_count: r.rules.length,
+        updatedAt: r.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('[Rules API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/rules/validate
+ * Validate a rule set definition without saving it
+ */
+router.post('/validate', (req, res) => {
+  const { definition, error } = parseDefinition(req);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const errors = validateRuleSet(definition);
+  res.json({ success: true, valid: errors.length === 0, errors });
+});
+
+/**
+ * GET /api/rules/:name
+ * Get a rule set with its rules
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const ruleSet = await RuleSet.findOne({ name: req.params.name }).lean();
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: 'Rule set not found' });
+    }
+
+    res.json({ success: true, rule_set: ruleSet });
+
+  } catch (error) {
+    console.error('[Rules API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/rules
+ * Create a rule set (Content-Type: application/json or text/yaml)
+ *
+ * Body:
+ *   - name (string, required): Lowercase slug, e.g. "house-rules"
+ *   - description (string, optional)
+ *   - enabled (boolean, optional): Apply to every analysis (default true)
+ *   - rules (array, required): Rule definitions
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { definition, error } = parseDefinition(req);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { name, description, enabled, rules } = definition;
+    if (!name || !RULE_SET_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ success: false, error: 'name must be a lowercase slug (2-40 chars)' });
+    }
+
+    const errors = validateRuleSet({ rules });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid rule set', errors });
+    }
+
+    if (await RuleSet.exists({ name })) {
+      return res.status(409).json({ success: false, error: `Rule set "${name}" already exists` });
+    }
+
+    const ruleSet = await RuleSet.create({ name, description, enabled: enabled !== false, rules });
+    console.log(`[Rules API] Created rule set: ${name} (${rules.length} rules)`);
+
+    res.status(201).json({ success: true, rule_set: ruleSet.toObject() });
+
+  } catch (error) {
+    console.error('[Rules API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/rules/:name
+ * Update a rule set; a new "rules" list replaces the existing rules
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const { definition, error } = parseDefinition(req);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const ruleSet = await RuleSet.findOne({ name: req.params.name });
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: 'Rule set not found' });
+    }
+
+    const { description, enabled, rules } = definition;
+    if (rules !== undefined) {
+      const errors = validateRuleSet({ rules });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid rule set', errors });
+      }
+      ruleSet.rules = rules;
+    }
+    if (description !== undefined) ruleSet.description = description;
+    if (enabled !== undefined) ruleSet.enabled = enabled !== false;
+    await ruleSet.save();
+
+    res.json({ success: true, rule_set: ruleSet.toObject() });
+
+  } catch (error) {
+    console.error('[Rules API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rules/:name
+ * Delete a rule set
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const result = await RuleSet.deleteOne({ name: req.params.name });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Rule set not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Rules API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
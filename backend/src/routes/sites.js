@@ -0,0 +1,38 @@
+/**
+ * Site Routes
+ * Per-site views across reports (history and score trends)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSiteHistory } = require('../services/history/siteHistory');
+const { resolveDevicePreset } = require('../services/scraper/devicePresets');
+
+/**
+ * GET /api/sites/:host/history
+ * Time series of health/module scores and key metrics for a normalized URL
+ *
+ * Query:
+ *   - path (string, optional): Page path (default "/")
+ *   - device (string, optional): Device preset the runs used (default "desktop");
+ *     reports from before presets count as "desktop" or "mobile"
+ *   - limit (number, optional): Most recent runs to return (default 50, max 200)
+ */
+router.get('/:host/history', async (req, res) => {
+  try {
+    const { path, device, limit } = req.query;
+    if (device) {
+      const { error } = resolveDevicePreset(device);
+      if (error) return res.status(400).json({ success: false, error });
+    }
+
+    const history = await getSiteHistory(req.params.host, { path, device, limit });
+    res.json({ success: true, ...history });
+
+  } catch (error) {
+    console.error('[Sites API] History error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+/**
+ * Webhook Routes
+ * Manage webhook subscriptions and inspect their delivery log
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  generateSecret,
+  queueDelivery
+} = require('../services/webhooks/webhookDispatcher');
+
+const MIN_SECRET_LENGTH = 16;
+
+const DELIVERY_LIMITS = {
+  default: 50,
+  max: 200
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Validate subscription fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {string|null} Error message
+ */
+function validateSubscription(body, partial = false) {
+  const { url, events, secret } = body;
+
+  if (!partial || url !== undefined) {
+    if (!url) return 'url is required';
+    try {
+      if (!/^https?:$/.test(new URL(url).protocol)) return 'url must use http or https';
+    } catch (err) {
+      return 'Invalid URL format';
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown event(s) ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')} or "*")`;
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+    return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/webhooks
+ * List subscriptions (secrets are never listed) and the available events
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ created_at: -1 }).lean();
+    res.json({ success: true, events: WEBHOOK_EVENTS, subscriptions });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a subscription
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    res.json({ success: true, subscription });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a subscription. The signing secret is returned only in this response.
+ *
+ * Body:
+ *   - url (string, required): Endpoint receiving POSTs
+ *   - events (string[], required): e.g. ["analysis.completed", "regression.detected"], or ["*"]
+ *   - secret (string, optional): Signing secret (generated when omitted)
+ *   - description (string, optional)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateSubscription(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { url, events, description, secret = generateSecret(), enabled = true } = req.body;
+    const subscription = await WebhookSubscription.create({ url, events, description, secret, enabled });
+    console.log(`[Webhooks API] Created subscription for ${url} (${events.join(', ')})`);
+
+    res.status(201).json({ success: true, subscription: { ...subscription.toObject(), secret } });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a subscription; { rotateSecret: true } issues a new secret (returned once)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const validationError = validateSubscription(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { url, events, description, enabled, rotateSecret } = req.body;
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = events;
+    if (description !== undefined) subscription.description = description;
+    if (enabled !== undefined) subscription.enabled = !!enabled;
+
+    let secret;
+    if (rotateSecret) {
+      secret = generateSecret();
+      subscription.secret = secret;
+    }
+    await subscription.save();
+
+    const result = subscription.toObject();
+    delete result.secret;
+    res.json({ success: true, subscription: secret ? { ...result, secret } : result });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const result = await WebhookSubscription.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    await WebhookDelivery.deleteMany({ subscription_id: req.params.id });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription, newest first
+ *
+ * Query: status (delivering|retrying|success|failed, optional), event (optional), limit (default 50, max 200)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const filter = { subscription_id: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+    const limit = Math.min(parseInt(req.query.limit) || DELIVERY_LIMITS.default, DELIVERY_LIMITS.max);
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ created_at: -1 }).limit(limit).lean();
+    res.json({ success: true, count: deliveries.length, deliveries });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a "ping" event and wait for the first attempt
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id).select('+secret');
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const { delivery, result } = await queueDelivery(subscription, PING_EVENT, {
+      subscription_id: subscription._id.toString(),
+      message: 'Webhook test delivery'
+    });
+    const status = await result;
+
+    res.json({
+      success: true,
+      delivery_id: delivery.delivery_id,
+      status,
+      delivery: await WebhookDelivery.findById(delivery._id).lean()
+    });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a logged delivery again as a new delivery with the same event data
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const [subscription, original] = await Promise.all([
+      WebhookSubscription.findById(req.params.id).select('+secret'),
+      WebhookDelivery.findOne({ subscription_id: req.params.id, delivery_id: req.params.deliveryId }).lean()
+    ]);
+    if (!subscription || !original) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const { delivery } = await queueDelivery(subscription, original.event, original.payload?.data);
+    res.status(202).json({ success: true, delivery_id: delivery.delivery_id });
+
+  } catch (error) {
+    console.error('[Webhooks API] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
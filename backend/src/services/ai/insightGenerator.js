@@ -27,7 +27,8 @@ class InsightGenerator {
         seoDesc: modules?.seo?.meta_description_length,
         h1Count: modules?.seo?.h1_count,
         uxIssues: modules?.ux?.axes_violations?.length,
-        contentScore: modules?.content?.readability_score
+        contentScore: modules?.content?.readability_score,
+        securityRisks: modules?.security?.primary_security_risks
       };
 
       const failingMetrics = [];
@@ -41,12 +42,14 @@ class InsightGenerator {
         As a Chief Digital Officer & Technical Architect, analyze this web audit report.
         
         WEBSITE HEALTH SCORE: ${reportData.website_health_score} / 100
+        SCORING PROFILE: ${reportData.scoring_profile?.label ?? 'Balanced'} (module weights: ${JSON.stringify(reportData.scoring_profile?.weights || {})})
         
         MODULE BREAKDOWN:
         - Performance: ${reportData.module_scores?.performance} (LCP: ${metrics.lcp}s, CLS: ${metrics.cls}, TBT: ${metrics.tbt}ms)
         - SEO: ${reportData.module_scores?.seo} (Title Len: ${metrics.seoTitle}, Desc Len: ${metrics.seoDesc}, H1: ${metrics.h1Count})
         - UX/Accessibility: ${reportData.module_scores?.ux} (${metrics.uxIssues} violations detected)
         - Content Quality: ${reportData.module_scores?.content} (Readability: ${metrics.contentScore})
+        - Security: ${reportData.module_scores?.security ?? 'N/A'} (Risks: ${(metrics.securityRisks || []).join(', ') || 'None'})
 
         CRITICAL ISSUES IDENTIFIED:
         ${failingMetrics.join('\n- ')}
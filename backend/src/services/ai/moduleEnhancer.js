@@ -1,7 +1,7 @@
 /**
  * AI Module Enhancer
  * Takes rule-based module results and enhances issues/fixes with real AI analysis via Groq.
- * Runs 4 parallel API calls — one per module — for speed (~2-3s total on Groq).
+ * Runs 5 parallel API calls — one per module — for speed (~2-3s total on Groq).
  */
 
 const llmService = require('./llmService');
@@ -20,10 +20,12 @@ METRICS:
 - FCP: ${m.metrics?.fcp_s ?? 'N/A'} s
 - TTFB: ${m.metrics?.ttfb_s ?? 'N/A'} s
 - TBT: ${m.metrics?.tbt_ms ?? 'N/A'} ms
-- JS size: ${m.metrics?.total_js_kb ?? 'N/A'} KB
-- CSS size: ${m.metrics?.total_css_kb ?? 'N/A'} KB
+- INP: ${m.metrics?.inp_ms ?? 'N/A'} ms${m.interactions?.worst ? ` (slowest: ${m.interactions.worst.type} on ${m.interactions.worst.target?.selector || m.interactions.worst.label})` : ''}
+- JS size: ${m.metrics?.total_js_kb ?? 'N/A'} KB${m.coverage ? ` (${m.coverage.js.unused_kb} KB unused)` : ''}
+- CSS size: ${m.metrics?.total_css_kb ?? 'N/A'} KB${m.coverage ? ` (${m.coverage.css.unused_kb} KB unused)` : ''}
 - Images: ${m.metrics?.total_images_kb ?? 'N/A'} KB
 - Requests: ${m.metrics?.total_requests ?? 'N/A'}
+- Third-party: ${m.third_parties ? `${m.third_parties.third_party.kb} KB from ${m.third_parties.third_party.vendors} vendors, ${m.third_parties.third_party.main_thread_ms} ms main-thread (heaviest: ${m.third_parties.vendors.slice(0, 3).map(v => v.vendor).join(', ') || 'none'})` : 'N/A'}
 - Render-blocking: ${m.metrics?.render_blocking_count ?? 'N/A'}
 - Score: ${m.score}/100
 
@@ -49,6 +51,10 @@ METRICS:
 - Images missing alt: ${m.images_missing_alt_count ?? 'N/A'}
 - Internal links: ${m.internal_links_count ?? 'N/A'}
 - External links: ${m.external_links_count ?? 'N/A'}
+- Broken links: ${m.broken_links_count ?? 'N/A'}
+- Multi-hop redirect chains: ${m.redirect_chains_count ?? 'N/A'}
+- HTTP status: ${m.http_status ?? 'N/A'}${m.soft_404_suspected ? ' (suspected soft 404)' : ''}
+- Compression: ${m.content_encoding || 'none'}
 - Indexability: ${m.indexability_status ?? 'N/A'}
 - Crawl health: ${m.crawl_health_indicator ?? 'N/A'}
 - SEO risks: ${JSON.stringify(m.primary_seo_risks ?? [])}
@@ -119,6 +125,36 @@ Return JSON:
 Return 3-6 issues and 3-5 fixes. Reference actual metric values.`;
 }
 
+function securityPrompt(m) {
+    const grades = Object.entries(m.header_grades || {})
+        .map(([name, g]) => `${name}=${g.status}${g.notes?.length ? ` (${g.notes.join('; ')})` : ''}`)
+        .join(', ');
+    return `Analyze these REAL security findings captured from a live website and return specific issues and fixes.
+
+METRICS:
+- HTTPS: ${m.is_https ?? 'N/A'}
+- Security headers: ${grades || 'N/A'}
+- TLS protocol: ${m.tls?.protocol ?? 'N/A'}
+- Certificate issuer: ${m.tls?.issuer ?? 'N/A'}
+- Certificate expires in: ${m.tls?.days_until_expiry ?? 'N/A'} days
+- Active mixed content: ${m.mixed_content?.active_count ?? 'N/A'}
+- Passive mixed content: ${m.mixed_content?.passive_count ?? 'N/A'}
+- Risk level: ${m.security_risk_level ?? 'N/A'}
+- Security risks: ${JSON.stringify(m.primary_security_risks ?? [])}
+- Score: ${m.score}/100
+
+Return JSON:
+{
+  "issues": [
+    {"severity":"critical|high|medium|low","category":"Security","description":"Specific security issue referencing actual headers or values"}
+  ],
+  "fixes": [
+    {"title":"Specific fix title","description":"Exact header values or server configuration to apply","priority":1,"impact_pct":15}
+  ]
+}
+Return 3-6 issues and 3-5 fixes. Reference actual header values.`;
+}
+
 // ─── Parse helper ───
 
 function safeParse(text, moduleName) {
@@ -140,24 +176,24 @@ function safeParse(text, moduleName) {
 // ─── Main enhancer ───
 
 /**
- * Enhance all 4 modules with AI-generated issues/fixes in parallel.
+ * Enhance all modules with AI-generated issues/fixes in parallel.
  * Merges AI results into existing rule-based results (AI items tagged with ai:true).
- * @param {Object} modules - { performance, ux, seo, content }
+ * @param {Object} modules - { performance, ux, seo, content, security }
  * @returns {Promise<Object>} Same structure with enhanced issues/fixes
  */
 async function enhanceModulesWithAI(modules) {
-    const { performance, ux, seo, content } = modules;
+    const { performance, ux, seo, content, security } = modules;
 
     if (!process.env.GROQ_API_KEY && !process.env.HF_API_KEY) {
         console.log('[ModuleEnhancer] No AI key found, skipping enhancement');
         return modules;
     }
 
-    console.log('[ModuleEnhancer] Running AI enhancement for all 4 modules in parallel...');
+    console.log('[ModuleEnhancer] Running AI enhancement for all modules in parallel...');
     const start = Date.now();
 
-    // 4 parallel Groq calls
-    const [perfAI, seoAI, uxAI, contentAI] = await Promise.all([
+    // One parallel Groq call per module (security is absent on partial runs)
+    const [perfAI, seoAI, uxAI, contentAI, securityAI] = await Promise.all([
         llmService.generateCompletion(perfPrompt(performance), SYSTEM_PROMPT)
             .then(t => safeParse(t, 'performance'))
             .catch(e => { console.error('[ModuleEnhancer] Perf AI failed:', e.message); return { issues: [], fixes: [] }; }),
@@ -173,6 +209,12 @@ async function enhanceModulesWithAI(modules) {
         llmService.generateCompletion(contentPrompt(content), SYSTEM_PROMPT)
             .then(t => safeParse(t, 'content'))
             .catch(e => { console.error('[ModuleEnhancer] Content AI failed:', e.message); return { issues: [], fixes: [] }; }),
+
+        security
+            ? llmService.generateCompletion(securityPrompt(security), SYSTEM_PROMPT)
+                .then(t => safeParse(t, 'security'))
+                .catch(e => { console.error('[ModuleEnhancer] Security AI failed:', e.message); return { issues: [], fixes: [] }; })
+            : { issues: [], fixes: [] },
     ]);
 
     const elapsed = Date.now() - start;
@@ -201,6 +243,11 @@ async function enhanceModulesWithAI(modules) {
             ...content,
             issues: [...(content.issues || []), ...tag(contentAI.issues)],
             fixes: [...(content.fixes || []), ...tag(contentAI.fixes)]
+        },
+        security: security && {
+            ...security,
+            issues: [...(security.issues || []), ...tag(securityAI.issues)],
+            fixes: [...(security.fixes || []), ...tag(securityAI.fixes)]
         }
     };
 }
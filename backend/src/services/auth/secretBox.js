@@ -0,0 +1,68 @@
+/**
+ * Secret Box
+ * AES-256-GCM encryption for secrets kept in MongoDB (e.g. scan credentials).
+ * The key comes from SCAN_SECRETS_KEY: 32 bytes as 64 hex characters or base64.
+ * Sealed values look like `v1:<iv>:<tag>:<ciphertext>` (base64 parts).
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Read the key from the environment
+ * @returns {Buffer|null} 32-byte key, or null when not configured or malformed
+ */
+function getKey() {
+  const raw = process.env.SCAN_SECRETS_KEY;
+  if (!raw) return null;
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  return key.length === 32 ? key : null;
+}
+
+/**
+ * Whether secrets can be sealed and opened
+ */
+function isSecretBoxConfigured() {
+  return getKey() !== null;
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to seal
+ * @returns {string} Sealed string
+ */
+function sealSecret(value) {
+  const key = getKey();
+  if (!key) throw new Error('SCAN_SECRETS_KEY is not configured (32 bytes, hex or base64)');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a sealed string
+ * @param {string} sealed - Output of sealSecret
+ * @returns {*} Original value
+ */
+function openSecret(sealed) {
+  const key = getKey();
+  if (!key) throw new Error('SCAN_SECRETS_KEY is not configured (32 bytes, hex or base64)');
+
+  const [version, iv, tag, data] = String(sealed).split(':');
+  if (version !== VERSION || !iv || !tag || !data) throw new Error('Unrecognized sealed secret');
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+module.exports = {
+  isSecretBoxConfigured,
+  sealSecret,
+  openSecret
+};
@@ -0,0 +1,178 @@
+/**
+ * Performance Budgets
+ * Evaluates an analysis against per-project limits on resource sizes,
+ * request counts, Core Web Vitals and third-party weight.
+ * The default budget mirrors the "good" scoring thresholds of the performance module;
+ * named budgets are stored in MongoDB.
+ */
+
+const PerformanceBudget = require('../../models/PerformanceBudget');
+const { THRESHOLDS } = require('../modules/performanceModule');
+const { thirdPartyResources } = require('../thirdParty/thirdPartyAnalyzer');
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const sumKb = (resources) => round(resources.reduce((sum, r) => sum + (r.size || 0), 0) / 1024);
+
+/**
+ * Budgetable metrics: how to read each one from the scrape artifact
+ */
+const BUDGET_METRICS = {
+  js_kb: { label: 'JavaScript size', unit: 'KB', read: a => a.resources?.total_js_kb },
+  css_kb: { label: 'CSS size', unit: 'KB', read: a => a.resources?.total_css_kb },
+  image_kb: { label: 'Image size', unit: 'KB', read: a => a.resources?.total_images_kb },
+  font_kb: { label: 'Font size', unit: 'KB', read: a => a.resources?.total_fonts_kb },
+  total_kb: { label: 'Total page weight', unit: 'KB', read: a => sumKb(a.resources?.all || []) },
+  requests: { label: 'Requests', unit: 'requests', read: a => a.resources?.total_count },
+  script_requests: {
+    label: 'Script requests',
+    unit: 'requests',
+    read: a => (a.resources?.all || []).filter(r => /javascript/i.test(r.contentType || '')).length
+  },
+  third_party_requests: { label: 'Third-party requests', unit: 'requests', read: a => thirdPartyResources(a).length },
+  third_party_kb: { label: 'Third-party size', unit: 'KB', read: a => sumKb(thirdPartyResources(a)) },
+  lcp_ms: { label: 'Largest Contentful Paint', unit: 'ms', read: a => a.performance?.lcp_ms },
+  cls: { label: 'Cumulative Layout Shift', unit: '', read: a => a.performance?.cls },
+  tbt_ms: { label: 'Total Blocking Time', unit: 'ms', read: a => a.performance?.tbt_ms }
+};
+
+const DEFAULT_BUDGET = {
+  name: 'default',
+  label: 'Default',
+  limits: {
+    js_kb: THRESHOLDS.JS_SIZE_GOOD,
+    css_kb: THRESHOLDS.CSS_SIZE_GOOD,
+    image_kb: THRESHOLDS.IMAGE_SIZE_GOOD,
+    requests: THRESHOLDS.REQUEST_COUNT_GOOD,
+    third_party_kb: 500,
+    lcp_ms: THRESHOLDS.LCP_GOOD * 1000,
+    cls: THRESHOLDS.CLS_GOOD,
+    tbt_ms: THRESHOLDS.TBT_GOOD
+  }
+};
+
+/**
+ * Validate budget limits
+ * @param {Object} limits - { js_kb: 300, lcp_ms: 2500, ... }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateBudgetLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return ['limits must be an object'];
+  }
+
+  const errors = [];
+  for (const [metric, value] of Object.entries(limits)) {
+    if (!Object.hasOwn(BUDGET_METRICS, metric)) {
+      errors.push(`Unknown budget metric "${metric}" (expected one of ${Object.keys(BUDGET_METRICS).join(', ')})`);
+    } else if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push(`Budget for "${metric}" must be a non-negative number`);
+    }
+  }
+  if (errors.length === 0 && !Object.values(limits).some(v => v != null)) {
+    errors.push('At least one budget limit is required');
+  }
+  return errors;
+}
+
+/**
+ * Drop unset limits so stored documents and inline definitions look the same
+ */
+function buildBudget({ name, label, description = '', limits }) {
+  return {
+    name,
+    label: label || name,
+    description,
+    limits: Object.fromEntries(Object.entries(limits || {}).filter(([, value]) => value != null))
+  };
+}
+
+/**
+ * Resolve a budget selection from an analysis request.
+ * Accepts a stored budget name or an inline { limits } definition.
+ * @param {string|Object|undefined} selection
+ * @returns {Promise<Object>} { budget, error }
+ */
+async function resolveBudget(selection) {
+  if (!selection || selection === DEFAULT_BUDGET.name) {
+    return { budget: DEFAULT_BUDGET, error: null };
+  }
+
+  if (typeof selection === 'object') {
+    const errors = validateBudgetLimits(selection.limits);
+    if (errors.length > 0) {
+      return { budget: null, error: `Invalid performance budget: ${errors.join('; ')}` };
+    }
+    return { budget: buildBudget({ ...selection, name: 'custom', label: selection.label || 'Custom' }), error: null };
+  }
+
+  const stored = await PerformanceBudget.findOne({ name: selection }).lean();
+  if (!stored) {
+    return { budget: null, error: `Unknown performance budget "${selection}"` };
+  }
+  return { budget: buildBudget(stored), error: null };
+}
+
+/**
+ * Evaluate an analysis against a budget
+ * @param {Object} artifact - Scraper artifact
+ * @param {Object} budget - Resolved budget
+ * @returns {Object} { name, label, status, passed_count, failed_count, no_data_count, items }
+ */
+function evaluateBudget(artifact, budget = DEFAULT_BUDGET) {
+  const items = Object.entries(budget.limits).map(([metric, limit]) => {
+    const { label, unit, read } = BUDGET_METRICS[metric];
+    const value = read(artifact);
+    const actual = typeof value === 'number' && Number.isFinite(value) ? round(value, 3) : null;
+
+    if (actual === null) {
+      return { metric, label, unit, budget: limit, actual: null, status: 'no_data', overage: null, overage_pct: null };
+    }
+
+    const overage = Math.max(0, round(actual - limit, 3));
+    return {
+      metric,
+      label,
+      unit,
+      budget: limit,
+      actual,
+      status: actual > limit ? 'fail' : 'pass',
+      overage,
+      overage_pct: limit > 0 ? Math.round((overage / limit) * 100) : null
+    };
+  });
+
+  const failed = items.filter(i => i.status === 'fail');
+  console.log(`[Budget] "${budget.name}": ${failed.length}/${items.length} over budget` +
+    (failed.length ? ` (${failed.map(i => i.metric).join(', ')})` : ''));
+
+  return {
+    name: budget.name,
+    label: budget.label,
+    status: failed.length > 0 ? 'fail' : 'pass',
+    passed_count: items.filter(i => i.status === 'pass').length,
+    failed_count: failed.length,
+    no_data_count: items.filter(i => i.status === 'no_data').length,
+    items
+  };
+}
+
+/**
+ * One-line summary of the exceeded items, e.g. "js_kb 620 KB > 300 KB"
+ */
+function describeBudgetFailures(result) {
+  return result.items
+    .filter(i => i.status === 'fail')
+    .map(i => `${i.metric} ${i.actual}${i.unit ? ` ${i.unit}` : ''} > ${i.budget}${i.unit ? ` ${i.unit}` : ''}`)
+    .join(', ');
+}
+
+module.exports = {
+  BUDGET_METRICS,
+  DEFAULT_BUDGET,
+  validateBudgetLimits,
+  buildBudget,
+  resolveBudget,
+  evaluateBudget,
+  describeBudgetFailures
+};
@@ -183,6 +183,9 @@ function detectSources(message) {
     if (/\b(content|readability|word count|flesch|keyword|intent|depth|quality|text|copy)\b/.test(text)) {
         sources.push('content');
     }
+    if (/\b(security|secure|header|headers|csp|hsts|tls|ssl|https|certificate|mixed content|clickjacking|x-frame-options|referrer-policy)\b/.test(text)) {
+        sources.push('security');
+    }
 
     // If no specific module detected, report all
     if (sources.length === 0) {
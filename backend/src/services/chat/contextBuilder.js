@@ -43,6 +43,11 @@ async function buildReportContext(reportId) {
         chunks.push(formatContent(report.modules.content));
     }
 
+    // ── Security chunk (absent on reports from before the security module) ──
+    if (report.modules?.security?.score != null) {
+        chunks.push(formatSecurity(report.modules.security));
+    }
+
     // ── AI Insights chunk ──
     if (report.ai_insights) {
         chunks.push(formatAIInsights(report.ai_insights));
@@ -75,7 +80,7 @@ async function buildReportSummary(reportId) {
 
         return `[User's website: ${report.final_url || report.url}]
 Health Score: ${agg.website_health_score ?? 'N/A'}/100 (Grade: ${agg.health_grade ?? 'N/A'})
-Module Scores — Performance: ${scores.performance ?? 'N/A'}, SEO: ${scores.seo ?? 'N/A'}, UX: ${scores.ux ?? 'N/A'}, Content: ${scores.content ?? 'N/A'}
+Module Scores — Performance: ${scores.performance ?? 'N/A'}, SEO: ${scores.seo ?? 'N/A'}, UX: ${scores.ux ?? 'N/A'}, Content: ${scores.content ?? 'N/A'}, Security: ${scores.security ?? 'N/A'}
 Risk Level: ${agg.overall_risk_level ?? 'N/A'}`;
     } catch (err) {
         console.error('[ContextBuilder] Failed to build summary:', err.message);
@@ -102,6 +107,7 @@ Module Scores:
   - SEO: ${scores.seo ?? 'N/A'}/100
   - UX & Accessibility: ${scores.ux ?? 'N/A'}/100
   - Content Quality: ${scores.content ?? 'N/A'}/100
+  - Security: ${scores.security ?? 'N/A'}/100
 Analysis Date: ${report.created_at ? new Date(report.created_at).toLocaleDateString() : 'N/A'}`;
 }
 
@@ -116,11 +122,25 @@ Key Metrics:
   - FCP (First Contentful Paint): ${m.fcp_s != null ? m.fcp_s + 's' : 'N/A'} (good: <1.8s, bad: >3.0s)
   - TTFB (Time to First Byte): ${m.ttfb_s != null ? m.ttfb_s + 's' : 'N/A'} (good: <0.8s, bad: >1.8s)
   - TBT (Total Blocking Time): ${m.tbt_ms != null ? m.tbt_ms + 'ms' : 'N/A'} (good: <200ms, bad: >600ms)
+  - INP (Interaction to Next Paint): ${m.inp_ms != null ? m.inp_ms + 'ms' : 'N/A'} (good: <200ms, bad: >500ms)
   - Total JS Size: ${m.total_js_kb != null ? m.total_js_kb + ' KB' : 'N/A'}
   - Total CSS Size: ${m.total_css_kb != null ? m.total_css_kb + ' KB' : 'N/A'}
   - Total Image Size: ${m.total_images_kb != null ? m.total_images_kb + ' KB' : 'N/A'}
   - Total Requests: ${m.total_requests ?? 'N/A'}`;
 
+    if (perf.coverage?.files?.length) {
+        text += `\n\nUnused Code (JS ${perf.coverage.js.unused_kb} KB, CSS ${perf.coverage.css.unused_kb} KB unused during load):\n${perf.coverage.files.slice(0, 5).map(f =>
+            `  - ${f.url}: ${f.unused_kb} of ${f.total_kb} KB unused (${f.unused_pct}%)`
+        ).join('\n')}`;
+    }
+
+    if (perf.third_parties?.vendors?.length) {
+        const tp = perf.third_parties.third_party;
+        text += `\n\nThird-Party Vendors (${tp.kb} KB, ${tp.kb_pct}% of page weight, ${tp.main_thread_ms}ms main-thread):\n${perf.third_parties.vendors.slice(0, 5).map(v =>
+            `  - ${v.vendor} (${v.category_label}): ${v.requests} requests, ${v.kb} KB, ${v.main_thread_ms}ms main-thread`
+        ).join('\n')}`;
+    }
+
     if (perf.dominant_negative_factors?.length) {
         text += `\n\nDominant Negative Factors:\n${perf.dominant_negative_factors.map(f =>
             `  - ${typeof f === 'string' ? f : f.factor || f.name || JSON.stringify(f)}`
@@ -201,6 +221,35 @@ Key Metrics:
     return text;
 }
 
+function formatSecurity(security) {
+    const tls = security.tls || {};
+    const mixed = security.mixed_content || {};
+    let text = `## SECURITY MODULE (Score: ${security.score ?? 'N/A'}/100)
+Security Risk Level: ${security.security_risk_level ?? 'N/A'}
+Recommendation: ${security.recommendation_flag?.replace(/_/g, ' ') ?? 'N/A'}
+Key Metrics:
+  - HTTPS: ${security.is_https ? 'yes' : 'no'}
+  - TLS Protocol: ${tls.protocol ?? 'N/A'}
+  - Certificate Issuer: ${tls.issuer ?? 'N/A'}
+  - Certificate Expires In: ${tls.days_until_expiry != null ? tls.days_until_expiry + ' days' : 'N/A'}
+  - Active Mixed Content: ${mixed.active_count ?? 0}
+  - Passive Mixed Content: ${mixed.passive_count ?? 0}`;
+
+    const grades = Object.entries(security.header_grades || {});
+    if (grades.length) {
+        text += `\nSecurity Headers:\n${grades.map(([name, g]) =>
+            `  - ${name}: ${g.status}${g.notes?.length ? ` (${g.notes.join('; ')})` : ''}`
+        ).join('\n')}`;
+    }
+
+    if (security.primary_security_risks?.length) {
+        text += `\nPrimary Security Risks: ${security.primary_security_risks.join(', ')}`;
+    }
+
+    text += formatIssuesAndFixes(security);
+    return text;
+}
+
 function formatAIInsights(insights) {
     let text = `## AI STRATEGIC INSIGHTS`;
 
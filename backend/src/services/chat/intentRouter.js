@@ -22,7 +22,8 @@ const REPORT_KEYWORDS = [
     'analyzed', 'audit', 'scanned',
     'why is', 'how can i', 'what should i',
     'image size', 'js size', 'css size', 'request count',
-    'broken', 'slow', 'missing alt'
+    'broken', 'slow', 'missing alt',
+    'security header', 'csp', 'hsts', 'mixed content', 'certificate', 'tls'
 ];
 
 // Web concept keywords (triggers hybrid mode)
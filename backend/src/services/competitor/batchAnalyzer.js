@@ -8,9 +8,10 @@ const { runAnalysisJob } = require('../jobRunner');
 /**
  * Analyze 3 competitors in parallel
  * @param {Array<string>} competitorUrls - Array of competitor URLs
+ * @param {Object} options - { scoringProfile } so competitors are scored like the user's report
  * @returns {Promise<Array>} Array of analysis reports
  */
-async function analyze3Competitors(competitorUrls) {
+async function analyze3Competitors(competitorUrls, options = {}) {
   console.log('[BatchAnalyzer] Starting parallel analysis of 3 competitors...');
   
   const startTime = Date.now();
@@ -32,7 +33,8 @@ async function analyze3Competitors(competitorUrls) {
         isCompetitor: true,
         skipScreenshots: true,  // Save storage
         skipHTML: true,         // Save storage
-        skipLighthouse: true    // Faster analysis
+        skipLighthouse: true,   // Faster analysis
+        scoringProfile: options.scoringProfile
       })
     )
   );
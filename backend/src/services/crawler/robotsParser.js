@@ -0,0 +1,147 @@
+/**
+ * robots.txt Parser
+ * Fetches and evaluates robots.txt rules (Allow/Disallow, Crawl-delay, Sitemap)
+ */
+
+const fetch = require('node-fetch');
+
+const CRAWLER_USER_AGENT = 'WebAuditBot';
+const FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Parse robots.txt content into user-agent groups
+ * @param {string} text - Raw robots.txt content
+ * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Convert a robots path pattern (with * and $) to a RegExp
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Build a robots policy for our crawler from parsed groups
+ * @param {Object} parsed - Output of parseRobotsTxt
+ * @param {string} userAgent - Crawler user agent token
+ * @returns {Object} { isAllowed(url), crawlDelay, sitemaps, rulesCount }
+ */
+function buildPolicy(parsed, userAgent = CRAWLER_USER_AGENT) {
+  const token = userAgent.toLowerCase();
+  const specific = parsed.groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+  const applicable = specific.length > 0
+    ? specific
+    : parsed.groups.filter(g => g.agents.includes('*'));
+
+  const rules = applicable.flatMap(g => g.rules).map(r => ({ ...r, regex: patternToRegExp(r.path) }));
+  const delays = applicable.map(g => g.crawlDelay).filter(d => d !== null);
+
+  return {
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps: parsed.sitemaps,
+    rulesCount: rules.length,
+
+    /**
+     * Longest matching rule wins; Allow wins ties
+     */
+    isAllowed(url) {
+      let path;
+      try {
+        const u = new URL(url);
+        path = u.pathname + u.search;
+      } catch (e) {
+        return false;
+      }
+
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.regex.test(path)) continue;
+        if (!best || rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+/**
+ * Fetch and parse robots.txt for an origin
+ * Missing or unreachable robots.txt allows everything.
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {Promise<Object>} Robots policy
+ */
+async function fetchRobotsPolicy(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+      timeout: FETCH_TIMEOUT_MS
+    });
+
+    if (!response.ok) {
+      return { ...buildPolicy({ groups: [], sitemaps: [] }), found: false };
+    }
+
+    const text = await response.text();
+    return { ...buildPolicy(parseRobotsTxt(text)), found: true };
+  } catch (error) {
+    console.warn(`[Robots] Failed to fetch robots.txt for ${origin}:`, error.message);
+    return { ...buildPolicy({ groups: [], sitemaps: [] }), found: false };
+  }
+}
+
+module.exports = {
+  fetchRobotsPolicy,
+  parseRobotsTxt,
+  buildPolicy,
+  CRAWLER_USER_AGENT
+};
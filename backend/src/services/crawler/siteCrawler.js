@@ -0,0 +1,256 @@
+/**
+ * Site Crawler
+ * Multi-page crawl: seeds from sitemap.xml and discovered internal links,
+ * respects robots.txt, and runs the five analysis modules on every page.
+ */
+
+const { combinedScrape } = require('../scraper/combinedScraper');
+const performanceModule = require('../modules/performanceModule');
+const uxModule = require('../modules/uxModule');
+const seoModule = require('../modules/seoModule');
+const contentModule = require('../modules/contentModule');
+const securityModule = require('../modules/securityModule');
+const { aggregate, DEFAULT_PROFILE } = require('../../aggregator/aggregator');
+const { applyRules } = require('../rules/rulesEngine');
+const { runInWorkerSlot } = require('../jobQueue');
+const { fetchRobotsPolicy } = require('./robotsParser');
+const { collectSitemapUrls } = require('./sitemapParser');
+
+const DEFAULTS = {
+  maxPages: 10,
+  maxDepth: 2,
+  worstPagesPerModule: 5
+};
+
+// Hard caps so a single request cannot run away
+const LIMITS = {
+  maxPages: 100,
+  maxDepth: 5,
+  maxCrawlDelayS: 30
+};
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+// Links to these are downloads/assets, not pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mp3|wav|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Normalize a URL for de-duplication (drops the fragment)
+ * @returns {string|null} Normalized URL or null if not http(s)
+ */
+function normalizeUrl(url, base) {
+  try {
+    const u = new URL(url, base);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    u.hash = '';
+    return u.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check that a URL is an HTML page on the crawled origin
+ */
+function isSameOriginPage(url, origin) {
+  const u = new URL(url);
+  return u.origin === origin && !NON_PAGE_EXTENSIONS.test(u.pathname);
+}
+
+/**
+ * Run the five modules on a scraped page, apply custom rules and aggregate them
+ */
+async function analyzePage(artifact, url, emulateMobile, profile, ruleSets) {
+  const [performance, ux, seo, content, security] = await Promise.all([
+    // Lighthouse per page would multiply crawl time; SLM scoring only
+    performanceModule.analyze(artifact, { url, emulateMobile, skipLighthouse: true }),
+    uxModule.analyze(artifact, emulateMobile),
+    seoModule.analyze(artifact),
+    contentModule.analyze(artifact),
+    securityModule.analyze(artifact)
+  ]);
+
+  const modules = applyRules({ performance, ux, seo, content, security }, artifact, ruleSets);
+  return { modules, aggregator: aggregate(modules, profile) };
+}
+
+/**
+ * Roll page scores up into a site-level aggregate
+ * @param {Object[]} pages - Scanned pages with module_scores
+ * @param {Object} profile - Scoring profile used for the pages
+ * @returns {Object|null} Aggregated site result
+ */
+function rollUpSite(pages, profile = DEFAULT_PROFILE) {
+  const scored = pages.filter(p => p.module_scores);
+  if (scored.length === 0) return null;
+
+  const siteModules = {};
+  for (const name of MODULES) {
+    const total = scored.reduce((sum, p) => sum + (p.module_scores[name] || 0), 0);
+    siteModules[name] = { score: Math.round(total / scored.length) };
+  }
+
+  return {
+    ...aggregate(siteModules, profile),
+    pages_scored: scored.length
+  };
+}
+
+/**
+ * Find the lowest-scoring pages for each module
+ * @param {Object[]} pages - Scanned pages
+ * @param {number} limit - Pages per module
+ * @returns {Object} { performance: [{ url, score, top_issues }], ... }
+ */
+function findWorstPages(pages, limit = DEFAULTS.worstPagesPerModule) {
+  const scored = pages.filter(p => p.module_scores);
+  const worst = {};
+
+  for (const name of MODULES) {
+    worst[name] = [...scored]
+      .sort((a, b) => (a.module_scores[name] ?? 100) - (b.module_scores[name] ?? 100))
+      .slice(0, limit)
+      .map(p => ({
+        url: p.url,
+        score: p.module_scores[name],
+        top_issues: (p.issues?.[name] || []).slice(0, 3).map(i => i.description)
+      }));
+  }
+
+  return worst;
+}
+
+/**
+ * Crawl a site and analyze every page
+ * @param {string} startUrl - Entry URL
+ * @param {Object} opts - { maxPages, maxDepth, emulateMobile, timeout, profile, ruleSets }
+ * @param {Function} onPage - Optional callback(pageResult, crawlState) after each page
+ * @returns {Promise<Object>} Crawl result with pages, site rollup and worst pages
+ */
+async function crawlSite(startUrl, opts = {}, onPage = null) {
+  const maxPages = Math.min(opts.maxPages || DEFAULTS.maxPages, LIMITS.maxPages);
+  const maxDepth = Math.min(opts.maxDepth ?? DEFAULTS.maxDepth, LIMITS.maxDepth);
+  const emulateMobile = opts.emulateMobile || false;
+  const profile = opts.profile || DEFAULT_PROFILE;
+  const ruleSets = opts.ruleSets || [];
+
+  const start = normalizeUrl(startUrl);
+  if (!start) throw new Error('Invalid start URL');
+  const origin = new URL(start).origin;
+
+  // ============================================
+  // Step 1: robots.txt and sitemap discovery
+  // ============================================
+  const robots = await fetchRobotsPolicy(origin);
+  const crawlDelayMs = Math.min(robots.crawlDelay || 0, LIMITS.maxCrawlDelayS) * 1000;
+
+  const sitemapSources = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+  const { urls: sitemapUrls } = await collectSitemapUrls(sitemapSources, { maxUrls: maxPages * 10 });
+
+  console.log(`[Crawler] ${origin}: robots=${robots.found ? `${robots.rulesCount} rules` : 'none'}, ` +
+    `crawl-delay=${crawlDelayMs}ms, sitemap urls=${sitemapUrls.length}`);
+
+  // ============================================
+  // Step 2: Seed the frontier
+  // ============================================
+  const queue = [];
+  const seen = new Set();
+  const skippedByRobots = [];
+
+  const enqueue = (url, depth, source) => {
+    const normalized = normalizeUrl(url, origin);
+    if (!normalized || seen.has(normalized)) return;
+    if (depth > maxDepth || !isSameOriginPage(normalized, origin)) return;
+    seen.add(normalized);
+
+    if (!robots.isAllowed(normalized)) {
+      skippedByRobots.push(normalized);
+      return;
+    }
+    queue.push({ url: normalized, depth, source });
+  };
+
+  enqueue(start, 0, 'start');
+  sitemapUrls.forEach(url => enqueue(url, 1, 'sitemap'));
+
+  // ============================================
+  // Step 3: Crawl breadth-first
+  // ============================================
+  const pages = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth, source } = queue.shift();
+
+    if (pages.length > 0 && crawlDelayMs > 0) {
+      await sleep(crawlDelayMs);
+    }
+
+    const page = { url, depth, source, scanned_at: new Date() };
+
+    try {
+      // Each page takes a worker slot shared with queued analyses (JOB_CONCURRENCY)
+      const { artifact, modules, aggregator } = await runInWorkerSlot(async () => {
+        const artifact = await combinedScrape(url, {
+          emulateMobile,
+          timeout: opts.timeout || 45000
+        });
+        return { artifact, ...await analyzePage(artifact, url, emulateMobile, profile, ruleSets) };
+      });
+
+      page.final_url = artifact.finalUrl;
+      page.http_status = artifact.httpStatus;
+      page.website_health_score = aggregator.website_health_score;
+      page.health_grade = aggregator.health_grade;
+      page.module_scores = aggregator.module_scores;
+      page.issues = Object.fromEntries(MODULES.map(name => [
+        name,
+        (modules[name].issues || []).map(i => ({ id: i.id, severity: i.severity, description: i.description }))
+      ]));
+
+      // Internal links collected by the scraper feed the next depth level
+      for (const link of artifact.seo.links || []) {
+        enqueue(link.href, depth + 1, 'link');
+      }
+    } catch (error) {
+      console.warn(`[Crawler] Failed to analyze ${url}:`, error.message);
+      page.error = error.message;
+    }
+
+    pages.push(page);
+    console.log(`[Crawler] ${pages.length}/${maxPages} ${url} → ${page.website_health_score ?? 'error'}`);
+
+    if (onPage) {
+      await onPage(page, { pagesScanned: pages.length, queued: queue.length });
+    }
+  }
+
+  // ============================================
+  // Step 4: Site-level rollup
+  // ============================================
+  return {
+    origin,
+    options: { max_pages: maxPages, max_depth: maxDepth, emulate_mobile: emulateMobile, rule_sets: ruleSets.map(r => r.name) },
+    scoring_profile: { name: profile.name, label: profile.label, weights: profile.weights, boosts: profile.boosts },
+    robots: {
+      found: robots.found,
+      crawl_delay_s: robots.crawlDelay,
+      rules_count: robots.rulesCount,
+      sitemaps: sitemapSources
+    },
+    sitemap_urls_found: sitemapUrls.length,
+    skipped_by_robots: skippedByRobots,
+    pages,
+    site_aggregator: rollUpSite(pages, profile),
+    worst_pages: findWorstPages(pages)
+  };
+}
+
+module.exports = {
+  crawlSite,
+  rollUpSite,
+  findWorstPages,
+  normalizeUrl,
+  LIMITS
+};
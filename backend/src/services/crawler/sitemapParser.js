@@ -0,0 +1,86 @@
+/**
+ * Sitemap Parser
+ * Collects page URLs from sitemap.xml files, following sitemap indexes
+ */
+
+const fetch = require('node-fetch');
+const { CRAWLER_USER_AGENT } = require('./robotsParser');
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_SITEMAP_FILES = 20;
+
+/**
+ * Decode the XML entities that appear in URLs
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+/**
+ * Extract <loc> values from a sitemap document
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { isIndex, locs }
+ */
+function parseSitemapXml(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const locs = [];
+  const locRegex = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+
+  let match;
+  while ((match = locRegex.exec(xml)) !== null) {
+    locs.push(decodeXml(match[1]));
+  }
+
+  return { isIndex, locs };
+}
+
+/**
+ * Collect page URLs from sitemaps, walking sitemap indexes breadth-first
+ * @param {string[]} sitemapUrls - Sitemap URLs to start from
+ * @param {Object} opts - { maxUrls }
+ * @returns {Promise<Object>} { urls, sitemapsFetched }
+ */
+async function collectSitemapUrls(sitemapUrls, opts = {}) {
+  const maxUrls = opts.maxUrls || 500;
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const urls = [];
+  const sitemapsFetched = [];
+
+  while (queue.length > 0 && sitemapsFetched.length < MAX_SITEMAP_FILES && urls.length < maxUrls) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await fetch(sitemapUrl, {
+        headers: { 'User-Agent': CRAWLER_USER_AGENT },
+        timeout: FETCH_TIMEOUT_MS
+      });
+      if (!response.ok) continue;
+
+      const { isIndex, locs } = parseSitemapXml(await response.text());
+      sitemapsFetched.push(sitemapUrl);
+
+      if (isIndex) {
+        queue.push(...locs);
+      } else {
+        urls.push(...locs.slice(0, maxUrls - urls.length));
+      }
+    } catch (error) {
+      console.warn(`[Sitemap] Failed to fetch ${sitemapUrl}:`, error.message);
+    }
+  }
+
+  return { urls, sitemapsFetched };
+}
+
+module.exports = {
+  collectSitemapUrls,
+  parseSitemapXml
+};
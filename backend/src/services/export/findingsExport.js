@@ -0,0 +1,283 @@
+/**
+ * Findings Export
+ * Turns each module's issues and fixes into SARIF 2.1.0, CSV and JUnit XML.
+ * Fixes are attached to their issue through `issue_id`; fixes without a
+ * matching issue (e.g. AI suggestions) are exported on their own.
+ */
+
+const BRAND = 'Web Analyzer';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+const SARIF_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+// GitHub code scanning reads `security-severity` (0-10) for security findings
+const SECURITY_SEVERITY = {
+  critical: '9.0',
+  high: '7.0',
+  medium: '5.0',
+  low: '2.0'
+};
+
+const CSV_COLUMNS = [
+  'url', 'module', 'type', 'id', 'issue_id', 'severity', 'category',
+  'title', 'description', 'effort_hours', 'impact_pct', 'priority', 'ai'
+];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Issues and fixes of every module, with fixes grouped under their issue
+ * @param {Object} report - Report document (lean)
+ * @returns {Object[]} [{ module, issues: [{ ...issue, rule_id, fixes }], unmatchedFixes }]
+ */
+function collectFindings(report) {
+  return MODULES
+    .filter(module => report.modules?.[module])
+    .map(module => {
+      const { issues = [], fixes = [] } = report.modules[module];
+      const matched = new Set();
+
+      const grouped = issues.map((issue, index) => {
+        const issueFixes = issue.id ? fixes.filter(fix => fix.issue_id === issue.id) : [];
+        issueFixes.forEach(fix => matched.add(fix));
+        return {
+          ...issue,
+          rule_id: `${module}/${issue.id || `ai_issue_${index + 1}`}`,
+          fixes: issueFixes
+        };
+      });
+
+      return {
+        module,
+        issues: grouped,
+        unmatchedFixes: fixes.filter(fix => !matched.has(fix))
+      };
+    });
+}
+
+const fixSummary = (fix) => {
+  const details = [
+    typeof fix.impact_pct === 'number' && `impact ${fix.impact_pct}%`,
+    typeof fix.effort_hours === 'number' && `effort ${fix.effort_hours}h`,
+    fix.priority != null && `priority ${fix.priority}`,
+    fix.ai && 'AI'
+  ].filter(Boolean);
+  return `${fix.title || fix.id}${details.length ? ` (${details.join(', ')})` : ''}${fix.description ? `: ${fix.description}` : ''}`;
+};
+
+const fixProperties = (fix) => ({
+  id: fix.id || null,
+  title: fix.title || null,
+  description: fix.description || null,
+  effort_hours: fix.effort_hours ?? null,
+  impact_pct: fix.impact_pct ?? null,
+  priority: fix.priority ?? null,
+  ai: !!fix.ai
+});
+
+/**
+ * SARIF 2.1.0 log: one rule per distinct issue id, one result per issue;
+ * unmatched fixes become informational results
+ * @param {Object} report - Report document (lean)
+ * @returns {Object} SARIF log
+ */
+function toSarif(report) {
+  const uri = report.final_url || report.url;
+  const location = [{ physicalLocation: { artifactLocation: { uri } } }];
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+
+  for (const { module, issues, unmatchedFixes } of collectFindings(report)) {
+    for (const issue of issues) {
+      const level = SARIF_LEVELS[issue.severity] || 'warning';
+      const tags = [module, issue.category, issue.ai && 'ai'].filter(Boolean);
+
+      // Issues sharing an id (e.g. several custom rule hits) share the first one's rule
+      if (!ruleIndexes.has(issue.rule_id)) {
+        ruleIndexes.set(issue.rule_id, rules.length);
+        rules.push({
+          id: issue.rule_id,
+          name: issue.id || undefined,
+          shortDescription: { text: issue.description || issue.rule_id },
+          ...(issue.help && { fullDescription: { text: issue.help } }),
+          ...(issue.help_url && { helpUri: issue.help_url }),
+          ...(issue.fixes.length > 0 && { help: { text: issue.fixes.map(fixSummary).join('\n') } }),
+          defaultConfiguration: { level },
+          properties: {
+            tags,
+            ...(module === 'security' && { 'security-severity': SECURITY_SEVERITY[issue.severity] || '5.0' })
+          }
+        });
+      }
+
+      results.push({
+        ruleId: issue.rule_id,
+        ruleIndex: ruleIndexes.get(issue.rule_id),
+        level,
+        message: { text: issue.description || issue.rule_id },
+        locations: location,
+        properties: {
+          module,
+          severity: issue.severity || null,
+          category: issue.category || null,
+          ai: !!issue.ai,
+          fixes: issue.fixes.map(fixProperties)
+        }
+      });
+    }
+
+    unmatchedFixes.forEach((fix, index) => {
+      results.push({
+        ruleId: `${module}/${fix.id || `ai_fix_${index + 1}`}`,
+        kind: 'informational',
+        level: 'none',
+        message: { text: fixSummary(fix) },
+        locations: location,
+        properties: { module, ...fixProperties(fix) }
+      });
+    });
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: BRAND,
+          rules
+        }
+      },
+      automationDetails: { id: `webaudit/${report._id}` },
+      invocations: [{
+        executionSuccessful: report.status === 'completed',
+        endTimeUtc: report.finished_at ? new Date(report.finished_at).toISOString() : undefined
+      }],
+      results,
+      properties: {
+        url: report.url,
+        website_health_score: report.aggregator?.website_health_score ?? null,
+        health_grade: report.aggregator?.health_grade ?? null,
+        module_scores: report.aggregator?.module_scores || {}
+      }
+    }]
+  };
+}
+
+// Text starting with these runs as a formula in spreadsheet apps (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  // Numbers are left alone so negative values stay numeric
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one row per issue and one per fix
+ * @param {Object} report - Report document (lean)
+ * @returns {string} CSV (RFC 4180)
+ */
+function toCsv(report) {
+  const rows = [];
+  const url = report.final_url || report.url;
+
+  for (const { module, issues, unmatchedFixes } of collectFindings(report)) {
+    for (const issue of issues) {
+      rows.push({
+        url, module, type: 'issue', id: issue.id, severity: issue.severity, category: issue.category,
+        description: issue.description, ai: !!issue.ai
+      });
+      for (const fix of issue.fixes) {
+        rows.push({ url, module, type: 'fix', issue_id: issue.id, category: issue.category, ...fixProperties(fix) });
+      }
+    }
+    for (const fix of unmatchedFixes) {
+      rows.push({ url, module, type: 'fix', issue_id: fix.issue_id, ...fixProperties(fix) });
+    }
+  }
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * JUnit XML: one test suite per module, one failing test case per issue
+ * (a module without issues gets a single passing case)
+ * @param {Object} report - Report document (lean)
+ * @returns {string} XML document
+ */
+function toJunit(report) {
+  const url = report.final_url || report.url;
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  const suites = collectFindings(report).map(({ module, issues, unmatchedFixes }) => {
+    const classname = escapeXml(`${url}.${module}`);
+    const cases = issues.map(issue => {
+      const body = [
+        `Severity: ${issue.severity || 'unknown'}`,
+        issue.category && `Category: ${issue.category}`,
+        issue.ai && 'Source: AI',
+        ...issue.fixes.map(fix => `Fix: ${fixSummary(fix)}`)
+      ].filter(Boolean).join('\n');
+
+      return [
+        `    <testcase classname="${classname}" name="${escapeXml(issue.rule_id)}">`,
+        `      <failure message="${escapeXml(issue.description || issue.rule_id)}" type="${escapeXml(issue.severity || 'issue')}">${escapeXml(body)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase classname="${classname}" name="${module}/no_issues"/>`);
+    }
+
+    totalTests += cases.length;
+    totalFailures += issues.length;
+    const score = report.modules[module].score;
+
+    return [
+      `  <testsuite name="${escapeXml(module)}" tests="${cases.length}" failures="${issues.length}" errors="0">`,
+      '    <properties>',
+      `      <property name="url" value="${escapeXml(url)}"/>`,
+      `      <property name="score" value="${escapeXml(score ?? '')}"/>`,
+      '    </properties>',
+      ...cases,
+      ...(unmatchedFixes.length > 0
+        ? [`    <system-out>${escapeXml(unmatchedFixes.map(fix => `Fix: ${fixSummary(fix)}`).join('\n'))}</system-out>`]
+        : []),
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`webaudit ${url}`)}" tests="${totalTests}" failures="${totalFailures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  collectFindings,
+  toSarif,
+  toCsv,
+  toJunit
+};
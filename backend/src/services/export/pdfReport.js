@@ -0,0 +1,344 @@
+/**
+ * PDF Report Export
+ * Renders a stored report as a branded, print-friendly HTML document and
+ * prints it to PDF with Playwright's Chromium.
+ */
+
+const { chromium } = require('playwright');
+
+const BRAND = 'Web Analyzer';
+
+const MODULES = [
+  { key: 'performance', label: 'Performance' },
+  { key: 'ux', label: 'User Experience' },
+  { key: 'seo', label: 'SEO' },
+  { key: 'content', label: 'Content' },
+  { key: 'security', label: 'Security' }
+];
+
+// Metrics shown per module: [label, value getter, unit]
+const MODULE_METRICS = {
+  performance: [
+    ['Largest Contentful Paint', m => m.metrics?.lcp_s, 's'],
+    ['First Contentful Paint', m => m.metrics?.fcp_s, 's'],
+    ['Cumulative Layout Shift', m => m.metrics?.cls, ''],
+    ['Time to First Byte', m => m.metrics?.ttfb_s, 's'],
+    ['Total Blocking Time', m => m.metrics?.tbt_ms, 'ms'],
+    ['JavaScript', m => m.metrics?.total_js_kb, 'KB'],
+    ['CSS', m => m.metrics?.total_css_kb, 'KB'],
+    ['Images', m => m.metrics?.total_images_kb, 'KB'],
+    ['Requests', m => m.metrics?.total_requests, '']
+  ],
+  ux: [
+    ['Accessibility risk', m => m.accessibility_risk_level, ''],
+    ['Accessibility violations', m => m.violations_count, ''],
+    ['Calls to action', m => m.ctas_count, ''],
+    ['CTAs above the fold', m => m.ctas_above_fold, ''],
+    ['Trust impact', m => m.trust_impact_indicator, '']
+  ],
+  seo: [
+    ['Indexability', m => m.indexability_status, ''],
+    ['HTTP status', m => m.http_status, ''],
+    ['Title length', m => m.title_length, 'chars'],
+    ['Meta description length', m => m.meta_description_length, 'chars'],
+    ['H1 headings', m => m.h1_count, ''],
+    ['Images missing alt', m => m.images_missing_alt_count, ''],
+    ['Internal links', m => m.internal_links_count, ''],
+    ['External links', m => m.external_links_count, ''],
+    ['Broken links', m => m.broken_links_count, '']
+  ],
+  content: [
+    ['Word count', m => m.word_count, ''],
+    ['Content depth', m => m.content_depth_status, ''],
+    ['Intent match', m => m.intent_match_level, ''],
+    ['Flesch reading ease', m => m.flesch_reading_ease, ''],
+    ['Flesch-Kincaid grade', m => m.flesch_kincaid_grade, '']
+  ],
+  security: [
+    ['Security risk', m => m.security_risk_level, ''],
+    ['HTTPS', m => (typeof m.is_https === 'boolean' ? (m.is_https ? 'Yes' : 'No') : null), ''],
+    ...['csp', 'hsts', 'frame_options', 'content_type_options', 'referrer_policy', 'permissions_policy']
+      .map(name => [`Header: ${name.replace(/_/g, '-')}`, m => m.header_grades?.[name]?.status, ''])
+  ]
+};
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const scoreTone = (score) => {
+  if (typeof score !== 'number') return 'none';
+  if (score >= 80) return 'good';
+  if (score >= 50) return 'fair';
+  return 'poor';
+};
+
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value).replace(/_/g, ' ');
+  return unit ? `${text} ${unit}` : text;
+};
+
+const STYLES = `
+  @page { size: A4; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: 'Inter', 'Segoe UI', system-ui, -apple-system, sans-serif; font-size: 10.5pt; color: #1f2328; line-height: 1.45; }
+  h1, h2, h3 { margin: 0; line-height: 1.2; }
+  .cover { height: 255mm; background: #0b0e11; color: #e8eaed; border-radius: 6mm; padding: 18mm 16mm; display: flex; flex-direction: column; page-break-after: always; }
+  .cover-brand { font-size: 12pt; font-weight: 700; letter-spacing: .04em; color: #aee92b; text-transform: uppercase; }
+  .cover-title { margin-top: 38mm; font-size: 28pt; font-weight: 700; }
+  .cover-url { margin-top: 4mm; font-size: 12pt; color: #9aa0a6; word-break: break-all; }
+  .cover-score { margin-top: 24mm; display: flex; align-items: center; gap: 10mm; }
+  .cover-ring { width: 46mm; height: 46mm; border-radius: 50%; border: 3mm solid #aee92b; display: flex; flex-direction: column; align-items: center; justify-content: center; }
+  .cover-ring strong { font-size: 34pt; }
+  .cover-ring span { font-size: 9pt; color: #9aa0a6; }
+  .cover-grade { font-size: 48pt; font-weight: 700; color: #aee92b; }
+  .cover-modules { margin-top: 18mm; display: grid; grid-template-columns: repeat(5, 1fr); gap: 4mm; }
+  .cover-module { background: #151a1e; border-radius: 3mm; padding: 4mm; text-align: center; }
+  .cover-module span { display: block; font-size: 8pt; color: #9aa0a6; }
+  .cover-module strong { font-size: 16pt; }
+  .cover-meta { margin-top: auto; font-size: 9pt; color: #9aa0a6; display: flex; justify-content: space-between; }
+  section { margin-bottom: 8mm; }
+  .section-title { font-size: 15pt; padding-bottom: 2mm; border-bottom: 0.6mm solid #aee92b; margin-bottom: 4mm; }
+  .module { page-break-before: always; }
+  .module-head { display: flex; justify-content: space-between; align-items: baseline; }
+  .pill { display: inline-block; padding: 0.5mm 2.5mm; border-radius: 10mm; font-size: 8.5pt; font-weight: 600; }
+  .tone-good { background: #e8f7cf; color: #3d5c00; }
+  .tone-fair { background: #fff1cc; color: #7a5200; }
+  .tone-poor { background: #ffe0e0; color: #9b1c1c; }
+  .tone-none { background: #eef0f2; color: #5f6368; }
+  h3 { font-size: 11pt; margin: 5mm 0 2mm; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+  th, td { text-align: left; padding: 1.6mm 2mm; border-bottom: 0.2mm solid #e3e6e8; vertical-align: top; }
+  th { background: #f4f6f7; font-weight: 600; }
+  tr { page-break-inside: avoid; }
+  .metrics td:last-child { text-align: right; font-variant-numeric: tabular-nums; }
+  .sev { font-size: 8pt; font-weight: 700; text-transform: uppercase; }
+  .sev-critical { color: #b42318; } .sev-high { color: #c4320a; } .sev-medium { color: #a15c07; } .sev-low { color: #5f6368; }
+  .ai-tag { font-size: 7.5pt; font-weight: 700; color: #3d5c00; background: #e8f7cf; border-radius: 1mm; padding: 0 1.2mm; margin-left: 1.5mm; }
+  .muted { color: #5f6368; }
+  .summary { font-size: 11pt; background: #f6fbe9; border-left: 1.2mm solid #aee92b; padding: 4mm 5mm; border-radius: 1.5mm; }
+  ul { margin: 0; padding-left: 5mm; }
+  li { margin-bottom: 1.2mm; }
+  .two-col { display: grid; grid-template-columns: 1fr 1fr; gap: 6mm; }
+  .screenshot { width: 100%; border: 0.3mm solid #e3e6e8; border-radius: 2mm; }
+`;
+
+/**
+ * Metrics table for one module
+ */
+function renderMetrics(key, data) {
+  const rows = (MODULE_METRICS[key] || [])
+    .map(([label, get, unit]) => [label, get(data), unit])
+    .filter(([, value]) => value !== null && value !== undefined);
+  if (rows.length === 0) return '';
+
+  return `
+    <h3>Metrics</h3>
+    <table class="metrics"><tbody>
+      ${rows.map(([label, value, unit]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(formatValue(value, unit))}</td></tr>`).join('')}
+    </tbody></table>`;
+}
+
+/**
+ * Issues table, most severe first
+ */
+function renderIssues(issues = []) {
+  if (issues.length === 0) return '<h3>Issues</h3><p class="muted">No issues found.</p>';
+
+  const sorted = [...issues].sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 4) - (SEVERITY_ORDER[b.severity] ?? 4));
+  return `
+    <h3>Issues (${issues.length})</h3>
+    <table>
+      <thead><tr><th style="width:18mm">Severity</th><th>Issue</th><th style="width:30mm">Category</th></tr></thead>
+      <tbody>
+        ${sorted.map(issue => `
+          <tr>
+            <td><span class="sev sev-${escapeHtml(issue.severity)}">${escapeHtml(issue.severity || '—')}</span></td>
+            <td>${escapeHtml(issue.description || issue.title || issue.id)}${issue.ai ? '<span class="ai-tag">AI</span>' : ''}</td>
+            <td class="muted">${escapeHtml(issue.category || '—')}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Fixes table, highest priority first
+ */
+function renderFixes(fixes = []) {
+  if (fixes.length === 0) return '';
+
+  const sorted = [...fixes].sort((a, b) => (a.priority ?? 99) - (b.priority ?? 99));
+  return `
+    <h3>Recommended Fixes (${fixes.length})</h3>
+    <table>
+      <thead><tr><th>Fix</th><th style="width:16mm">Impact</th><th style="width:16mm">Effort</th></tr></thead>
+      <tbody>
+        ${sorted.map(fix => `
+          <tr>
+            <td><strong>${escapeHtml(fix.title || fix.id)}</strong>${fix.ai ? '<span class="ai-tag">AI</span>' : ''}
+              ${fix.description ? `<div class="muted">${escapeHtml(fix.description)}</div>` : ''}</td>
+            <td>${typeof fix.impact_pct === 'number' ? `${fix.impact_pct}%` : '—'}</td>
+            <td>${typeof fix.effort_hours === 'number' ? `${fix.effort_hours}h` : '—'}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * AI executive summary, top priorities, quick wins and long-term goals
+ */
+function renderInsights(insights) {
+  if (!insights) return '';
+  const priorities = insights.topPriorities || [];
+  const quickWins = insights.quickWins || [];
+  const goals = insights.longTermGoals || [];
+  const list = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  return `
+    <section>
+      <h2 class="section-title">Executive Summary</h2>
+      ${insights.executiveSummary ? `<p class="summary">${escapeHtml(insights.executiveSummary)}</p>` : ''}
+      ${priorities.length > 0 ? `
+        <h3>Top Priorities</h3>
+        <table>
+          <thead><tr><th>Priority</th><th style="width:20mm">Impact</th><th style="width:20mm">ROI</th></tr></thead>
+          <tbody>
+            ${priorities.map(p => `
+              <tr>
+                <td><strong>${escapeHtml(p.title)}</strong>${p.description ? `<div class="muted">${escapeHtml(p.description)}</div>` : ''}</td>
+                <td>${escapeHtml(p.impact || '—')}</td>
+                <td>${escapeHtml(p.estimatedROI || '—')}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+      ${quickWins.length > 0 || goals.length > 0 ? `
+        <div class="two-col">
+          <div>${quickWins.length > 0 ? `<h3>Quick Wins</h3>${list(quickWins)}` : ''}</div>
+          <div>${goals.length > 0 ? `<h3>Long-Term Goals</h3>${list(goals)}` : ''}</div>
+        </div>` : ''}
+    </section>`;
+}
+
+/**
+ * Build the full HTML document for a report
+ * @param {Object} report - Report document (lean)
+ * @param {Object} options - { screenshot: viewport screenshot as base64 PNG }
+ * @returns {string} HTML
+ */
+function buildReportHtml(report, { screenshot = null } = {}) {
+  const aggregator = report.aggregator || {};
+  const modules = report.modules || {};
+  const moduleScores = aggregator.module_scores || {};
+  const score = aggregator.website_health_score;
+  const created = report.created_at ? new Date(report.created_at) : new Date();
+
+  const cover = `
+    <div class="cover">
+      <div class="cover-brand">${BRAND}</div>
+      <h1 class="cover-title">Website Audit Report</h1>
+      <div class="cover-url">${escapeHtml(report.final_url || report.url)}</div>
+      <div class="cover-score">
+        <div class="cover-ring"><strong>${escapeHtml(score ?? '—')}</strong><span>Health score</span></div>
+        <div>
+          <div class="cover-grade">${escapeHtml(aggregator.health_grade || '—')}</div>
+          <div class="muted">Overall risk: ${escapeHtml(formatValue(aggregator.overall_risk_level, ''))}</div>
+        </div>
+      </div>
+      <div class="cover-modules">
+        ${MODULES.map(({ key, label }) => `
+          <div class="cover-module"><span>${label}</span><strong>${escapeHtml(moduleScores[key] ?? modules[key]?.score ?? '—')}</strong></div>`).join('')}
+      </div>
+      <div class="cover-meta">
+        <span>${escapeHtml(report.emulation?.label || (report.emulate_mobile ? 'Mobile' : 'Desktop'))} · ${escapeHtml(report.scoring_profile?.label || 'Default')} profile</span>
+        <span>${escapeHtml(created.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }))}</span>
+      </div>
+    </div>`;
+
+  const overview = `
+    <section>
+      <h2 class="section-title">Overview</h2>
+      <table class="metrics"><tbody>
+        ${MODULES.map(({ key, label }) => {
+          const moduleScore = moduleScores[key] ?? modules[key]?.score;
+          return `<tr><td>${label}</td><td><span class="pill tone-${scoreTone(moduleScore)}">${escapeHtml(moduleScore ?? '—')}</span></td></tr>`;
+        }).join('')}
+      </tbody></table>
+      ${screenshot ? `<h3>Page Screenshot</h3><img class="screenshot" src="data:image/png;base64,${screenshot}" alt="Viewport screenshot">` : ''}
+    </section>`;
+
+  const moduleSections = MODULES
+    .filter(({ key }) => modules[key])
+    .map(({ key, label }) => {
+      const data = modules[key];
+      return `
+        <section class="module">
+          <div class="module-head section-title">
+            <h2>${label}</h2>
+            <span class="pill tone-${scoreTone(data.score)}">${escapeHtml(data.score ?? '—')} / 100</span>
+          </div>
+          ${renderMetrics(key, data)}
+          ${renderIssues(data.issues)}
+          ${renderFixes(data.fixes)}
+        </section>`;
+    }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${BRAND} — ${escapeHtml(report.url)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  ${cover}
+  ${renderInsights(report.ai_insights)}
+  ${overview}
+  ${moduleSections}
+</body>
+</html>`;
+}
+
+/**
+ * Render a report to PDF
+ * @param {Object} report - Report document (lean)
+ * @param {Object} options - Passed to buildReportHtml
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderReportPdf(report, options = {}) {
+  const browser = await chromium.launch({
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    headless: true
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(buildReportHtml(report, options), { waitUntil: 'load' });
+    await page.emulateMedia({ media: 'print' });
+
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '16mm', right: '14mm', bottom: '18mm', left: '14mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: `
+        <div style="width:100%;font-size:8px;color:#5f6368;padding:0 14mm;display:flex;justify-content:space-between;">
+          <span>${BRAND} · ${escapeHtml(report.url)}</span>
+          <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+        </div>`
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = {
+  buildReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,235 @@
+/**
+ * Report Diff
+ * Compares two analyses of the same site: score and metric deltas,
+ * new/resolved/persisting issues and on-page SEO changes.
+ */
+
+const { normalizeUrl } = require('./siteHistory');
+const { reportDevicePreset } = require('../scraper/devicePresets');
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+// Lower is better for every metric compared here
+const PERFORMANCE_METRICS = ['lcp_s', 'cls', 'fcp_s', 'ttfb_s', 'tbt_ms', 'inp_ms'];
+const RESOURCE_METRICS = ['total_requests', 'total_kb', 'total_js_kb', 'total_css_kb', 'total_images_kb', 'total_fonts_kb'];
+
+const RESOURCE_TYPE_PATTERNS = {
+  total_js_kb: /javascript|\.js/i,
+  total_css_kb: /css|\.css/i,
+  total_images_kb: /image|\.png|\.jpg|\.jpeg|\.webp|\.avif|\.gif|\.svg/i,
+  total_fonts_kb: /font|\.woff|\.woff2|\.ttf|\.otf/i
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compare two numbers
+ * @param {boolean} higherIsBetter - Scores improve upwards, metrics downwards
+ * @returns {Object} { before, after, delta, direction: improved|regressed|unchanged|unknown }
+ */
+function compareValues(before, after, higherIsBetter) {
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+  if (!isNum(before) || !isNum(after)) {
+    return { before: before ?? null, after: after ?? null, delta: null, direction: 'unknown' };
+  }
+
+  const delta = round(after - before);
+  let direction = 'unchanged';
+  if (delta !== 0) {
+    direction = (delta > 0) === higherIsBetter ? 'improved' : 'regressed';
+  }
+  return { before, after, delta, direction };
+}
+
+/**
+ * Sum raw resource sizes, overall and per type (same matching as the scraper)
+ */
+function resourceTotals(report) {
+  const resources = report.raw_artifacts?.resources || [];
+  const metrics = report.modules?.performance?.metrics || {};
+  const kb = (list) => round(list.reduce((sum, r) => sum + (r.size || 0), 0) / 1024);
+
+  const totals = {
+    total_requests: metrics.total_requests ?? (resources.length || null),
+    total_kb: resources.length ? kb(resources) : null
+  };
+  for (const [key, pattern] of Object.entries(RESOURCE_TYPE_PATTERNS)) {
+    totals[key] = resources.length
+      ? kb(resources.filter(r => pattern.test((r.contentType || '') + r.url)))
+      : (metrics[key] ?? null);
+  }
+  return totals;
+}
+
+/**
+ * Split issues into new / resolved / persisting, matched by issue id.
+ * AI-generated issues have no stable id and are left out of the match.
+ */
+function diffIssues(beforeIssues = [], afterIssues = []) {
+  const byId = (issues) => new Map(issues.filter(i => i && i.id && !i.ai).map(i => [i.id, i]));
+  const before = byId(beforeIssues);
+  const after = byId(afterIssues);
+
+  const pick = (issue) => ({ id: issue.id, severity: issue.severity, category: issue.category || null, description: issue.description });
+
+  return {
+    new: [...after.values()].filter(i => !before.has(i.id)).map(pick),
+    resolved: [...before.values()].filter(i => !after.has(i.id)).map(pick),
+    persisting: [...after.values()].filter(i => before.has(i.id)).map(issue => ({
+      ...pick(issue),
+      severity_before: before.get(issue.id).severity
+    }))
+  };
+}
+
+/**
+ * Compare two lists of strings (headings)
+ */
+function diffList(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item)),
+    changed: before.length !== after.length || before.some((item, i) => item !== after[i])
+  };
+}
+
+function diffText(before, after) {
+  return { before: before || null, after: after || null, changed: (before || '') !== (after || '') };
+}
+
+/**
+ * Collect schema.org @type values from JSON-LD blocks (including @graph)
+ */
+function structuredDataTypes(blocks = []) {
+  const types = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    [].concat(node['@type'] || []).forEach(type => types.add(String(type)));
+    if (node['@graph']) visit(node['@graph']);
+  };
+  visit(blocks);
+  return [...types].sort();
+}
+
+/**
+ * Compare on-page SEO elements from raw_artifacts.seo_raw
+ */
+function diffSeo(beforeSeo = {}, afterSeo = {}) {
+  const beforeTypes = structuredDataTypes(beforeSeo.structured_data);
+  const afterTypes = structuredDataTypes(afterSeo.structured_data);
+  const headingLevels = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+  return {
+    title: diffText(beforeSeo.title, afterSeo.title),
+    meta_description: diffText(beforeSeo.meta_description, afterSeo.meta_description),
+    canonical: diffText(beforeSeo.canonical, afterSeo.canonical),
+    robots_meta: diffText(beforeSeo.robots_meta, afterSeo.robots_meta),
+    headings: {
+      h1s: diffList(beforeSeo.h1s, afterSeo.h1s),
+      h2s: diffList(beforeSeo.h2s, afterSeo.h2s),
+      counts: Object.fromEntries(headingLevels.map(level => [level, {
+        before: beforeSeo.heading_counts?.[level] ?? null,
+        after: afterSeo.heading_counts?.[level] ?? null
+      }]))
+    },
+    structured_data: {
+      types_before: beforeTypes,
+      types_after: afterTypes,
+      types_added: afterTypes.filter(t => !beforeTypes.includes(t)),
+      types_removed: beforeTypes.filter(t => !afterTypes.includes(t)),
+      changed: JSON.stringify(beforeSeo.structured_data || []) !== JSON.stringify(afterSeo.structured_data || [])
+    }
+  };
+}
+
+function summarize(report) {
+  return {
+    id: report._id.toString(),
+    url: report.url,
+    final_url: report.final_url || null,
+    created_at: report.created_at,
+    emulate_mobile: !!report.emulate_mobile,
+    device_preset: reportDevicePreset(report),
+    scoring_profile: report.scoring_profile?.name || 'default'
+  };
+}
+
+function sameSite(a, b) {
+  try {
+    const left = normalizeUrl(a.url);
+    const right = normalizeUrl(b.url);
+    return left.host === right.host && left.path === right.path;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Diff two reports; `base` is the earlier run and `target` the later one
+ * @param {Object} base - Report (lean)
+ * @param {Object} target - Report (lean)
+ * @returns {Object} Diff
+ */
+function diffReports(base, target) {
+  const warnings = [];
+  if (!sameSite(base, target)) {
+    warnings.push('Reports are for different URLs; deltas compare different pages');
+  }
+  if (!!base.emulate_mobile !== !!target.emulate_mobile) {
+    warnings.push('Reports mix mobile and desktop scans');
+  } else if (reportDevicePreset(base) !== reportDevicePreset(target)) {
+    warnings.push('Reports were captured with different device presets');
+  }
+  if ((base.scoring_profile?.name || 'default') !== (target.scoring_profile?.name || 'default')) {
+    warnings.push('Reports were scored with different scoring profiles');
+  }
+
+  const modules = MODULES.filter(name => base.modules?.[name] || target.modules?.[name]);
+
+  const issues = Object.fromEntries(modules.map(name => [
+    name,
+    diffIssues(base.modules?.[name]?.issues, target.modules?.[name]?.issues)
+  ]));
+  const issueTotals = { new: 0, resolved: 0, persisting: 0 };
+  for (const moduleIssues of Object.values(issues)) {
+    for (const key of Object.keys(issueTotals)) issueTotals[key] += moduleIssues[key].length;
+  }
+
+  const basePerf = base.modules?.performance?.metrics || {};
+  const targetPerf = target.modules?.performance?.metrics || {};
+  const baseResources = resourceTotals(base);
+  const targetResources = resourceTotals(target);
+
+  return {
+    base: summarize(base),
+    target: summarize(target),
+    warnings,
+    scores: {
+      website_health_score: compareValues(
+        base.aggregator?.website_health_score, target.aggregator?.website_health_score, true
+      ),
+      health_grade: { before: base.aggregator?.health_grade || null, after: target.aggregator?.health_grade || null },
+      modules: Object.fromEntries(modules.map(name => [
+        name,
+        compareValues(base.modules?.[name]?.score, target.modules?.[name]?.score, true)
+      ]))
+    },
+    issues: { ...issues, totals: issueTotals },
+    metrics: {
+      performance: Object.fromEntries(PERFORMANCE_METRICS.map(key => [
+        key, compareValues(basePerf[key], targetPerf[key], false)
+      ])),
+      resources: Object.fromEntries(RESOURCE_METRICS.map(key => [
+        key, compareValues(baseResources[key], targetResources[key], false)
+      ]))
+    },
+    seo_changes: diffSeo(base.raw_artifacts?.seo_raw, target.raw_artifacts?.seo_raw)
+  };
+}
+
+module.exports = {
+  diffReports,
+  diffIssues,
+  compareValues
+};
@@ -0,0 +1,249 @@
+/**
+ * Site History
+ * Builds a score/metric time series across all reports for a normalized URL
+ * and flags runs that regressed against the previous run.
+ */
+
+const Report = require('../../models/Report');
+const { getDevicePreset } = require('../scraper/devicePresets');
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+const DEFAULTS = {
+  limit: 50
+};
+
+const LIMITS = {
+  limit: 200
+};
+
+/**
+ * Change vs the previous run that counts as a regression
+ *   *_POINTS: absolute drop in a 0-100 score
+ *   *_PCT:    relative increase (metrics) or decrease (word count)
+ */
+const REGRESSION_THRESHOLDS = {
+  HEALTH_SCORE_POINTS: 5,
+  MODULE_SCORE_POINTS: 10,
+  LCP_S: 0.5,
+  LCP_PCT: 20,
+  CLS: 0.05,
+  TBT_MS: 100,
+  TBT_PCT: 25,
+  AXE_VIOLATIONS: 3,
+  WORD_COUNT_PCT: 30
+};
+
+/**
+ * Normalize a host: lowercase, no "www." prefix, no port
+ */
+function normalizeHost(host) {
+  return String(host || '').trim().toLowerCase().replace(/^www\./, '').replace(/:\d+$/, '');
+}
+
+/**
+ * Normalize a path: leading slash, no trailing slash, no query or fragment
+ */
+function normalizePath(path) {
+  const clean = String(path || '/').split(/[?#]/)[0].replace(/\/+$/, '');
+  return clean.startsWith('/') ? clean || '/' : `/${clean}`;
+}
+
+/**
+ * Split a URL into its normalized { host, path }
+ */
+function normalizeUrl(url) {
+  const u = new URL(url);
+  return { host: normalizeHost(u.hostname), path: normalizePath(u.pathname) };
+}
+
+/**
+ * Site key stored on reports: normalized host + path, so every scheme/www/port/
+ * trailing-slash/query variant of a page shares one key ("example.com/pricing")
+ * @param {string} url - Report URL
+ * @returns {string|null} Key, null for a missing or invalid URL
+ */
+function siteKey(url) {
+  try {
+    const { host, path } = normalizeUrl(url);
+    return `${host}${path}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reports that ran on a device preset. Reports from before presets only know
+ * the mobile flag and count as the plain "mobile" or "desktop" preset.
+ */
+function deviceFilter(device) {
+  if (device !== 'desktop' && device !== 'mobile') return { device_preset: device };
+  return {
+    $or: [
+      { device_preset: device },
+      { device_preset: null, emulate_mobile: device === 'mobile' ? true : { $ne: true } }
+    ]
+  };
+}
+
+/**
+ * Flatten a report into a history point
+ */
+function toHistoryPoint(report) {
+  const modules = report.modules || {};
+  const metrics = modules.performance?.metrics || {};
+
+  return {
+    report_id: report._id.toString(),
+    created_at: report.created_at,
+    url: report.url,
+    website_health_score: report.aggregator?.website_health_score ?? null,
+    health_grade: report.aggregator?.health_grade || null,
+    scoring_profile: report.scoring_profile?.name || 'default',
+    module_scores: Object.fromEntries(MODULES.map(name => [name, modules[name]?.score ?? null])),
+    metrics: {
+      lcp_s: metrics.lcp_s ?? null,
+      cls: metrics.cls ?? null,
+      tbt_ms: metrics.tbt_ms ?? null,
+      word_count: modules.content?.word_count ?? null,
+      axe_violations: modules.ux?.violations_count ?? null
+    }
+  };
+}
+
+/**
+ * Compare a run with the previous one
+ * @returns {Object[]} Regressions: [{ field, label, previous, current, change }]
+ */
+function detectRegressions(previous, current) {
+  const regressions = [];
+  const T = REGRESSION_THRESHOLDS;
+  const isNum = (v) => typeof v === 'number';
+
+  const push = (field, label, prev, curr) => {
+    regressions.push({ field, label, previous: prev, current: curr, change: Math.round((curr - prev) * 1000) / 1000 });
+  };
+
+  const prevScore = previous.website_health_score;
+  const currScore = current.website_health_score;
+  if (isNum(prevScore) && isNum(currScore) && prevScore - currScore >= T.HEALTH_SCORE_POINTS) {
+    push('website_health_score', 'Health score', prevScore, currScore);
+  }
+
+  for (const name of MODULES) {
+    const prev = previous.module_scores[name];
+    const curr = current.module_scores[name];
+    if (isNum(prev) && isNum(curr) && prev - curr >= T.MODULE_SCORE_POINTS) {
+      push(`module_scores.${name}`, `${name} score`, prev, curr);
+    }
+  }
+
+  const p = previous.metrics;
+  const c = current.metrics;
+  if (isNum(p.lcp_s) && isNum(c.lcp_s) && c.lcp_s - p.lcp_s >= T.LCP_S && c.lcp_s >= p.lcp_s * (1 + T.LCP_PCT / 100)) {
+    push('metrics.lcp_s', 'LCP', p.lcp_s, c.lcp_s);
+  }
+  if (isNum(p.cls) && isNum(c.cls) && c.cls - p.cls >= T.CLS) {
+    push('metrics.cls', 'CLS', p.cls, c.cls);
+  }
+  if (isNum(p.tbt_ms) && isNum(c.tbt_ms) && c.tbt_ms - p.tbt_ms >= T.TBT_MS && c.tbt_ms >= p.tbt_ms * (1 + T.TBT_PCT / 100)) {
+    push('metrics.tbt_ms', 'TBT', p.tbt_ms, c.tbt_ms);
+  }
+  if (isNum(p.axe_violations) && isNum(c.axe_violations) && c.axe_violations - p.axe_violations >= T.AXE_VIOLATIONS) {
+    push('metrics.axe_violations', 'Axe violations', p.axe_violations, c.axe_violations);
+  }
+  if (isNum(p.word_count) && isNum(c.word_count) && p.word_count > 0 &&
+    (p.word_count - c.word_count) / p.word_count * 100 >= T.WORD_COUNT_PCT) {
+    push('metrics.word_count', 'Word count', p.word_count, c.word_count);
+  }
+
+  return regressions;
+}
+
+/**
+ * Get the analysis history for a host + path
+ * @param {string} host - Host name ("example.com", "www.example.com")
+ * @param {Object} opts - { path, device: device preset name (default 'desktop'), limit }
+ * @returns {Promise<Object>} { host, path, device, count, regression_count, points }
+ */
+async function getSiteHistory(host, opts = {}) {
+  const normalizedHost = normalizeHost(host);
+  const path = normalizePath(opts.path);
+  // Throttled or differently sized runs are a separate series, not a regression
+  const device = typeof opts.device === 'string' && getDevicePreset(opts.device) ? opts.device : 'desktop';
+  const limit = Math.min(parseInt(opts.limit) || DEFAULTS.limit, LIMITS.limit);
+  const key = `${normalizedHost}${path}`;
+
+  // Most recent runs first, then re-ordered oldest → newest for charting.
+  // Failed jobs have no aggregate; budget-failed runs still carry full scores.
+  const reports = await Report.find({
+    $and: [{ $or: [{ site_key: key }, { final_site_key: key }] }, deviceFilter(device)],
+    'aggregator.website_health_score': { $ne: null }
+  })
+    .sort({ created_at: -1 })
+    .limit(limit)
+    .select('url created_at aggregator.website_health_score aggregator.health_grade scoring_profile.name ' +
+      MODULES.map(name => `modules.${name}.score`).join(' ') +
+      ' modules.performance.metrics modules.content.word_count modules.ux.violations_count')
+    .lean();
+
+  const points = reports.reverse().map(toHistoryPoint);
+  points.forEach((point, i) => {
+    point.regressions = i > 0 ? detectRegressions(points[i - 1], point) : [];
+    point.regressed = point.regressions.length > 0;
+  });
+
+  return {
+    host: normalizedHost,
+    path,
+    device,
+    count: points.length,
+    regression_count: points.filter(p => p.regressed).length,
+    thresholds: REGRESSION_THRESHOLDS,
+    points
+  };
+}
+
+/**
+ * Set site keys on reports saved before they existed. Runs once at startup;
+ * reports already keyed are skipped.
+ */
+async function backfillSiteKeys() {
+  const BATCH_SIZE = 500;
+  const cursor = Report.find({ site_key: { $exists: false } }).select('url final_url').lean().cursor();
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Report.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const report of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: report._id },
+        update: { $set: { site_key: siteKey(report.url), final_site_key: siteKey(report.final_url) } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (updated > 0) {
+    console.log(`[SiteHistory] Backfilled site keys on ${updated} report(s)`);
+  }
+}
+
+module.exports = {
+  REGRESSION_THRESHOLDS,
+  normalizeHost,
+  normalizePath,
+  normalizeUrl,
+  siteKey,
+  backfillSiteKeys,
+  detectRegressions,
+  getSiteHistory
+};
@@ -0,0 +1,34 @@
+/**
+ * Job Events
+ * In-process pub/sub for analysis job progress, consumed by the SSE endpoint
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection, so no fixed limit
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a progress event for a job
+ * @param {Object} event - Progress event ({ jobId, status, progress, message, stage, ... })
+ */
+function publishJobEvent(event) {
+  emitter.emit(event.jobId, { ...event, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Subscribe to progress events for a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each progress event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribeToJob
+};
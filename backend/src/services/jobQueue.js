@@ -0,0 +1,223 @@
+/**
+ * Job Queue
+ * Persistent analysis queue backed by the Report collection.
+ * Jobs are stored as `pending` reports, claimed atomically by the worker,
+ * and run through runAnalysisJob with progress written back to the report.
+ */
+
+const Report = require('../models/Report');
+const { runAnalysisJob } = require('./jobRunner');
+const { publishJobEvent } = require('./jobEvents');
+const { sealSecret } = require('./auth/secretBox');
+const { siteKey } = require('./history/siteHistory');
+const { v4: uuidv4 } = require('uuid');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '1');
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000');
+
+let activeJobs = 0;
+let draining = false;
+let pollTimer = null;
+
+// Other browser tasks (journey runs) waiting for a worker slot
+const waitingTasks = [];
+
+/**
+ * Enqueue an analysis job
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Analysis options passed to runAnalysisJob
+ * @returns {Promise<Object>} Pending Report document
+ */
+async function enqueueAnalysis(url, options = {}) {
+  const jobId = uuidv4();
+  // Credentials are kept sealed, outside job_options
+  const { auth, ...jobOptions } = options;
+
+  const report = new Report({
+    request_id: jobId,
+    url,
+    site_key: siteKey(url),
+    status: 'pending',
+    progress: 0,
+    progress_message: 'Queued',
+    progress_stage: 'queued',
+    emulate_mobile: options.emulateMobile || false,
+    device_preset: options.devicePreset || (options.emulateMobile ? 'mobile' : 'desktop'),
+    job_options: jobOptions,
+    auth_secret: auth ? sealSecret(auth) : undefined
+  });
+  await report.save();
+
+  // Kick the worker instead of waiting for the next poll
+  setImmediate(drainQueue);
+
+  return report;
+}
+
+/**
+ * Atomically claim the oldest pending job
+ * @returns {Promise<Object|null>} Claimed Report document
+ */
+function claimNextJob() {
+  return Report.findOneAndUpdate(
+    { status: 'pending' },
+    { $set: { status: 'running', started_at: new Date(), progress_message: 'Starting...', progress_stage: 'queued' } },
+    { sort: { created_at: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed job, persisting every progress update on its report
+ * @param {Object} job - Claimed Report document
+ */
+async function processJob(job) {
+  const jobId = job.request_id;
+  console.log(`[JobQueue] Running job ${jobId} for ${job.url}`);
+
+  // Serialize progress writes so they land in emission order
+  let progressWrites = Promise.resolve();
+  const onProgress = (event) => {
+    publishJobEvent(event);
+
+    const { status, progress, message, stage } = event;
+    progressWrites = progressWrites
+      .then(() => Report.updateOne(
+        { request_id: jobId },
+        { $set: { status, progress, progress_message: message, progress_stage: stage } }
+      ))
+      .catch(err => console.error(`[JobQueue] Progress update failed for ${jobId}:`, err.message));
+  };
+
+  let authSecret = null;
+  try {
+    const stored = await Report.findById(job._id).select('+auth_secret').lean();
+    authSecret = stored?.auth_secret || null;
+
+    await runAnalysisJob(job.url, { ...(job.job_options || {}), authSecret, jobId }, onProgress);
+    console.log(`[JobQueue] Job ${jobId} completed`);
+  } catch (error) {
+    // runAnalysisJob already persisted the failed state
+    console.error(`[JobQueue] Job ${jobId} failed:`, error.message);
+  } finally {
+    await progressWrites;
+    if (authSecret) {
+      await Report.updateOne({ _id: job._id }, { $unset: { auth_secret: 1 } })
+        .catch(err => console.error(`[JobQueue] Failed to clear credentials for ${jobId}:`, err.message));
+    }
+  }
+}
+
+/**
+ * Run a browser task in one of the worker slots, so it shares the
+ * JOB_CONCURRENCY limit with queued analyses. Waiting tasks go before pending jobs.
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Task result
+ */
+function runInWorkerSlot(task) {
+  return new Promise((resolve, reject) => {
+    waitingTasks.push({ task, resolve, reject });
+    setImmediate(drainQueue);
+  });
+}
+
+/**
+ * Claim and start pending jobs up to the concurrency limit
+ */
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (activeJobs < CONCURRENCY) {
+      if (waitingTasks.length > 0) {
+        const { task, resolve, reject } = waitingTasks.shift();
+        activeJobs++;
+        Promise.resolve().then(task).then(resolve, reject).finally(() => {
+          activeJobs--;
+          setImmediate(drainQueue);
+        });
+        continue;
+      }
+
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      processJob(job).finally(() => {
+        activeJobs--;
+        setImmediate(drainQueue);
+      });
+    }
+  } catch (error) {
+    console.error('[JobQueue] Failed to claim job:', error.message);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start the worker. Jobs left `running` by a previous process are requeued.
+ * Assumes a single worker process per database.
+ */
+async function startWorker() {
+  const { modifiedCount } = await Report.updateMany(
+    { status: 'running' },
+    { $set: { status: 'pending', progress: 0, progress_message: 'Requeued after restart', progress_stage: 'queued' } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`[JobQueue] Requeued ${modifiedCount} interrupted job(s)`);
+  }
+
+  pollTimer = setInterval(drainQueue, POLL_INTERVAL_MS);
+  console.log(`[JobQueue] Worker started (concurrency=${CONCURRENCY})`);
+  drainQueue();
+}
+
+/**
+ * Stop polling for new jobs (running jobs are left to finish)
+ */
+function stopWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Get the status of a job
+ * @param {string} jobId - Job ID (Report request_id)
+ * @returns {Promise<Object|null>} Job status or null if unknown
+ */
+async function getJobStatus(jobId) {
+  const report = await Report.findOne({ request_id: jobId })
+    .select('request_id url status progress progress_message progress_stage created_at started_at finished_at errors budget.name budget.status budget.failed_count budget.enforced');
+  if (!report) return null;
+
+  return {
+    jobId: report.request_id,
+    reportId: report._id.toString(),
+    url: report.url,
+    status: report.status,
+    progress: report.progress,
+    message: report.progress_message,
+    stage: report.progress_stage,
+    error: report.status === 'failed' ? ((report.get('errors') || [])[0] || 'Analysis failed') : null,
+    budget: report.budget?.status ? {
+      name: report.budget.name,
+      status: report.budget.status,
+      failed_count: report.budget.failed_count,
+      enforced: report.budget.enforced
+    } : null,
+    created_at: report.created_at,
+    started_at: report.started_at,
+    finished_at: report.finished_at
+  };
+}
+
+module.exports = {
+  enqueueAnalysis,
+  startWorker,
+  stopWorker,
+  getJobStatus,
+  runInWorkerSlot
+};
@@ -4,19 +4,51 @@
  */
 
 const { combinedScrape } = require('./scraper/combinedScraper');
+const { checkLinks } = require('./links/linkChecker');
 const performanceModule = require('./modules/performanceModule');
 const uxModule = require('./modules/uxModule');
 const seoModule = require('./modules/seoModule');
 const contentModule = require('./modules/contentModule');
+const securityModule = require('./modules/securityModule');
 const { smartAggregate } = require('../aggregator/smartAggregator');
+const { resolveProfile } = require('../aggregator/scoringProfiles');
+const { resolveRuleSets, applyRules } = require('./rules/rulesEngine');
+const { resolveBudget, evaluateBudget, describeBudgetFailures } = require('./budgets/performanceBudget');
 const { enhanceModulesWithAI } = require('./ai/moduleEnhancer');
+const { emitWebhookEvent } = require('./webhooks/webhookDispatcher');
+const { saveScreenshots } = require('./screenshots/screenshotStore');
+const { buildAnnotations } = require('./screenshots/annotations');
+const { resolveDevicePreset } = require('./scraper/devicePresets');
+const { describeScanAuth } = require('./scraper/scanAuth');
+const { openSecret } = require('./auth/secretBox');
 const Report = require('../models/Report');
+const { siteKey } = require('./history/siteHistory');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Validate the links collected by the scraper; failures never block the analysis.
+ * Same-origin links are skipped for authenticated scans: without the scan's
+ * session they would report login redirects, and with it a GET could act as the user.
+ * @param {Object} artifact - Scraper artifact
+ * @param {Object|null} auth - Scan credentials
+ * @returns {Promise<Object|null>} Link check summary
+ */
+async function runLinkCheck(artifact, auth = null) {
+  try {
+    return await checkLinks(artifact.seo.links, {
+      sourcePage: artifact.finalUrl || artifact.originalUrl,
+      skipInternal: !!auth
+    });
+  } catch (error) {
+    console.error('[JobRunner] Link check failed:', error.message);
+    return null;
+  }
+}
+
 /**
  * Run complete analysis job
  * @param {string} url - URL to analyze
- * @param {Object} options - Analysis options
+ * @param {Object} options - Analysis options (emulateMobile or devicePreset, auth or sealed authSecret, timeout, scoringProfile, ruleSets, budget, failOnBudget, ...)
  * @param {Function} progressCallback - Optional callback for progress updates
  * @returns {Promise<Object>} Complete analysis result
  */
@@ -24,38 +56,88 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
   const jobId = options.jobId || uuidv4();
   const startTime = Date.now();
 
-  const updateProgress = (status, progress, message) => {
+  let currentProgress = 0;
+  const updateProgress = (status, progress, message, details = {}) => {
+    currentProgress = progress;
     if (progressCallback) {
-      progressCallback({ jobId, status, progress, message });
+      progressCallback({ jobId, status, progress, message, ...details });
     }
   };
 
   try {
-    updateProgress('running', 10, 'Starting scraper...');
+    // Resolve the scoring profile up front so a bad selection fails before scraping
+    const { profile, error: profileError } = await resolveProfile(options.scoringProfile);
+    if (profileError) throw new Error(profileError);
+    const { ruleSets, error: ruleSetError } = await resolveRuleSets(options.ruleSets);
+    if (ruleSetError) throw new Error(ruleSetError);
+    const { budget, error: budgetError } = await resolveBudget(options.budget);
+    if (budgetError) throw new Error(budgetError);
+    const { preset, error: presetError } = resolveDevicePreset(options.devicePreset, options.emulateMobile);
+    if (presetError) throw new Error(presetError);
+    const auth = options.authSecret ? openSecret(options.authSecret) : (options.auth || null);
+
+    updateProgress('running', 10, 'Starting scraper...', { stage: 'scrape' });
 
     // ============================================
     // Step 1: Scrape the website
     // ============================================
     const artifact = await combinedScrape(url, {
-      emulateMobile: options.emulateMobile || false,
+      devicePreset: preset.name,
+      auth,
       timeout: options.timeout || 45000
     });
 
-    updateProgress('running', 30, 'Scraping completed, analyzing performance...');
+    // ============================================
+    // Step 1b: Validate links found on the page
+    // ============================================
+    updateProgress('running', 20, 'Scraping completed, checking links...', { stage: 'scrape' });
+    artifact.link_check = await runLinkCheck(artifact, auth);
+
+    updateProgress('running', 30, 'Link check completed, analyzing performance...', { stage: 'modules' });
 
     // ============================================
     // Step 2: Run all modules in parallel
     // ============================================
-    const isMobile = options.emulateMobile || false;
+    const isMobile = preset.mobile;
+
+    // Each finished module moves progress from 30% towards 60%
+    const MODULE_LABELS = { performance: 'Performance', ux: 'UX', seo: 'SEO', content: 'Content', security: 'Security' };
+    const moduleCount = Object.keys(MODULE_LABELS).length;
+    let modulesDone = 0;
+    const trackModule = (name, promise) => promise.then(result => {
+      modulesDone++;
+      updateProgress('running', 30 + Math.round((30 * modulesDone) / moduleCount), `${MODULE_LABELS[name]} analysis completed`, {
+        stage: 'modules',
+        module: name,
+        score: result?.score ?? null
+      });
+      return result;
+    });
+
+    // Lighthouse fallback runs inside the performance module; forward its events
+    const onLighthouseProgress = ({ event, message }) => {
+      updateProgress('running', currentProgress, message, { stage: 'lighthouse', event });
+    };
 
-    const [performanceResult, uxResult, seoResult, contentResult] = await Promise.all([
-      performanceModule.analyze(artifact, { url, emulateMobile: isMobile }),
-      uxModule.analyze(artifact, isMobile),
-      seoModule.analyze(artifact),
-      contentModule.analyze(artifact)
+    const [performanceResult, uxResult, seoResult, contentResult, securityResult] = await Promise.all([
+      // Lighthouse runs without the scan's credentials, so authenticated scans skip it
+      trackModule('performance', performanceModule.analyze(artifact, { url, emulateMobile: isMobile, skipLighthouse: !!auth, onProgress: onLighthouseProgress })),
+      trackModule('ux', uxModule.analyze(artifact, isMobile)),
+      trackModule('seo', seoModule.analyze(artifact)),
+      trackModule('content', contentModule.analyze(artifact)),
+      trackModule('security', securityModule.analyze(artifact))
     ]);
 
-    updateProgress('running', 60, 'Module analysis completed, running AI enhancement...');
+    // Custom rule sets add their issues/fixes and penalties before AI enhancement sees the scores
+    applyRules({
+      performance: performanceResult,
+      ux: uxResult,
+      seo: seoResult,
+      content: contentResult,
+      security: securityResult
+    }, artifact, ruleSets);
+
+    updateProgress('running', 60, 'Module analysis completed, running AI enhancement...', { stage: 'ai_enhance' });
 
     // ============================================
     // Step 3: AI-Enhanced Module Analysis
@@ -64,7 +146,8 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
       perf: !!performanceResult,
       ux: !!uxResult,
       seo: !!seoResult,
-      content: !!contentResult
+      content: !!contentResult,
+      security: !!securityResult
     });
 
     let enhanced;
@@ -73,14 +156,15 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
         performance: performanceResult,
         ux: uxResult,
         seo: seoResult,
-        content: contentResult
+        content: contentResult,
+        security: securityResult
       });
     } catch (aiError) {
       console.error('[JobRunner] AI module enhancement failed, using rule-based results:', aiError.message);
-      enhanced = { performance: performanceResult, ux: uxResult, seo: seoResult, content: contentResult };
+      enhanced = { performance: performanceResult, ux: uxResult, seo: seoResult, content: contentResult, security: securityResult };
     }
 
-    updateProgress('running', 75, 'Generating strategic AI insights...');
+    updateProgress('running', 75, 'Generating strategic AI insights...', { stage: 'insights' });
 
     // ============================================
     // Step 4: API Aggregation & AI Insights
@@ -91,36 +175,61 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
         performance: enhanced.performance,
         ux: enhanced.ux,
         seo: enhanced.seo,
-        content: enhanced.content
-      });
+        content: enhanced.content,
+        security: enhanced.security
+      }, profile);
     } catch (aggError) {
       console.error('[JobRunner] Smart Aggregation failed:', aggError);
       throw aggError;
     }
 
-    updateProgress('running', 88, 'Saving report to database...');
+    // ============================================
+    // Step 4b: Performance budget
+    // ============================================
+    const budgetResult = evaluateBudget(artifact, budget);
+    const budgetFailed = !!options.failOnBudget && budgetResult.status === 'fail';
+    const budgetMessage = budgetFailed ? `Performance budget exceeded: ${describeBudgetFailures(budgetResult)}` : null;
+
+    updateProgress('running', 88, 'Saving report to database...', { stage: 'save' });
 
     // ============================================
     // Step 5: Save to MongoDB
     // ============================================
-    const report = new Report({
-      request_id: jobId,
+    // Queued jobs already own a pending Report document; reuse it if present
+    const report = (await Report.findOne({ request_id: jobId })) || new Report({ request_id: jobId });
+
+    // Screenshots are kept as files next to the report, not inline
+    let screenshotPaths = {};
+    try {
+      screenshotPaths = await saveScreenshots(report._id.toString(), artifact);
+    } catch (error) {
+      console.error('[JobRunner] Failed to store screenshots:', error.message);
+    }
+
+    report.set({
       url: url,
       final_url: artifact.finalUrl,
-      status: 'completed',
-      created_at: new Date(startTime),
+      site_key: siteKey(url),
+      final_site_key: siteKey(artifact.finalUrl),
+      status: budgetFailed ? 'failed' : 'completed',
+      created_at: report.isNew ? new Date(startTime) : report.created_at,
       finished_at: new Date(),
+      progress: 100,
+      progress_message: budgetMessage || 'Analysis completed successfully',
 
       // Raw artifacts
       raw_artifacts: {
         html: null, // artifact.html (Saving space),
-        screenshot_full_base64: null, // artifact.screenshot_full (Saving space),
-        screenshot_viewport_base64: null, // artifact.screenshot_viewport (Saving space),
+        screenshot_full_base64: null,
+        screenshot_viewport_base64: null,
+        ...screenshotPaths,
         resources: artifact.resources.all,
         redirect_chain: artifact.redirectChain,
+        link_check: artifact.link_check ? { ...artifact.link_check, results: undefined } : null,
 
         performance_raw: artifact.performance,
         axe_results: artifact.ux.axe_results,
+        annotations: buildAnnotations(artifact.ux, enhanced.ux),
         seo_raw: artifact.seo,
         content_raw: artifact.content
       },
@@ -130,7 +239,8 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
         performance: enhanced.performance,
         ux: enhanced.ux,
         seo: enhanced.seo,
-        content: enhanced.content
+        content: enhanced.content,
+        security: enhanced.security
       },
 
       // Aggregated results
@@ -140,25 +250,55 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
       // Metadata
       user_agent: artifact.userAgent,
       viewport: artifact.viewport,
-      emulate_mobile: options.emulateMobile || false,
+      emulate_mobile: isMobile,
+      device_preset: preset.name,
+      emulation: artifact.emulation,
+      authentication: describeScanAuth(auth),
       load_time_ms: artifact.loadTimeMs,
       http_status: artifact.httpStatus,
+      http_response: artifact.mainDocument,
+      scoring_profile: smartResult.aggregator.scoring_profile,
+      rule_sets_applied: ruleSets.map(r => r.name),
+      budget: { ...budgetResult, enforced: !!options.failOnBudget },
 
       warnings: [],
-      errors: []
+      errors: budgetMessage ? [budgetMessage] : []
     });
 
     await report.save();
 
-    updateProgress('completed', 100, 'Analysis completed successfully');
+    if (budgetFailed) {
+      // The full report is kept; only the job outcome is failed
+      updateProgress('failed', 100, budgetMessage, { stage: 'budget', reportId: report._id.toString() });
+    } else {
+      updateProgress('completed', 100, 'Analysis completed successfully', { stage: 'completed', reportId: report._id.toString() });
+    }
 
     const duration = Date.now() - startTime;
 
+    // Competitor runs are reported once, through competitor.completed
+    if (!options.isCompetitor) {
+      emitWebhookEvent(budgetFailed ? 'analysis.failed' : 'analysis.completed', {
+        jobId,
+        reportId: report._id.toString(),
+        url,
+        final_url: artifact.finalUrl,
+        status: budgetFailed ? 'failed' : 'completed',
+        error: budgetMessage,
+        duration_ms: duration,
+        website_health_score: smartResult.aggregator.website_health_score,
+        health_grade: smartResult.aggregator.health_grade,
+        module_scores: smartResult.aggregator.module_scores,
+        scoring_profile: smartResult.aggregator.scoring_profile?.name || 'default',
+        budget: { name: budgetResult.name, status: budgetResult.status, failed_count: budgetResult.failed_count }
+      });
+    }
+
     // ============================================
     // Return complete result
     // ============================================
     return {
-      success: true,
+      success: !budgetFailed,
       jobId,
       reportId: report._id.toString(),
       url,
@@ -167,6 +307,8 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
       website_health_score: smartResult.aggregator.website_health_score,
       health_grade: smartResult.aggregator.health_grade,
       module_scores: smartResult.aggregator.module_scores,
+      scoring_profile: smartResult.aggregator.scoring_profile,
+      budget: budgetResult,
       dominant_risk_domains: smartResult.aggregator.dominant_risk_domains,
       action_recommendation: smartResult.aggregator.action_recommendation_flag,
       ai_insights: smartResult.aiInsights,
@@ -174,16 +316,18 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
     };
 
   } catch (error) {
-    updateProgress('failed', 0, error.message);
+    updateProgress('failed', 0, error.message, { stage: 'failed' });
 
     // Try to save failed report
+    let failedReport = null;
     try {
-      const failedReport = new Report({
-        request_id: jobId,
+      failedReport = (await Report.findOne({ request_id: jobId })) || new Report({ request_id: jobId });
+      failedReport.set({
         url: url,
         status: 'failed',
-        created_at: new Date(startTime),
+        created_at: failedReport.isNew ? new Date(startTime) : failedReport.created_at,
         finished_at: new Date(),
+        progress_message: error.message,
         errors: [error.message],
         warnings: [error.stack]
       });
@@ -192,6 +336,20 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
       console.error('Failed to save error report:', saveError);
     }
 
+    if (!options.isCompetitor) {
+      emitWebhookEvent('analysis.failed', {
+        jobId,
+        reportId: failedReport && !failedReport.isNew ? failedReport._id.toString() : null,
+        url,
+        status: 'failed',
+        error: error.message,
+        duration_ms: Date.now() - startTime,
+        website_health_score: null,
+        health_grade: null,
+        module_scores: null
+      });
+    }
+
     throw error;
   }
 }
@@ -204,9 +362,16 @@ async function runAnalysisJob(url, options = {}, progressCallback = null) {
  * @returns {Promise<Object>} Partial analysis result
  */
 async function runPartialAnalysis(url, moduleNames, options = {}) {
+  const { ruleSets, error: ruleSetError } = await resolveRuleSets(options.ruleSets);
+  if (ruleSetError) throw new Error(ruleSetError);
+
   const artifact = await combinedScrape(url, options);
   const isMobile = options.emulateMobile || false;
 
+  if (moduleNames.includes('seo')) {
+    artifact.link_check = await runLinkCheck(artifact, options.auth);
+  }
+
   const results = {};
 
   if (moduleNames.includes('performance')) {
@@ -221,6 +386,11 @@ async function runPartialAnalysis(url, moduleNames, options = {}) {
   if (moduleNames.includes('content')) {
     results.content = await contentModule.analyze(artifact);
   }
+  if (moduleNames.includes('security')) {
+    results.security = await securityModule.analyze(artifact);
+  }
+
+  applyRules(results, artifact, ruleSets);
 
   return {
     success: true,
@@ -0,0 +1,383 @@
+/**
+ * Journey Runner
+ * Replays a multi-step flow (navigate, click, fill, wait, assert) in one
+ * browser session and snapshots the page after every step: performance
+ * observers, axe-core, CTA detection and a viewport screenshot.
+ * The run stops at the first failing step.
+ */
+
+const { chromium } = require('playwright');
+const Journey = require('../../models/Journey');
+const JourneyRun = require('../../models/JourneyRun');
+const { resolveDevicePreset, describeEmulation, NETWORK_PROFILES } = require('../scraper/devicePresets');
+const { installPerformanceObservers, readPerformance, detectCtas, runAxe } = require('../scraper/pageProbes');
+const { calculatePerformanceScore } = require('../modules/performanceModule');
+const { calculateUXScore } = require('../modules/uxModule');
+const { writeScreenshotFile } = require('../screenshots/screenshotStore');
+
+const MAX_STEPS = 30;
+const MAX_STEP_TIMEOUT_MS = 60000;
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+const MAX_WAIT_MS = 30000;
+// How long to let network activity settle after a step before measuring
+const SETTLE_TIMEOUT_MS = 5000;
+
+// action → required string fields (wait and assert take one of several, checked below)
+const JOURNEY_ACTIONS = {
+  navigate: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  wait: [],
+  assert: []
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * Validate a journey's step list
+ * @param {Object[]} steps - [{ name, action, url, selector, value, text, duration_ms, timeout }]
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateJourneySteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) return ['steps must be a non-empty array'];
+
+  const errors = [];
+  if (steps.length > MAX_STEPS) errors.push(`A journey can have at most ${MAX_STEPS} steps`);
+  if (steps[0]?.action !== 'navigate') errors.push('The first step must be a navigate step');
+
+  steps.forEach((step, i) => {
+    const label = `steps[${i}]`;
+    const required = isPlainObject(step) ? JOURNEY_ACTIONS[step.action] : null;
+    if (!required) {
+      errors.push(`${label}.action must be one of ${Object.keys(JOURNEY_ACTIONS).join(', ')}`);
+      return;
+    }
+    for (const field of required) {
+      if (typeof step[field] !== 'string' || (field !== 'value' && !step[field])) {
+        errors.push(`${label}.${field} is required for "${step.action}"`);
+      }
+    }
+    for (const field of ['name', 'url', 'selector', 'value', 'text']) {
+      if (step[field] !== undefined && typeof step[field] !== 'string') errors.push(`${label}.${field} must be a string`);
+    }
+    if (step.action === 'navigate' && typeof step.url === 'string' && !/^https?:\/\//i.test(step.url)) {
+      errors.push(`${label}.url must be an absolute http(s) URL`);
+    }
+    if (step.action === 'wait' && !step.selector && !step.url && step.duration_ms === undefined) {
+      errors.push(`${label} needs a selector, url or duration_ms to wait for`);
+    }
+    if (step.action === 'assert' && !step.selector && !step.text) {
+      errors.push(`${label} needs a selector and/or text to assert`);
+    }
+    if (step.duration_ms !== undefined && !(Number.isFinite(step.duration_ms) && step.duration_ms > 0 && step.duration_ms <= MAX_WAIT_MS)) {
+      errors.push(`${label}.duration_ms must be between 1 and ${MAX_WAIT_MS}`);
+    }
+    if (step.timeout !== undefined && !(Number.isFinite(step.timeout) && step.timeout > 0 && step.timeout <= MAX_STEP_TIMEOUT_MS)) {
+      errors.push(`${label}.timeout must be between 1 and ${MAX_STEP_TIMEOUT_MS} ms`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Perform one step's action
+ * @throws {Error} When the action or assertion fails
+ */
+async function performStep(page, step) {
+  const timeout = step.timeout || DEFAULT_STEP_TIMEOUT_MS;
+  switch (step.action) {
+    case 'navigate': {
+      const response = await page.goto(step.url, { waitUntil: 'load', timeout });
+      if (response && response.status() >= 400) throw new Error(`HTTP ${response.status()} for ${step.url}`);
+      break;
+    }
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'fill':
+      await page.fill(step.selector, step.value, { timeout });
+      break;
+    case 'wait':
+      if (step.selector) await page.waitForSelector(step.selector, { timeout });
+      if (step.url) await page.waitForURL(step.url, { timeout });
+      if (step.duration_ms) await page.waitForTimeout(step.duration_ms);
+      break;
+    case 'assert': {
+      const target = step.selector ? page.locator(step.selector).first() : page.locator('body');
+      await target.waitFor({ state: 'visible', timeout });
+      if (step.text) {
+        const content = await target.innerText({ timeout });
+        if (!content.includes(step.text)) {
+          throw new Error(`Expected ${step.selector || 'page'} to contain "${step.text}"`);
+        }
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Measure the page after a step
+ * @param {Object} page - Playwright page
+ * @param {Object} mark - { timeOrigin, now } taken before the step
+ * @param {Object[]} resources - Responses received during the step
+ * @param {boolean} mobile - Mobile scoring thresholds
+ * @returns {Promise<Object>} { new_document, metrics, ux, scores }
+ */
+async function snapshotStep(page, mark, resources, mobile) {
+  const perf = await readPerformance(page);
+  const { timeOrigin, domNodeCount, viewportMeta } = await page.evaluate(() => ({
+    timeOrigin: performance.timeOrigin,
+    domNodeCount: document.getElementsByTagName('*').length,
+    viewportMeta: !!document.querySelector('meta[name="viewport"]')
+  }));
+
+  // A new document covers the full load; otherwise only count what happened since the step began
+  const newDocument = timeOrigin !== mark.timeOrigin;
+  const since = newDocument ? 0 : mark.now;
+  const longTasks = perf.longTasks.filter(task => task.startTime >= since);
+  const layoutShifts = perf.layoutShifts.filter(shift => shift.time >= since);
+
+  const sizeKb = (pattern) => resources
+    .filter(r => pattern.test(r.contentType + r.url))
+    .reduce((sum, r) => sum + r.size, 0) / 1024;
+
+  const metrics = {
+    lcp_s: newDocument && perf.lcp ? round(perf.lcp / 1000) : null,
+    fcp_s: newDocument && perf.fcp ? round(perf.fcp / 1000) : null,
+    ttfb_s: newDocument && perf.timing.responseStart ? round((perf.timing.responseStart - perf.timing.requestStart) / 1000) : null,
+    cls: round(layoutShifts.reduce((sum, shift) => sum + (shift.value || 0), 0), 3),
+    tbt_ms: Math.round(longTasks.reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)),
+    long_tasks: longTasks.length,
+    total_requests: resources.length,
+    total_js_kb: round(sizeKb(/javascript|\.js/i), 1),
+    total_css_kb: round(sizeKb(/css|\.css/i), 1),
+    total_images_kb: round(sizeKb(/image|\.png|\.jpg|\.jpeg|\.webp|\.avif|\.gif|\.svg/i), 1)
+  };
+
+  const axeResults = await runAxe(page, { mobile });
+  const ctas = await detectCtas(page);
+  const uxScore = calculateUXScore({
+    violations: axeResults.violations,
+    violations_count: axeResults.violations.length,
+    ctas,
+    ctas_above_fold: ctas.filter(c => c.aboveFold).length,
+    dom_node_count: domNodeCount,
+    viewport_meta_present: viewportMeta
+  }, mobile);
+
+  return {
+    new_document: newDocument,
+    metrics,
+    ux: {
+      violations_count: axeResults.violations.length,
+      violations_by_impact: uxScore.violations_by_impact,
+      violations: axeResults.violations.map(v => ({ id: v.id, impact: v.impact, help: v.help, nodes: v.nodes.length })),
+      ctas_count: ctas.length,
+      ctas_above_fold: ctas.filter(c => c.aboveFold).length
+    },
+    scores: {
+      performance: calculatePerformanceScore(metrics).score,
+      ux: uxScore.score
+    }
+  };
+}
+
+/**
+ * Browser context for the journey's device preset, with CPU and network throttling
+ * @returns {Promise<Object>} { browser, page, emulation }
+ */
+async function openBrowser(preset) {
+  const browser = await chromium.launch({
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    headless: true
+  });
+  const context = await browser.newContext({
+    viewport: preset.viewport,
+    userAgent: preset.userAgent,
+    deviceScaleFactor: preset.deviceScaleFactor,
+    isMobile: preset.isMobile,
+    hasTouch: preset.hasTouch
+  });
+  const page = await context.newPage();
+
+  const emulation = { ...describeEmulation(preset), throttling_applied: false };
+  try {
+    const cdp = await context.newCDPSession(page);
+    const network = NETWORK_PROFILES[preset.network];
+    if (network) {
+      await cdp.send('Network.emulateNetworkConditions', {
+        offline: false,
+        latency: network.latency,
+        downloadThroughput: network.downloadThroughput,
+        uploadThroughput: network.uploadThroughput
+      });
+    }
+    if (preset.cpuSlowdown > 1) {
+      await cdp.send('Emulation.setCPUThrottlingRate', { rate: preset.cpuSlowdown });
+    }
+    emulation.throttling_applied = true;
+  } catch (e) {
+    console.warn('[Journey] CDP session unavailable, throttling skipped:', e.message);
+  }
+
+  return { browser, page, emulation };
+}
+
+/**
+ * Averages over the steps that produced scores
+ */
+function summarizeRun(steps) {
+  const scored = steps.filter(s => s.scores?.performance !== undefined && s.scores?.performance !== null);
+  const average = (key) => (scored.length > 0
+    ? Math.round(scored.reduce((sum, s) => sum + s.scores[key], 0) / scored.length)
+    : null);
+
+  return {
+    steps_total: steps.length,
+    steps_passed: steps.filter(s => s.status === 'passed').length,
+    total_duration_ms: steps.reduce((sum, s) => sum + (s.duration_ms || 0), 0),
+    avg_performance_score: average('performance'),
+    avg_ux_score: average('ux')
+  };
+}
+
+/**
+ * Run a journey and store the results on a JourneyRun
+ * @param {Object} journey - Journey document (lean)
+ * @param {Object} run - Pending JourneyRun document
+ * @returns {Promise<Object>} The finished run
+ */
+async function runJourney(journey, run) {
+  const runId = run._id.toString();
+  const { preset, error: presetError } = resolveDevicePreset(journey.device_preset);
+  const steps = [];
+
+  run.status = 'running';
+  run.started_at = new Date();
+  await run.save();
+
+  let browser = null;
+  try {
+    if (presetError) throw new Error(presetError);
+    console.log(`[Journey] Running "${journey.name}" (${journey.steps.length} steps, ${preset.name})`);
+
+    const opened = await openBrowser(preset);
+    browser = opened.browser;
+    const { page } = opened;
+    run.device_preset = preset.name;
+    run.emulation = opened.emulation;
+
+    await installPerformanceObservers(page);
+
+    // Responses are attributed to the step that is running
+    let stepResources = [];
+    page.on('response', async (response) => {
+      const headers = response.headers();
+      const resource = {
+        url: response.url(),
+        contentType: headers['content-type'] || '',
+        size: parseInt(headers['content-length'] || '0') || 0
+      };
+      stepResources.push(resource);
+
+      // Chunked and compressed responses often omit content-length (same fallback as the scraper)
+      if (!resource.size && response.status() === 200) {
+        try {
+          const buffer = await response.body();
+          resource.size = buffer ? buffer.length : 0;
+        } catch (e) {
+          // Body not available (e.g., streaming, CORS)
+        }
+      }
+    });
+
+    for (const [index, step] of journey.steps.entries()) {
+      const result = {
+        index,
+        name: step.name || `${step.action} ${step.selector || step.url || step.text || ''}`.trim(),
+        action: step.action,
+        started_at: new Date()
+      };
+      stepResources = [];
+
+      const mark = await page.evaluate(() => ({ timeOrigin: performance.timeOrigin, now: performance.now() }));
+      const started = Date.now();
+      try {
+        await performStep(page, step);
+        await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+        result.duration_ms = Date.now() - started;
+        Object.assign(result, await snapshotStep(page, mark, stepResources, preset.mobile));
+        result.status = 'passed';
+      } catch (e) {
+        result.duration_ms = result.duration_ms ?? Date.now() - started;
+        result.status = 'failed';
+        result.error = String(e.message).split('\n')[0];
+      }
+
+      result.url = page.url();
+      result.title = await page.title().catch(() => null);
+      try {
+        const screenshot = await page.screenshot({ type: 'png' });
+        result.screenshot_path = await writeScreenshotFile(runId, `step-${index + 1}.png`, screenshot);
+      } catch (e) {
+        console.warn(`[Journey] Screenshot for step ${index + 1} failed:`, e.message);
+      }
+
+      steps.push(result);
+      console.log(`[Journey] Step ${index + 1} ${result.status} in ${result.duration_ms}ms`);
+
+      // Progress is visible while the run continues
+      run.steps = steps;
+      await run.save();
+      if (result.status === 'failed') break;
+    }
+
+    const failed = steps.find(s => s.status === 'failed');
+    for (let index = steps.length; index < journey.steps.length; index++) {
+      const step = journey.steps[index];
+      steps.push({ index, name: step.name || step.action, action: step.action, status: 'skipped' });
+    }
+
+    run.steps = steps;
+    run.failed_step = failed ? failed.index : null;
+    run.status = failed ? 'failed' : 'completed';
+    run.error = failed ? `Step ${failed.index + 1} (${failed.name}) failed: ${failed.error}` : undefined;
+
+  } catch (error) {
+    console.error(`[Journey] Run ${runId} failed:`, error.message);
+    run.steps = steps;
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  run.summary = summarizeRun(run.steps);
+  run.finished_at = new Date();
+  await run.save();
+  return run;
+}
+
+/**
+ * Mark runs left pending/running by a previous process as failed and
+ * release their journeys
+ */
+async function failInterruptedRuns() {
+  const { modifiedCount } = await JourneyRun.updateMany(
+    { status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+  );
+  await Journey.updateMany({ active_run_id: { $ne: null } }, { $set: { active_run_id: null } });
+  if (modifiedCount > 0) {
+    console.log(`[Journey] Marked ${modifiedCount} interrupted run(s) as failed`);
+  }
+}
+
+module.exports = {
+  JOURNEY_ACTIONS,
+  validateJourneySteps,
+  runJourney,
+  failInterruptedRuns
+};
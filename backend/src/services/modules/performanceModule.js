@@ -3,7 +3,9 @@
  * Analyzes website performance using SLM estimator with optional Lighthouse validation
  */
 
+const crypto = require('crypto');
 const { runLighthouse } = require('../lighthouse/lighthouseRunner');
+const { analyzeThirdParties } = require('../thirdParty/thirdPartyAnalyzer');
 
 /**
  * Clamp value between 0 and 1
@@ -45,6 +47,10 @@ const THRESHOLDS = {
   TBT_GOOD: 200,
   TBT_BAD: 600,
 
+  // INP (Interaction to Next Paint), ms
+  INP_GOOD: 200,
+  INP_BAD: 500,
+
   // Resource sizes
   JS_SIZE_GOOD: 200,    // KB
   JS_SIZE_BAD: 500,
@@ -61,7 +67,40 @@ const THRESHOLDS = {
 
   // Render blocking
   RENDER_BLOCKING_GOOD: 3,
-  RENDER_BLOCKING_BAD: 10
+  RENDER_BLOCKING_BAD: 10,
+
+  // Unused code per file (KB wasted on the wire)
+  UNUSED_JS_FILE_KB: 20,
+  UNUSED_JS_FILE_BAD_KB: 100,
+  UNUSED_CSS_FILE_KB: 10,
+  UNUSED_CSS_FILE_BAD_KB: 50,
+
+  // Cost of a single third-party vendor
+  THIRD_PARTY_VENDOR_KB: 100,
+  THIRD_PARTY_VENDOR_BAD_KB: 500,
+  THIRD_PARTY_VENDOR_MS: 100,
+  THIRD_PARTY_VENDOR_BAD_MS: 500
+};
+
+// Files with unused code reported as their own issue
+const MAX_UNUSED_CODE_ISSUES = 5;
+
+// Heaviest third-party vendors reported as their own issue
+const MAX_THIRD_PARTY_ISSUES = 3;
+
+// How to cut a vendor's cost, by category
+const THIRD_PARTY_ADVICE = {
+  analytics: 'Load it after the page is interactive, sample sessions, or move collection server-side',
+  advertising: 'Lazy-load ad slots below the fold and drop pixels nobody reads',
+  tag_manager: 'Audit its tags: remove unused ones and fire the rest after load',
+  chat: 'Replace the widget with a lightweight facade that loads it on first click',
+  cdn: 'Self-host critical files from your own origin, or preconnect to the CDN',
+  social: 'Replace embeds with static links or a click-to-load facade',
+  video: 'Use a click-to-load facade (poster image) instead of the embedded player',
+  consent: 'Load the lightweight banner first and defer the full consent manager',
+  fonts: 'Self-host the fonts, subset them and use font-display: swap',
+  payments: 'Load the payment SDK only on checkout pages',
+  other: 'Defer or async-load it, or remove it if it is no longer needed'
 };
 
 /**
@@ -76,6 +115,7 @@ function calculatePerformanceScore(metrics) {
     fcp_s = null,
     ttfb_s = null,
     tbt_ms = null,
+    inp_ms = null,
     total_js_kb = 0,
     total_css_kb = 0,
     total_images_kb = 0,
@@ -128,10 +168,20 @@ function calculatePerformanceScore(metrics) {
   // ============================================
   let INTERACT_penalty = 0;
 
+  // INP penalty; when measured it takes half of TBT's weight, TBT being its lab proxy
+  const tbt_weight = inp_ms !== null ? 0.25 : 0.5;
+  if (inp_ms !== null) {
+    const inp_penalty = penaltyFromMetric(inp_ms, THRESHOLDS.INP_GOOD, THRESHOLDS.INP_BAD);
+    INTERACT_penalty += 0.25 * inp_penalty;
+    if (inp_penalty > 0.3) {
+      factors.push({ factor: 'INP', value: inp_ms, penalty: inp_penalty });
+    }
+  }
+
   // TBT penalty
   if (tbt_ms !== null) {
     const tbt_penalty = penaltyFromMetric(tbt_ms, THRESHOLDS.TBT_GOOD, THRESHOLDS.TBT_BAD);
-    INTERACT_penalty += 0.5 * tbt_penalty;
+    INTERACT_penalty += tbt_weight * tbt_penalty;
     if (tbt_penalty > 0.3) {
       factors.push({ factor: 'TBT', value: tbt_ms, penalty: tbt_penalty });
     }
@@ -211,6 +261,11 @@ function calculatePerformanceScore(metrics) {
     boost *= 1.10;
   }
 
+  // Critical INP
+  if (inp_ms && inp_ms > THRESHOLDS.INP_BAD) {
+    boost *= 1.10;
+  }
+
   // Heavy JavaScript
   if (total_js_kb > 500) {
     boost *= 1.12;
@@ -259,13 +314,54 @@ function calculatePerformanceScore(metrics) {
   };
 }
 
+/**
+ * Human-readable element for an interaction, e.g. `button.cta ("Add to cart")`
+ */
+function describeInteractionTarget(interaction) {
+  const selector = interaction.target?.selector;
+  const text = interaction.target?.text || interaction.label;
+  if (!selector) return text ? `"${text}"` : 'an element';
+  return text ? `${selector} ("${text}")` : selector;
+}
+
+/**
+ * Issue ID fragment from a name ("Google Tag Manager" → "google_tag_manager").
+ * IDs must not depend on list order: report diffs and monitor alerts match issues by ID.
+ */
+function idSlug(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'unknown';
+}
+
+/**
+ * Issue ID fragment for a URL (first 8 hex chars of its SHA-1)
+ */
+function idHash(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Short name for a covered file, e.g. `bundle.js` or `inline scripts`
+ */
+function describeCoverageFile(file) {
+  if (file.inline) return file.type === 'js' ? 'inline scripts' : 'inline styles';
+  try {
+    const { pathname, hostname } = new URL(file.url);
+    return pathname.split('/').filter(Boolean).pop() || hostname;
+  } catch (e) {
+    return file.url;
+  }
+}
+
 /**
  * Generate performance issues and fixes
  * @param {Object} metrics - Performance metrics
  * @param {Object} analysis - Analysis result
+ * @param {Object} [interactions] - Synthetic interaction results from the scraper
+ * @param {Object} [coverage] - JS/CSS coverage summary from the scraper
+ * @param {Object} [thirdParties] - Vendor inventory from analyzeThirdParties
  * @returns {Object} Issues and fixes
  */
-function generateIssuesAndFixes(metrics, analysis) {
+function generateIssuesAndFixes(metrics, analysis, interactions = null, coverage = null, thirdParties = null) {
   const issues = [];
   const fixes = [];
 
@@ -315,6 +411,55 @@ function generateIssuesAndFixes(metrics, analysis) {
     });
   }
 
+  // INP issues: the slowest interaction, then other slow ones, each naming its element
+  if (metrics.inp_ms && metrics.inp_ms > THRESHOLDS.INP_GOOD && interactions?.worst) {
+    const severity = metrics.inp_ms > THRESHOLDS.INP_BAD ? 'high' : 'medium';
+    const worst = interactions.worst;
+    issues.push({
+      id: 'inp_slow',
+      severity,
+      metric: 'INP',
+      value: metrics.inp_ms,
+      threshold: THRESHOLDS.INP_GOOD,
+      element: describeInteractionTarget(worst),
+      description: `Interaction to Next Paint is ${metrics.inp_ms}ms (should be < ${THRESHOLDS.INP_GOOD}ms); slowest: ${worst.type} on ${describeInteractionTarget(worst)}`
+    });
+
+    fixes.push({
+      id: 'improve_inp',
+      issue_id: 'inp_slow',
+      title: 'Speed Up Interaction Handlers',
+      description: `Break up the work triggered by ${describeInteractionTarget(worst)} ` +
+        `(input delay ${worst.input_delay_ms}ms, processing ${worst.processing_ms}ms, presentation ${worst.presentation_delay_ms}ms): ` +
+        'yield to the main thread in event handlers, defer non-visual work and avoid large re-renders',
+      effort_hours: 5,
+      impact_pct: 15,
+      priority: severity === 'high' ? 1 : 2
+    });
+
+    // The first of these is the worst interaction reported above; the same
+    // interaction on the same element is listed once
+    const seen = new Set();
+    (interactions.items || [])
+      .filter(i => i.latency_ms > THRESHOLDS.INP_GOOD)
+      .sort((a, b) => b.latency_ms - a.latency_ms)
+      .slice(1)
+      .map(item => ({ item, id: `slow_interaction_${idSlug(item.type)}_${idHash(item.target?.selector || item.label || '')}` }))
+      .filter(({ id }) => !seen.has(id) && seen.add(id))
+      .slice(0, 3)
+      .forEach(({ item, id }) => {
+        issues.push({
+          id,
+          severity: item.latency_ms > THRESHOLDS.INP_BAD ? 'medium' : 'low',
+          metric: 'INP',
+          value: item.latency_ms,
+          threshold: THRESHOLDS.INP_GOOD,
+          element: describeInteractionTarget(item),
+          description: `${item.type} on ${describeInteractionTarget(item)} took ${item.latency_ms}ms to paint`
+        });
+      });
+  }
+
   // JavaScript size issues
   if (metrics.total_js_kb > THRESHOLDS.JS_SIZE_GOOD) {
     const severity = metrics.total_js_kb > THRESHOLDS.JS_SIZE_BAD ? 'high' : 'medium';
@@ -338,6 +483,82 @@ function generateIssuesAndFixes(metrics, analysis) {
     });
   }
 
+  // Unused code: the files wasting the most bytes, each with its savings
+  (coverage?.files || [])
+    .filter(f => f.wasted_transfer_kb >= (f.type === 'js' ? THRESHOLDS.UNUSED_JS_FILE_KB : THRESHOLDS.UNUSED_CSS_FILE_KB))
+    .sort((a, b) => b.wasted_transfer_kb - a.wasted_transfer_kb)
+    .slice(0, MAX_UNUSED_CODE_ISSUES)
+    .forEach(file => {
+      const isJs = file.type === 'js';
+      const name = describeCoverageFile(file);
+      const savingsKb = Math.round(file.wasted_transfer_kb);
+      const severity = file.wasted_transfer_kb >= (isJs ? THRESHOLDS.UNUSED_JS_FILE_BAD_KB : THRESHOLDS.UNUSED_CSS_FILE_BAD_KB)
+        ? (isJs ? 'high' : 'medium')
+        : (isJs ? 'medium' : 'low');
+      const issueId = `unused_${file.type}_${idHash(file.url)}`;
+
+      issues.push({
+        id: issueId,
+        severity,
+        metric: isJs ? 'Unused JavaScript' : 'Unused CSS',
+        value: file.unused_kb,
+        threshold: isJs ? THRESHOLDS.UNUSED_JS_FILE_KB : THRESHOLDS.UNUSED_CSS_FILE_KB,
+        url: file.url,
+        description: `${Math.round(file.unused_kb)} KB unused in ${name} (${file.unused_pct}% of ${Math.round(file.total_kb)} KB ${isJs ? 'never ran' : 'never matched'} during page load)`
+      });
+
+      fixes.push({
+        id: `remove_${issueId}`,
+        issue_id: issueId,
+        title: isJs ? `Remove Unused JavaScript from ${name}` : `Remove Unused CSS from ${name}`,
+        description: (isJs
+          ? 'Code split by route, lazy-load below-the-fold widgets and drop dead dependencies'
+          : 'Purge unused selectors and inline only the critical CSS, loading the rest asynchronously') +
+          `. Estimated savings: ~${savingsKb} KB transferred.`,
+        savings_kb: savingsKb,
+        effort_hours: isJs ? 4 : 2,
+        impact_pct: Math.min(15, Math.max(2, Math.round(savingsKb / 20))),
+        priority: severity === 'high' ? 2 : 3
+      });
+    });
+
+  // Third-party vendors: the ones costing the most main-thread time and bytes (1ms weighs as 1 KB)
+  (thirdParties?.vendors || [])
+    .filter(v => v.main_thread_ms >= THRESHOLDS.THIRD_PARTY_VENDOR_MS || v.kb >= THRESHOLDS.THIRD_PARTY_VENDOR_KB)
+    .sort((a, b) => (b.main_thread_ms + b.kb) - (a.main_thread_ms + a.kb))
+    .slice(0, MAX_THIRD_PARTY_ISSUES)
+    .forEach(vendor => {
+      const severity = vendor.main_thread_ms >= THRESHOLDS.THIRD_PARTY_VENDOR_BAD_MS || vendor.kb >= THRESHOLDS.THIRD_PARTY_VENDOR_BAD_KB
+        ? 'high'
+        : 'medium';
+      const issueId = `third_party_${idSlug(vendor.vendor)}`;
+      const cost = [
+        vendor.requests > 0 ? `${Math.round(vendor.kb)} KB in ${vendor.requests} request${vendor.requests === 1 ? '' : 's'}` : null,
+        vendor.main_thread_ms > 0 ? `${vendor.main_thread_ms}ms of main-thread time` : null
+      ].filter(Boolean).join(' and ');
+
+      issues.push({
+        id: issueId,
+        severity,
+        metric: 'Third-Party',
+        value: vendor.main_thread_ms || vendor.kb,
+        vendor: vendor.vendor,
+        category: vendor.category,
+        description: `${vendor.vendor} (${vendor.category_label.toLowerCase()}) costs ${cost}`
+      });
+
+      fixes.push({
+        id: `reduce_${issueId}`,
+        issue_id: issueId,
+        title: `Reduce the Cost of ${vendor.vendor}`,
+        description: `${THIRD_PARTY_ADVICE[vendor.category] || THIRD_PARTY_ADVICE.other}. Up to ${cost} could be saved.`,
+        savings_kb: Math.round(vendor.kb),
+        effort_hours: 3,
+        impact_pct: Math.min(15, Math.max(3, Math.round(vendor.main_thread_ms / 50 + vendor.kb / 50))),
+        priority: severity === 'high' ? 2 : 3
+      });
+    });
+
   // Image size issues
   if (metrics.total_images_kb > THRESHOLDS.IMAGE_SIZE_GOOD) {
     const severity = metrics.total_images_kb > THRESHOLDS.IMAGE_SIZE_BAD ? 'high' : 'medium';
@@ -412,10 +633,14 @@ function generateIssuesAndFixes(metrics, analysis) {
 /**
  * Main analyze function
  * @param {Object} artifact - Scraper artifact
- * @param {Object} opts - Options (url, emulateMobile)
+ * @param {Object} opts - Options (url, emulateMobile, skipLighthouse, onProgress)
  * @returns {Promise<Object>} Performance module result
  */
 async function analyze(artifact, opts = {}) {
+  const notify = (event, message) => {
+    if (opts.onProgress) opts.onProgress({ event, message });
+  };
+
   // Extract metrics from artifact
   const metrics = {
     lcp_s: artifact.performance.lcp_s,
@@ -423,6 +648,7 @@ async function analyze(artifact, opts = {}) {
     fcp_s: artifact.performance.fcp_s,
     ttfb_s: artifact.performance.ttfb_s,
     tbt_ms: artifact.performance.tbt_ms,
+    inp_ms: artifact.performance.inp_ms ?? null,
     total_js_kb: artifact.resources.total_js_kb,
     total_css_kb: artifact.resources.total_css_kb,
     total_images_kb: artifact.resources.total_images_kb,
@@ -434,7 +660,10 @@ async function analyze(artifact, opts = {}) {
   const analysis = calculatePerformanceScore(metrics);
 
   // Generate issues and fixes from SLM
-  const { issues, fixes } = generateIssuesAndFixes(metrics, analysis);
+  const interactions = artifact.performance.interactions || null;
+  const coverage = artifact.resources.coverage || null;
+  const thirdParties = analyzeThirdParties(artifact);
+  const { issues, fixes } = generateIssuesAndFixes(metrics, analysis, interactions, coverage, thirdParties);
 
   // ============================================
   // Lighthouse Validation (conditional)
@@ -447,8 +676,9 @@ async function analyze(artifact, opts = {}) {
 
   const url = opts.url || artifact.finalUrl || artifact.originalUrl;
 
-  if (analysis.recommendation_flag === 'run_lighthouse' && url) {
+  if (analysis.recommendation_flag === 'run_lighthouse' && url && !opts.skipLighthouse) {
     console.log(`[PerfModule] SLM confidence=${analysis.confidence}, score=${analysis.score} → Running Lighthouse validation...`);
+    notify('lighthouse_started', `Low performance confidence (${analysis.confidence}), running Lighthouse validation...`);
 
     try {
       lighthouseResult = await runLighthouse(url, {
@@ -463,6 +693,7 @@ async function analyze(artifact, opts = {}) {
         lighthouseOpportunities = lighthouseResult.opportunities;
 
         console.log(`[PerfModule] Lighthouse score=${lighthouseResult.score}, hybrid final=${finalScore}`);
+        notify('lighthouse_completed', `Lighthouse validation completed (score ${lighthouseResult.score})`);
 
         // Add Lighthouse-sourced issues
         if (lighthouseResult.opportunities) {
@@ -488,9 +719,12 @@ async function analyze(artifact, opts = {}) {
             });
           }
         }
+      } else {
+        notify('lighthouse_failed', 'Lighthouse returned no results, using SLM score only');
       }
     } catch (lhError) {
       console.warn('[PerfModule] Lighthouse validation failed, using SLM-only:', lhError.message);
+      notify('lighthouse_failed', 'Lighthouse validation failed, using SLM score only');
     }
   }
 
@@ -510,12 +744,16 @@ async function analyze(artifact, opts = {}) {
       fcp_s: metrics.fcp_s,
       ttfb_s: metrics.ttfb_s,
       tbt_ms: metrics.tbt_ms,
+      inp_ms: metrics.inp_ms,
       total_js_kb: metrics.total_js_kb,
       total_css_kb: metrics.total_css_kb,
       total_images_kb: metrics.total_images_kb,
       total_requests: metrics.total_requests,
       render_blocking_count: metrics.render_blocking_count
     },
+    interactions,
+    coverage,
+    third_parties: thirdParties,
     issues,
     fixes,
     boost_applied: analysis.boost_applied
@@ -0,0 +1,725 @@
+/**
+ * Security Module
+ * Audits HTTP security headers, TLS certificate health and mixed content
+ */
+
+/**
+ * Clamp value between 0 and 1
+ */
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Calculate penalty from metric value
+ */
+function penaltyFromMetric(value, good, bad) {
+  if (value <= good) return 0;
+  if (value >= bad) return 1;
+  return clamp((value - good) / (bad - good));
+}
+
+/**
+ * Security thresholds
+ */
+const THRESHOLDS = {
+  HSTS_MIN_MAX_AGE_S: 15552000, // 180 days
+  CERT_EXPIRY_CRITICAL_DAYS: 14,
+  CERT_EXPIRY_WARN_DAYS: 30,
+  PASSIVE_MIXED_GOOD: 0,
+  PASSIVE_MIXED_BAD: 10
+};
+
+/**
+ * Relative weight of each header inside the HEADERS component
+ */
+const HEADER_WEIGHTS = {
+  csp: 0.30,
+  hsts: 0.25,
+  frame_options: 0.15,
+  content_type_options: 0.10,
+  referrer_policy: 0.10,
+  permissions_policy: 0.10
+};
+
+/**
+ * Display names used in score factors
+ */
+const HEADER_LABELS = {
+  csp: 'Content-Security-Policy',
+  hsts: 'Strict-Transport-Security',
+  frame_options: 'Clickjacking Protection',
+  content_type_options: 'X-Content-Type-Options',
+  referrer_policy: 'Referrer-Policy',
+  permissions_policy: 'Permissions-Policy'
+};
+
+const STATUS_PENALTY = { pass: 0, warn: 0.5, fail: 1 };
+
+const MODERN_TLS_PROTOCOLS = ['TLS 1.2', 'TLS 1.3', 'QUIC'];
+
+// Referrer policies that leak full URLs to other origins
+const LEAKY_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+/**
+ * Parse a CSP header into { directive: [sources] }
+ */
+function parseCsp(value) {
+  const directives = {};
+  for (const part of (value || '').split(';')) {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !directives[name.toLowerCase()]) {
+      directives[name.toLowerCase()] = sources;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Grade Content-Security-Policy
+ */
+function gradeCsp(headers) {
+  const value = headers['content-security-policy'];
+  const reportOnly = headers['content-security-policy-report-only'];
+
+  if (!value) {
+    return reportOnly
+      ? { status: 'warn', value: reportOnly, notes: ['Policy is report-only and not enforced'] }
+      : { status: 'fail', value: null, notes: ['No Content-Security-Policy header'] };
+  }
+
+  const directives = parseCsp(value);
+  const scriptSources = directives['script-src'] || directives['default-src'];
+  const notes = [];
+
+  if (!scriptSources) {
+    notes.push('No script-src or default-src directive');
+  } else {
+    // A nonce or hash makes browsers ignore 'unsafe-inline'
+    const hasNonceOrHash = scriptSources.some(s => /^'(nonce|sha256|sha384|sha512)-/.test(s));
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+      notes.push("Scripts allow 'unsafe-inline'");
+    }
+    if (scriptSources.includes("'unsafe-eval'")) {
+      notes.push("Scripts allow 'unsafe-eval'");
+    }
+    if (scriptSources.some(s => s === '*' || s === 'http:' || s === 'https:')) {
+      notes.push('Scripts allowed from any host');
+    }
+  }
+
+  return { status: notes.length > 0 ? 'warn' : 'pass', value, notes };
+}
+
+/**
+ * Grade Strict-Transport-Security
+ */
+function gradeHsts(headers, isHttps) {
+  const value = headers['strict-transport-security'];
+
+  if (!isHttps) {
+    return { status: 'fail', value: null, notes: ['Page is not served over HTTPS'] };
+  }
+  if (!value) {
+    return { status: 'fail', value: null, notes: ['No Strict-Transport-Security header'] };
+  }
+
+  const maxAgeMatch = value.match(/max-age\s*=\s*"?(\d+)"?/i);
+  const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1]) : 0;
+  const notes = [];
+  let status = 'pass';
+
+  if (maxAge === 0) {
+    status = 'fail';
+    notes.push('max-age is missing or 0, which disables HSTS');
+  } else if (maxAge < THRESHOLDS.HSTS_MIN_MAX_AGE_S) {
+    status = 'warn';
+    notes.push(`max-age is ${maxAge}s (recommended at least ${THRESHOLDS.HSTS_MIN_MAX_AGE_S}s)`);
+  }
+  if (!/includesubdomains/i.test(value)) notes.push('includeSubDomains not set');
+  if (!/preload/i.test(value)) notes.push('preload not set');
+
+  return { status, value, max_age_s: maxAge, notes };
+}
+
+/**
+ * Grade clickjacking protection (X-Frame-Options or CSP frame-ancestors)
+ */
+function gradeFrameOptions(headers) {
+  const value = headers['x-frame-options'];
+  const frameAncestors = parseCsp(headers['content-security-policy'])['frame-ancestors'];
+
+  if (frameAncestors) {
+    const open = frameAncestors.includes('*');
+    return {
+      status: open ? 'warn' : 'pass',
+      value: `frame-ancestors ${frameAncestors.join(' ')}`,
+      notes: open ? ['frame-ancestors allows any origin'] : []
+    };
+  }
+  if (!value) {
+    return { status: 'fail', value: null, notes: ['No X-Frame-Options or CSP frame-ancestors'] };
+  }
+
+  const normalized = value.trim().toUpperCase();
+  if (normalized === 'DENY' || normalized === 'SAMEORIGIN') {
+    return { status: 'pass', value, notes: [] };
+  }
+  return { status: 'warn', value, notes: [`Unsupported X-Frame-Options value "${value}"`] };
+}
+
+/**
+ * Grade X-Content-Type-Options
+ */
+function gradeContentTypeOptions(headers) {
+  const value = headers['x-content-type-options'];
+  if (value && value.trim().toLowerCase() === 'nosniff') {
+    return { status: 'pass', value, notes: [] };
+  }
+  return {
+    status: 'fail',
+    value: value || null,
+    notes: [value ? `Unexpected value "${value}"` : 'No X-Content-Type-Options header']
+  };
+}
+
+/**
+ * Grade Referrer-Policy
+ */
+function gradeReferrerPolicy(headers) {
+  const value = headers['referrer-policy'];
+  if (!value) {
+    return { status: 'warn', value: null, notes: ['No Referrer-Policy header (browser default applies)'] };
+  }
+
+  // The last recognised token wins
+  const effective = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean).pop();
+  if (LEAKY_REFERRER_POLICIES.includes(effective)) {
+    return { status: 'fail', value, notes: [`"${effective}" sends full URLs to other origins`] };
+  }
+  return { status: 'pass', value, notes: [] };
+}
+
+/**
+ * Grade Permissions-Policy
+ */
+function gradePermissionsPolicy(headers) {
+  const value = headers['permissions-policy'];
+  if (value) {
+    return { status: 'pass', value, notes: [] };
+  }
+  if (headers['feature-policy']) {
+    return { status: 'warn', value: headers['feature-policy'], notes: ['Uses the deprecated Feature-Policy header'] };
+  }
+  return { status: 'warn', value: null, notes: ['No Permissions-Policy header'] };
+}
+
+/**
+ * Grade all security headers of the main document
+ * @param {Object} headers - Response headers (any case)
+ * @param {boolean} isHttps - Whether the page was served over HTTPS
+ * @returns {Object} { csp, hsts, frame_options, ... } each { status, value, notes }
+ */
+function gradeHeaders(headers, isHttps) {
+  const lower = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    lower[name.toLowerCase()] = value;
+  }
+
+  return {
+    csp: gradeCsp(lower),
+    hsts: gradeHsts(lower, isHttps),
+    frame_options: gradeFrameOptions(lower),
+    content_type_options: gradeContentTypeOptions(lower),
+    referrer_policy: gradeReferrerPolicy(lower),
+    permissions_policy: gradePermissionsPolicy(lower)
+  };
+}
+
+/**
+ * Summarize the TLS certificate of the main document
+ */
+function analyzeTls(securityDetails, isHttps) {
+  if (!isHttps || !securityDetails) {
+    return { available: false, protocol: null, issuer: null, subject_name: null, valid_to: null, days_until_expiry: null, expired: false, outdated_protocol: false };
+  }
+
+  const validTo = securityDetails.valid_to ? new Date(securityDetails.valid_to) : null;
+  const daysUntilExpiry = validTo
+    ? Math.floor((validTo.getTime() - Date.now()) / (1000 * 60 * 60 * 24))
+    : null;
+
+  return {
+    available: true,
+    protocol: securityDetails.protocol,
+    issuer: securityDetails.issuer,
+    subject_name: securityDetails.subject_name,
+    valid_to: validTo,
+    days_until_expiry: daysUntilExpiry,
+    expired: daysUntilExpiry !== null && daysUntilExpiry < 0,
+    outdated_protocol: !!securityDetails.protocol && !MODERN_TLS_PROTOCOLS.includes(securityDetails.protocol)
+  };
+}
+
+/**
+ * Find http:// subresources on an https page.
+ * Chromium blocks or upgrades most of them before a response arrives, so the
+ * scraper's mixed content findings (console warnings, failed requests, DOM
+ * URLs) come first, plus any http: response that did get through.
+ * Images, audio and video are passive mixed content; everything else is active.
+ */
+function findMixedContent(artifact, isHttps) {
+  if (!isHttps) return { active: [], passive: [] };
+
+  const found = new Map();
+  for (const entry of artifact.resources?.mixed_content || []) {
+    found.set(entry.url, { url: entry.url, content_type: null, type: entry.type, passive: entry.passive });
+  }
+
+  const isPassive = (r) =>
+    /^(image|audio|video)\//i.test(r.contentType || '') ||
+    /\.(png|jpe?g|gif|webp|avif|svg|ico|mp4|webm|mp3|wav|ogg)(\?|$)/i.test(r.url);
+  for (const r of artifact.resources?.all || []) {
+    if (!r.url || !r.url.startsWith('http:')) continue;
+    const known = found.get(r.url);
+    found.set(r.url, {
+      url: r.url,
+      content_type: r.contentType || null,
+      type: known ? known.type : null,
+      passive: known ? known.passive : isPassive(r)
+    });
+  }
+
+  const list = [...found.values()];
+  const strip = ({ passive, ...item }) => item;
+  return {
+    active: list.filter(item => !item.passive).map(strip),
+    passive: list.filter(item => item.passive).map(strip)
+  };
+}
+
+/**
+ * Calculate security score
+ */
+function calculateSecurityScore(data) {
+  const { is_https, header_grades, tls, mixed_content } = data;
+  const factors = [];
+
+  // ============================================
+  // HEADERS Component (50% weight)
+  // ============================================
+  // Without a main-document response there are no headers to grade
+  let HEADERS_penalty = 0;
+  for (const [name, weight] of Object.entries(header_grades ? HEADER_WEIGHTS : {})) {
+    const grade = header_grades[name];
+    const penalty = STATUS_PENALTY[grade.status];
+    HEADERS_penalty += weight * penalty;
+    if (penalty > 0) {
+      factors.push({ factor: `${HEADER_LABELS[name]} ${grade.status === 'fail' ? 'Missing' : 'Weak'}`, value: grade.value, penalty });
+    }
+  }
+
+  // ============================================
+  // TRANSPORT Component (30% weight)
+  // ============================================
+  let TRANSPORT_penalty = 0;
+
+  if (!is_https) {
+    TRANSPORT_penalty = 1.0;
+    factors.push({ factor: 'Not Served Over HTTPS', value: 0, penalty: 1.0 });
+  } else if (tls.expired) {
+    TRANSPORT_penalty = 1.0;
+    factors.push({ factor: 'Expired Certificate', value: tls.days_until_expiry, penalty: 1.0 });
+  } else {
+    if (tls.days_until_expiry !== null && tls.days_until_expiry < THRESHOLDS.CERT_EXPIRY_CRITICAL_DAYS) {
+      TRANSPORT_penalty += 0.6;
+      factors.push({ factor: 'Certificate Expiring Soon', value: tls.days_until_expiry, penalty: 0.6 });
+    } else if (tls.days_until_expiry !== null && tls.days_until_expiry < THRESHOLDS.CERT_EXPIRY_WARN_DAYS) {
+      TRANSPORT_penalty += 0.3;
+      factors.push({ factor: 'Certificate Expiring Soon', value: tls.days_until_expiry, penalty: 0.3 });
+    }
+    if (tls.outdated_protocol) {
+      TRANSPORT_penalty += 0.4;
+      factors.push({ factor: 'Outdated TLS Protocol', value: tls.protocol, penalty: 0.4 });
+    }
+  }
+  TRANSPORT_penalty = clamp(TRANSPORT_penalty);
+
+  // ============================================
+  // CONTENT Component (20% weight)
+  // ============================================
+  let CONTENT_penalty = 0;
+
+  if (mixed_content.active.length > 0) {
+    CONTENT_penalty += 1.0;
+    factors.push({ factor: 'Active Mixed Content', value: mixed_content.active.length, penalty: 1.0 });
+  }
+
+  const passive_penalty = 0.5 * penaltyFromMetric(
+    mixed_content.passive.length,
+    THRESHOLDS.PASSIVE_MIXED_GOOD,
+    THRESHOLDS.PASSIVE_MIXED_BAD
+  );
+  if (passive_penalty > 0) {
+    CONTENT_penalty += passive_penalty;
+    factors.push({ factor: 'Passive Mixed Content', value: mixed_content.passive.length, penalty: passive_penalty });
+  }
+  CONTENT_penalty = clamp(CONTENT_penalty);
+
+  // ============================================
+  // Combine penalties
+  // ============================================
+  let RAW_PENALTY = header_grades
+    ? 0.50 * HEADERS_penalty + 0.30 * TRANSPORT_penalty + 0.20 * CONTENT_penalty
+    : (0.30 * TRANSPORT_penalty + 0.20 * CONTENT_penalty) / 0.50;
+
+  RAW_PENALTY = clamp(RAW_PENALTY, 0, 1);
+
+  const score = Math.round(100 * (1 - RAW_PENALTY));
+
+  // ============================================
+  // Risk level
+  // ============================================
+  const critical = !is_https || tls.expired || mixed_content.active.length > 0;
+
+  let security_risk_level = 'low';
+  if (critical || score < 50) {
+    security_risk_level = 'high';
+  } else if (score < 75) {
+    security_risk_level = 'medium';
+  }
+
+  // ============================================
+  // Recommendation flag
+  // ============================================
+  let recommendation_flag = 'minor_hardening';
+  if (critical || score < 50) {
+    recommendation_flag = 'critical_security_fixes';
+  } else if (score < 75) {
+    recommendation_flag = 'priority_fixes';
+  }
+
+  // Sort factors
+  factors.sort((a, b) => b.penalty - a.penalty);
+
+  return {
+    score,
+    security_risk_level,
+    primary_security_risks: factors.slice(0, 5).map(f => f.factor),
+    recommendation_flag,
+    factors
+  };
+}
+
+/**
+ * Generate security issues and fixes
+ */
+function generateIssuesAndFixes(data) {
+  const issues = [];
+  const fixes = [];
+
+  const { is_https, header_grades, tls, mixed_content } = data;
+
+  // Transport
+  if (!is_https) {
+    issues.push({
+      id: 'not_https',
+      severity: 'critical',
+      category: 'Transport Security',
+      description: 'Page is served over plain HTTP; traffic can be read and modified in transit'
+    });
+
+    fixes.push({
+      id: 'enable_https',
+      issue_id: 'not_https',
+      title: 'Serve the Site over HTTPS',
+      description: 'Install a TLS certificate (e.g. Let\'s Encrypt) and 301-redirect all HTTP URLs to HTTPS',
+      effort_hours: 2,
+      impact_pct: 30,
+      priority: 1
+    });
+  }
+
+  if (tls.expired) {
+    issues.push({
+      id: 'cert_expired',
+      severity: 'critical',
+      category: 'Transport Security',
+      description: `TLS certificate issued by ${tls.issuer || 'unknown issuer'} expired ${Math.abs(tls.days_until_expiry)} days ago`
+    });
+
+    fixes.push({
+      id: 'renew_certificate',
+      issue_id: 'cert_expired',
+      title: 'Renew the TLS Certificate',
+      description: 'Renew the certificate immediately and enable automatic renewal',
+      effort_hours: 1,
+      impact_pct: 30,
+      priority: 1
+    });
+  } else if (tls.days_until_expiry !== null && tls.days_until_expiry < THRESHOLDS.CERT_EXPIRY_WARN_DAYS) {
+    const urgent = tls.days_until_expiry < THRESHOLDS.CERT_EXPIRY_CRITICAL_DAYS;
+    issues.push({
+      id: 'cert_expiring',
+      severity: urgent ? 'high' : 'medium',
+      category: 'Transport Security',
+      description: `TLS certificate issued by ${tls.issuer || 'unknown issuer'} expires in ${tls.days_until_expiry} days`
+    });
+
+    fixes.push({
+      id: 'renew_certificate',
+      issue_id: 'cert_expiring',
+      title: 'Renew the TLS Certificate',
+      description: 'Renew the certificate before it expires and enable automatic renewal',
+      effort_hours: 0.5,
+      impact_pct: urgent ? 20 : 10,
+      priority: urgent ? 1 : 2
+    });
+  }
+
+  if (tls.outdated_protocol) {
+    issues.push({
+      id: 'outdated_tls',
+      severity: 'high',
+      category: 'Transport Security',
+      description: `Connection negotiated ${tls.protocol}; only TLS 1.2 and 1.3 are considered secure`
+    });
+
+    fixes.push({
+      id: 'upgrade_tls',
+      issue_id: 'outdated_tls',
+      title: 'Disable Legacy TLS Versions',
+      description: 'Configure the server or CDN to accept only TLS 1.2 and TLS 1.3',
+      effort_hours: 1,
+      impact_pct: 10,
+      priority: 2
+    });
+  }
+
+  // Mixed content
+  if (mixed_content.active.length > 0) {
+    issues.push({
+      id: 'active_mixed_content',
+      severity: 'critical',
+      category: 'Mixed Content',
+      description: `${mixed_content.active.length} scripts, styles or frames load over HTTP on an HTTPS page: ${mixed_content.active.slice(0, 3).map(r => r.url).join(', ')}`,
+      affected_resources: mixed_content.active
+    });
+
+    fixes.push({
+      id: 'fix_active_mixed_content',
+      issue_id: 'active_mixed_content',
+      title: 'Load Scripts and Styles over HTTPS',
+      description: 'Change the resource URLs to https:// (or protocol-relative to the page) and add "upgrade-insecure-requests" to the CSP',
+      effort_hours: 1,
+      impact_pct: 15,
+      priority: 1
+    });
+  }
+
+  if (mixed_content.passive.length > 0) {
+    issues.push({
+      id: 'passive_mixed_content',
+      severity: 'medium',
+      category: 'Mixed Content',
+      description: `${mixed_content.passive.length} images or media load over HTTP on an HTTPS page`,
+      affected_resources: mixed_content.passive
+    });
+
+    fixes.push({
+      id: 'fix_passive_mixed_content',
+      issue_id: 'passive_mixed_content',
+      title: 'Serve Media over HTTPS',
+      description: 'Update image and media URLs to https:// so the page keeps its secure padlock',
+      effort_hours: 0.5,
+      impact_pct: 5,
+      priority: 3
+    });
+  }
+
+  // Headers (not graded when the main document never arrived)
+  if (!header_grades) return { issues, fixes };
+  const { csp, hsts, frame_options, content_type_options, referrer_policy, permissions_policy } = header_grades;
+
+  if (csp.status === 'fail') {
+    issues.push({
+      id: 'missing_csp',
+      severity: 'high',
+      category: 'Security Headers',
+      description: 'No Content-Security-Policy header; injected scripts can run unrestricted'
+    });
+
+    fixes.push({
+      id: 'add_csp',
+      issue_id: 'missing_csp',
+      title: 'Add a Content-Security-Policy',
+      description: 'Start with a report-only policy (default-src \'self\'; script-src with nonces), review reports, then enforce it',
+      effort_hours: 4,
+      impact_pct: 15,
+      priority: 2
+    });
+  } else if (csp.status === 'warn') {
+    issues.push({
+      id: 'weak_csp',
+      severity: 'medium',
+      category: 'Security Headers',
+      description: `Content-Security-Policy is weak: ${csp.notes.join('; ')}`
+    });
+
+    fixes.push({
+      id: 'harden_csp',
+      issue_id: 'weak_csp',
+      title: 'Tighten the Content-Security-Policy',
+      description: 'Enforce the policy and replace \'unsafe-inline\'/\'unsafe-eval\' and wildcard sources with nonces, hashes or explicit hosts',
+      effort_hours: 3,
+      impact_pct: 8,
+      priority: 3
+    });
+  }
+
+  if (is_https && hsts.status !== 'pass') {
+    const missing = !hsts.value;
+    issues.push({
+      id: missing ? 'missing_hsts' : 'weak_hsts',
+      severity: missing ? 'high' : 'medium',
+      category: 'Security Headers',
+      description: missing
+        ? 'No Strict-Transport-Security header; first visits can be downgraded to HTTP'
+        : `Strict-Transport-Security is weak: ${hsts.notes.join('; ')}`
+    });
+
+    fixes.push({
+      id: 'configure_hsts',
+      issue_id: missing ? 'missing_hsts' : 'weak_hsts',
+      title: 'Enable HSTS',
+      description: 'Send "Strict-Transport-Security: max-age=31536000; includeSubDomains" on all HTTPS responses',
+      effort_hours: 0.5,
+      impact_pct: missing ? 10 : 5,
+      priority: 2
+    });
+  }
+
+  if (frame_options.status !== 'pass') {
+    issues.push({
+      id: 'missing_frame_protection',
+      severity: 'medium',
+      category: 'Security Headers',
+      description: `Page can be framed by other sites (clickjacking): ${frame_options.notes.join('; ')}`
+    });
+
+    fixes.push({
+      id: 'add_frame_protection',
+      issue_id: 'missing_frame_protection',
+      title: 'Prevent Framing',
+      description: 'Add "Content-Security-Policy: frame-ancestors \'self\'" (and "X-Frame-Options: SAMEORIGIN" for older browsers)',
+      effort_hours: 0.5,
+      impact_pct: 6,
+      priority: 2
+    });
+  }
+
+  if (content_type_options.status !== 'pass') {
+    issues.push({
+      id: 'missing_nosniff',
+      severity: 'low',
+      category: 'Security Headers',
+      description: 'X-Content-Type-Options: nosniff is not set; browsers may MIME-sniff responses'
+    });
+
+    fixes.push({
+      id: 'add_nosniff',
+      issue_id: 'missing_nosniff',
+      title: 'Add X-Content-Type-Options',
+      description: 'Send "X-Content-Type-Options: nosniff" on all responses',
+      effort_hours: 0.25,
+      impact_pct: 3,
+      priority: 3
+    });
+  }
+
+  if (referrer_policy.status !== 'pass') {
+    issues.push({
+      id: 'weak_referrer_policy',
+      severity: referrer_policy.status === 'fail' ? 'medium' : 'low',
+      category: 'Security Headers',
+      description: referrer_policy.notes.join('; ')
+    });
+
+    fixes.push({
+      id: 'set_referrer_policy',
+      issue_id: 'weak_referrer_policy',
+      title: 'Set a Referrer-Policy',
+      description: 'Send "Referrer-Policy: strict-origin-when-cross-origin" to avoid leaking full URLs',
+      effort_hours: 0.25,
+      impact_pct: 3,
+      priority: 3
+    });
+  }
+
+  if (permissions_policy.status !== 'pass') {
+    issues.push({
+      id: 'missing_permissions_policy',
+      severity: 'low',
+      category: 'Security Headers',
+      description: permissions_policy.notes.join('; ')
+    });
+
+    fixes.push({
+      id: 'add_permissions_policy',
+      issue_id: 'missing_permissions_policy',
+      title: 'Add a Permissions-Policy',
+      description: 'Disable unused browser features, e.g. "Permissions-Policy: camera=(), microphone=(), geolocation=()"',
+      effort_hours: 0.5,
+      impact_pct: 2,
+      priority: 3
+    });
+  }
+
+  return { issues, fixes };
+}
+
+/**
+ * Main analyze function
+ */
+async function analyze(artifact) {
+  const mainDocument = artifact.mainDocument || null;
+  const pageUrl = mainDocument?.url || artifact.finalUrl || artifact.url || '';
+  const is_https = pageUrl.startsWith('https:');
+
+  const data = {
+    is_https,
+    // Missing headers and certificate details mean the navigation failed, not that the site lacks them
+    header_grades: mainDocument ? gradeHeaders(mainDocument.headers, is_https) : null,
+    tls: analyzeTls(mainDocument?.security_details, is_https),
+    mixed_content: findMixedContent(artifact, is_https)
+  };
+
+  const analysis = calculateSecurityScore(data);
+  const { issues, fixes } = generateIssuesAndFixes(data);
+
+  return {
+    score: analysis.score,
+    confidence: mainDocument ? 'high' : 'low',
+    security_risk_level: analysis.security_risk_level,
+    primary_security_risks: analysis.primary_security_risks,
+    recommendation_flag: analysis.recommendation_flag,
+    is_https,
+    header_grades: data.header_grades,
+    tls: data.tls,
+    mixed_content: {
+      active_count: data.mixed_content.active.length,
+      passive_count: data.mixed_content.passive.length,
+      active: data.mixed_content.active.slice(0, 20),
+      passive: data.mixed_content.passive.slice(0, 20)
+    },
+    issues,
+    fixes
+  };
+}
+
+module.exports = {
+  analyze,
+  calculateSecurityScore,
+  gradeHeaders,
+  THRESHOLDS
+};
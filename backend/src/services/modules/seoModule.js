@@ -31,9 +31,32 @@ const THRESHOLDS = {
   IMAGES_MISSING_ALT_GOOD: 0,
   IMAGES_MISSING_ALT_BAD: 10,
   INTERNAL_LINKS_MIN: 5,
-  EXTERNAL_LINKS_MAX: 50
+  EXTERNAL_LINKS_MAX: 50,
+  SOFT_404_MAX_WORDS: 250
 };
 
+/**
+ * Phrases that indicate an error page served with a success status
+ */
+const SOFT_404_PATTERNS = [
+  /\b404\b/,
+  /page not found/i,
+  /not be found/i,
+  /no longer (exists|available)/i,
+  /(doesn't|does not) exist/i,
+  /nothing (was )?found/i
+];
+
+/**
+ * Detect a soft-404: a 200 response whose page reads like an error page
+ */
+function detectSoft404({ http_status, title = '', h1s = [], word_count = 0 }) {
+  if (http_status !== 200) return false;
+  const headline = [title, ...h1s].join(' ');
+  return word_count <= THRESHOLDS.SOFT_404_MAX_WORDS &&
+    SOFT_404_PATTERNS.some(pattern => pattern.test(headline));
+}
+
 /**
  * Calculate SEO score
  */
@@ -51,7 +74,10 @@ function calculateSEOScore(data) {
     internal_links_count = 0,
     external_links_count = 0,
     structured_data = [],
-    open_graph = {}
+    open_graph = {},
+    http_status = null,
+    soft_404 = false,
+    main_document = null
   } = data;
 
   const factors = [];
@@ -137,6 +163,24 @@ function calculateSEOScore(data) {
     factors.push({ factor: 'Missing Viewport Meta', value: 0, penalty: 0.2 });
   }
 
+  // Landing page status (null when the status was not captured)
+  if (http_status === 0) {
+    TECHNICAL_penalty += 0.5;
+    factors.push({ factor: 'No HTTP Response', value: 0, penalty: 0.5 });
+  } else if (http_status >= 400) {
+    TECHNICAL_penalty += 1.0;
+    factors.push({ factor: 'HTTP Error Status', value: http_status, penalty: 1.0 });
+  } else if (soft_404) {
+    TECHNICAL_penalty += 0.6;
+    factors.push({ factor: 'Soft 404', value: http_status, penalty: 0.6 });
+  }
+
+  // Uncompressed main document
+  if (main_document && !main_document.content_encoding) {
+    TECHNICAL_penalty += 0.1;
+    factors.push({ factor: 'Missing Compression', value: 0, penalty: 0.1 });
+  }
+
   // ============================================
   // CONTENT Component (20% weight)
   // ============================================
@@ -175,9 +219,9 @@ function calculateSEOScore(data) {
   // Determine indexability status
   // ============================================
   let indexability_status = 'good';
-  if (robots_meta && robots_meta.includes('noindex')) {
+  if ((robots_meta && robots_meta.includes('noindex')) || http_status >= 400) {
     indexability_status = 'blocked';
-  } else if (!title || !meta_description || h1_count === 0) {
+  } else if (!title || !meta_description || h1_count === 0 || soft_404) {
     indexability_status = 'partial';
   }
 
@@ -230,9 +274,81 @@ function generateIssuesAndFixes(data, analysis) {
     canonical,
     robots_meta,
     images_missing_alt_count,
-    structured_data
+    structured_data,
+    link_check,
+    http_status,
+    soft_404,
+    main_document,
+    uncompressed_text_count
   } = data;
 
+  // Landing page status
+  if (http_status != null && http_status !== 200) {
+    const statusText = main_document?.status_text ? ` ${main_document.status_text}` : '';
+    const isError = http_status === 0 || http_status >= 400;
+
+    issues.push({
+      id: 'non_200_status',
+      severity: isError ? 'critical' : 'medium',
+      category: 'Technical SEO',
+      description: http_status === 0
+        ? 'No HTTP response was received for the page (navigation failed)'
+        : `Page returned HTTP ${http_status}${statusText} instead of 200`
+    });
+
+    fixes.push({
+      id: 'fix_http_status',
+      issue_id: 'non_200_status',
+      title: 'Serve the Page with a 200 Status',
+      description: isError
+        ? 'Restore the page or 301-redirect the URL to its replacement; make sure the server responds reliably'
+        : 'Return a plain 200 response for indexable landing pages',
+      effort_hours: 1,
+      impact_pct: isError ? 30 : 8,
+      priority: isError ? 1 : 3
+    });
+  } else if (soft_404) {
+    issues.push({
+      id: 'soft_404',
+      severity: 'high',
+      category: 'Technical SEO',
+      description: 'Page looks like an error page ("not found" content) but returns HTTP 200 (soft 404)'
+    });
+
+    fixes.push({
+      id: 'fix_soft_404',
+      issue_id: 'soft_404',
+      title: 'Return a Real 404 for Missing Pages',
+      description: 'Respond with 404/410 for missing content, or 301-redirect to a relevant page',
+      effort_hours: 1,
+      impact_pct: 15,
+      priority: 1
+    });
+  }
+
+  // Compression
+  if (main_document && !main_document.content_encoding) {
+    const assets = uncompressed_text_count > 0
+      ? ` (plus ${uncompressed_text_count} uncompressed text assets)`
+      : '';
+    issues.push({
+      id: 'missing_compression',
+      severity: 'medium',
+      category: 'Technical SEO',
+      description: `HTML document is served without gzip/brotli compression${assets}`
+    });
+
+    fixes.push({
+      id: 'enable_compression',
+      issue_id: 'missing_compression',
+      title: 'Enable Text Compression',
+      description: 'Enable brotli or gzip for HTML, CSS, JS, JSON and SVG responses on the server or CDN',
+      effort_hours: 1,
+      impact_pct: 8,
+      priority: 2
+    });
+  }
+
   // Missing or bad title
   if (!title || title_length === 0) {
     issues.push({
@@ -407,6 +523,132 @@ function generateIssuesAndFixes(data, analysis) {
     });
   }
 
+  // Link validation (only when the link checker ran)
+  if (link_check) {
+    const linkIssues = generateLinkIssuesAndFixes(link_check);
+    issues.push(...linkIssues.issues);
+    fixes.push(...linkIssues.fixes);
+  }
+
+  return { issues, fixes };
+}
+
+/**
+ * Describe a few affected links for an issue description
+ */
+function describeLinks(links, max = 3) {
+  const examples = links.slice(0, max).map(l => {
+    const anchor = l.anchor_text ? `"${l.anchor_text}"` : '(no anchor text)';
+    return `${anchor} → ${l.url}${l.status ? ` (${l.status})` : ''}`;
+  });
+  const more = links.length > max ? ` and ${links.length - max} more` : '';
+  return `${examples.join('; ')}${more}`;
+}
+
+/**
+ * Strip a link check result down to what an issue needs
+ */
+function affectedLink(l) {
+  return {
+    url: l.url,
+    status: l.status,
+    anchor_text: l.anchor_text,
+    source_page: l.source_page,
+    redirect_chain: l.redirect_chain.map(hop => ({ url: hop.from, status: hop.status }))
+  };
+}
+
+/**
+ * Generate issues and fixes from the link checker results
+ */
+function generateLinkIssuesAndFixes(linkCheck) {
+  const issues = [];
+  const fixes = [];
+
+  const brokenInternal = linkCheck.broken.filter(l => l.internal);
+  const brokenExternal = linkCheck.broken.filter(l => !l.internal);
+
+  if (brokenInternal.length > 0) {
+    issues.push({
+      id: 'broken_internal_links',
+      severity: 'high',
+      category: 'Technical SEO',
+      description: `${brokenInternal.length} internal links point to 4xx/5xx pages: ${describeLinks(brokenInternal)}`,
+      affected_links: brokenInternal.map(affectedLink)
+    });
+
+    fixes.push({
+      id: 'fix_broken_internal_links',
+      issue_id: 'broken_internal_links',
+      title: 'Fix Broken Internal Links',
+      description: 'Update or remove internal links to missing pages, or add 301 redirects to the correct destination',
+      effort_hours: Math.min(4, Math.max(0.5, 0.25 * brokenInternal.length)),
+      impact_pct: 12,
+      priority: 1
+    });
+  }
+
+  if (brokenExternal.length > 0) {
+    issues.push({
+      id: 'broken_external_links',
+      severity: 'medium',
+      category: 'Technical SEO',
+      description: `${brokenExternal.length} external links point to 4xx/5xx pages: ${describeLinks(brokenExternal)}`,
+      affected_links: brokenExternal.map(affectedLink)
+    });
+
+    fixes.push({
+      id: 'fix_broken_external_links',
+      issue_id: 'broken_external_links',
+      title: 'Replace Broken External Links',
+      description: 'Point external links to live sources or remove them',
+      effort_hours: Math.min(3, Math.max(0.5, 0.25 * brokenExternal.length)),
+      impact_pct: 6,
+      priority: 2
+    });
+  }
+
+  if (linkCheck.redirect_loops.length > 0) {
+    issues.push({
+      id: 'redirect_loops',
+      severity: 'high',
+      category: 'Technical SEO',
+      description: `${linkCheck.redirect_loops.length} links end in a redirect loop: ${describeLinks(linkCheck.redirect_loops)}`,
+      affected_links: linkCheck.redirect_loops.map(affectedLink)
+    });
+
+    fixes.push({
+      id: 'fix_redirect_loops',
+      issue_id: 'redirect_loops',
+      title: 'Break Redirect Loops',
+      description: 'Correct the redirect rules so each URL resolves to a final 200 page',
+      effort_hours: 1,
+      impact_pct: 10,
+      priority: 1
+    });
+  }
+
+  if (linkCheck.redirect_chains.length > 0) {
+    const longest = Math.max(...linkCheck.redirect_chains.map(l => l.redirect_chain.length));
+    issues.push({
+      id: 'redirect_chains',
+      severity: longest >= 3 ? 'medium' : 'low',
+      category: 'Technical SEO',
+      description: `${linkCheck.redirect_chains.length} links go through multi-hop redirect chains (up to ${longest} hops): ${describeLinks(linkCheck.redirect_chains)}`,
+      affected_links: linkCheck.redirect_chains.map(affectedLink)
+    });
+
+    fixes.push({
+      id: 'flatten_redirect_chains',
+      issue_id: 'redirect_chains',
+      title: 'Link Directly to Final URLs',
+      description: 'Update links to point at the final destination and collapse chained redirects into a single 301',
+      effort_hours: 1,
+      impact_pct: 5,
+      priority: 3
+    });
+  }
+
   return { issues, fixes };
 }
 
@@ -427,8 +669,18 @@ async function analyze(artifact) {
     internal_links_count: artifact.seo.internal_links_count,
     external_links_count: artifact.seo.external_links_count,
     structured_data: artifact.seo.structured_data,
-    open_graph: artifact.seo.open_graph
+    open_graph: artifact.seo.open_graph,
+    link_check: artifact.link_check || null,
+    http_status: artifact.httpStatus ?? null,
+    main_document: artifact.mainDocument || null,
+    uncompressed_text_count: artifact.resources?.uncompressed_text_count || 0
   };
+  data.soft_404 = detectSoft404({
+    http_status: data.http_status,
+    title: data.title,
+    h1s: artifact.seo.h1s,
+    word_count: artifact.content?.word_count
+  });
 
   const analysis = calculateSEOScore(data);
   const { issues, fixes } = generateIssuesAndFixes(data, analysis);
@@ -445,6 +697,11 @@ async function analyze(artifact) {
     images_missing_alt_count: data.images_missing_alt_count,
     internal_links_count: data.internal_links_count,
     external_links_count: data.external_links_count,
+    broken_links_count: data.link_check ? data.link_check.broken_count : null,
+    redirect_chains_count: data.link_check ? data.link_check.redirect_chain_count : null,
+    http_status: data.http_status,
+    soft_404_suspected: data.soft_404,
+    content_encoding: data.main_document?.content_encoding || null,
     issues,
     fixes
   };
@@ -313,6 +313,7 @@ function generateIssuesAndFixes(data, analysis, isMobile = false) {
         category: 'Accessibility',
         description: violation.description,
         help: violation.help,
+        help_url: violation.helpUrl || null,
         nodes_affected: violation.nodes.length
       });
 
@@ -337,6 +338,7 @@ function generateIssuesAndFixes(data, analysis, isMobile = false) {
       category: 'Accessibility',
       description: violation.description,
       help: violation.help,
+      help_url: violation.helpUrl || null,
       nodes_affected: violation.nodes.length
     });
 
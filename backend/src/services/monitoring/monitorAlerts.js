@@ -0,0 +1,125 @@
+/**
+ * Monitor Alerts
+ * Compares a scheduled run with the previous run of the same monitor and
+ * describes the regressions worth alerting on.
+ */
+
+const { diffIssues } = require('../history/reportDiff');
+const { getVisualDiff } = require('../screenshots/visualDiff');
+
+const MODULES = ['performance', 'ux', 'seo', 'content', 'security'];
+
+/**
+ * Recommendation flags per module, ordered best → worst
+ */
+const FLAG_ORDER = {
+  performance: ['use_as_final', 'skip_lighthouse', 'run_lighthouse'],
+  ux: ['minor_fixes', 'priority_fixes', 'critical_fixes'],
+  seo: ['minor_optimizations', 'priority_fixes', 'critical_seo_fixes'],
+  content: ['minor_improvements', 'content_expansion_needed', 'critical_content_revision'],
+  security: ['minor_hardening', 'priority_fixes', 'critical_security_fixes']
+};
+
+const DEFAULT_THRESHOLDS = {
+  health_score_drop: 5
+};
+
+/**
+ * Detect regressions between two runs
+ * @param {Object} previous - Previous Report (lean)
+ * @param {Object} current - Current Report (lean)
+ * @param {Object} thresholds - { health_score_drop }
+ * @returns {Object[]} Alerts: [{ type, severity, message, details }]
+ */
+function detectAlerts(previous, current, thresholds = {}) {
+  const alerts = [];
+  const health_score_drop = thresholds.health_score_drop ?? DEFAULT_THRESHOLDS.health_score_drop;
+
+  // Health score
+  const before = previous.aggregator?.website_health_score;
+  const after = current.aggregator?.website_health_score;
+  if (typeof before === 'number' && typeof after === 'number' && before - after >= health_score_drop) {
+    const drop = Math.round((before - after) * 10) / 10;
+    alerts.push({
+      type: 'health_score_drop',
+      severity: drop >= health_score_drop * 2 ? 'high' : 'medium',
+      message: `Health score dropped ${drop} points (${before} → ${after})`,
+      details: { before, after, drop, threshold: health_score_drop }
+    });
+  }
+
+  // Recommendation flags
+  const worsened = [];
+  for (const name of MODULES) {
+    const order = FLAG_ORDER[name];
+    const flagBefore = previous.modules?.[name]?.recommendation_flag;
+    const flagAfter = current.modules?.[name]?.recommendation_flag;
+    const rankBefore = order.indexOf(flagBefore);
+    const rankAfter = order.indexOf(flagAfter);
+    if (rankBefore !== -1 && rankAfter > rankBefore) {
+      worsened.push({ module: name, before: flagBefore, after: flagAfter, worst: rankAfter === order.length - 1 });
+    }
+  }
+  if (worsened.length > 0) {
+    alerts.push({
+      type: 'recommendation_flag_worse',
+      severity: worsened.some(w => w.worst) ? 'high' : 'medium',
+      message: `Recommendation worsened for ${worsened.map(w => `${w.module} (${w.before} → ${w.after})`).join(', ')}`,
+      details: { modules: worsened }
+    });
+  }
+
+  // New critical issues
+  const newCritical = MODULES.flatMap(name =>
+    diffIssues(previous.modules?.[name]?.issues, current.modules?.[name]?.issues).new
+      .filter(issue => issue.severity === 'critical')
+      .map(issue => ({ module: name, ...issue }))
+  );
+  if (newCritical.length > 0) {
+    alerts.push({
+      type: 'new_critical_issues',
+      severity: 'critical',
+      message: `${newCritical.length} new critical issue${newCritical.length === 1 ? '' : 's'}: ` +
+        newCritical.map(issue => issue.description).join('; '),
+      details: { issues: newCritical }
+    });
+  }
+
+  return alerts;
+}
+
+/**
+ * Visual change alert: compares the viewport screenshots of two runs when
+ * thresholds.visual_change_pct is set. Never throws; a failed comparison raises no alert.
+ * @returns {Promise<Object|null>} Alert
+ */
+async function detectVisualAlert(previous, current, thresholds = {}) {
+  const threshold = thresholds.visual_change_pct;
+  if (typeof threshold !== 'number') return null;
+
+  try {
+    const { diff, error } = await getVisualDiff(previous, current, 'viewport');
+    if (error) {
+      console.warn(`[Monitor] Visual comparison skipped for ${current.url}: ${error}`);
+      return null;
+    }
+    if (diff.changed_pct < threshold) return null;
+
+    return {
+      type: 'visual_change',
+      severity: diff.changed_pct >= threshold * 2 ? 'high' : 'medium',
+      message: `${diff.changed_pct}% of the viewport changed visually (${diff.regions.length} region${diff.regions.length === 1 ? '' : 's'})`,
+      details: { kind: 'viewport', changed_pct: diff.changed_pct, threshold, regions: diff.regions.slice(0, 10) }
+    };
+  } catch (error) {
+    console.error(`[Monitor] Visual comparison failed for ${current.url}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  FLAG_ORDER,
+  DEFAULT_THRESHOLDS,
+  detectAlerts,
+  detectVisualAlert
+};
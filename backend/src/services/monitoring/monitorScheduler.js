@@ -0,0 +1,215 @@
+/**
+ * Monitor Scheduler
+ * Runs registered monitors on their hourly/daily/weekly schedule inside the
+ * backend process. Every run goes through runAnalysisJob, is compared with the
+ * monitor's previous run, and raises MonitorAlert records on regressions.
+ */
+
+const Monitor = require('../../models/Monitor');
+const MonitorAlert = require('../../models/MonitorAlert');
+const Report = require('../../models/Report');
+const { runAnalysisJob } = require('../jobRunner');
+const { runInWorkerSlot } = require('../jobQueue');
+const { detectAlerts, detectVisualAlert } = require('./monitorAlerts');
+const { VISUAL_FIELDS } = require('../screenshots/visualDiff');
+const { emitWebhookEvent } = require('../webhooks/webhookDispatcher');
+const { v4: uuidv4 } = require('uuid');
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const POLL_INTERVAL_MS = parseInt(process.env.MONITOR_POLL_INTERVAL_MS || '60000');
+
+// Fields needed to compare two runs
+const COMPARISON_FIELDS = 'aggregator modules.performance modules.ux modules.seo modules.content modules.security ' + VISUAL_FIELDS;
+
+let pollTimer = null;
+let ticking = false;
+
+/**
+ * Next run time for a frequency
+ */
+function nextRunAt(frequency, from = new Date()) {
+  return new Date(from.getTime() + (FREQUENCY_MS[frequency] || FREQUENCY_MS.daily));
+}
+
+/**
+ * Map stored monitor options onto runAnalysisJob options
+ */
+function toJobOptions(options = {}) {
+  return {
+    emulateMobile: !!options.emulate_mobile,
+    scoringProfile: options.scoring_profile || undefined,
+    ruleSets: options.rule_sets || undefined,
+    budget: options.budget || undefined
+  };
+}
+
+/**
+ * Atomically claim the most overdue monitor and move its schedule forward
+ * @returns {Promise<Object|null>} Claimed Monitor document
+ */
+async function claimDueMonitor() {
+  const now = new Date();
+  const monitor = await Monitor.findOneAndUpdate(
+    { enabled: true, running: false, next_run_at: { $lte: now } },
+    { $set: { running: true } },
+    { sort: { next_run_at: 1 }, new: true }
+  );
+  if (!monitor) return null;
+
+  // Scheduled from the claim time so a slow run does not shift later runs
+  await Monitor.updateOne({ _id: monitor._id }, { $set: { next_run_at: nextRunAt(monitor.frequency, now) } });
+  return monitor;
+}
+
+/**
+ * Claim a specific monitor for an on-demand run (schedule is left unchanged)
+ * @returns {Promise<Object|null>} Monitor, or null if it is unknown or already running
+ */
+function claimMonitor(monitorId) {
+  return Monitor.findOneAndUpdate(
+    { _id: monitorId, running: false },
+    { $set: { running: true } },
+    { new: true }
+  );
+}
+
+/**
+ * Run a claimed monitor once and raise alerts against its previous run
+ * @param {Object} monitor - Claimed Monitor document
+ * @returns {Promise<Object>} { reportId, status, alerts }
+ */
+async function runMonitor(monitor) {
+  const jobId = uuidv4();
+  const startedAt = new Date();
+  console.log(`[Monitor] Running ${monitor.url} (${monitor.frequency}, monitor=${monitor._id})`);
+
+  let runError = null;
+  try {
+    // Shares the JOB_CONCURRENCY browser slots with queued analyses and journeys
+    await runInWorkerSlot(() => runAnalysisJob(monitor.url, { ...toJobOptions(monitor.options), jobId }));
+  } catch (error) {
+    runError = error;
+    console.error(`[Monitor] Run failed for ${monitor.url}:`, error.message);
+  }
+
+  let report = null;
+  let alerts = [];
+  try {
+    report = await Report.findOneAndUpdate(
+      { request_id: jobId },
+      { $set: { monitor_id: monitor._id } },
+      { new: true }
+    ).select(COMPARISON_FIELDS).lean();
+
+    // Only runs that produced scores are compared (and become the next baseline)
+    const scored = typeof report?.aggregator?.website_health_score === 'number';
+    const previous = scored && monitor.last_report_id
+      ? await Report.findById(monitor.last_report_id).select(COMPARISON_FIELDS).lean()
+      : null;
+
+    if (scored && previous) {
+      alerts = detectAlerts(previous, report, monitor.thresholds || {});
+      const visualAlert = await detectVisualAlert(previous, report, monitor.thresholds || {});
+      if (visualAlert) alerts.push(visualAlert);
+      if (alerts.length > 0) {
+        await MonitorAlert.insertMany(alerts.map(alert => ({
+          ...alert,
+          monitor_id: monitor._id,
+          url: monitor.url,
+          report_id: report._id,
+          previous_report_id: previous._id
+        })));
+        console.log(`[Monitor] ${alerts.length} alert(s) for ${monitor.url}: ${alerts.map(a => a.type).join(', ')}`);
+
+        emitWebhookEvent('regression.detected', {
+          monitorId: monitor._id.toString(),
+          reportId: report._id.toString(),
+          previousReportId: previous._id.toString(),
+          url: monitor.url,
+          website_health_score: report.aggregator.website_health_score,
+          health_grade: report.aggregator.health_grade,
+          module_scores: report.aggregator.module_scores,
+          previous_health_score: previous.aggregator?.website_health_score ?? null,
+          alerts: alerts.map(({ type, severity, message }) => ({ type, severity, message }))
+        });
+      }
+    }
+
+    await Monitor.updateOne({ _id: monitor._id }, {
+      $set: {
+        running: false,
+        last_run_at: startedAt,
+        last_status: runError ? 'failed' : 'completed',
+        last_error: runError ? runError.message : null,
+        ...(scored ? { last_report_id: report._id } : {})
+      },
+      $inc: { run_count: 1 }
+    });
+  } catch (error) {
+    console.error(`[Monitor] Failed to record run for ${monitor.url}:`, error.message);
+    await Monitor.updateOne({ _id: monitor._id }, { $set: { running: false } }).catch(() => {});
+  }
+
+  return {
+    reportId: report?._id?.toString() || null,
+    status: runError ? 'failed' : 'completed',
+    alerts
+  };
+}
+
+/**
+ * Run every due monitor, one at a time
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    let monitor;
+    while ((monitor = await claimDueMonitor())) {
+      await runMonitor(monitor);
+    }
+  } catch (error) {
+    console.error('[Monitor] Scheduler tick failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler. Monitors left `running` by a previous process are released.
+ */
+async function startScheduler() {
+  const { modifiedCount } = await Monitor.updateMany({ running: true }, { $set: { running: false } });
+  if (modifiedCount > 0) {
+    console.log(`[Monitor] Released ${modifiedCount} interrupted monitor run(s)`);
+  }
+
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`[Monitor] Scheduler started (poll=${POLL_INTERVAL_MS}ms)`);
+  tick();
+}
+
+/**
+ * Stop the scheduler (a run in progress is left to finish)
+ */
+function stopScheduler() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  FREQUENCY_MS,
+  nextRunAt,
+  claimMonitor,
+  runMonitor,
+  startScheduler,
+  stopScheduler
+};
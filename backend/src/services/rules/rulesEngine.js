@@ -0,0 +1,439 @@
+/**
+ * Custom Rules Engine
+ * Evaluates declarative (JSON/YAML) rule sets against the scrape artifact and
+ * appends the resulting issues/fixes to the targeted module.
+ *
+ * Rule shape:
+ *   {
+ *     id: 'og_image_required',
+ *     module: 'seo',                       // performance | ux | seo | content | security
+ *     severity: 'medium',                  // critical | high | medium | low
+ *     category: 'Social',                  // optional, defaults to "Custom Rule"
+ *     description: 'Page has no og:image',  // supports {{path}} placeholders
+ *     assert: { path: 'seo.open_graph.image', op: 'exists' },
+ *     penalty: 5,                          // score points removed when the rule fails
+ *     fix: { title, description, effort_hours, impact_pct, priority }
+ *   }
+ *
+ * Conditions are leaves ({ path, op, value, measure }) or groups ({ all: [] }, { any: [] }, { not: {} }).
+ * The rule fails when its assert condition evaluates to false.
+ */
+
+const vm = require('vm');
+const RuleSet = require('../../models/RuleSet');
+
+const MODULE_NAMES = ['performance', 'ux', 'seo', 'content', 'security'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const MEASURES = ['value', 'length'];
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_]{1,59}$/;
+
+const LIMITS = {
+  MAX_RULES: 100,
+  MAX_PENALTY: 50,
+  MAX_DEPTH: 5,
+  // Bound the work a user-supplied "matches" pattern can do
+  MAX_PATTERN_LENGTH: 200,
+  MAX_MATCH_INPUT_LENGTH: 10000,
+  MATCH_TIMEOUT_MS: 50
+};
+
+/**
+ * Comparison operators: (actual, expected) → boolean
+ */
+const OPERATORS = {
+  exists: (actual) => actual !== null && actual !== undefined && actual !== '',
+  missing: (actual) => actual === null || actual === undefined || actual === '',
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  contains: (actual, expected) => containsValue(actual, expected),
+  not_contains: (actual, expected) => !containsValue(actual, expected),
+  matches: (actual, expected) => typeof actual === 'string' && testPattern(String(expected), actual),
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+const VALUELESS_OPERATORS = ['exists', 'missing'];
+
+function containsValue(actual, expected) {
+  if (typeof actual === 'string') return actual.toLowerCase().includes(String(expected).toLowerCase());
+  if (Array.isArray(actual)) return actual.includes(expected);
+  return false;
+}
+
+/**
+ * Why a pattern could backtrack catastrophically, or null when it is safe to run:
+ * backreferences, and quantified groups that contain a quantifier or an
+ * alternation (`(a+)+`, `(a|ab)*`). Rejected when the rule set is saved.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Reason the pattern is rejected
+ */
+function unsafePatternReason(pattern) {
+  const groups = [];
+  let closed = null;
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const afterGroup = closed;
+    closed = null;
+
+    if (ch === '\\') {
+      const next = pattern[i + 1] || '';
+      if (!inClass && (/[1-9]/.test(next) || next === 'k')) return 'backreferences are not allowed';
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+      continue;
+    }
+
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push({ risky: false });
+    } else if (ch === ')') {
+      closed = groups.pop() || { risky: false };
+      // An enclosing group that repeats this one repeats its contents too
+      if (closed.risky && groups.length) groups[groups.length - 1].risky = true;
+    } else if (ch === '|') {
+      if (groups.length) groups[groups.length - 1].risky = true;
+    } else if (ch === '*' || ch === '+' || (ch === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))) {
+      if (afterGroup?.risky) return 'nested quantifiers and repeated alternations are not allowed';
+      if (groups.length) groups[groups.length - 1].risky = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Case-insensitive regex test with bounded work: the pattern and input are
+ * capped and the match runs under a time limit, throwing when it is exceeded.
+ */
+function testPattern(pattern, text) {
+  const source = pattern.slice(0, LIMITS.MAX_PATTERN_LENGTH);
+  const reason = unsafePatternReason(source);
+  if (reason) throw new Error(`unsafe regular expression: ${reason}`);
+
+  return vm.runInNewContext('re.test(text)', {
+    re: new RegExp(source, 'i'),
+    text: text.slice(0, LIMITS.MAX_MATCH_INPUT_LENGTH)
+  }, { timeout: LIMITS.MATCH_TIMEOUT_MS });
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// ============================================
+// Facts: derived values that are awkward to reach with a plain path
+// ============================================
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the fact namespace exposed to rules as "facts.*"
+ * @param {Object} artifact - Scraper artifact
+ * @returns {Object} Facts
+ */
+function buildFacts(artifact) {
+  const pageUrl = artifact.finalUrl || artifact.originalUrl || '';
+  const pageOrigin = originOf(pageUrl);
+  const resources = artifact.resources?.all || [];
+
+  const thirdParty = resources.filter(r => {
+    const origin = originOf(r.url);
+    return origin && origin !== pageOrigin && /^https?:/.test(origin);
+  });
+  const isScript = (r) => /javascript|ecmascript/i.test(r.contentType || '');
+
+  const headers = Object.fromEntries(
+    Object.entries(artifact.mainDocument?.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return {
+    page_origin: pageOrigin,
+    is_https: pageUrl.startsWith('https://'),
+    http_status: artifact.httpStatus ?? null,
+    headers,
+    third_party_origins: [...new Set(thirdParty.map(r => originOf(r.url)))],
+    third_party_script_origins: [...new Set(thirdParty.filter(isScript).map(r => originOf(r.url)))],
+    script_count: resources.filter(isScript).length,
+    stylesheet_count: resources.filter(r => /text\/css/i.test(r.contentType || '')).length,
+    image_count: artifact.seo?.images?.length || 0,
+    total_bytes_kb: Math.round(resources.reduce((sum, r) => sum + (r.size || 0), 0) / 1024),
+    word_count: artifact.content?.word_count || 0
+  };
+}
+
+/**
+ * Resolve a dot path ("seo.open_graph.image", "facts.headers.x-frame-options")
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function validateCondition(condition, where, depth = 0) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${where}: condition must be an object`];
+  }
+  if (depth > LIMITS.MAX_DEPTH) {
+    return [`${where}: conditions nested deeper than ${LIMITS.MAX_DEPTH} levels`];
+  }
+
+  if (condition.all || condition.any) {
+    const group = condition.all ? 'all' : 'any';
+    const children = condition[group];
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`${where}: "${group}" must be a non-empty array`];
+    }
+    return children.flatMap((child, i) => validateCondition(child, `${where}.${group}[${i}]`, depth + 1));
+  }
+  if (condition.not) {
+    return validateCondition(condition.not, `${where}.not`, depth + 1);
+  }
+
+  const errors = [];
+  if (typeof condition.path !== 'string' || !condition.path) {
+    errors.push(`${where}: "path" is required`);
+  }
+  if (!Object.hasOwn(OPERATORS, condition.op)) {
+    errors.push(`${where}: unknown operator "${condition.op}" (expected one of ${Object.keys(OPERATORS).join(', ')})`);
+  } else if (!VALUELESS_OPERATORS.includes(condition.op) && condition.value === undefined) {
+    errors.push(`${where}: operator "${condition.op}" requires a "value"`);
+  }
+  if (condition.op === 'in' && !Array.isArray(condition.value)) {
+    errors.push(`${where}: operator "in" requires an array value`);
+  }
+  if (condition.op === 'matches') {
+    if (typeof condition.value === 'string' && condition.value.length > LIMITS.MAX_PATTERN_LENGTH) {
+      errors.push(`${where}: regular expression is longer than ${LIMITS.MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+      new RegExp(condition.value);
+      const reason = unsafePatternReason(String(condition.value));
+      if (reason) errors.push(`${where}: regular expression could be too slow (${reason})`);
+    } catch (e) {
+      errors.push(`${where}: invalid regular expression (${e.message})`);
+    }
+  }
+  if (condition.measure !== undefined && !MEASURES.includes(condition.measure)) {
+    errors.push(`${where}: measure must be one of ${MEASURES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a single rule definition
+ * @returns {string[]} Validation errors
+ */
+function validateRule(rule, index) {
+  const where = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+  if (!rule || typeof rule !== 'object') return [`${where}: rule must be an object`];
+
+  const errors = [];
+  if (!RULE_ID_PATTERN.test(rule.id || '')) {
+    errors.push(`${where}: id must be a lowercase identifier (letters, digits, underscores)`);
+  }
+  if (!MODULE_NAMES.includes(rule.module)) {
+    errors.push(`${where}: module must be one of ${MODULE_NAMES.join(', ')}`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.description !== 'string' || !rule.description) {
+    errors.push(`${where}: description is required`);
+  }
+  if (rule.penalty !== undefined &&
+    (typeof rule.penalty !== 'number' || rule.penalty < 0 || rule.penalty > LIMITS.MAX_PENALTY)) {
+    errors.push(`${where}: penalty must be a number between 0 and ${LIMITS.MAX_PENALTY}`);
+  }
+  if (rule.fix !== undefined && (typeof rule.fix !== 'object' || !rule.fix.title)) {
+    errors.push(`${where}: fix must be an object with a title`);
+  }
+  errors.push(...validateCondition(rule.assert, `${where}.assert`));
+  return errors;
+}
+
+/**
+ * Validate a rule set definition
+ * @param {Object} definition - { rules }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateRuleSet({ rules } = {}) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return ['rules must be a non-empty array'];
+  }
+  if (rules.length > LIMITS.MAX_RULES) {
+    return [`A rule set may contain at most ${LIMITS.MAX_RULES} rules`];
+  }
+
+  const errors = rules.flatMap(validateRule);
+  const ids = rules.map(r => r && r.id).filter(Boolean);
+  const duplicates = ids.filter((id, i) => ids.indexOf(id) !== i);
+  for (const id of new Set(duplicates)) {
+    errors.push(`Duplicate rule id "${id}"`);
+  }
+  return errors;
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+/**
+ * Evaluate a condition against the rule context
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, context) {
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, context));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, context));
+  if (condition.not) return !evaluateCondition(condition.not, context);
+
+  let actual = resolvePath(context, condition.path);
+  if (condition.measure === 'length') {
+    actual = actual == null ? 0 : (actual.length ?? Object.keys(actual).length);
+  }
+  return OPERATORS[condition.op](actual, condition.value);
+}
+
+/**
+ * Fill {{path}} placeholders in rule text from the context
+ */
+function renderTemplate(text, context) {
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, path) => {
+    const value = resolvePath(context, path);
+    if (value == null) return 'n/a';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Turn a failed rule into an issue/fix pair in the module shape
+ */
+function buildFinding(rule, ruleSetName, context) {
+  const issueId = `rule_${rule.id}`;
+  const issue = {
+    id: issueId,
+    severity: rule.severity,
+    category: rule.category || 'Custom Rule',
+    description: renderTemplate(rule.description, context),
+    rule_id: rule.id,
+    rule_set: ruleSetName
+  };
+
+  const fix = rule.fix ? {
+    id: `fix_${issueId}`,
+    issue_id: issueId,
+    title: renderTemplate(rule.fix.title, context),
+    description: rule.fix.description ? renderTemplate(rule.fix.description, context) : '',
+    effort_hours: rule.fix.effort_hours ?? 1,
+    impact_pct: rule.fix.impact_pct ?? Math.round(rule.penalty || 0),
+    priority: rule.fix.priority ?? SEVERITIES.indexOf(rule.severity) + 1
+  } : null;
+
+  return { issue, fix };
+}
+
+/**
+ * Apply rule sets to module results (mutates and returns modules)
+ * @param {Object} modules - { performance, ux, seo, content, security }
+ * @param {Object} artifact - Scraper artifact
+ * @param {Object[]} ruleSets - [{ name, rules }]
+ * @returns {Object} modules
+ */
+function applyRules(modules, artifact, ruleSets = []) {
+  if (ruleSets.length === 0) return modules;
+
+  const context = { ...artifact, link_check: artifact.link_check || null, facts: buildFacts(artifact) };
+  const summaries = {};
+
+  for (const ruleSet of ruleSets) {
+    for (const rule of ruleSet.rules) {
+      const module = modules[rule.module];
+      if (!module) continue;
+
+      if (!summaries[rule.module]) {
+        summaries[rule.module] = { rule_sets: [], evaluated: 0, failed: [], penalty: 0, score_before_rules: module.score };
+      }
+      const summary = summaries[rule.module];
+      if (!summary.rule_sets.includes(ruleSet.name)) summary.rule_sets.push(ruleSet.name);
+
+      let passed;
+      try {
+        passed = evaluateCondition(rule.assert, context);
+      } catch (error) {
+        console.warn(`[RulesEngine] Rule ${ruleSet.name}/${rule.id} could not be evaluated: ${error.message}`);
+        continue;
+      }
+      summary.evaluated++;
+      if (passed) continue;
+
+      const { issue, fix } = buildFinding(rule, ruleSet.name, context);
+      module.issues = [...(module.issues || []), issue];
+      if (fix) module.fixes = [...(module.fixes || []), fix];
+
+      summary.failed.push(rule.id);
+      summary.penalty += rule.penalty || 0;
+    }
+  }
+
+  for (const [name, summary] of Object.entries(summaries)) {
+    const module = modules[name];
+    if (typeof module.score === 'number') {
+      module.score = Math.round(clamp(summary.score_before_rules - summary.penalty, 0, 100));
+    }
+    module.custom_rules = summary;
+
+    console.log(`[RulesEngine] ${name}: ${summary.failed.length}/${summary.evaluated} custom rules failed, -${summary.penalty} pts`);
+  }
+
+  return modules;
+}
+
+/**
+ * Resolve the rule sets for an analysis request.
+ * No selection loads every enabled rule set; a list of names loads exactly those
+ * (disabled sets included) and an empty list turns custom rules off.
+ * @param {string[]|undefined} selection - Rule set names
+ * @returns {Promise<Object>} { ruleSets: [{ name, rules }], error }
+ */
+async function resolveRuleSets(selection) {
+  if (selection !== undefined && selection !== null &&
+    (!Array.isArray(selection) || selection.some(name => typeof name !== 'string'))) {
+    return { ruleSets: [], error: 'ruleSets must be an array of rule set names' };
+  }
+
+  const query = selection ? { name: { $in: selection } } : { enabled: true };
+  const stored = await RuleSet.find(query).sort({ name: 1 }).lean();
+
+  const unknown = (selection || []).filter(name => !stored.some(r => r.name === name));
+  if (unknown.length > 0) {
+    return { ruleSets: [], error: `Unknown rule set${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` };
+  }
+
+  return { ruleSets: stored.map(({ name, rules }) => ({ name, rules })), error: null };
+}
+
+module.exports = {
+  MODULE_NAMES,
+  OPERATORS,
+  buildFacts,
+  validateRuleSet,
+  evaluateCondition,
+  applyRules,
+  resolveRuleSets
+};
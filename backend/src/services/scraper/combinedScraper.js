@@ -5,6 +5,77 @@
 
 const { chromium } = require('playwright');
 const path = require('path');
+const { resolveDevicePreset, describeEmulation, NETWORK_PROFILES } = require('./devicePresets');
+const { scanAuthContextOptions, applyScanAuth, runLoginScript, redactArtifact } = require('./scanAuth');
+const { installPerformanceObservers, readPerformance, detectCtas, runAxe, measureInteractions } = require('./pageProbes');
+const { startCoverage, collectCoverage } = require('./coverage');
+const { watchMixedContent } = require('./mixedContent');
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 960;
+const MAX_NODES_PER_RULE = 20;
+
+/**
+ * Downscale a PNG screenshot to a JPEG thumbnail using a scratch page
+ * @param {Object} context - Playwright browser context
+ * @param {string} pngBase64 - Screenshot as base64 PNG
+ * @returns {Promise<string>} Base64 JPEG, THUMBNAIL_WIDTH wide and cropped at THUMBNAIL_MAX_HEIGHT
+ */
+async function createThumbnail(context, pngBase64) {
+  const thumbPage = await context.newPage();
+  try {
+    await thumbPage.setContent(
+      `<body style="margin:0"><img id="shot" style="display:block;width:${THUMBNAIL_WIDTH}px" src="data:image/png;base64,${pngBase64}"></body>`
+    );
+    const height = await thumbPage.$eval('#shot', img => img.decode().then(() => img.offsetHeight));
+    await thumbPage.setViewportSize({ width: THUMBNAIL_WIDTH, height: Math.max(1, Math.min(height, THUMBNAIL_MAX_HEIGHT)) });
+    return (await thumbPage.screenshot({ type: 'jpeg', quality: 70 })).toString('base64');
+  } finally {
+    await thumbPage.close();
+  }
+}
+
+/**
+ * Resolve axe violation nodes to page rectangles for screenshot overlays.
+ * Nodes inside iframes or shadow roots (nested axe targets) are skipped.
+ * @param {Object} page - Playwright page
+ * @param {Object[]} violations - axe-core violations
+ * @returns {Promise<Object>} { page_size, viewport_size, nodes: [{ rule_id, target, failure_summary, rect }] }
+ */
+async function locateAxeNodes(page, violations) {
+  const targets = violations.flatMap(violation => violation.nodes
+    .filter(node => node.target.length === 1 && typeof node.target[0] === 'string')
+    .slice(0, MAX_NODES_PER_RULE)
+    .map(node => ({ rule_id: violation.id, target: node.target[0], failure_summary: node.failureSummary || null })));
+
+  return page.evaluate((nodes) => {
+    const located = [];
+    for (const node of nodes) {
+      let el = null;
+      try { el = document.querySelector(node.target); } catch (e) { continue; }
+      if (!el) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      located.push({
+        ...node,
+        rect: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        }
+      });
+    }
+    return {
+      page_size: {
+        width: document.documentElement.scrollWidth,
+        height: document.documentElement.scrollHeight
+      },
+      viewport_size: { width: window.innerWidth, height: window.innerHeight },
+      nodes: located
+    };
+  }, targets);
+}
 
 /**
  * Main scraper function - extracts all artifacts needed for analysis
@@ -21,116 +92,106 @@ async function combinedScrape(url, opts = {}) {
     ...opts
   };
 
+  // A named preset decides the device; without one the legacy mobile flag picks mobile/desktop
+  const { preset, error: presetError } = resolveDevicePreset(options.devicePreset, options.emulateMobile);
+  if (presetError) throw new Error(presetError);
+  options.emulateMobile = preset.mobile;
+
   const browser = await chromium.launch({
     args: ['--no-sandbox', '--disable-setuid-sandbox'],
     headless: true
   });
 
-  const viewport = options.emulateMobile
-    ? { width: 375, height: 812 }
-    : { width: 1200, height: 900 };
-
-  const userAgent = options.emulateMobile
-    ? 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
-    : 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const { viewport, userAgent } = preset;
 
   const context = await browser.newContext({
     viewport,
-    userAgent
+    userAgent,
+    deviceScaleFactor: preset.deviceScaleFactor,
+    isMobile: preset.isMobile,
+    hasTouch: preset.hasTouch,
+    ...scanAuthContextOptions(options.auth)
   });
 
-  const page = await context.newPage();
-
-  // ============================================
-  // STEP 1: Inject Performance Observers
-  // ============================================
-  await page.addInitScript(() => {
-    window.__perf = {
-      lcp: null,
-      cls: 0,
-      fcp: null,
-      entries: [],
-      layoutShifts: []
-    };
-
-    // LCP Observer
+  // Authenticated scans: cookies and headers first, then the login script in
+  // its own page so its requests don't count towards the scanned page
+  if (options.auth) {
     try {
-      const lcpObserver = new PerformanceObserver((list) => {
-        for (const entry of list.getEntries()) {
-          if (entry.entryType === 'largest-contentful-paint') {
-            window.__perf.lcp = entry.startTime || entry.renderTime || entry.loadTime;
-          }
+      await applyScanAuth(context, options.auth, url);
+      if (options.auth.loginScript) {
+        const loginPage = await context.newPage();
+        try {
+          await runLoginScript(loginPage, options.auth);
+        } finally {
+          await loginPage.close();
         }
-      });
-      lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
+      }
     } catch (e) {
-      console.warn('LCP observer failed:', e.message);
+      await browser.close();
+      throw e;
     }
+  }
 
-    // CLS Observer
-    try {
-      const clsObserver = new PerformanceObserver((list) => {
-        for (const entry of list.getEntries()) {
-          if (!entry.hadRecentInput) {
-            window.__perf.cls += entry.value || 0;
-            window.__perf.layoutShifts.push({
-              value: entry.value,
-              time: entry.startTime
-            });
-          }
-        }
-      });
-      clsObserver.observe({ type: 'layout-shift', buffered: true });
-    } catch (e) {
-      console.warn('CLS observer failed:', e.message);
-    }
+  const page = await context.newPage();
 
-    // FCP Observer
-    try {
-      const fcpObserver = new PerformanceObserver((list) => {
-        for (const entry of list.getEntries()) {
-          if (entry.name === 'first-contentful-paint') {
-            window.__perf.fcp = entry.startTime;
-          }
-        }
-      });
-      fcpObserver.observe({ type: 'paint', buffered: true });
-    } catch (e) {
-      console.warn('FCP observer failed:', e.message);
-    }
+  // CDP session to learn the negotiated protocol (h2, h3, http/1.1) of documents
+  // and to apply the preset's CPU and network throttling
+  const documentProtocols = new Map();
+  const emulation = { ...describeEmulation(preset), throttling_applied: false };
+  try {
+    const cdp = await context.newCDPSession(page);
+    await cdp.send('Network.enable');
+    cdp.on('Network.responseReceived', (event) => {
+      if (event.type === 'Document' && event.response.protocol) {
+        documentProtocols.set(event.response.url, event.response.protocol);
+      }
+    });
 
-    // Long Task Observer (for INP/TBT approximation)
-    try {
-      const longTaskObserver = new PerformanceObserver((list) => {
-        for (const entry of list.getEntries()) {
-          if (entry.duration > 50) {
-            window.__perf.entries.push({
-              name: entry.name,
-              duration: entry.duration,
-              startTime: entry.startTime
-            });
-          }
-        }
+    const network = NETWORK_PROFILES[preset.network];
+    if (network) {
+      await cdp.send('Network.emulateNetworkConditions', {
+        offline: false,
+        latency: network.latency,
+        downloadThroughput: network.downloadThroughput,
+        uploadThroughput: network.uploadThroughput
       });
-      longTaskObserver.observe({ type: 'longtask', buffered: true });
-    } catch (e) {
-      console.warn('Long task observer failed:', e.message);
     }
-  });
+    if (preset.cpuSlowdown > 1) {
+      await cdp.send('Emulation.setCPUThrottlingRate', { rate: preset.cpuSlowdown });
+    }
+    emulation.throttling_applied = true;
+  } catch (e) {
+    console.warn('CDP session unavailable, protocol capture and throttling skipped:', e.message);
+  }
+
+  // ============================================
+  // STEP 1: Inject Performance Observers
+  // ============================================
+  await installPerformanceObservers(page);
 
   // ============================================
   // STEP 2: Network Resource Tracking
   // ============================================
   const resources = [];
   const redirectChain = [];
+  let mainDocumentResponse = null;
+  // Requests triggered by the synthetic interactions (STEP 9e) are not part of the page load
+  let interacting = false;
 
   page.on('response', async (response) => {
+    if (interacting) return;
     try {
       const url = response.url();
       const headers = response.headers();
       const status = response.status();
       const contentType = headers['content-type'] || '';
 
+      // Keep the latest main-frame navigation response (final hop after redirects)
+      if (response.request().isNavigationRequest() && response.frame() === page.mainFrame() &&
+        !(status >= 300 && status < 400)) {
+        mainDocumentResponse = response;
+      }
+
       // Track redirects
       if (status >= 300 && status < 400) {
         redirectChain.push({ from: url, to: headers['location'], status });
@@ -152,6 +213,7 @@ async function combinedScrape(url, opts = {}) {
         url,
         status,
         contentType,
+        contentEncoding: headers['content-encoding'] || null,
         size,
         timing: response.timing()
       });
@@ -160,17 +222,22 @@ async function combinedScrape(url, opts = {}) {
     }
   });
 
+  // Blocked and auto-upgraded http: requests never produce an http: response
+  const mixedContent = watchMixedContent(page, { paused: () => interacting });
+
   // ============================================
   // STEP 3: Navigate and Load Page
   // ============================================
+  const coverageStarted = await startCoverage(page);
   const startTime = Date.now();
   let navigationError = null;
 
   try {
-    await page.goto(url, {
+    const response = await page.goto(url, {
       waitUntil: 'networkidle',
       timeout: options.timeout
     });
+    if (response) mainDocumentResponse = response;
   } catch (error) {
     navigationError = error.message;
     console.warn('Navigation warning:', error.message);
@@ -178,7 +245,47 @@ async function combinedScrape(url, opts = {}) {
 
   const loadTimeMs = Date.now() - startTime;
   const finalUrl = page.url();
-  const httpStatus = navigationError ? 0 : 200;
+
+  // Real status and headers of the main document (0 when nothing was received)
+  let mainDocument = null;
+  if (mainDocumentResponse) {
+    let headers = mainDocumentResponse.headers();
+    try {
+      headers = await mainDocumentResponse.allHeaders();
+    } catch (e) {
+      // allHeaders() can fail once the response is disposed; keep the basic set
+    }
+
+    // TLS certificate details (null for plain http)
+    let securityDetails = null;
+    try {
+      securityDetails = await mainDocumentResponse.securityDetails();
+    } catch (e) {
+      // Not available for this response
+    }
+
+    mainDocument = {
+      url: mainDocumentResponse.url(),
+      status: mainDocumentResponse.status(),
+      status_text: mainDocumentResponse.statusText(),
+      protocol: documentProtocols.get(mainDocumentResponse.url()) || null,
+      content_type: headers['content-type'] || null,
+      content_encoding: headers['content-encoding'] || null,
+      cache_control: headers['cache-control'] || null,
+      expires: headers['expires'] || null,
+      etag: headers['etag'] || null,
+      last_modified: headers['last-modified'] || null,
+      security_details: securityDetails ? {
+        protocol: securityDetails.protocol || null,
+        issuer: securityDetails.issuer || null,
+        subject_name: securityDetails.subjectName || null,
+        valid_from: securityDetails.validFrom ? new Date(securityDetails.validFrom * 1000) : null,
+        valid_to: securityDetails.validTo ? new Date(securityDetails.validTo * 1000) : null
+      } : null,
+      headers
+    };
+  }
+  const httpStatus = mainDocument ? mainDocument.status : 0;
 
   // ============================================
   // STEP 4: Capture Screenshots
@@ -202,34 +309,15 @@ async function combinedScrape(url, opts = {}) {
   // ============================================
   // STEP 6: Extract Performance Metrics
   // ============================================
-  const perfObj = await page.evaluate(() => {
-    const perf = window.__perf || {};
-    const nav = window.performance.getEntriesByType('navigation')[0] || {};
-    const timing = window.performance.timing || {};
+  const perfObj = await readPerformance(page);
 
-    return {
-      lcp: perf.lcp,
-      cls: perf.cls || 0,
-      fcp: perf.fcp,
-      longTasks: perf.entries || [],
-      layoutShifts: perf.layoutShifts || [],
-      navTiming: nav.toJSON ? nav.toJSON() : {},
-      timing: {
-        navigationStart: timing.navigationStart,
-        requestStart: timing.requestStart,
-        responseStart: timing.responseStart,
-        responseEnd: timing.responseEnd,
-        domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
-        loadEventEnd: timing.loadEventEnd
-      },
-      perfEntries: performance.getEntries().map(e => ({
-        name: e.name,
-        entryType: e.entryType,
-        startTime: e.startTime,
-        duration: e.duration
-      }))
-    };
-  });
+  // ============================================
+  // STEP 6b: JS & CSS Coverage
+  // ============================================
+  // Stopped before the audits below inject their own scripts
+  const coverage = coverageStarted
+    ? await collectCoverage(page, { documentUrl: finalUrl, resources })
+    : null;
 
   // ============================================
   // STEP 7: DOM Analysis & SEO Data
@@ -338,60 +426,17 @@ async function combinedScrape(url, opts = {}) {
       domNodeCount
     };
   });
+  await mixedContent.scanDom();
 
   // ============================================
   // STEP 8: CTA Detection & Positioning
   // ============================================
-  const ctas = await page.$$eval('a, button, [role="button"], .btn, .cta, input[type="submit"]', els => {
-    const viewportHeight = window.innerHeight;
-    return els.map(el => {
-      const rect = el.getBoundingClientRect();
-      const text = el.innerText || el.getAttribute('aria-label') || el.getAttribute('title') || el.value || '';
-      const computedStyle = window.getComputedStyle(el);
-
-      return {
-        text: text.trim().slice(0, 60),
-        tagName: el.tagName.toLowerCase(),
-        top: rect.top,
-        left: rect.left,
-        width: rect.width,
-        height: rect.height,
-        area: rect.width * rect.height,
-        aboveFold: (rect.top + rect.height) < (viewportHeight * 0.7),
-        visible: rect.width > 0 && rect.height > 0,
-        backgroundColor: computedStyle.backgroundColor,
-        color: computedStyle.color
-      };
-    }).filter(cta => cta.visible && cta.area > 100).slice(0, 50);
-  });
+  const ctas = await detectCtas(page);
 
   // ============================================
   // STEP 9: Accessibility Scanning (Axe-core)
   // ============================================
-  let axeResults = null;
-  try {
-    await page.addScriptTag({
-      path: require.resolve('axe-core/axe.min.js')
-    });
-
-    // Include best-practice rules for mobile scans
-    const axeTags = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
-    if (options.emulateMobile) {
-      axeTags.push('best-practice');
-    }
-
-    axeResults = await page.evaluate(async (tags) => {
-      return await axe.run(document, {
-        runOnly: {
-          type: 'tag',
-          values: tags
-        }
-      });
-    }, axeTags);
-  } catch (e) {
-    console.warn('Axe-core scanning failed:', e.message);
-    axeResults = { violations: [], passes: [], incomplete: [] };
-  }
+  const axeResults = await runAxe(page, { mobile: options.emulateMobile });
 
   // ============================================
   // STEP 9b: Mobile Touch Target Detection
@@ -414,8 +459,8 @@ async function combinedScrape(url, opts = {}) {
                 text: (el.innerText || el.getAttribute('aria-label') || '').trim().slice(0, 40),
                 width: Math.round(rect.width),
                 height: Math.round(rect.height),
-                top: Math.round(rect.top),
-                left: Math.round(rect.left),
+                top: Math.round(rect.top + window.scrollY),
+                left: Math.round(rect.left + window.scrollX),
               });
             }
           }
@@ -450,10 +495,15 @@ async function combinedScrape(url, opts = {}) {
           const fontSize = parseFloat(style.fontSize);
           const text = (el.innerText || '').trim();
           if (text.length > 5 && fontSize < MIN_FONT_SIZE) {
+            const rect = el.getBoundingClientRect();
             tooSmall.push({
               tagName: el.tagName.toLowerCase(),
               fontSize: Math.round(fontSize * 10) / 10,
               text: text.slice(0, 40),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height),
+              top: Math.round(rect.top + window.scrollY),
+              left: Math.round(rect.left + window.scrollX),
             });
           }
         });
@@ -470,6 +520,50 @@ async function combinedScrape(url, opts = {}) {
     }
   }
 
+  // ============================================
+  // STEP 9d: Annotation Geometry
+  // ============================================
+  let annotationGeometry = null;
+  try {
+    annotationGeometry = await locateAxeNodes(page, axeResults ? axeResults.violations : []);
+  } catch (e) {
+    console.warn('Annotation geometry failed:', e.message);
+  }
+
+  // ============================================
+  // STEP 9e: Synthetic Interactions (INP)
+  // ============================================
+  // Runs after every DOM measurement since clicks and keypresses change the page.
+  // Skipped for authenticated scans: the clicks would act as the logged-in user.
+  let interactions = null;
+  interacting = true;
+  if (!options.auth) {
+    try {
+      interactions = await measureInteractions(page, { touch: preset.hasTouch });
+    } catch (e) {
+      console.warn('Interaction measurement failed:', e.message);
+    }
+  }
+
+  // ============================================
+  // STEP 9f: Screenshot Thumbnails
+  // ============================================
+  let screenshot_full_thumb = null;
+  let screenshot_viewport_thumb = null;
+
+  try {
+    // Plain context so the preset's scale factor and throttling don't apply
+    const thumbContext = await browser.newContext();
+    try {
+      if (screenshot_viewport) screenshot_viewport_thumb = await createThumbnail(thumbContext, screenshot_viewport);
+      if (screenshot_full) screenshot_full_thumb = await createThumbnail(thumbContext, screenshot_full);
+    } finally {
+      await thumbContext.close();
+    }
+  } catch (e) {
+    console.warn('Thumbnail generation failed:', e.message);
+  }
+
   // ============================================
   // STEP 10: Close Browser
   // ============================================
@@ -494,6 +588,14 @@ async function combinedScrape(url, opts = {}) {
     .filter(r => /font|\.woff|\.woff2|\.ttf|\.otf/i.test(r.contentType + r.url))
     .reduce((sum, r) => sum + (r.size || 0), 0) / 1024;
 
+  // Text assets over ~1 MTU that were served without content-encoding
+  const uncompressedTextResources = resources.filter(r =>
+    r.status === 200 &&
+    !r.contentEncoding &&
+    r.size > 1400 &&
+    /text\/|javascript|json|xml|svg/i.test(r.contentType)
+  );
+
   const renderBlockingResources = resources.filter(r =>
     (r.contentType.includes('css') || r.contentType.includes('javascript')) &&
     r.url.includes('http')
@@ -515,16 +617,18 @@ async function combinedScrape(url, opts = {}) {
   // ============================================
   // STEP 13: Return Complete Artifact
   // ============================================
-  return {
+  const artifact = {
     // Metadata
     finalUrl,
     originalUrl: url,
     httpStatus,
+    mainDocument,
     loadTimeMs,
     redirectChain,
     navigationError,
     userAgent,
     viewport,
+    emulation,
     timestamp: new Date().toISOString(),
 
     // Content
@@ -532,6 +636,8 @@ async function combinedScrape(url, opts = {}) {
     html,
     screenshot_full,
     screenshot_viewport,
+    screenshot_full_thumb,
+    screenshot_viewport_thumb,
 
     // Performance Metrics
     performance: {
@@ -543,10 +649,14 @@ async function combinedScrape(url, opts = {}) {
       ttfb_ms,
       ttfb_s: ttfb_ms / 1000,
       tbt_ms,
+      inp_ms: interactions ? interactions.inp_ms : null,
+      interactions,
       domContentLoaded_ms,
       pageLoad_ms,
       longTasks: perfObj.longTasks,
-      layoutShifts: perfObj.layoutShifts
+      layoutShifts: perfObj.layoutShifts,
+      // Main-thread time per script URL (long animation frames)
+      scriptTimings: perfObj.scriptTimings
     },
 
     // Resources
@@ -558,7 +668,11 @@ async function combinedScrape(url, opts = {}) {
       total_images_kb: Math.round(total_images_kb * 100) / 100,
       total_fonts_kb: Math.round(total_fonts_kb * 100) / 100,
       render_blocking_count: renderBlockingResources.length,
-      render_blocking_resources: renderBlockingResources.slice(0, 20)
+      render_blocking_resources: renderBlockingResources.slice(0, 20),
+      uncompressed_text_count: uncompressedTextResources.length,
+      uncompressed_text_resources: uncompressedTextResources.slice(0, 20).map(r => ({ url: r.url, size: r.size, contentType: r.contentType })),
+      coverage,
+      mixed_content: mixedContent.list()
     },
 
     // DOM & SEO
@@ -598,6 +712,7 @@ async function combinedScrape(url, opts = {}) {
       // Mobile-specific data (null when desktop scan)
       touch_targets: touchTargets,
       text_size_issues: textSizeIssues,
+      annotation_geometry: annotationGeometry,
       is_mobile_scan: options.emulateMobile,
     },
 
@@ -608,6 +723,9 @@ async function combinedScrape(url, opts = {}) {
       char_count: domSummary.visibleText.length
     }
   };
+
+  // Credentials must not leak into reports or AI prompts
+  return options.auth ? redactArtifact(artifact, options.auth) : artifact;
 }
 
 module.exports = { combinedScrape };
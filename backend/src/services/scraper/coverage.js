@@ -0,0 +1,153 @@
+/**
+ * Code Coverage
+ * Chromium JS and CSS coverage for the page load: how many bytes of each
+ * script and stylesheet actually ran or matched, and how much was shipped
+ * for nothing.
+ */
+
+// Files listed in the artifact, largest waste first
+const MAX_COVERAGE_FILES = 20;
+
+const toKb = (bytes) => Math.round(bytes / 1024 * 100) / 100;
+
+/**
+ * Start JS and CSS coverage. Call before the navigation to measure; coverage
+ * from earlier documents (e.g. redirects) is dropped on navigation.
+ * @param {Object} page - Playwright page (Chromium only)
+ * @returns {Promise<boolean>} Whether coverage is being collected
+ */
+async function startCoverage(page) {
+  try {
+    await Promise.all([
+      page.coverage.startJSCoverage(),
+      page.coverage.startCSSCoverage()
+    ]);
+    return true;
+  } catch (e) {
+    console.warn('Coverage unavailable:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Bytes of a script that ran, from V8 block coverage.
+ * Ranges nest (function > block), and an inner range's count overrides the
+ * outer one, so paint them outermost first.
+ * @param {Object} entry - Playwright JS coverage entry
+ * @returns {number} Used bytes
+ */
+function usedScriptBytes(entry) {
+  const length = entry.source.length;
+  const counts = new Uint8Array(length);
+  const ranges = entry.functions
+    .flatMap(fn => fn.ranges)
+    .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset);
+
+  for (const range of ranges) {
+    counts.fill(range.count > 0 ? 1 : 0, range.startOffset, Math.min(range.endOffset, length));
+  }
+  return counts.reduce((sum, used) => sum + used, 0);
+}
+
+/**
+ * Bytes of a stylesheet whose rules were used
+ * @param {Object} entry - Playwright CSS coverage entry
+ * @returns {number} Used bytes
+ */
+function usedStylesheetBytes(entry) {
+  let used = 0;
+  let end = 0;
+  for (const range of [...entry.ranges].sort((a, b) => a.start - b.start)) {
+    const start = Math.max(range.start, end);
+    if (range.end > start) used += range.end - start;
+    end = Math.max(end, range.end);
+  }
+  return used;
+}
+
+/**
+ * Per-file used/unused bytes, merged by URL (inline scripts and styles share
+ * the document URL)
+ * @param {Object[]} jsEntries - From page.coverage.stopJSCoverage()
+ * @param {Object[]} cssEntries - From page.coverage.stopCSSCoverage()
+ * @param {Object} context
+ * @param {string} context.documentUrl - Page URL, marks inline code
+ * @param {Object[]} context.resources - Scraper resource list, for transfer sizes
+ * @returns {Object} { js, css, total_unused_kb, files }
+ */
+function summarizeCoverage(jsEntries, cssEntries, { documentUrl, resources = [] } = {}) {
+  const files = new Map();
+  const add = (type, url, total, used) => {
+    if (!/^https?:/i.test(url) || total === 0) return;
+    const key = `${type} ${url}`;
+    const file = files.get(key) || { url, type, inline: url === documentUrl, total_bytes: 0, used_bytes: 0 };
+    file.total_bytes += total;
+    file.used_bytes += used;
+    files.set(key, file);
+  };
+
+  for (const entry of jsEntries) add('js', entry.url, entry.source?.length || 0, entry.source ? usedScriptBytes(entry) : 0);
+  for (const entry of cssEntries) add('css', entry.url, entry.text?.length || 0, usedStylesheetBytes(entry));
+
+  const transferSizes = new Map(resources.map(r => [r.url, r.size]));
+  const list = [...files.values()].map(file => {
+    const unused = file.total_bytes - file.used_bytes;
+    const unusedRatio = unused / file.total_bytes;
+    // Compressed responses waste proportionally fewer bytes on the wire
+    const transfer = !file.inline && transferSizes.get(file.url) ? transferSizes.get(file.url) : file.total_bytes;
+    return {
+      url: file.url,
+      type: file.type,
+      inline: file.inline,
+      total_kb: toKb(file.total_bytes),
+      unused_kb: toKb(unused),
+      unused_pct: Math.round(unusedRatio * 100),
+      wasted_transfer_kb: toKb(transfer * unusedRatio)
+    };
+  });
+
+  const totals = (type) => {
+    const ofType = list.filter(f => f.type === type);
+    const total_kb = ofType.reduce((sum, f) => sum + f.total_kb, 0);
+    const unused_kb = ofType.reduce((sum, f) => sum + f.unused_kb, 0);
+    return {
+      files: ofType.length,
+      total_kb: Math.round(total_kb * 100) / 100,
+      unused_kb: Math.round(unused_kb * 100) / 100,
+      unused_pct: total_kb > 0 ? Math.round(unused_kb / total_kb * 100) : 0
+    };
+  };
+  const js = totals('js');
+  const css = totals('css');
+
+  return {
+    js,
+    css,
+    total_unused_kb: Math.round((js.unused_kb + css.unused_kb) * 100) / 100,
+    files: list.sort((a, b) => b.unused_kb - a.unused_kb).slice(0, MAX_COVERAGE_FILES)
+  };
+}
+
+/**
+ * Stop coverage and summarize it
+ * @param {Object} page - Playwright page
+ * @param {Object} context - See summarizeCoverage
+ * @returns {Promise<Object|null>} Coverage summary, null when collection failed
+ */
+async function collectCoverage(page, context) {
+  try {
+    const [jsEntries, cssEntries] = await Promise.all([
+      page.coverage.stopJSCoverage(),
+      page.coverage.stopCSSCoverage()
+    ]);
+    return summarizeCoverage(jsEntries, cssEntries, context);
+  } catch (e) {
+    console.warn('Coverage collection failed:', e.message);
+    return null;
+  }
+}
+
+module.exports = {
+  startCoverage,
+  collectCoverage
+};
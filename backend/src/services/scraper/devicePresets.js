@@ -0,0 +1,195 @@
+/**
+ * Device Presets
+ * Named device and network emulation profiles for the scraper.
+ * `desktop` and `mobile` reproduce the original two fixed profiles, so runs
+ * that predate presets stay comparable.
+ */
+
+const USER_AGENTS = {
+  iphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
+  android: 'Mozilla/5.0 (Linux; Android 13; SM-A536B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  ipad: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  windows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+/**
+ * Network throttling for CDP Network.emulateNetworkConditions
+ * (throughput in bytes/s; values follow Lighthouse's mobile presets)
+ */
+const NETWORK_PROFILES = {
+  none: null,
+  'slow-4g': {
+    label: 'Slow 4G',
+    latency: 150,
+    downloadThroughput: (1638.4 * 1024) / 8,
+    uploadThroughput: (675 * 1024) / 8
+  },
+  '3g': {
+    label: '3G',
+    latency: 300,
+    downloadThroughput: (700 * 1024) / 8,
+    uploadThroughput: (700 * 1024) / 8
+  }
+};
+
+/**
+ * mobile: run mobile checks (touch targets, text size, mobile Lighthouse)
+ * cpuSlowdown: CDP Emulation.setCPUThrottlingRate multiplier (1 = none)
+ */
+const DEVICE_PRESETS = {
+  desktop: {
+    label: 'Desktop',
+    description: '1200×900 desktop browser, no throttling',
+    mobile: false,
+    viewport: { width: 1200, height: 900 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: USER_AGENTS.windows,
+    cpuSlowdown: 1,
+    network: 'none'
+  },
+  mobile: {
+    label: 'iPhone',
+    description: '375×812 iPhone user agent, no throttling',
+    mobile: true,
+    viewport: { width: 375, height: 812 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: USER_AGENTS.iphone,
+    cpuSlowdown: 1,
+    network: 'none'
+  },
+  'android-midrange': {
+    label: 'Mid-range Android',
+    description: '412×915 Android phone, 4× CPU slowdown, slow 4G',
+    mobile: true,
+    viewport: { width: 412, height: 915 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: USER_AGENTS.android,
+    cpuSlowdown: 4,
+    network: 'slow-4g'
+  },
+  ipad: {
+    label: 'iPad',
+    description: '820×1180 tablet, 2× CPU slowdown, slow 4G',
+    mobile: true,
+    viewport: { width: 820, height: 1180 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: USER_AGENTS.ipad,
+    cpuSlowdown: 2,
+    network: 'slow-4g'
+  },
+  'laptop-lowend': {
+    label: 'Low-end laptop',
+    description: '1366×768 laptop, 4× CPU slowdown, 3G',
+    mobile: false,
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: USER_AGENTS.windows,
+    cpuSlowdown: 4,
+    network: '3g'
+  },
+  'desktop-4k': {
+    label: '4K desktop',
+    description: '1920×1080 at 2× (3840×2160 pixels), no throttling',
+    mobile: false,
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 2,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: USER_AGENTS.windows,
+    cpuSlowdown: 1,
+    network: 'none'
+  }
+};
+
+/**
+ * Get a preset with its name
+ * @param {string} name - Preset name
+ * @returns {Object|null} Preset
+ */
+function getDevicePreset(name) {
+  return Object.hasOwn(DEVICE_PRESETS, name) ? { name, ...DEVICE_PRESETS[name] } : null;
+}
+
+/**
+ * Resolve the preset for a run: an explicit name, else the legacy mobile/desktop switch
+ * @param {string} [name] - Preset name
+ * @param {boolean} [emulateMobile] - Legacy flag, used when no name is given
+ * @returns {Object} { preset } or { error }
+ */
+function resolveDevicePreset(name, emulateMobile = false) {
+  if (name === undefined || name === null || name === '') {
+    return { preset: getDevicePreset(emulateMobile ? 'mobile' : 'desktop') };
+  }
+  const preset = typeof name === 'string' ? getDevicePreset(name) : null;
+  if (!preset) {
+    return { error: `Unknown device preset "${name}" (expected ${Object.keys(DEVICE_PRESETS).join(', ')})` };
+  }
+  return { preset };
+}
+
+/**
+ * Preset a stored report ran with; reports from before presets fall back to mobile/desktop
+ * @param {Object} report - Report with device_preset / emulate_mobile
+ * @returns {string} Preset name
+ */
+function reportDevicePreset(report) {
+  return report.device_preset || (report.emulate_mobile ? 'mobile' : 'desktop');
+}
+
+/**
+ * Emulation settings recorded on a report
+ * @param {Object} preset - Resolved preset
+ * @returns {Object} Snapshot of what the run used
+ */
+function describeEmulation(preset) {
+  const network = NETWORK_PROFILES[preset.network];
+  return {
+    preset: preset.name,
+    label: preset.label,
+    viewport: preset.viewport,
+    device_scale_factor: preset.deviceScaleFactor,
+    is_mobile: preset.isMobile,
+    has_touch: preset.hasTouch,
+    user_agent: preset.userAgent,
+    cpu_slowdown: preset.cpuSlowdown,
+    network: preset.network,
+    network_conditions: network
+      ? {
+        latency_ms: network.latency,
+        download_kbps: Math.round((network.downloadThroughput * 8) / 1024),
+        upload_kbps: Math.round((network.uploadThroughput * 8) / 1024)
+      }
+      : null
+  };
+}
+
+/**
+ * All presets for listing
+ * @returns {Object[]} [{ preset, label, description, mobile, viewport, ... }]
+ */
+function listDevicePresets() {
+  return Object.keys(DEVICE_PRESETS).map(name => {
+    const preset = getDevicePreset(name);
+    return { ...describeEmulation(preset), description: preset.description, mobile: preset.mobile };
+  });
+}
+
+module.exports = {
+  DEVICE_PRESETS,
+  NETWORK_PROFILES,
+  getDevicePreset,
+  resolveDevicePreset,
+  reportDevicePreset,
+  describeEmulation,
+  listDevicePresets
+};
@@ -0,0 +1,95 @@
+/**
+ * Mixed Content
+ * http: subresources of an https page. Chromium blocks active mixed content
+ * and upgrades passive content to https before any response arrives, so the
+ * response list never shows it; this records the browser's "Mixed Content"
+ * console warnings, failed http: requests and http: URLs left in the DOM.
+ */
+
+// Entries kept in the artifact
+const MAX_MIXED_CONTENT = 50;
+
+// "…was loaded over HTTPS, but requested an insecure script 'http://…'. This request has been blocked…"
+const CONSOLE_PATTERN = /requested an insecure ([a-z ]+?) '(http:[^']+)'/i;
+
+// Console request types and Playwright resource types that only display content
+const PASSIVE_CONSOLE_TYPES = ['image', 'element', 'video', 'audio'];
+const PASSIVE_RESOURCE_TYPES = ['image', 'media'];
+
+/**
+ * Record mixed content as the page loads
+ * @param {Object} page - Playwright page
+ * @param {Object} options
+ * @param {Function} options.paused - Returns true while events should be ignored (synthetic interactions)
+ * @returns {Object} { scanDom(), list() }
+ */
+function watchMixedContent(page, { paused = () => false } = {}) {
+  const found = new Map();
+  const record = (url, type, passive, source) => {
+    if (!found.has(url)) found.set(url, { url, type, passive, source });
+  };
+  const pageIsHttps = () => page.url().startsWith('https:');
+
+  page.on('console', (message) => {
+    if (paused()) return;
+    const match = CONSOLE_PATTERN.exec(message.text());
+    if (!match) return;
+    const type = match[1].toLowerCase();
+    record(match[2], type, PASSIVE_CONSOLE_TYPES.includes(type), 'console');
+  });
+
+  page.on('requestfailed', (request) => {
+    if (paused() || !request.url().startsWith('http:') || !pageIsHttps()) return;
+    const type = request.resourceType();
+    record(request.url(), type, PASSIVE_RESOURCE_TYPES.includes(type), 'request');
+  });
+
+  return {
+    /**
+     * Add http: src/href values still present in the loaded DOM
+     */
+    async scanDom() {
+      if (!pageIsHttps()) return;
+      try {
+        const urls = await page.evaluate(() => {
+          const ATTRIBUTES = [
+            ['script[src]', 'src', 'script', false],
+            ['link[rel~="stylesheet"][href]', 'href', 'stylesheet', false],
+            ['iframe[src]', 'src', 'frame', false],
+            ['object[data]', 'data', 'object', false],
+            ['embed[src]', 'src', 'object', false],
+            ['form[action]', 'action', 'form action', false],
+            ['img[src]', 'src', 'image', true],
+            ['img[srcset], source[srcset]', 'srcset', 'image', true],
+            ['video[src], audio[src], source[src]', 'src', 'media', true],
+            ['video[poster]', 'poster', 'image', true]
+          ];
+          const result = [];
+          for (const [selector, attribute, type, passive] of ATTRIBUTES) {
+            for (const el of document.querySelectorAll(selector)) {
+              const value = el.getAttribute(attribute) || '';
+              const candidates = attribute === 'srcset'
+                ? value.split(',').map(part => part.trim().split(/\s+/)[0])
+                : [value.trim()];
+              for (const candidate of candidates) {
+                if (/^http:/i.test(candidate)) result.push({ url: candidate, type, passive });
+              }
+            }
+          }
+          return result;
+        });
+        for (const { url, type, passive } of urls) record(url, type, passive, 'dom');
+      } catch (e) {
+        console.warn('Mixed content DOM scan failed:', e.message);
+      }
+    },
+
+    list() {
+      return [...found.values()].slice(0, MAX_MIXED_CONTENT);
+    }
+  };
+}
+
+module.exports = {
+  watchMixedContent
+};
@@ -0,0 +1,372 @@
+/**
+ * Page Probes
+ * In-page measurements shared by the single-page scraper and journey runs:
+ * performance observers, CTA detection, axe-core scans and synthetic
+ * interactions for INP.
+ */
+
+const MAX_INTERACTION_CTAS = 5;
+const MAX_INTERACTION_INPUTS = 3;
+const INTERACTION_TIMEOUT_MS = 2000;
+// Time for the next paint after an interaction, when its event timing entry is reported
+const INTERACTION_SETTLE_MS = 250;
+// Controls that look like they change data or the session are never pressed
+const DESTRUCTIVE_CONTROL_PATTERN = 'delete|remove|destroy|trash|discard|erase|clear|reset|log ?out|sign ?out|' +
+  'unsubscribe|subscribe|cancel|close account|deactivate|buy|purchase|checkout|pay|order|add to (cart|bag|basket)|' +
+  'donate|confirm|submit|send|post|publish|archive|block|report';
+
+/**
+ * Record LCP, CLS, FCP, long tasks, long animation frame scripts and
+ * interaction events into window.__perf
+ * on every document the page loads. Call before the first navigation.
+ * @param {Object} page - Playwright page
+ */
+async function installPerformanceObservers(page) {
+  await page.addInitScript(() => {
+    window.__perf = {
+      lcp: null,
+      cls: 0,
+      fcp: null,
+      entries: [],
+      layoutShifts: [],
+      events: [],
+      scripts: []
+    };
+
+    // LCP Observer
+    try {
+      const lcpObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          if (entry.entryType === 'largest-contentful-paint') {
+            window.__perf.lcp = entry.startTime || entry.renderTime || entry.loadTime;
+          }
+        }
+      });
+      lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
+    } catch (e) {
+      console.warn('LCP observer failed:', e.message);
+    }
+
+    // CLS Observer
+    try {
+      const clsObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          if (!entry.hadRecentInput) {
+            window.__perf.cls += entry.value || 0;
+            window.__perf.layoutShifts.push({
+              value: entry.value,
+              time: entry.startTime
+            });
+          }
+        }
+      });
+      clsObserver.observe({ type: 'layout-shift', buffered: true });
+    } catch (e) {
+      console.warn('CLS observer failed:', e.message);
+    }
+
+    // FCP Observer
+    try {
+      const fcpObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          if (entry.name === 'first-contentful-paint') {
+            window.__perf.fcp = entry.startTime;
+          }
+        }
+      });
+      fcpObserver.observe({ type: 'paint', buffered: true });
+    } catch (e) {
+      console.warn('FCP observer failed:', e.message);
+    }
+
+    // Long Task Observer (for INP/TBT approximation)
+    try {
+      const longTaskObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          if (entry.duration > 50) {
+            const attribution = entry.attribution && entry.attribution[0];
+            window.__perf.entries.push({
+              name: entry.name,
+              duration: entry.duration,
+              startTime: entry.startTime,
+              // Set for tasks that ran in an iframe (ads, embeds)
+              container: (attribution && attribution.containerSrc) || null
+            });
+          }
+        }
+      });
+      longTaskObserver.observe({ type: 'longtask', buffered: true });
+    } catch (e) {
+      console.warn('Long task observer failed:', e.message);
+    }
+
+    // Long Animation Frame Observer: which scripts kept the main thread busy
+    try {
+      const loafObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          for (const script of entry.scripts || []) {
+            if (!script.sourceURL || window.__perf.scripts.length >= 1000) continue;
+            window.__perf.scripts.push({
+              url: script.sourceURL,
+              duration: script.duration,
+              startTime: script.startTime,
+              invoker: script.invoker || null
+            });
+          }
+        }
+      });
+      loafObserver.observe({ type: 'long-animation-frame', buffered: true });
+    } catch (e) {
+      console.warn('Long animation frame observer failed:', e.message);
+    }
+
+    // Event Timing Observer (INP): one entry per event of each interaction
+    try {
+      const describeTarget = (el) => {
+        if (!el || !el.tagName) return null;
+        const tag = el.tagName.toLowerCase();
+        const id = el.id ? `#${el.id}` : '';
+        const classes = typeof el.className === 'string' && el.className.trim()
+          ? '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.')
+          : '';
+        const text = (el.innerText || el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('name') || '').trim().slice(0, 60);
+        return { selector: `${tag}${id}${classes}`, text };
+      };
+      const eventObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          if (!entry.interactionId || window.__perf.events.length >= 500) continue;
+          const probe = entry.target && entry.target.closest ? entry.target.closest('[data-webaudit-interaction]') : null;
+          window.__perf.events.push({
+            name: entry.name,
+            interactionId: entry.interactionId,
+            startTime: entry.startTime,
+            duration: entry.duration,
+            processingStart: entry.processingStart,
+            processingEnd: entry.processingEnd,
+            probe: probe ? Number(probe.getAttribute('data-webaudit-interaction')) : null,
+            target: describeTarget(entry.target)
+          });
+        }
+      });
+      eventObserver.observe({ type: 'event', durationThreshold: 16, buffered: true });
+    } catch (e) {
+      console.warn('Event timing observer failed:', e.message);
+    }
+  });
+}
+
+/**
+ * Read the observers' values plus navigation timing and resource entries
+ * @param {Object} page - Playwright page
+ * @returns {Promise<Object>} { lcp, cls, fcp, longTasks, layoutShifts, scriptTimings, navTiming, timing, perfEntries }
+ */
+function readPerformance(page) {
+  return page.evaluate(() => {
+    const perf = window.__perf || {};
+    const nav = window.performance.getEntriesByType('navigation')[0] || {};
+    const timing = window.performance.timing || {};
+
+    return {
+      lcp: perf.lcp,
+      cls: perf.cls || 0,
+      fcp: perf.fcp,
+      longTasks: perf.entries || [],
+      layoutShifts: perf.layoutShifts || [],
+      scriptTimings: perf.scripts || [],
+      navTiming: nav.toJSON ? nav.toJSON() : {},
+      timing: {
+        navigationStart: timing.navigationStart,
+        requestStart: timing.requestStart,
+        responseStart: timing.responseStart,
+        responseEnd: timing.responseEnd,
+        domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
+        loadEventEnd: timing.loadEventEnd
+      },
+      perfEntries: performance.getEntries().map(e => ({
+        name: e.name,
+        entryType: e.entryType,
+        startTime: e.startTime,
+        duration: e.duration
+      }))
+    };
+  });
+}
+
+/**
+ * Visible calls to action (links, buttons, submit inputs)
+ * @param {Object} page - Playwright page
+ * @returns {Promise<Object[]>} Up to 50 [{ text, tagName, top, left, width, height, area, aboveFold, ... }]
+ */
+function detectCtas(page) {
+  return page.$$eval('a, button, [role="button"], .btn, .cta, input[type="submit"]', els => {
+    const viewportHeight = window.innerHeight;
+    return els.map(el => {
+      const rect = el.getBoundingClientRect();
+      const text = el.innerText || el.getAttribute('aria-label') || el.getAttribute('title') || el.value || '';
+      const computedStyle = window.getComputedStyle(el);
+
+      return {
+        text: text.trim().slice(0, 60),
+        tagName: el.tagName.toLowerCase(),
+        top: rect.top,
+        left: rect.left,
+        width: rect.width,
+        height: rect.height,
+        area: rect.width * rect.height,
+        aboveFold: (rect.top + rect.height) < (viewportHeight * 0.7),
+        visible: rect.width > 0 && rect.height > 0,
+        backgroundColor: computedStyle.backgroundColor,
+        color: computedStyle.color
+      };
+    }).filter(cta => cta.visible && cta.area > 100).slice(0, 50);
+  });
+}
+
+/**
+ * Run axe-core against the current document
+ * @param {Object} page - Playwright page
+ * @param {Object} [options]
+ * @param {boolean} [options.mobile] - Include best-practice rules
+ * @returns {Promise<Object>} axe results (empty lists when the scan fails)
+ */
+async function runAxe(page, { mobile = false } = {}) {
+  try {
+    await page.addScriptTag({
+      path: require.resolve('axe-core/axe.min.js')
+    });
+
+    // Include best-practice rules for mobile scans
+    const axeTags = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+    if (mobile) {
+      axeTags.push('best-practice');
+    }
+
+    return await page.evaluate(async (tags) => {
+      return await axe.run(document, {
+        runOnly: {
+          type: 'tag',
+          values: tags
+        }
+      });
+    }, axeTags);
+  } catch (e) {
+    console.warn('Axe-core scanning failed:', e.message);
+    return { violations: [], passes: [], incomplete: [] };
+  }
+}
+
+/**
+ * Drive synthetic interactions (clicks or taps on CTAs, keypresses in form
+ * inputs) and measure their latency from the event timing entries.
+ * Navigation is suppressed while interacting so the page stays put.
+ * @param {Object} page - Playwright page (observers installed)
+ * @param {Object} [options]
+ * @param {boolean} [options.touch] - Tap instead of click
+ * @returns {Promise<Object>} { supported, count, inp_ms, worst, items: [{ type, label, target, latency_ms, input_delay_ms, processing_ms, presentation_delay_ms, error }] }
+ */
+async function measureInteractions(page, { touch = false } = {}) {
+  const probes = await page.evaluate(({ maxCtas, maxInputs, destructivePattern }) => {
+    const supported = (PerformanceObserver.supportedEntryTypes || []).includes('event');
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width * rect.height > 100 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    const labelOf = (el) => (el.innerText || el.getAttribute('aria-label') || el.getAttribute('placeholder') ||
+      el.getAttribute('name') || el.tagName.toLowerCase()).trim().slice(0, 60);
+
+    const destructive = new RegExp(`\\b(${destructivePattern})`, 'i');
+    const looksDestructive = (el) => ['innerText', 'value'].map(prop => el[prop])
+      .concat(['aria-label', 'title', 'name', 'id', 'class', 'href', 'formaction', 'data-action'].map(attr => el.getAttribute(attr)))
+      .some(text => typeof text === 'string' && destructive.test(text));
+
+    const ctas = [...document.querySelectorAll('a, button, [role="button"], .btn, .cta, input[type="submit"]')]
+      .filter(el => isVisible(el) && !looksDestructive(el)).slice(0, maxCtas);
+    const inputs = [...document.querySelectorAll('input:not([type]), input[type="text"], input[type="email"], input[type="search"], input[type="tel"], input[type="url"], textarea')]
+      .filter(el => !el.disabled && !el.readOnly && isVisible(el)).slice(0, maxInputs);
+
+    const list = [...ctas.map(el => ({ el, kind: 'cta' })), ...inputs.map(el => ({ el, kind: 'input' }))];
+    list.forEach(({ el }, i) => el.setAttribute('data-webaudit-interaction', String(i)));
+
+    // Keep the page in place: links and forms do nothing, popups are not opened
+    window.addEventListener('click', (e) => {
+      if (e.target.closest && e.target.closest('a[href]')) e.preventDefault();
+    }, true);
+    window.addEventListener('submit', (e) => e.preventDefault(), true);
+    window.open = () => null;
+
+    return { supported, items: list.map(({ el, kind }, i) => ({ probe: i, kind, label: labelOf(el) })) };
+  }, { maxCtas: MAX_INTERACTION_CTAS, maxInputs: MAX_INTERACTION_INPUTS, destructivePattern: DESTRUCTIVE_CONTROL_PATTERN });
+
+  // Backstop for navigations started from script, and no request that could
+  // change server state (fetch/XHR POSTs from click handlers, beacons, ...)
+  const blockNavigation = (route) => {
+    const request = route.request();
+    const navigates = request.isNavigationRequest() && request.frame() === page.mainFrame();
+    return navigates || request.method() !== 'GET' ? route.abort() : route.fallback();
+  };
+  await page.route('**/*', blockNavigation);
+
+  const items = [];
+  try {
+    for (const probe of probes.items) {
+      const locator = page.locator(`[data-webaudit-interaction="${probe.probe}"]`);
+      const type = probe.kind === 'input' ? 'keypress' : touch ? 'tap' : 'click';
+      const item = { probe: probe.probe, type, label: probe.label, error: null };
+      try {
+        if (type === 'keypress') await locator.press('a', { timeout: INTERACTION_TIMEOUT_MS });
+        else if (type === 'tap') await locator.tap({ timeout: INTERACTION_TIMEOUT_MS });
+        else await locator.click({ timeout: INTERACTION_TIMEOUT_MS });
+        // Event timing entries are reported after the next paint
+        await page.waitForTimeout(INTERACTION_SETTLE_MS);
+      } catch (e) {
+        item.error = String(e.message).split('\n')[0];
+      }
+      items.push(item);
+    }
+    await page.waitForTimeout(INTERACTION_SETTLE_MS);
+  } finally {
+    await page.unroute('**/*', blockNavigation);
+  }
+
+  const events = await page.evaluate(() => (window.__perf && window.__perf.events) || []);
+  for (const item of items) {
+    // Latency of an interaction is its longest event (pointerdown, pointerup, click, keydown, ...)
+    const worstEvent = events
+      .filter(e => e.probe === item.probe)
+      .sort((a, b) => b.duration - a.duration)[0];
+    Object.assign(item, worstEvent
+      ? {
+        latency_ms: Math.round(worstEvent.duration),
+        input_delay_ms: Math.round(worstEvent.processingStart - worstEvent.startTime),
+        processing_ms: Math.round(worstEvent.processingEnd - worstEvent.processingStart),
+        presentation_delay_ms: Math.round(worstEvent.startTime + worstEvent.duration - worstEvent.processingEnd),
+        event: worstEvent.name,
+        target: worstEvent.target
+      }
+      : { latency_ms: null, input_delay_ms: null, processing_ms: null, presentation_delay_ms: null, event: null, target: null });
+    delete item.probe;
+  }
+
+  // With fewer than 50 interactions INP is the slowest one. Interactions with
+  // no entry finished under the 16ms reporting threshold.
+  const completed = items.filter(i => !i.error);
+  const measured = completed.filter(i => i.latency_ms !== null);
+  const worst = measured.reduce((slowest, i) => (!slowest || i.latency_ms > slowest.latency_ms ? i : slowest), null);
+
+  return {
+    supported: probes.supported,
+    count: completed.length,
+    inp_ms: probes.supported && completed.length > 0 ? (worst ? worst.latency_ms : 0) : null,
+    worst,
+    items
+  };
+}
+
+module.exports = {
+  installPerformanceObservers,
+  readPerformance,
+  detectCtas,
+  runAxe,
+  measureInteractions
+};
@@ -0,0 +1,273 @@
+/**
+ * Scan Authentication
+ * Lets the scraper load pages behind a login: cookies or a Playwright
+ * storageState blob, extra HTTP headers (sent to the scanned origin only) and a
+ * declarative login script that runs before the page is loaded.
+ * Secret values are scrubbed from the artifact so they never reach stored
+ * reports or LLM prompts.
+ */
+
+const MAX_COOKIES = 100;
+const MAX_HEADERS = 20;
+const MAX_LOGIN_STEPS = 20;
+const MAX_STEP_TIMEOUT_MS = 60000;
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+
+// Shorter values are too likely to match unrelated text
+const MIN_SECRET_LENGTH = 4;
+const REDACTED = '[redacted]';
+
+// action → required string fields
+const LOGIN_ACTIONS = {
+  goto: ['url'],
+  fill: ['selector', 'value'],
+  click: ['selector'],
+  waitForUrl: ['url'],
+  waitForSelector: ['selector']
+};
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Headers the browser manages itself
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Validate a cookie list (Playwright addCookies shape)
+ */
+function validateCookies(cookies, label, errors) {
+  if (!Array.isArray(cookies)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  if (cookies.length > MAX_COOKIES) errors.push(`${label} can have at most ${MAX_COOKIES} cookies`);
+  cookies.forEach((cookie, i) => {
+    if (!isPlainObject(cookie) || typeof cookie.name !== 'string' || !cookie.name || typeof cookie.value !== 'string') {
+      errors.push(`${label}[${i}] needs a string name and value`);
+    }
+  });
+}
+
+/**
+ * Validate an auth block from an analysis request
+ * @param {Object} auth - { cookies, storageState, headers, loginScript }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateScanAuth(auth) {
+  if (!isPlainObject(auth)) return ['auth must be an object'];
+
+  const errors = [];
+  const { cookies, storageState, headers, loginScript } = auth;
+  const unknown = Object.keys(auth).filter(key => !['cookies', 'storageState', 'headers', 'loginScript'].includes(key));
+  if (unknown.length > 0) errors.push(`Unknown auth field(s): ${unknown.join(', ')}`);
+
+  if (cookies !== undefined) validateCookies(cookies, 'auth.cookies', errors);
+
+  if (storageState !== undefined) {
+    if (!isPlainObject(storageState)) {
+      errors.push('auth.storageState must be a Playwright storageState object');
+    } else {
+      if (storageState.cookies !== undefined) validateCookies(storageState.cookies, 'auth.storageState.cookies', errors);
+      if (storageState.origins !== undefined && !Array.isArray(storageState.origins)) {
+        errors.push('auth.storageState.origins must be an array');
+      }
+    }
+  }
+
+  if (headers !== undefined) {
+    if (!isPlainObject(headers)) {
+      errors.push('auth.headers must be an object of header names to values');
+    } else {
+      const names = Object.keys(headers);
+      if (names.length > MAX_HEADERS) errors.push(`auth.headers can have at most ${MAX_HEADERS} headers`);
+      for (const name of names) {
+        if (!HEADER_NAME_PATTERN.test(name) || FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+          errors.push(`auth.headers: "${name}" is not an allowed header name`);
+        } else if (typeof headers[name] !== 'string') {
+          errors.push(`auth.headers.${name} must be a string`);
+        }
+      }
+    }
+  }
+
+  if (loginScript !== undefined) {
+    if (!Array.isArray(loginScript) || loginScript.length === 0) {
+      errors.push('auth.loginScript must be a non-empty array of steps');
+    } else {
+      if (loginScript.length > MAX_LOGIN_STEPS) errors.push(`auth.loginScript can have at most ${MAX_LOGIN_STEPS} steps`);
+      loginScript.forEach((step, i) => {
+        const label = `auth.loginScript[${i}]`;
+        const required = isPlainObject(step) ? LOGIN_ACTIONS[step.action] : null;
+        if (!required) {
+          errors.push(`${label}.action must be one of ${Object.keys(LOGIN_ACTIONS).join(', ')}`);
+          return;
+        }
+        for (const field of required) {
+          if (typeof step[field] !== 'string' || (field !== 'value' && !step[field])) {
+            errors.push(`${label}.${field} is required for "${step.action}"`);
+          }
+        }
+        if (step.action === 'goto' && typeof step.url === 'string' && !/^https?:\/\//i.test(step.url)) {
+          errors.push(`${label}.url must be an absolute http(s) URL`);
+        }
+        if (step.timeout !== undefined && !(Number.isFinite(step.timeout) && step.timeout > 0 && step.timeout <= MAX_STEP_TIMEOUT_MS)) {
+          errors.push(`${label}.timeout must be between 1 and ${MAX_STEP_TIMEOUT_MS} ms`);
+        }
+      });
+    }
+  }
+
+  if (errors.length === 0 && !cookies && !storageState && !headers && !loginScript) {
+    errors.push('auth needs at least one of cookies, storageState, headers or loginScript');
+  }
+  return errors;
+}
+
+/**
+ * Non-secret description of an auth block, recorded on the report
+ * @param {Object} auth - Validated auth block
+ * @returns {Object|null} { cookies, storage_state, headers, login_steps }
+ */
+function describeScanAuth(auth) {
+  if (!auth) return null;
+  return {
+    cookies: (auth.cookies || []).length + (auth.storageState?.cookies || []).length,
+    storage_state: !!auth.storageState,
+    headers: Object.keys(auth.headers || {}),
+    login_steps: (auth.loginScript || []).length
+  };
+}
+
+/**
+ * Options for browser.newContext()
+ */
+function scanAuthContextOptions(auth) {
+  return auth?.storageState ? { storageState: auth.storageState } : {};
+}
+
+/**
+ * Add cookies and headers to a browser context before any navigation
+ * @param {Object} context - Playwright browser context
+ * @param {Object} auth - Validated auth block
+ * @param {string} targetUrl - URL being scanned; headers are only sent to its origin
+ */
+async function applyScanAuth(context, auth, targetUrl) {
+  if (!auth) return;
+  const origin = new URL(targetUrl).origin;
+
+  if (auth.cookies?.length) {
+    // Cookies without a domain or url are scoped to the scanned page
+    await context.addCookies(auth.cookies.map(cookie => (cookie.url || cookie.domain ? cookie : { ...cookie, url: origin })));
+  }
+
+  if (auth.headers && Object.keys(auth.headers).length > 0) {
+    // Keep tokens away from third-party hosts
+    await context.route(url => url.origin === origin, route => route.continue({
+      headers: { ...route.request().headers(), ...auth.headers }
+    }));
+  }
+}
+
+/**
+ * Run the login script in the page that will load the target
+ * @param {Object} page - Playwright page
+ * @param {Object} auth - Validated auth block
+ * @throws {Error} Naming the failed step, without secret values
+ */
+async function runLoginScript(page, auth) {
+  const steps = auth?.loginScript || [];
+  const secrets = collectSecretValues(auth);
+
+  for (const [index, step] of steps.entries()) {
+    const timeout = step.timeout || DEFAULT_STEP_TIMEOUT_MS;
+    try {
+      switch (step.action) {
+        case 'goto':
+          await page.goto(step.url, { waitUntil: 'domcontentloaded', timeout });
+          break;
+        case 'fill':
+          await page.fill(step.selector, step.value, { timeout });
+          break;
+        case 'click':
+          await page.click(step.selector, { timeout });
+          break;
+        case 'waitForUrl':
+          await page.waitForURL(step.url, { timeout });
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(step.selector, { timeout });
+          break;
+      }
+    } catch (e) {
+      const reason = redactString(String(e.message).split('\n')[0], secrets);
+      throw new Error(`Login script step ${index + 1} (${step.action}) failed: ${reason}`);
+    }
+  }
+}
+
+/**
+ * Every secret value in an auth block, longest first
+ * @param {Object} auth - Auth block
+ * @returns {string[]} Values to scrub
+ */
+function collectSecretValues(auth) {
+  if (!auth) return [];
+  const values = [
+    ...(auth.cookies || []).map(c => c.value),
+    ...(auth.storageState?.cookies || []).map(c => c.value),
+    ...(auth.storageState?.origins || []).flatMap(o => (o.localStorage || []).map(item => item.value)),
+    ...Object.values(auth.headers || {}),
+    // Bearer tokens may also show up without their scheme
+    ...Object.values(auth.headers || {}).map(v => String(v).replace(/^\S+\s+/, '')),
+    ...(auth.loginScript || []).filter(step => step.action === 'fill').map(step => step.value)
+  ];
+  return [...new Set(values.filter(v => typeof v === 'string' && v.length >= MIN_SECRET_LENGTH))]
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactString(text, secrets) {
+  return secrets.reduce((result, secret) => (result.includes(secret) ? result.split(secret).join(REDACTED) : result), text);
+}
+
+function redactValue(value, secrets) {
+  if (typeof value === 'string') return redactString(value, secrets);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, secrets));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      // Screenshots are base64 images
+      key.startsWith('screenshot_') ? item : redactValue(item, secrets)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Scrub an authenticated scan's artifact: secret values anywhere in it, and
+ * cookie values the server set on the main document
+ * @param {Object} artifact - Scraper artifact
+ * @param {Object} auth - Auth block the scan used
+ * @returns {Object} Redacted copy
+ */
+function redactArtifact(artifact, auth) {
+  const redacted = redactValue(artifact, collectSecretValues(auth));
+
+  const headers = redacted.mainDocument?.headers;
+  if (headers?.['set-cookie']) {
+    headers['set-cookie'] = String(headers['set-cookie'])
+      .split('\n')
+      .map(line => line.replace(/^([^=;]+)=[^;]*/, `$1=${REDACTED}`))
+      .join('\n');
+  }
+  return redacted;
+}
+
+module.exports = {
+  validateScanAuth,
+  describeScanAuth,
+  scanAuthContextOptions,
+  applyScanAuth,
+  runLoginScript,
+  redactArtifact
+};
@@ -0,0 +1,138 @@
+/**
+ * Screenshot Annotations
+ * Turns the scraper's element rectangles (axe violation nodes, small touch
+ * targets, tiny text and CTAs) into overlay boxes for the report screenshots.
+ * Rectangles are in CSS pixels relative to the top-left of the page.
+ */
+
+const MAX_ANNOTATIONS = 200;
+
+// axe impact → report severity (same mapping as the UX module issues)
+const AXE_SEVERITY = {
+  critical: 'critical',
+  serious: 'high',
+  moderate: 'medium',
+  minor: 'low'
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+const findById = (items, id) => (items || []).find(item => item.id === id);
+
+/**
+ * Rectangle from a scraper record with top/left/width/height
+ */
+const toRect = ({ left, top, width, height }) => ({
+  x: Math.round(left),
+  y: Math.round(top),
+  width: Math.round(width),
+  height: Math.round(height)
+});
+
+const hasRect = (item) => item && [item.top, item.left, item.width, item.height].every(Number.isFinite) && item.width > 0 && item.height > 0;
+
+/**
+ * Build the overlay boxes for a scan
+ * @param {Object} uxArtifact - artifact.ux from the scraper
+ * @param {Object} uxModule - UX module result (issues/fixes supply severities and fix text)
+ * @returns {Object|null} { page_size, viewport_size, items: [{ id, type, severity, rule, title, impact, fix, help_url, label, rect }] }
+ */
+function buildAnnotations(uxArtifact, uxModule = {}) {
+  const geometry = uxArtifact?.annotation_geometry;
+  if (!geometry) return null;
+
+  const issues = uxModule.issues || [];
+  const fixes = uxModule.fixes || [];
+  const items = [];
+
+  // axe violations, one box per located node
+  const violations = new Map((uxArtifact.violations || []).map(v => [v.id, v]));
+  for (const node of geometry.nodes || []) {
+    const violation = violations.get(node.rule_id);
+    if (!violation) continue;
+    items.push({
+      type: 'axe',
+      severity: AXE_SEVERITY[violation.impact] || 'medium',
+      rule: violation.id,
+      title: violation.help,
+      impact: violation.impact || null,
+      fix: node.failure_summary || violation.description || null,
+      help_url: violation.helpUrl || null,
+      label: node.target,
+      rect: node.rect
+    });
+  }
+
+  // Touch targets and text below the mobile minimums
+  const touchTargets = uxArtifact.touch_targets;
+  if (touchTargets) {
+    const severity = findById(issues, 'touch_targets_small')?.severity || 'medium';
+    const fix = findById(fixes, 'fix_touch_targets')?.description || null;
+    for (const target of (touchTargets.too_small || []).filter(hasRect)) {
+      items.push({
+        type: 'touch_target',
+        severity,
+        rule: 'touch-target-size',
+        title: `Touch target ${target.width}×${target.height}px is below ${touchTargets.min_size_threshold}px`,
+        impact: 'Hard to tap accurately on touch screens',
+        fix,
+        help_url: null,
+        label: target.text || `<${target.tagName}>`,
+        rect: toRect(target)
+      });
+    }
+  }
+
+  const textSize = uxArtifact.text_size_issues;
+  if (textSize) {
+    const severity = findById(issues, 'text_too_small')?.severity || 'medium';
+    const fix = findById(fixes, 'fix_text_size')?.description || null;
+    for (const text of (textSize.too_small_text || []).filter(hasRect)) {
+      items.push({
+        type: 'small_text',
+        severity,
+        rule: 'font-size',
+        title: `Text at ${text.fontSize}px is below ${textSize.min_font_threshold}px`,
+        impact: 'Hard to read on mobile without zooming',
+        fix,
+        help_url: null,
+        label: text.text,
+        rect: toRect(text)
+      });
+    }
+  }
+
+  // CTAs are context rather than findings, unless none is above the fold
+  const missingCta = findById(issues, 'no_cta_above_fold');
+  const ctaFix = findById(fixes, 'add_cta_above_fold')?.description || null;
+  for (const cta of (uxArtifact.ctas || []).filter(hasRect)) {
+    items.push({
+      type: 'cta',
+      severity: !cta.aboveFold && missingCta ? missingCta.severity : 'info',
+      rule: 'cta',
+      title: `Call to action ${cta.aboveFold ? 'above' : 'below'} the fold`,
+      impact: cta.aboveFold ? 'Visible without scrolling' : 'Only visible after scrolling',
+      fix: !cta.aboveFold && missingCta ? ctaFix : null,
+      help_url: null,
+      label: cta.text || `<${cta.tagName}>`,
+      rect: toRect(cta)
+    });
+  }
+
+  // Keep the most severe boxes when there are too many to draw
+  const kept = items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.item.severity) - SEVERITY_ORDER.indexOf(b.item.severity) || a.index - b.index)
+    .slice(0, MAX_ANNOTATIONS)
+    .map(({ item }, index) => ({ id: `annotation_${index + 1}`, ...item }));
+
+  return {
+    page_size: geometry.page_size,
+    viewport_size: geometry.viewport_size,
+    items: kept
+  };
+}
+
+module.exports = {
+  buildAnnotations
+};
@@ -0,0 +1,113 @@
+/**
+ * Screenshot Store
+ * Keeps report screenshots and their thumbnails as files under SCREENSHOT_DIR
+ * (default backend/storage/screenshots), one directory per report.
+ * Reports reference them by paths relative to that directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCREENSHOT_DIR = path.resolve(process.env.SCREENSHOT_DIR || path.join(__dirname, '../../../storage/screenshots'));
+
+// kind → artifact fields and stored file names
+const SCREENSHOT_KINDS = {
+  viewport: {
+    image: 'screenshot_viewport',
+    thumb: 'screenshot_viewport_thumb',
+    files: { image: 'viewport.png', thumb: 'viewport_thumb.jpg' }
+  },
+  full: {
+    image: 'screenshot_full',
+    thumb: 'screenshot_full_thumb',
+    files: { image: 'full.png', thumb: 'full_thumb.jpg' }
+  }
+};
+
+/**
+ * Resolve a stored relative path, refusing anything outside SCREENSHOT_DIR
+ * @param {string} relativePath - Path as stored on the report
+ * @returns {string|null} Absolute path
+ */
+function resolveScreenshotPath(relativePath) {
+  if (!relativePath) return null;
+  const absolute = path.resolve(SCREENSHOT_DIR, relativePath);
+  return absolute.startsWith(SCREENSHOT_DIR + path.sep) ? absolute : null;
+}
+
+/**
+ * Write a scrape's screenshots and thumbnails for a report
+ * @param {string} reportId - Report ID (directory name)
+ * @param {Object} artifact - Scraper artifact with base64 screenshot_* fields
+ * @returns {Promise<Object>} raw_artifacts path fields, e.g. { screenshot_viewport_path, screenshot_viewport_thumb_path, ... }
+ */
+async function saveScreenshots(reportId, artifact) {
+  const dir = path.join(SCREENSHOT_DIR, reportId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const paths = {};
+  for (const { image, thumb, files } of Object.values(SCREENSHOT_KINDS)) {
+    for (const [field, file] of [[image, files.image], [thumb, files.thumb]]) {
+      if (!artifact[field]) continue;
+      await fs.promises.writeFile(path.join(dir, file), Buffer.from(artifact[field], 'base64'));
+      paths[`${field}_path`] = `${reportId}/${file}`;
+    }
+  }
+  return paths;
+}
+
+/**
+ * Write a derived image (e.g. a visual diff) into a report's directory
+ * @returns {Promise<string>} Path relative to SCREENSHOT_DIR
+ */
+async function writeScreenshotFile(reportId, fileName, buffer) {
+  const dir = path.join(SCREENSHOT_DIR, reportId);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, fileName), buffer);
+  return `${reportId}/${fileName}`;
+}
+
+/**
+ * Stored file for a screenshot, falling back to the full-size image when no thumbnail exists
+ * @param {Object} report - Report (lean) with raw_artifacts path fields
+ * @param {string} kind - viewport | full
+ * @param {boolean} thumbnail - Prefer the thumbnail
+ * @returns {string|null} Absolute path of an existing file
+ */
+function findScreenshot(report, kind, thumbnail = false) {
+  const config = SCREENSHOT_KINDS[kind];
+  if (!config) return null;
+
+  const artifacts = report.raw_artifacts || {};
+  const candidates = thumbnail
+    ? [artifacts[`${config.thumb}_path`], artifacts[`${config.image}_path`]]
+    : [artifacts[`${config.image}_path`]];
+
+  for (const candidate of candidates) {
+    const absolute = resolveScreenshotPath(candidate);
+    if (absolute && fs.existsSync(absolute)) return absolute;
+  }
+  return null;
+}
+
+/**
+ * Read a full-size screenshot; reports saved before file storage may carry it inline
+ * @returns {Promise<Buffer|null>} PNG bytes
+ */
+async function readScreenshot(report, kind) {
+  const file = findScreenshot(report, kind);
+  if (file) return fs.promises.readFile(file);
+
+  const inline = report.raw_artifacts?.[`${SCREENSHOT_KINDS[kind]?.image}_base64`];
+  return inline ? Buffer.from(inline, 'base64') : null;
+}
+
+module.exports = {
+  SCREENSHOT_DIR,
+  SCREENSHOT_KINDS,
+  resolveScreenshotPath,
+  saveScreenshots,
+  writeScreenshotFile,
+  findScreenshot,
+  readScreenshot
+};
@@ -0,0 +1,230 @@
+/**
+ * Visual Diff
+ * Pixel-level comparison of two reports' screenshots. Decoding and comparison
+ * run on canvases in Playwright's Chromium, so no image library is needed.
+ * Results (numbers, changed regions and the diff image) are cached per pair.
+ */
+
+const { chromium } = require('playwright');
+const VisualDiff = require('../../models/VisualDiff');
+const { normalizeUrl } = require('../history/siteHistory');
+const { reportDevicePreset } = require('../scraper/devicePresets');
+const { readScreenshot, writeScreenshotFile } = require('./screenshotStore');
+
+// Per-channel difference (0-255) below which a pixel counts as unchanged (anti-aliasing, compression noise)
+const PIXEL_TOLERANCE = 24;
+// Changed pixels are grouped on a grid of this size (px) before building regions
+const REGION_CELL_SIZE = 16;
+const MAX_REGIONS = 50;
+const MAX_COMPARE_HEIGHT = 10000;
+
+// Fields needed to check that two reports can be compared and to read their screenshots
+const VISUAL_FIELDS = 'url final_url created_at viewport emulate_mobile device_preset ' +
+  'raw_artifacts.screenshot_viewport_path raw_artifacts.screenshot_full_path';
+
+/**
+ * Runs inside the page: compare two PNG data URLs
+ */
+async function compareInPage({ before, after, tolerance, cellSize, maxRegions, maxHeight }) {
+  const load = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode screenshot'));
+    img.src = src;
+  });
+  const [a, b] = await Promise.all([load(before), load(after)]);
+
+  const fullHeight = Math.max(a.naturalHeight, b.naturalHeight);
+  const width = Math.max(a.naturalWidth, b.naturalWidth);
+  const height = Math.min(fullHeight, maxHeight);
+
+  const pixelsOf = (img) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const pa = pixelsOf(a);
+  const pb = pixelsOf(b);
+
+  const out = new ImageData(width, height);
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Uint32Array(cols * rows);
+  let changed = 0;
+
+  for (let y = 0; y < height; y++) {
+    const outside = y >= a.naturalHeight || y >= b.naturalHeight;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const differs = outside || x >= a.naturalWidth || x >= b.naturalWidth ||
+        Math.abs(pa[i] - pb[i]) > tolerance ||
+        Math.abs(pa[i + 1] - pb[i + 1]) > tolerance ||
+        Math.abs(pa[i + 2] - pb[i + 2]) > tolerance;
+
+      if (differs) {
+        changed++;
+        cells[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)]++;
+        out.data[i] = 255; out.data[i + 1] = 0; out.data[i + 2] = 64; out.data[i + 3] = 255;
+      } else {
+        // Faded greyscale of the newer capture as context
+        const grey = 0.299 * pb[i] + 0.587 * pb[i + 1] + 0.114 * pb[i + 2];
+        const faded = 255 - (255 - grey) * 0.25;
+        out.data[i] = faded; out.data[i + 1] = faded; out.data[i + 2] = faded; out.data[i + 3] = 255;
+      }
+    }
+  }
+
+  // Group touching changed cells (8-neighbourhood) into bounding boxes
+  const seen = new Uint8Array(cols * rows);
+  const regions = [];
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+    const stack = [start];
+    seen[start] = 1;
+    let minX = cols, minY = rows, maxX = 0, maxY = 0, count = 0;
+    while (stack.length) {
+      const cell = stack.pop();
+      const cx = cell % cols;
+      const cy = (cell - cx) / cols;
+      count += cells[cell];
+      minX = Math.min(minX, cx); maxX = Math.max(maxX, cx);
+      minY = Math.min(minY, cy); maxY = Math.max(maxY, cy);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          const next = ny * cols + nx;
+          if (nx >= 0 && ny >= 0 && nx < cols && ny < rows && cells[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    const x = minX * cellSize;
+    const y = minY * cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxX + 1) * cellSize, width) - x,
+      height: Math.min((maxY + 1) * cellSize, height) - y,
+      changed_pixels: count
+    });
+  }
+  regions.sort((r1, r2) => r2.changed_pixels - r1.changed_pixels);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(out, 0, 0);
+
+  return {
+    width,
+    height,
+    changed_pixels: changed,
+    total_pixels: width * height,
+    size_mismatch: a.naturalWidth !== b.naturalWidth || a.naturalHeight !== b.naturalHeight,
+    truncated: fullHeight > maxHeight,
+    regions: regions.slice(0, maxRegions),
+    diff_png: canvas.toDataURL('image/png').split(',')[1]
+  };
+}
+
+/**
+ * Compare two PNG screenshots
+ * @param {Buffer} beforePng - Older capture
+ * @param {Buffer} afterPng - Newer capture
+ * @returns {Promise<Object>} { width, height, changed_pixels, total_pixels, changed_pct, size_mismatch, truncated, regions, diff_png: Buffer }
+ */
+async function compareScreenshots(beforePng, afterPng) {
+  const browser = await chromium.launch({
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    headless: true
+  });
+
+  try {
+    const page = await browser.newPage();
+    const result = await page.evaluate(compareInPage, {
+      before: `data:image/png;base64,${beforePng.toString('base64')}`,
+      after: `data:image/png;base64,${afterPng.toString('base64')}`,
+      tolerance: PIXEL_TOLERANCE,
+      cellSize: REGION_CELL_SIZE,
+      maxRegions: MAX_REGIONS,
+      maxHeight: MAX_COMPARE_HEIGHT
+    });
+
+    return {
+      ...result,
+      changed_pct: result.total_pixels ? Math.round((result.changed_pixels / result.total_pixels) * 10000) / 100 : 0,
+      diff_png: Buffer.from(result.diff_png, 'base64')
+    };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Why two reports cannot be compared visually
+ * @returns {string|null} Error message
+ */
+function comparabilityError(base, target) {
+  let sameUrl = false;
+  try {
+    const a = normalizeUrl(base.url);
+    const b = normalizeUrl(target.url);
+    sameUrl = a.host === b.host && a.path === b.path;
+  } catch (err) {
+    sameUrl = false;
+  }
+  if (!sameUrl) return 'Reports are for different URLs';
+
+  const sameViewport = !!base.emulate_mobile === !!target.emulate_mobile &&
+    base.viewport?.width === target.viewport?.width &&
+    base.viewport?.height === target.viewport?.height;
+  if (!sameViewport) return 'Reports were captured with different viewports';
+  if (reportDevicePreset(base) !== reportDevicePreset(target)) return 'Reports were captured with different device presets';
+
+  return null;
+}
+
+/**
+ * Visual diff between two reports, computed once and cached
+ * @param {Object} base - Older Report (lean, VISUAL_FIELDS)
+ * @param {Object} target - Newer Report (lean, VISUAL_FIELDS)
+ * @param {string} kind - viewport | full
+ * @returns {Promise<Object>} { diff, error } — diff is a VisualDiff (lean)
+ */
+async function getVisualDiff(base, target, kind = 'viewport') {
+  const cached = await VisualDiff.findOne({ base_report_id: base._id, target_report_id: target._id, kind }).lean();
+  if (cached) return { diff: cached, error: null };
+
+  const error = comparabilityError(base, target);
+  if (error) return { diff: null, error };
+
+  const [beforePng, afterPng] = await Promise.all([readScreenshot(base, kind), readScreenshot(target, kind)]);
+  if (!beforePng || !afterPng) {
+    return { diff: null, error: `No stored ${kind} screenshot for report ${!beforePng ? base._id : target._id}` };
+  }
+
+  const { diff_png, ...result } = await compareScreenshots(beforePng, afterPng);
+  const diff_path = await writeScreenshotFile(target._id.toString(), `diff_${base._id}_${kind}.png`, diff_png);
+
+  const diff = await VisualDiff.findOneAndUpdate(
+    { base_report_id: base._id, target_report_id: target._id, kind },
+    { $set: { ...result, diff_path } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  console.log(`[VisualDiff] ${target.url} (${kind}): ${diff.changed_pct}% changed, ${diff.regions.length} region(s)`);
+  return { diff, error: null };
+}
+
+module.exports = {
+  VISUAL_FIELDS,
+  compareScreenshots,
+  comparabilityError,
+  getVisualDiff
+};
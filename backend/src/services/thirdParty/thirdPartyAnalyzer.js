@@ -0,0 +1,173 @@
+/**
+ * Third-Party Analyzer
+ * Splits a scan's requests into first- and third-party, groups third-party
+ * origins by vendor and attributes bytes, requests and main-thread time to each.
+ */
+
+const { getDomain } = require('tldts');
+const { CATEGORIES, findVendor } = require('./vendors');
+
+// Vendors listed in the report, heaviest first
+const MAX_VENDORS = 30;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Registrable domain from the public suffix list ("cdn.shop.example.co.uk" → "example.co.uk").
+ * Private suffixes count, so "a.github.io" and "b.github.io" are different sites.
+ * IP addresses and single-label hosts ("localhost") are their own site.
+ */
+function siteOf(hostname) {
+  return getDomain(hostname, { allowPrivateDomains: true }) || hostname;
+}
+
+/**
+ * Site of the scanned page, or null when its URL is unusable
+ */
+function pageSiteOf(artifact) {
+  try {
+    return siteOf(new URL(artifact.finalUrl || artifact.originalUrl).hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse an http(s) URL, null for anything else (data:, blob:, invalid)
+ */
+function parseHttpUrl(url) {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) ? u : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Requests to a different site than the scanned page
+ * @param {Object} artifact - Scraper artifact
+ * @returns {Object[]} Third-party entries of artifact.resources.all
+ */
+function thirdPartyResources(artifact) {
+  const pageSite = pageSiteOf(artifact);
+  if (!pageSite) return [];
+
+  return (artifact.resources?.all || []).filter(r => {
+    const u = parseHttpUrl(r.url);
+    return u && siteOf(u.hostname) !== pageSite;
+  });
+}
+
+/**
+ * Vendor inventory of a scan
+ * Main-thread time comes from long animation frame script attribution plus
+ * long tasks that ran inside third-party iframes.
+ * @param {Object} artifact - Scraper artifact
+ * @returns {Object|null} { first_party, third_party, categories, vendors } (null without a usable page URL)
+ */
+function analyzeThirdParties(artifact) {
+  const pageSite = pageSiteOf(artifact);
+  if (!pageSite) return null;
+
+  const vendors = new Map();
+  const vendorFor = (u) => {
+    const known = findVendor(u.hostname);
+    const key = known ? known.name : siteOf(u.hostname);
+    if (!vendors.has(key)) {
+      vendors.set(key, {
+        vendor: key,
+        category: known ? known.category : 'other',
+        known: !!known,
+        origins: new Map(),
+        requests: 0,
+        bytes: 0,
+        main_thread_ms: 0
+      });
+    }
+    return vendors.get(key);
+  };
+
+  const firstParty = { requests: 0, bytes: 0 };
+  for (const resource of artifact.resources?.all || []) {
+    const u = parseHttpUrl(resource.url);
+    if (!u) continue;
+    if (siteOf(u.hostname) === pageSite) {
+      firstParty.requests++;
+      firstParty.bytes += resource.size || 0;
+      continue;
+    }
+
+    const vendor = vendorFor(u);
+    const origin = vendor.origins.get(u.origin) || { origin: u.origin, requests: 0, bytes: 0 };
+    origin.requests++;
+    origin.bytes += resource.size || 0;
+    vendor.origins.set(u.origin, origin);
+    vendor.requests++;
+    vendor.bytes += resource.size || 0;
+  }
+
+  let firstPartyMs = 0;
+  const attribute = (url, ms) => {
+    const u = parseHttpUrl(url);
+    if (!u || !(ms > 0)) return;
+    if (siteOf(u.hostname) === pageSite) {
+      firstPartyMs += ms;
+    } else {
+      vendorFor(u).main_thread_ms += ms;
+    }
+  };
+  for (const script of artifact.performance?.scriptTimings || []) attribute(script.url, script.duration);
+  for (const task of artifact.performance?.longTasks || []) {
+    if (task.container) attribute(task.container, task.duration);
+  }
+
+  const list = [...vendors.values()].map(v => ({
+    vendor: v.vendor,
+    category: v.category,
+    category_label: CATEGORIES[v.category],
+    known: v.known,
+    requests: v.requests,
+    kb: round(v.bytes / 1024),
+    main_thread_ms: Math.round(v.main_thread_ms),
+    origins: [...v.origins.values()]
+      .sort((a, b) => b.bytes - a.bytes)
+      .map(o => ({ origin: o.origin, requests: o.requests, kb: round(o.bytes / 1024) }))
+  }));
+  list.sort((a, b) => b.main_thread_ms - a.main_thread_ms || b.kb - a.kb);
+
+  const categories = {};
+  for (const v of list) {
+    const totals = categories[v.category] || { label: v.category_label, vendors: 0, requests: 0, kb: 0, main_thread_ms: 0 };
+    totals.vendors++;
+    totals.requests += v.requests;
+    totals.kb = round(totals.kb + v.kb);
+    totals.main_thread_ms += v.main_thread_ms;
+    categories[v.category] = totals;
+  }
+
+  const thirdPartyKb = list.reduce((sum, v) => sum + v.kb, 0);
+  const totalKb = firstParty.bytes / 1024 + thirdPartyKb;
+  return {
+    first_party: {
+      site: pageSite,
+      requests: firstParty.requests,
+      kb: round(firstParty.bytes / 1024),
+      main_thread_ms: Math.round(firstPartyMs)
+    },
+    third_party: {
+      vendors: list.length,
+      requests: list.reduce((sum, v) => sum + v.requests, 0),
+      kb: round(thirdPartyKb),
+      kb_pct: totalKb > 0 ? Math.round(thirdPartyKb / totalKb * 100) : 0,
+      main_thread_ms: list.reduce((sum, v) => sum + v.main_thread_ms, 0)
+    },
+    categories,
+    vendors: list.slice(0, MAX_VENDORS)
+  };
+}
+
+module.exports = {
+  thirdPartyResources,
+  analyzeThirdParties
+};
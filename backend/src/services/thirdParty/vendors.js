@@ -0,0 +1,113 @@
+/**
+ * Third-Party Vendors
+ * Known third-party domains and what they are. A request belongs to a vendor
+ * when its hostname is one of the vendor's domains or a subdomain of one.
+ */
+
+const CATEGORIES = {
+  analytics: 'Analytics',
+  advertising: 'Advertising',
+  tag_manager: 'Tag manager',
+  chat: 'Chat & support',
+  cdn: 'CDN & hosting',
+  social: 'Social',
+  video: 'Video',
+  consent: 'Consent',
+  fonts: 'Fonts',
+  payments: 'Payments',
+  other: 'Other'
+};
+
+const VENDORS = [
+  // Tag managers
+  { name: 'Google Tag Manager', category: 'tag_manager', domains: ['googletagmanager.com'] },
+  { name: 'Tealium', category: 'tag_manager', domains: ['tiqcdn.com', 'tealiumiq.com'] },
+  { name: 'Adobe Launch', category: 'tag_manager', domains: ['assets.adobedtm.com'] },
+  { name: 'Segment', category: 'tag_manager', domains: ['segment.com', 'segment.io'] },
+
+  // Analytics
+  { name: 'Google Analytics', category: 'analytics', domains: ['google-analytics.com', 'analytics.google.com'] },
+  { name: 'Hotjar', category: 'analytics', domains: ['hotjar.com', 'hotjar.io'] },
+  { name: 'Microsoft Clarity', category: 'analytics', domains: ['clarity.ms'] },
+  { name: 'Mixpanel', category: 'analytics', domains: ['mixpanel.com', 'mxpnl.com'] },
+  { name: 'Amplitude', category: 'analytics', domains: ['amplitude.com'] },
+  { name: 'Heap', category: 'analytics', domains: ['heapanalytics.com', 'heap-api.com'] },
+  { name: 'FullStory', category: 'analytics', domains: ['fullstory.com'] },
+  { name: 'Adobe Analytics', category: 'analytics', domains: ['omtrdc.net', '2o7.net', 'demdex.net'] },
+  { name: 'New Relic', category: 'analytics', domains: ['nr-data.net', 'newrelic.com'] },
+  { name: 'Sentry', category: 'analytics', domains: ['sentry.io', 'sentry-cdn.com'] },
+  { name: 'Plausible', category: 'analytics', domains: ['plausible.io'] },
+
+  // Advertising
+  { name: 'Google Ads', category: 'advertising', domains: ['doubleclick.net', 'googleadservices.com', 'googlesyndication.com', 'adservice.google.com'] },
+  { name: 'Meta Pixel', category: 'advertising', domains: ['connect.facebook.net', 'facebook.com'] },
+  { name: 'Amazon Ads', category: 'advertising', domains: ['amazon-adsystem.com'] },
+  { name: 'Criteo', category: 'advertising', domains: ['criteo.com', 'criteo.net'] },
+  { name: 'Taboola', category: 'advertising', domains: ['taboola.com'] },
+  { name: 'Outbrain', category: 'advertising', domains: ['outbrain.com'] },
+  { name: 'LinkedIn Insight', category: 'advertising', domains: ['ads.linkedin.com', 'snap.licdn.com'] },
+  { name: 'TikTok Pixel', category: 'advertising', domains: ['analytics.tiktok.com'] },
+  { name: 'Microsoft Advertising', category: 'advertising', domains: ['bat.bing.com'] },
+
+  // Chat & support widgets
+  { name: 'Intercom', category: 'chat', domains: ['intercom.io', 'intercomcdn.com'] },
+  { name: 'Drift', category: 'chat', domains: ['drift.com', 'driftt.com'] },
+  { name: 'Zendesk', category: 'chat', domains: ['zdassets.com', 'zendesk.com'] },
+  { name: 'HubSpot', category: 'chat', domains: ['hubspot.com', 'hs-scripts.com', 'hs-analytics.net', 'hsforms.net', 'usemessages.com'] },
+  { name: 'Tawk.to', category: 'chat', domains: ['tawk.to'] },
+  { name: 'LiveChat', category: 'chat', domains: ['livechatinc.com'] },
+  { name: 'Crisp', category: 'chat', domains: ['crisp.chat'] },
+
+  // CDNs & hosting
+  { name: 'Cloudflare CDN', category: 'cdn', domains: ['cdnjs.cloudflare.com'] },
+  { name: 'jsDelivr', category: 'cdn', domains: ['jsdelivr.net'] },
+  { name: 'unpkg', category: 'cdn', domains: ['unpkg.com'] },
+  { name: 'Google Hosted Libraries', category: 'cdn', domains: ['ajax.googleapis.com'] },
+  { name: 'jQuery CDN', category: 'cdn', domains: ['code.jquery.com'] },
+  { name: 'Amazon CloudFront', category: 'cdn', domains: ['cloudfront.net'] },
+  { name: 'Fastly', category: 'cdn', domains: ['fastly.net'] },
+  { name: 'Akamai', category: 'cdn', domains: ['akamaihd.net', 'akamaized.net'] },
+  { name: 'Shopify CDN', category: 'cdn', domains: ['cdn.shopify.com'] },
+
+  // Fonts
+  { name: 'Google Fonts', category: 'fonts', domains: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+  { name: 'Adobe Fonts', category: 'fonts', domains: ['use.typekit.net', 'p.typekit.net'] },
+  { name: 'Font Awesome', category: 'fonts', domains: ['fontawesome.com'] },
+
+  // Social & video embeds
+  { name: 'Twitter / X', category: 'social', domains: ['platform.twitter.com', 'syndication.twitter.com'] },
+  { name: 'Instagram', category: 'social', domains: ['instagram.com', 'cdninstagram.com'] },
+  { name: 'AddThis', category: 'social', domains: ['addthis.com'] },
+  { name: 'YouTube', category: 'video', domains: ['youtube.com', 'ytimg.com', 'youtube-nocookie.com'] },
+  { name: 'Vimeo', category: 'video', domains: ['vimeo.com', 'vimeocdn.com'] },
+  { name: 'Wistia', category: 'video', domains: ['wistia.com', 'wistia.net'] },
+
+  // Consent managers
+  { name: 'OneTrust', category: 'consent', domains: ['onetrust.com', 'cookielaw.org'] },
+  { name: 'Cookiebot', category: 'consent', domains: ['cookiebot.com'] },
+
+  // Payments
+  { name: 'Stripe', category: 'payments', domains: ['stripe.com', 'stripe.network'] },
+  { name: 'PayPal', category: 'payments', domains: ['paypal.com', 'paypalobjects.com'] }
+];
+
+// Most specific domain first, so "ads.linkedin.com" wins over a broader entry
+const DOMAIN_INDEX = VENDORS
+  .flatMap(vendor => vendor.domains.map(domain => ({ domain, vendor })))
+  .sort((a, b) => b.domain.length - a.domain.length);
+
+/**
+ * Known vendor for a hostname
+ * @param {string} hostname - Request hostname
+ * @returns {Object|null} { name, category } or null when unknown
+ */
+function findVendor(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  const match = DOMAIN_INDEX.find(({ domain }) => host === domain || host.endsWith(`.${domain}`));
+  return match ? { name: match.vendor.name, category: match.vendor.category } : null;
+}
+
+module.exports = {
+  CATEGORIES,
+  findVendor
+};
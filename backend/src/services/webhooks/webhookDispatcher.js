@@ -0,0 +1,253 @@
+/**
+ * Webhook Dispatcher
+ * Delivers lifecycle events to subscribed endpoints as signed JSON POSTs.
+ * Failed deliveries are retried with exponential backoff by a polling worker;
+ * every attempt is logged on the WebhookDelivery record.
+ *
+ * Signature: X-WebAudit-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * where timestamp is the X-WebAudit-Timestamp header (unix seconds).
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+
+const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'competitor.completed', 'regression.detected'];
+
+// Sent only by POST /api/webhooks/:id/test
+const PING_EVENT = 'ping';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000');
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 500;
+
+let pollTimer = null;
+let processing = false;
+
+/**
+ * Backoff before the next attempt: 30s, 1m, 2m, 4m, 8m with the defaults
+ * @param {number} attemptCount - Attempts made so far
+ */
+function retryDelayMs(attemptCount) {
+  return RETRY_BASE_MS * 2 ** (attemptCount - 1);
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * First RESPONSE_BODY_LIMIT characters of a response body. Reading stops at the
+ * limit or after REQUEST_TIMEOUT_MS, so a huge or endless body is never buffered.
+ * @param {Object} response - node-fetch response
+ * @returns {Promise<string>} Body prefix
+ */
+async function readBodyPrefix(response) {
+  const chunks = [];
+  let length = 0;
+  const timer = setTimeout(() => response.body.destroy(), REQUEST_TIMEOUT_MS);
+  try {
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= RESPONSE_BODY_LIMIT) break;
+    }
+  } catch (e) {
+    // Destroyed on timeout or the connection dropped; keep what arrived
+  } finally {
+    clearTimeout(timer);
+    response.body.destroy();
+  }
+  return Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_BODY_LIMIT);
+}
+
+/**
+ * POST a delivery once and record the attempt
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} subscription - WebhookSubscription (with secret)
+ * @returns {Promise<string>} Resulting status: success | retrying | failed
+ */
+async function attemptDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attempted_at: new Date() };
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WebAudit-Webhooks/1.0',
+        'X-WebAudit-Event': delivery.event,
+        'X-WebAudit-Delivery': delivery.delivery_id,
+        'X-WebAudit-Timestamp': String(timestamp),
+        'X-WebAudit-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    attempt.status_code = response.status;
+    attempt.response_body = await readBodyPrefix(response);
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.duration_ms = Date.now() - startTime;
+
+  const attemptCount = delivery.attempt_count + 1;
+  let status = 'success';
+  if (attempt.error) {
+    status = attemptCount >= MAX_ATTEMPTS ? 'failed' : 'retrying';
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: {
+      status,
+      attempt_count: attemptCount,
+      next_attempt_at: status === 'retrying' ? new Date(Date.now() + retryDelayMs(attemptCount)) : null,
+      delivered_at: status === 'success' ? new Date() : null
+    },
+    $push: { attempts: attempt }
+  });
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    { $set: { last_delivery_at: attempt.attempted_at, last_delivery_status: status } }
+  );
+
+  if (status === 'success') {
+    console.log(`[Webhooks] ${delivery.event} delivered to ${subscription.url} (${attempt.status_code})`);
+  } else {
+    console.warn(`[Webhooks] ${delivery.event} to ${subscription.url} failed (attempt ${attemptCount}/${MAX_ATTEMPTS}): ${attempt.error}`);
+  }
+  return status;
+}
+
+/**
+ * Create a delivery for one subscription and attempt it straight away
+ * @returns {Promise<Object>} { delivery, result } where result resolves to the first attempt's status
+ */
+async function queueDelivery(subscription, event, data) {
+  const deliveryId = uuidv4();
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription._id,
+    delivery_id: deliveryId,
+    event,
+    status: 'delivering',
+    payload: { id: deliveryId, event, created_at: new Date().toISOString(), data }
+  });
+
+  const result = attemptDelivery(delivery, subscription).catch(error => {
+    console.error(`[Webhooks] Delivery ${deliveryId} errored:`, error.message);
+    return 'failed';
+  });
+  return { delivery, result };
+}
+
+/**
+ * Fan an event out to every enabled subscription. Never throws; callers fire and forget.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - JSON-serializable event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ enabled: true, events: { $in: [event, '*'] } })
+      .select('+secret');
+    if (subscriptions.length === 0) return 0;
+
+    console.log(`[Webhooks] ${event} → ${subscriptions.length} subscription(s)`);
+    await Promise.all(subscriptions.map(subscription => queueDelivery(subscription, event, data)));
+    return subscriptions.length;
+  } catch (error) {
+    console.error(`[Webhooks] Failed to queue ${event}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Attempt every delivery whose backoff has elapsed, one at a time
+ */
+async function processRetries() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let delivery;
+    while ((delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'retrying', next_attempt_at: { $lte: new Date() } },
+      { $set: { status: 'delivering' } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    ))) {
+      const subscription = await WebhookSubscription.findById(delivery.subscription_id).select('+secret');
+      if (!subscription || !subscription.enabled) {
+        await WebhookDelivery.updateOne({ _id: delivery._id }, {
+          $set: { status: 'failed', next_attempt_at: null },
+          $push: { attempts: { attempted_at: new Date(), error: 'Subscription disabled or deleted' } }
+        });
+        continue;
+      }
+      await attemptDelivery(delivery, subscription);
+    }
+  } catch (error) {
+    console.error('[Webhooks] Retry worker failed:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start the retry worker. Deliveries interrupted mid-attempt by a restart are retried.
+ */
+async function startWebhookWorker() {
+  const { modifiedCount } = await WebhookDelivery.updateMany(
+    { status: 'delivering' },
+    { $set: { status: 'retrying', next_attempt_at: new Date() } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`[Webhooks] Rescheduled ${modifiedCount} interrupted deliver${modifiedCount === 1 ? 'y' : 'ies'}`);
+  }
+
+  pollTimer = setInterval(processRetries, POLL_INTERVAL_MS);
+  console.log(`[Webhooks] Retry worker started (max attempts=${MAX_ATTEMPTS})`);
+  processRetries();
+}
+
+/**
+ * Stop the retry worker
+ */
+function stopWebhookWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  MAX_ATTEMPTS,
+  signPayload,
+  generateSecret,
+  queueDelivery,
+  emitWebhookEvent,
+  startWebhookWorker,
+  stopWebhookWorker
+};
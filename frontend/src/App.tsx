@@ -5,10 +5,14 @@ import { LandingPage } from './pages/LandingPage';
 import AnalyzerRedirect from './pages/AnalyzerRedirect';
 import { AnalyzerDashboard } from './pages/AnalyzerDashboard';
 import { ReportDashboard } from './pages/ReportDashboard';
+import { ReportDiff } from './pages/ReportDiff';
+import { Monitors } from './pages/Monitors';
+import { Journeys } from './pages/Journeys';
+import { JourneyReport } from './pages/JourneyReport';
 import { CompetitorDashboard } from './pages/CompetitorDashboard';
 import './App.css';
 
-const FULLSCREEN_ROUTES = ['/analyze', '/dashboard', '/report', '/competitor'];
+const FULLSCREEN_ROUTES = ['/analyze', '/dashboard', '/report', '/competitor', '/monitors', '/journeys'];
 
 function AppLayout() {
   const location = useLocation();
@@ -20,7 +24,11 @@ function AppLayout() {
         <Route path="/analyze" element={<AnalyzerRedirect />} />
         <Route path="/dashboard/:reportId" element={<AnalyzerDashboard />} />
         <Route path="/report/:reportId" element={<ReportDashboard />} />
+        <Route path="/report/:a/diff/:b" element={<ReportDiff />} />
         <Route path="/competitor/:comparisonId" element={<CompetitorDashboard />} />
+        <Route path="/monitors" element={<Monitors />} />
+        <Route path="/journeys" element={<Journeys />} />
+        <Route path="/journeys/:journeyId" element={<JourneyReport />} />
       </Routes>
     );
   }
@@ -1,8 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 import {
     Search, Zap, Globe, Shield, Eye, Activity, Code, Scan, Wifi, Database,
-    CheckCircle, BarChart3, Gauge, Smartphone, FileText
+    CheckCircle, BarChart3, Gauge, Smartphone, FileText, Brain, Clock, Save
 } from 'lucide-react';
+import type { JobProgressEvent } from '../services/api';
 import './Loader.css';
 
 const crawlSteps = [
@@ -18,16 +19,37 @@ const crawlSteps = [
     { msg: "Generating AI insights", detail: "Scoring & recommendation engine", icon: Database },
 ];
 
+// Real pipeline stages reported by the backend job runner
+const analysisStages = [
+    { id: "queued", msg: "Waiting in queue", detail: "Job accepted, waiting for a worker", icon: Clock },
+    { id: "scrape", msg: "Crawling website", detail: "Rendering page, resources & DOM", icon: Search },
+    { id: "modules", msg: "Running analysis modules", detail: "Performance · UX · SEO · Content · Security", icon: Activity },
+    { id: "ai_enhance", msg: "Enhancing findings with AI", detail: "Module-level issues & fixes", icon: Scan },
+    { id: "insights", msg: "Generating AI insights", detail: "Scoring & recommendation engine", icon: Brain },
+    { id: "save", msg: "Saving report", detail: "Persisting results", icon: Save },
+    { id: "completed", msg: "Analysis complete", detail: "Opening your report", icon: CheckCircle },
+];
+
+// Shown while active but not part of the step pips (only runs on low confidence)
+const lighthouseStage = { id: "lighthouse", msg: "Running Lighthouse validation", detail: "Low-confidence performance fallback", icon: Zap };
+
 const moduleCards = [
-    { label: "Performance", icon: Gauge, color: "#00C49F", activateAt: 2 },
-    { label: "SEO", icon: Search, color: "#6366F1", activateAt: 4 },
-    { label: "UX", icon: Smartphone, color: "#F59E0B", activateAt: 6 },
-    { label: "Content", icon: FileText, color: "#EC4899", activateAt: 8 },
+    { id: "performance", label: "Performance", icon: Gauge, color: "#00C49F", activateAt: 2 },
+    { id: "seo", label: "SEO", icon: Search, color: "#6366F1", activateAt: 4 },
+    { id: "ux", label: "UX", icon: Smartphone, color: "#F59E0B", activateAt: 6 },
+    { id: "content", label: "Content", icon: FileText, color: "#EC4899", activateAt: 8 },
+    { id: "security", label: "Security", icon: Shield, color: "#60A5FA", activateAt: 9 },
 ];
 
 const TOTAL_STEPS = crawlSteps.length;
 
-export default function Loader() {
+interface LoaderProps {
+    /** Live job progress events; when omitted the loader plays its idle animation */
+    events?: JobProgressEvent[];
+}
+
+export default function Loader({ events }: LoaderProps) {
+    const live = events !== undefined;
     const [stepIndex, setStepIndex] = useState(0);
     const [dots, setDots] = useState('');
     const [progress, setProgress] = useState(0);
@@ -36,6 +58,16 @@ export default function Loader() {
     const logRef = useRef<HTMLDivElement>(null);
 
     useEffect(() => {
+        const dotsInterval = setInterval(() => {
+            setDots((prev) => (prev.length >= 3 ? '' : prev + '.'));
+        }, 400);
+
+        return () => clearInterval(dotsInterval);
+    }, []);
+
+    useEffect(() => {
+        if (live) return;
+
         const stepInterval = setInterval(() => {
             setStepIndex((prev) => {
                 const next = (prev + 1) % TOTAL_STEPS;
@@ -48,10 +80,6 @@ export default function Loader() {
             });
         }, 1400);
 
-        const dotsInterval = setInterval(() => {
-            setDots((prev) => (prev.length >= 3 ? '' : prev + '.'));
-        }, 400);
-
         // Tick up fake data points
         const dataInterval = setInterval(() => {
             setDataPoints((p) => p + Math.floor(Math.random() * 12 + 3));
@@ -61,21 +89,39 @@ export default function Loader() {
 
         return () => {
             clearInterval(stepInterval);
-            clearInterval(dotsInterval);
             clearInterval(dataInterval);
         };
-    }, []);
+    }, [live]);
 
     // Auto-scroll log
     useEffect(() => {
         if (logRef.current) {
             logRef.current.scrollTop = logRef.current.scrollHeight;
         }
-    }, [completedSteps, stepIndex]);
+    }, [completedSteps, stepIndex, events]);
+
+    // ─── Derive what to render: real job progress or the idle animation ───
+    const latest = live && events.length > 0 ? events[events.length - 1] : null;
+    const liveStageIndex = Math.max(0, analysisStages.findIndex((s) => s.id === (latest?.stage || 'queued')));
+    const finishedModules = new Set((events || []).filter((e) => e.module).map((e) => e.module));
 
-    const step = crawlSteps[stepIndex];
+    const step = live
+        ? (latest?.stage === 'lighthouse' ? lighthouseStage : analysisStages[liveStageIndex])
+        : crawlSteps[stepIndex];
     const CurrentIcon = step.icon;
 
+    const percent = live ? (latest?.progress ?? 0) : progress;
+    const stepCount = live ? analysisStages.length : TOTAL_STEPS;
+    const doneCount = live ? liveStageIndex : completedSteps.length;
+    const isStepActive = (i: number) => (live ? i === liveStageIndex : i === stepIndex);
+    const isStepDone = (i: number) => (live ? i < liveStageIndex : completedSteps.includes(i));
+
+    // Terminal lines: every distinct backend message, or the completed fake steps
+    const logLines = live
+        ? (events || []).map((e) => e.message || '').filter((m, i, arr) => m && arr[i - 1] !== m).slice(0, -1)
+        : completedSteps.map((idx) => crawlSteps[idx].msg);
+    const currentLine = live ? (latest?.message || step.msg) : step.msg;
+
     return (
         <div className="crawler-container">
             {/* Background Effects */}
@@ -141,7 +187,7 @@ export default function Loader() {
                 <div className="module-previews">
                     {moduleCards.map((mod) => {
                         const Icon = mod.icon;
-                        const active = completedSteps.length >= mod.activateAt;
+                        const active = live ? finishedModules.has(mod.id) : completedSteps.length >= mod.activateAt;
                         return (
                             <div
                                 key={mod.label}
@@ -158,7 +204,7 @@ export default function Loader() {
 
                 {/* Progress Bar */}
                 <div className="progress-bar-wrap">
-                    <div className="progress-bar-fill" style={{ width: `${progress}%` }}>
+                    <div className="progress-bar-fill" style={{ width: `${percent}%` }}>
                         <div className="progress-bar-shine" />
                     </div>
                 </div>
@@ -167,35 +213,35 @@ export default function Loader() {
                 <div className="stats-row">
                     <div className="stat-chip">
                         <BarChart3 size={13} />
-                        <span>{dataPoints} data points</span>
+                        <span>{live ? `${Math.round(percent)}% complete` : `${dataPoints} data points`}</span>
                     </div>
                     <div className="stat-chip">
                         <Activity size={13} />
-                        <span>{completedSteps.length}/{TOTAL_STEPS} checks</span>
+                        <span>{live ? `${finishedModules.size}/${moduleCards.length} modules` : `${doneCount}/${stepCount} checks`}</span>
                     </div>
                 </div>
 
                 {/* Terminal log */}
                 <div className="terminal-log" ref={logRef}>
-                    {completedSteps.map((idx) => (
+                    {logLines.map((line, idx) => (
                         <div key={idx} className="log-line done">
                             <CheckCircle size={11} />
-                            <span>{crawlSteps[idx].msg}</span>
+                            <span>{line}</span>
                         </div>
                     ))}
                     <div className="log-line current">
                         <span className="log-cursor">▸</span>
-                        <span>{step.msg}{dots}</span>
+                        <span>{currentLine}{dots}</span>
                     </div>
                 </div>
 
                 {/* Step pips + dots */}
                 <div className="progress-indicators">
                     <div className="step-indicators">
-                        {crawlSteps.map((_, i) => (
+                        {Array.from({ length: stepCount }, (_, i) => (
                             <div
                                 key={i}
-                                className={`step-pip ${i === stepIndex ? 'active' : completedSteps.includes(i) ? 'done' : ''}`}
+                                className={`step-pip ${isStepActive(i) ? 'active' : isStepDone(i) ? 'done' : ''}`}
                             />
                         ))}
                     </div>
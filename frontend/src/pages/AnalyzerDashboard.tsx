@@ -402,6 +402,9 @@ export function AnalyzerDashboard() {
                                 <MetricCard icon={<Activity size={20} />} label="TBT" sublabel="Total Blocking Time (≈ FID)" value={formatMetric(perf.metrics?.tbt_ms, 'ms', 0)} color={getStatusColor(perf.metrics?.tbt_ms ?? 0, 200, 600)} />
                                 <MetricCard icon={<Gauge size={20} />} label="CLS" sublabel="Cumulative Layout Shift" value={formatMetric(perf.metrics?.cls, '', 3)} color={getStatusColor(perf.metrics?.cls ?? 0, 0.1, 0.25)} />
                                 <MetricCard icon={<Server size={20} />} label="TTFB" sublabel="Time to First Byte" value={formatMetric(perf.metrics?.ttfb_s, 's')} color={getStatusColor(perf.metrics?.ttfb_s ?? 0, 0.8, 1.8)} />
+                                {perf.metrics?.inp_ms != null && (
+                                    <MetricCard icon={<Activity size={20} />} label="INP" sublabel="Interaction to Next Paint" value={formatMetric(perf.metrics.inp_ms, 'ms', 0)} color={getStatusColor(perf.metrics.inp_ms, 200, 500)} />
+                                )}
                                 <MetricCard icon={<Zap size={20} />} label="FCP" sublabel="First Contentful Paint" value={formatMetric(perf.metrics?.fcp_s, 's')} color={getStatusColor(perf.metrics?.fcp_s ?? 0, 1.8, 3.0)} />
                                 <MetricCard icon={<Tag size={20} />} label="JS Size" sublabel="Total JavaScript" value={formatMetric(perf.metrics?.total_js_kb, ' KB', 0)} color={getStatusColor(perf.metrics?.total_js_kb ?? 0, 200, 500)} />
                                 <MetricCard icon={<Layout size={20} />} label="CSS Size" sublabel="Total CSS" value={formatMetric(perf.metrics?.total_css_kb, ' KB', 0)} color={getStatusColor(perf.metrics?.total_css_kb ?? 0, 50, 150)} />
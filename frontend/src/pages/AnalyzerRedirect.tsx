@@ -1,34 +1,94 @@
 import { useEffect, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { analyzeWebsite, analyzeMobile } from '../services/api';
+import {
+    analyzeWebsite, analyzeMobile, getJobStatus, subscribeToJobEvents,
+    type JobProgressEvent, type JobState
+} from '../services/api';
 import Loader from '../components/Loader';
 
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+interface JobOutcome {
+    status: JobState;
+    reportId?: string;
+    error?: string | null;
+}
+
 export default function AnalyzerRedirect() {
     const [params] = useSearchParams();
     const navigate = useNavigate();
     const [error, setError] = useState<string | null>(null);
+    const [events, setEvents] = useState<JobProgressEvent[]>([]);
 
     useEffect(() => {
         const url = params.get('url');
         const mode = params.get('mode') || 'desktop'; // 'desktop' | 'mobile'
+        const profile = params.get('profile') || undefined;
+        const device = params.get('device') || undefined; // device preset, overrides mode
 
         if (!url) {
             navigate('/');
             return;
         }
 
+        let cancelled = false;
+        let unsubscribe: (() => void) | null = null;
+
+        const pushEvent = (event: JobProgressEvent) => {
+            if (!cancelled) setEvents((prev) => [...prev, event]);
+        };
+
+        // Fallback when the event stream is unavailable: poll the status endpoint
+        const pollUntilDone = async (jobId: string): Promise<JobOutcome> => {
+            let status = await getJobStatus(jobId);
+            while (!cancelled && (status.status === 'pending' || status.status === 'running')) {
+                pushEvent({ jobId, status: status.status, progress: status.progress, message: status.message, stage: status.stage });
+                await sleep(POLL_INTERVAL_MS);
+                status = await getJobStatus(jobId);
+            }
+            return status;
+        };
+
         const analyze = async () => {
             try {
-                const result = mode === 'mobile'
-                    ? await analyzeMobile(url)
-                    : await analyzeWebsite({ url });
+                const job = device
+                    ? await analyzeWebsite({ url, scoringProfile: profile, devicePreset: device })
+                    : mode === 'mobile'
+                        ? await analyzeMobile(url, profile)
+                        : await analyzeWebsite({ url, scoringProfile: profile });
+
+                // Stream live progress until the worker finishes the job
+                const outcome = await new Promise<JobOutcome>((resolve, reject) => {
+                    unsubscribe = subscribeToJobEvents(
+                        job.jobId,
+                        (event) => {
+                            pushEvent(event);
+                            if (event.status === 'completed' || event.status === 'failed') {
+                                resolve({
+                                    status: event.status,
+                                    reportId: event.reportId || job.reportId,
+                                    error: event.error || event.message,
+                                });
+                            }
+                        },
+                        () => { pollUntilDone(job.jobId).then(resolve, reject); }
+                    );
+                });
+                if (cancelled) return;
+
+                if (outcome.status === 'failed') {
+                    throw new Error(outcome.error || 'Analysis failed');
+                }
 
                 // Redirect to dashboard with report ID
                 setTimeout(() => {
-                    navigate(`/dashboard/${result.reportId}`);
+                    navigate(`/dashboard/${outcome.reportId || job.reportId}`);
                 }, 500);
 
             } catch (err: any) {
+                if (cancelled) return;
                 console.error('Analysis failed:', err);
                 setError(err.message || 'Analysis failed');
 
@@ -40,6 +100,11 @@ export default function AnalyzerRedirect() {
         };
 
         analyze();
+
+        return () => {
+            cancelled = true;
+            unsubscribe?.();
+        };
     }, [params, navigate]);
 
     if (error) {
@@ -54,5 +119,5 @@ export default function AnalyzerRedirect() {
         );
     }
 
-    return <Loader />;
+    return <Loader events={events} />;
 }
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import type { ScoringProfile } from '../services/api';
 import './CompetitorDashboard.css';
 
 interface CompetitorComparison {
     _id: string;
     user_domain: string;
+    user_report_id?: { _id: string; scoring_profile?: ScoringProfile };
     status: string;
     competitors: Array<{
         domain: string;
@@ -143,7 +145,9 @@ export function CompetitorDashboard() {
                 <button className="back-btn" onClick={() => navigate(-1)}>← Back</button>
                 <div>
                     <h1>🏆 Competitive Analysis</h1>
-                    <p className="subtitle">Your Site vs 3 Top Competitors</p>
+                    <p className="subtitle">
+                        Your Site vs 3 Top Competitors · Scored with the {comparison.user_report_id?.scoring_profile?.label || 'Balanced'} profile
+                    </p>
                 </div>
             </header>
 
@@ -0,0 +1,310 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, CheckCircle, Clock, MinusCircle, Play, RefreshCw, Route, XCircle } from 'lucide-react';
+import {
+    getJourney, getJourneyRuns, getJourneyRun, runJourney, getJourneyStepScreenshotUrl,
+    type Journey, type JourneyRun, type JourneyRunSummary, type JourneyStepResult
+} from '../services/api';
+import Loader from '../components/Loader';
+import './ReportDashboard.css';
+import './Monitors.css';
+import './Journeys.css';
+
+// Poll quickly while a run is in progress
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_META: Record<JourneyStepResult['status'], { color: string; icon: typeof CheckCircle; label: string }> = {
+    passed: { color: '#aee92b', icon: CheckCircle, label: 'Passed' },
+    failed: { color: '#ff6b6b', icon: XCircle, label: 'Failed' },
+    skipped: { color: '#6b7280', icon: MinusCircle, label: 'Skipped' },
+};
+
+const IMPACT_COLORS: Record<string, string> = {
+    critical: '#ff6b6b',
+    serious: '#f59e0b',
+    moderate: '#facc15',
+    minor: '#aee92b',
+};
+
+const scoreColor = (score?: number | null) =>
+    score == null ? 'var(--rd-text-dim)' : score >= 80 ? '#aee92b' : score >= 50 ? '#facc15' : '#ff6b6b';
+
+const formatDuration = (ms?: number) => (ms == null ? '—' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+const formatDateTime = (iso?: string | null) =>
+    iso ? new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const errorMessage = (e: unknown, fallback: string) => {
+    const err = e as { response?: { data?: { error?: string } }; message?: string };
+    return err.response?.data?.error || err.message || fallback;
+};
+
+const isActive = (run?: JourneyRunSummary | null) => run?.status === 'pending' || run?.status === 'running';
+
+/* ─── Timeline step ─── */
+function TimelineStep({ step, journeyId, runId, maxDuration }: {
+    step: JourneyStepResult;
+    journeyId: string;
+    runId: string;
+    maxDuration: number;
+}) {
+    const meta = STATUS_META[step.status];
+    const Icon = meta.icon;
+    const m = step.metrics;
+
+    return (
+        <div className={`jr-step jr-step--${step.status}`}>
+            <div className="jr-step-marker" style={{ color: meta.color, borderColor: meta.color }} title={meta.label}>
+                <Icon size={14} />
+            </div>
+            <div className="jr-step-body">
+                <div className="jr-step-header">
+                    <div>
+                        <div className="jr-step-title">
+                            <span className="jr-step-index">{step.index + 1}</span>
+                            {step.name}
+                            <span className="mon-tag">{step.action}</span>
+                        </div>
+                        {step.url && <div className="mon-url">{step.title ? `${step.title} · ` : ''}{step.url}</div>}
+                    </div>
+                    {step.scores && (
+                        <div className="jr-step-scores">
+                            <span style={{ color: scoreColor(step.scores.performance) }}>Perf {step.scores.performance ?? '—'}</span>
+                            <span style={{ color: scoreColor(step.scores.ux) }}>UX {step.scores.ux ?? '—'}</span>
+                        </div>
+                    )}
+                </div>
+
+                {step.status !== 'skipped' && (
+                    <div className="jr-step-timing">
+                        <Clock size={12} />
+                        <div className="jr-duration-track">
+                            <div
+                                className="jr-duration-bar"
+                                style={{ width: `${maxDuration > 0 ? Math.max(2, ((step.duration_ms || 0) / maxDuration) * 100) : 0}%`, background: meta.color }}
+                            />
+                        </div>
+                        <span>{formatDuration(step.duration_ms)}</span>
+                    </div>
+                )}
+
+                {step.error && <div className="mon-error jr-step-error">{step.error}</div>}
+
+                {m && (
+                    <div className="jr-step-metrics">
+                        {step.new_document && <span>LCP <strong>{m.lcp_s != null ? `${m.lcp_s}s` : '—'}</strong></span>}
+                        {step.new_document && <span>FCP <strong>{m.fcp_s != null ? `${m.fcp_s}s` : '—'}</strong></span>}
+                        {step.new_document && <span>TTFB <strong>{m.ttfb_s != null ? `${m.ttfb_s}s` : '—'}</strong></span>}
+                        <span>CLS <strong>{m.cls}</strong></span>
+                        <span>TBT <strong>{m.tbt_ms}ms</strong></span>
+                        <span>Requests <strong>{m.total_requests}</strong></span>
+                        {!step.new_document && <span className="mon-tag">same page</span>}
+                    </div>
+                )}
+
+                {step.ux && (
+                    <div className="jr-step-metrics">
+                        <span>A11y violations <strong>{step.ux.violations_count}</strong></span>
+                        {Object.entries(step.ux.violations_by_impact).filter(([, count]) => count > 0).map(([impact, count]) => (
+                            <span key={impact} style={{ color: IMPACT_COLORS[impact] }}>{count} {impact}</span>
+                        ))}
+                        <span>CTAs <strong>{step.ux.ctas_count}</strong> ({step.ux.ctas_above_fold} above fold)</span>
+                    </div>
+                )}
+
+                {step.screenshot_path && (
+                    <a
+                        className="jr-step-shot"
+                        href={getJourneyStepScreenshotUrl(journeyId, runId, step.index)}
+                        target="_blank"
+                        rel="noreferrer"
+                    >
+                        <img src={getJourneyStepScreenshotUrl(journeyId, runId, step.index)} alt={`After step ${step.index + 1}`} loading="lazy" />
+                    </a>
+                )}
+            </div>
+        </div>
+    );
+}
+
+/* ═══════════════════════  JOURNEY REPORT  ═══════════════════════ */
+export function JourneyReport() {
+    const navigate = useNavigate();
+    const { journeyId = '' } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [journey, setJourney] = useState<Journey | null>(null);
+    const [runs, setRuns] = useState<JourneyRunSummary[]>([]);
+    const [run, setRun] = useState<JourneyRun | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    // The run in the URL, else the latest one
+    const runId = searchParams.get('run') || runs[0]?._id || null;
+
+    const load = useCallback(async () => {
+        try {
+            const [journeyData, runList] = await Promise.all([getJourney(journeyId), getJourneyRuns(journeyId)]);
+            setJourney(journeyData);
+            setRuns(runList);
+            setError(null);
+        } catch (e) {
+            setError(errorMessage(e, 'Failed to load journey'));
+        }
+    }, [journeyId]);
+
+    const loadRun = useCallback(async () => {
+        if (!runId) return;
+        try {
+            setRun(await getJourneyRun(journeyId, runId));
+        } catch (e) {
+            setError(errorMessage(e, 'Failed to load run'));
+        }
+    }, [journeyId, runId]);
+
+    // Refresh on a timer while the selected run is still going
+    const polling = isActive(run);
+    useEffect(() => {
+        const refresh = () => {
+            load();
+            loadRun();
+        };
+        refresh();
+        if (!polling) return;
+        const timer = setInterval(refresh, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [polling, load, loadRun]);
+
+    const handleRun = async () => {
+        try {
+            const newRunId = await runJourney(journeyId);
+            setRun(null);
+            setSearchParams({ run: newRunId });
+            await load();
+        } catch (e) {
+            setError(errorMessage(e, 'Failed to start run'));
+        }
+    };
+
+    if (!journey && !error) return <Loader />;
+
+    const shownRun = run && run._id === runId ? run : null;
+    const maxDuration = Math.max(0, ...(shownRun?.steps || []).map(s => s.duration_ms || 0));
+
+    return (
+        <div className="mon">
+            <header className="mon-header">
+                <button className="mon-back" onClick={() => navigate('/journeys')}><ArrowLeft size={16} /> Journeys</button>
+                <div>
+                    <h1 className="rd-page-title"><Route size={20} /> {journey?.name || 'Journey'}</h1>
+                    <p className="mon-subtitle">
+                        {journey ? `${journey.steps.length} steps · ${journey.device_preset}` : ''}
+                        {journey?.description ? ` · ${journey.description}` : ''}
+                    </p>
+                </div>
+                <button className="mon-btn mon-btn--primary jr-run-btn" disabled={!journey || isActive(runs[0])} onClick={handleRun}>
+                    <Play size={14} /> Run now
+                </button>
+            </header>
+
+            <div className="rd-view">
+                {error && <div className="mon-error">{error}</div>}
+
+                {runs.length > 0 && (
+                    <div className="jr-run-picker">
+                        <label>
+                            Run
+                            <select value={runId || ''} onChange={e => setSearchParams({ run: e.target.value })}>
+                                {runs.map(r => (
+                                    <option key={r._id} value={r._id}>
+                                        {formatDateTime(r.created_at)} — {r.status}
+                                        {r.failed_step != null ? ` at step ${r.failed_step + 1}` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                )}
+
+                {runs.length === 0 && (
+                    <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+                        <div className="mon-empty">This journey hasn't run yet. Use “Run now” to audit each step.</div>
+                    </motion.div>
+                )}
+
+                {runId && !shownRun && !error && <Loader />}
+
+                {shownRun && (
+                    <>
+                        {/* Run summary */}
+                        <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.4 }}>
+                            <div className="rd-card-header">
+                                <h3><Route size={16} style={{ color: '#aee92b' }} /> Run Summary</h3>
+                            </div>
+                            <div className="rd-data-grid">
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Status</span>
+                                    <span className="rd-data-value">
+                                        {isActive(shownRun)
+                                            ? <span className="mon-running"><RefreshCw size={12} /> {shownRun.status}</span>
+                                            : shownRun.status}
+                                    </span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Steps passed</span>
+                                    <span className="rd-data-value">{shownRun.summary ? `${shownRun.summary.steps_passed}/${shownRun.summary.steps_total}` : '—'}</span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Failed at</span>
+                                    <span className="rd-data-value">{shownRun.failed_step != null ? `Step ${shownRun.failed_step + 1}` : '—'}</span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Total time</span>
+                                    <span className="rd-data-value">{formatDuration(shownRun.summary?.total_duration_ms)}</span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Avg performance</span>
+                                    <span className="rd-data-value" style={{ color: scoreColor(shownRun.summary?.avg_performance_score) }}>
+                                        {shownRun.summary?.avg_performance_score ?? '—'}
+                                    </span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Avg UX</span>
+                                    <span className="rd-data-value" style={{ color: scoreColor(shownRun.summary?.avg_ux_score) }}>
+                                        {shownRun.summary?.avg_ux_score ?? '—'}
+                                    </span>
+                                </div>
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Device</span>
+                                    <span className="rd-data-value">{shownRun.emulation?.label || shownRun.device_preset || '—'}</span>
+                                </div>
+                            </div>
+                        </motion.div>
+
+                        {shownRun.error && shownRun.failed_step == null && <div className="mon-error">{shownRun.error}</div>}
+
+                        {/* Timeline */}
+                        <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1, duration: 0.4 }}>
+                            <div className="rd-card-header">
+                                <h3><Clock size={16} style={{ color: '#4ecdc4' }} /> Timeline</h3>
+                                <span className="rd-card-count">{shownRun.steps.length}</span>
+                            </div>
+                            {shownRun.steps.length === 0 ? (
+                                <div className="mon-empty">{isActive(shownRun) ? 'Waiting for the first step…' : 'No steps ran.'}</div>
+                            ) : (
+                                <div className="jr-timeline">
+                                    {shownRun.steps.map(step => (
+                                        <TimelineStep key={step.index} step={step} journeyId={journeyId} runId={shownRun._id} maxDuration={maxDuration} />
+                                    ))}
+                                </div>
+                            )}
+                        </motion.div>
+                    </>
+                )}
+
+                <div className="mon-links"><Link to="/journeys">All journeys</Link></div>
+            </div>
+        </div>
+    );
+}
+
+export default JourneyReport;
@@ -0,0 +1,290 @@
+import { useCallback, useEffect, useState, type FormEvent } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Play, Plus, RefreshCw, Route, Trash2, X } from 'lucide-react';
+import {
+    getJourneys, createJourney, deleteJourney, runJourney, getDevicePresets,
+    type Journey, type JourneyAction, type JourneyStep, type DevicePresetInfo
+} from '../services/api';
+import Loader from '../components/Loader';
+import './ReportDashboard.css';
+import './Monitors.css';
+import './Journeys.css';
+
+const REFRESH_INTERVAL_MS = 15000;
+
+const ACTION_LABELS: Record<JourneyAction, string> = {
+    navigate: 'Navigate',
+    click: 'Click',
+    fill: 'Fill',
+    wait: 'Wait',
+    assert: 'Assert',
+};
+
+// Inputs shown for each action in the step builder
+const ACTION_FIELDS: Record<JourneyAction, { field: 'url' | 'selector' | 'value' | 'text'; placeholder: string }[]> = {
+    navigate: [{ field: 'url', placeholder: 'https://example.com/signup' }],
+    click: [{ field: 'selector', placeholder: 'button[type=submit]' }],
+    fill: [{ field: 'selector', placeholder: '#email' }, { field: 'value', placeholder: 'test@example.com' }],
+    wait: [{ field: 'selector', placeholder: 'Selector (optional)' }, { field: 'url', placeholder: 'URL pattern (optional)' }],
+    assert: [{ field: 'selector', placeholder: 'Selector (optional)' }, { field: 'text', placeholder: 'Expected text (optional)' }],
+};
+
+const formatDateTime = (iso?: string | null) =>
+    iso ? new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const errorMessage = (e: unknown, fallback: string) => {
+    const err = e as { response?: { data?: { error?: string } }; message?: string };
+    return err.response?.data?.error || err.message || fallback;
+};
+
+const emptyStep = (action: JourneyAction = 'click'): JourneyStep => ({ action });
+
+/* ─── Last run status ─── */
+function LastRunCell({ journey }: { journey: Journey }) {
+    const run = journey.last_run;
+    if (!run) return <>—</>;
+    if (run.status === 'pending' || run.status === 'running') {
+        return <span className="mon-running"><RefreshCw size={12} /> Running</span>;
+    }
+    return (
+        <Link to={`/journeys/${journey._id}?run=${run._id}`}>
+            {run.status === 'completed'
+                ? `${run.summary?.steps_passed ?? 0}/${run.summary?.steps_total ?? 0} passed`
+                : run.failed_step != null ? `Failed at step ${run.failed_step + 1}` : 'Failed'}
+            <div className="mon-url">{formatDateTime(run.finished_at || run.created_at)}</div>
+        </Link>
+    );
+}
+
+/* ═══════════════════════  JOURNEYS  ═══════════════════════ */
+export function Journeys() {
+    const navigate = useNavigate();
+    const [journeys, setJourneys] = useState<Journey[] | null>(null);
+    const [presets, setPresets] = useState<DevicePresetInfo[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [formError, setFormError] = useState<string | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [form, setForm] = useState({ name: '', description: '', devicePreset: 'desktop' });
+    const [steps, setSteps] = useState<JourneyStep[]>([emptyStep('navigate')]);
+
+    const load = useCallback(async () => {
+        try {
+            setJourneys(await getJourneys());
+            setError(null);
+        } catch (e) {
+            setError(errorMessage(e, 'Failed to load journeys'));
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+        getDevicePresets().then(setPresets).catch(() => setPresets([]));
+        const timer = setInterval(load, REFRESH_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [load]);
+
+    const updateStep = (index: number, patch: Partial<JourneyStep>) =>
+        setSteps(list => list.map((step, i) => (i === index ? { ...step, ...patch } : step)));
+
+    const handleCreate = async (e: FormEvent) => {
+        e.preventDefault();
+        setSaving(true);
+        setFormError(null);
+        try {
+            await createJourney({
+                name: form.name.trim(),
+                description: form.description.trim() || undefined,
+                devicePreset: form.devicePreset,
+                steps,
+            });
+            setForm(f => ({ ...f, name: '', description: '' }));
+            setSteps([emptyStep('navigate')]);
+            await load();
+        } catch (err) {
+            setFormError(errorMessage(err, 'Failed to create journey'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Row actions surface their errors in the page banner
+    const act = async (action: () => Promise<unknown>) => {
+        try {
+            await action();
+            await load();
+        } catch (e) {
+            setError(errorMessage(e, 'Action failed'));
+        }
+    };
+
+    if (!journeys && !error) return <Loader />;
+
+    return (
+        <div className="mon">
+            <header className="mon-header">
+                <button className="mon-back" onClick={() => navigate(-1)}><ArrowLeft size={16} /> Back</button>
+                <div>
+                    <h1 className="rd-page-title"><Route size={20} /> Journeys</h1>
+                    <p className="mon-subtitle">Multi-step flows such as signup or checkout, audited after every step</p>
+                </div>
+            </header>
+
+            <div className="rd-view">
+                {error && <div className="mon-error">{error}</div>}
+
+                {/* Journey list */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Route size={16} style={{ color: '#aee92b' }} /> Saved Journeys</h3>
+                        <span className="rd-card-count rd-card-count--green">{journeys?.length ?? 0}</span>
+                    </div>
+                    {journeys && journeys.length === 0 ? (
+                        <div className="mon-empty">No journeys yet. Define the steps of a flow below.</div>
+                    ) : (
+                        <div className="rd-table-scroll">
+                            <table className="rd-table">
+                                <thead>
+                                    <tr><th>Journey</th><th>Steps</th><th>Device</th><th>Last run</th><th>Perf</th><th>UX</th><th></th></tr>
+                                </thead>
+                                <tbody>
+                                    {journeys?.map(j => {
+                                        const running = j.last_run?.status === 'pending' || j.last_run?.status === 'running';
+                                        return (
+                                            <tr key={j._id}>
+                                                <td>
+                                                    <Link className="rd-fix-name" to={`/journeys/${j._id}`}>{j.name}</Link>
+                                                    {j.description && <div className="mon-url">{j.description}</div>}
+                                                </td>
+                                                <td>{j.steps.length}</td>
+                                                <td>{presets.find(p => p.preset === j.device_preset)?.label || j.device_preset}</td>
+                                                <td><LastRunCell journey={j} /></td>
+                                                <td>{j.last_run?.summary?.avg_performance_score ?? '—'}</td>
+                                                <td>{j.last_run?.summary?.avg_ux_score ?? '—'}</td>
+                                                <td className="mon-actions">
+                                                    <button
+                                                        className="mon-btn"
+                                                        disabled={running}
+                                                        onClick={() => act(async () => navigate(`/journeys/${j._id}?run=${await runJourney(j._id)}`))}
+                                                        title="Run now"
+                                                    >
+                                                        <Play size={14} />
+                                                    </button>
+                                                    <button
+                                                        className="mon-btn mon-btn--danger"
+                                                        onClick={() => {
+                                                            if (window.confirm(`Delete the journey "${j.name}" and its runs?`)) act(() => deleteJourney(j._id));
+                                                        }}
+                                                        title="Delete"
+                                                    >
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </motion.div>
+
+                {/* New journey */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Plus size={16} style={{ color: '#4ecdc4' }} /> New Journey</h3>
+                    </div>
+                    <form className="mon-form" onSubmit={handleCreate}>
+                        <label>
+                            Name
+                            <input
+                                type="text"
+                                required
+                                placeholder="Signup flow"
+                                value={form.name}
+                                onChange={e => setForm(f => ({ ...f, name: e.target.value }))}
+                            />
+                        </label>
+                        <label>
+                            Description
+                            <input
+                                type="text"
+                                placeholder="Optional"
+                                value={form.description}
+                                onChange={e => setForm(f => ({ ...f, description: e.target.value }))}
+                            />
+                        </label>
+                        <label>
+                            Device
+                            <select value={form.devicePreset} onChange={e => setForm(f => ({ ...f, devicePreset: e.target.value }))}>
+                                {presets.length === 0 && <option value="desktop">Desktop</option>}
+                                {presets.map(p => <option key={p.preset} value={p.preset}>{p.label}</option>)}
+                            </select>
+                        </label>
+
+                        <div className="jr-builder">
+                            {steps.map((step, index) => (
+                                <div className="jr-builder-row" key={index}>
+                                    <span className="jr-builder-index">{index + 1}</span>
+                                    <select
+                                        value={step.action}
+                                        onChange={e => updateStep(index, { ...emptyStep(e.target.value as JourneyAction), name: step.name })}
+                                    >
+                                        {(Object.keys(ACTION_LABELS) as JourneyAction[]).map(action => (
+                                            <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="text"
+                                        placeholder="Step name (optional)"
+                                        value={step.name || ''}
+                                        onChange={e => updateStep(index, { name: e.target.value || undefined })}
+                                    />
+                                    {ACTION_FIELDS[step.action].map(({ field, placeholder }) => (
+                                        <input
+                                            key={field}
+                                            type={field === 'url' && step.action === 'navigate' ? 'url' : 'text'}
+                                            required={step.action !== 'wait' && step.action !== 'assert' && field !== 'value'}
+                                            placeholder={placeholder}
+                                            value={step[field] || ''}
+                                            onChange={e => updateStep(index, { [field]: e.target.value || (field === 'value' ? '' : undefined) })}
+                                        />
+                                    ))}
+                                    {step.action === 'wait' && (
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            max={30000}
+                                            placeholder="ms (optional)"
+                                            value={step.duration_ms ?? ''}
+                                            onChange={e => updateStep(index, { duration_ms: e.target.value === '' ? undefined : Number(e.target.value) })}
+                                        />
+                                    )}
+                                    <button
+                                        type="button"
+                                        className="mon-btn mon-btn--danger"
+                                        disabled={steps.length === 1}
+                                        onClick={() => setSteps(list => list.filter((_, i) => i !== index))}
+                                        title="Remove step"
+                                    >
+                                        <X size={14} />
+                                    </button>
+                                </div>
+                            ))}
+                            <button type="button" className="mon-btn" onClick={() => setSteps(list => [...list, emptyStep()])}>
+                                <Plus size={14} /> Add step
+                            </button>
+                        </div>
+
+                        <button type="submit" className="mon-btn mon-btn--primary" disabled={saving}>
+                            <Plus size={14} /> {saving ? 'Saving…' : 'Save journey'}
+                        </button>
+                        {formError && <div className="mon-form-error">{formError}</div>}
+                    </form>
+                </motion.div>
+            </div>
+        </div>
+    );
+}
+
+export default Journeys;
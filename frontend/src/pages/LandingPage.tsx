@@ -9,6 +9,7 @@ import {
 } from 'lucide-react';
 import PixelBlast from '../components/PixelBlast';
 import Chatbot from '../components/Chatbot';
+import { getScoringProfiles, type ScoringProfile } from '../services/api';
 import './LandingPage.css';
 
 export function LandingPage() {
@@ -17,15 +18,26 @@ export function LandingPage() {
     const [loading, setLoading] = useState(false);
     const [loadingBottom, setLoadingBottom] = useState(false);
     const [deviceMode, setDeviceMode] = useState<'desktop' | 'mobile'>('desktop');
+    const [profiles, setProfiles] = useState<ScoringProfile[]>([]);
+    const [scoringProfile, setScoringProfile] = useState('default');
     const navigate = useNavigate();
 
+    useEffect(() => {
+        getScoringProfiles().then(setProfiles).catch(() => setProfiles([]));
+    }, []);
+
+    const analyzePath = (target: string) => {
+        const profileParam = scoringProfile !== 'default' ? `&profile=${encodeURIComponent(scoringProfile)}` : '';
+        return `/analyze?url=${encodeURIComponent(target)}&mode=${deviceMode}${profileParam}`;
+    };
+
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
         if (!url) return;
         setLoading(true);
         setTimeout(() => {
             setLoading(false);
-            navigate(`/analyze?url=${encodeURIComponent(url)}&mode=${deviceMode}`);
+            navigate(analyzePath(url));
         }, 1500);
     };
 
@@ -35,7 +47,7 @@ export function LandingPage() {
         setLoadingBottom(true);
         setTimeout(() => {
             setLoadingBottom(false);
-            navigate(`/analyze?url=${encodeURIComponent(urlBottom)}&mode=${deviceMode}`);
+            navigate(analyzePath(urlBottom));
         }, 1500);
     };
 
@@ -194,6 +206,21 @@ export function LandingPage() {
                         </button>
                     </form>
 
+                    {profiles.length > 0 && (
+                        <div className="profile-select">
+                            <label htmlFor="scoring-profile">Scoring profile</label>
+                            <select
+                                id="scoring-profile"
+                                value={scoringProfile}
+                                onChange={(e) => setScoringProfile(e.target.value)}
+                                title={profiles.find(p => p.name === scoringProfile)?.description}
+                            >
+                                {profiles.map(p => (
+                                    <option key={p.name} value={p.name}>{p.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
 
                     <p className="hero-trust">
                         <Shield size={14} />
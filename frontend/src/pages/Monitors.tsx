@@ -0,0 +1,314 @@
+import { useCallback, useEffect, useState, type FormEvent } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Bell, CheckCircle, Pause, Play, Plus, RefreshCw, Trash2, Radar } from 'lucide-react';
+import {
+    getMonitors, getMonitorAlerts, createMonitor, updateMonitor, deleteMonitor, runMonitorNow,
+    acknowledgeMonitorAlert, type Monitor, type MonitorAlert, type MonitorFrequency
+} from '../services/api';
+import Loader from '../components/Loader';
+import './ReportDashboard.css';
+import './Monitors.css';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const FREQUENCY_LABELS: Record<MonitorFrequency, string> = {
+    hourly: 'Hourly',
+    daily: 'Daily',
+    weekly: 'Weekly',
+};
+
+const ALERT_TYPE_LABELS: Record<MonitorAlert['type'], string> = {
+    health_score_drop: 'Health score drop',
+    recommendation_flag_worse: 'Recommendation worsened',
+    new_critical_issues: 'New critical issues',
+    visual_change: 'Visual change',
+};
+
+const SEVERITY_COLOR: Record<MonitorAlert['severity'], string> = {
+    critical: '#ff6b6b',
+    high: '#ff9f43',
+    medium: '#ffd93d',
+};
+
+const formatDateTime = (iso?: string | null) =>
+    iso ? new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const errorMessage = (e: unknown, fallback: string) => {
+    const err = e as { response?: { data?: { error?: string } }; message?: string };
+    return err.response?.data?.error || err.message || fallback;
+};
+
+/* ═══════════════════════  MONITORS  ═══════════════════════ */
+export function Monitors() {
+    const navigate = useNavigate();
+    const [monitors, setMonitors] = useState<Monitor[] | null>(null);
+    const [alerts, setAlerts] = useState<MonitorAlert[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [formError, setFormError] = useState<string | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [form, setForm] = useState({ url: '', name: '', frequency: 'daily' as MonitorFrequency, emulateMobile: false, healthScoreDrop: 5, visualChangePct: '' });
+
+    const load = useCallback(async () => {
+        try {
+            const [monitorList, openAlerts] = await Promise.all([getMonitors(), getMonitorAlerts({ acknowledged: false })]);
+            setMonitors(monitorList);
+            setAlerts(openAlerts);
+            setError(null);
+        } catch (e) {
+            setError(errorMessage(e, 'Failed to load monitors'));
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+        const timer = setInterval(load, REFRESH_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [load]);
+
+    const handleCreate = async (e: FormEvent) => {
+        e.preventDefault();
+        setSaving(true);
+        setFormError(null);
+        try {
+            await createMonitor({
+                url: form.url.trim(),
+                name: form.name.trim() || undefined,
+                frequency: form.frequency,
+                emulateMobile: form.emulateMobile,
+                thresholds: {
+                    health_score_drop: form.healthScoreDrop,
+                    visual_change_pct: form.visualChangePct === '' ? null : Number(form.visualChangePct),
+                },
+            });
+            setForm(f => ({ ...f, url: '', name: '' }));
+            await load();
+        } catch (err) {
+            setFormError(errorMessage(err, 'Failed to create monitor'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Row actions surface their errors in the page banner
+    const act = async (action: () => Promise<unknown>) => {
+        try {
+            await action();
+            await load();
+        } catch (e) {
+            setError(errorMessage(e, 'Action failed'));
+        }
+    };
+
+    if (!monitors && !error) return <Loader />;
+
+    return (
+        <div className="mon">
+            <header className="mon-header">
+                <button className="mon-back" onClick={() => navigate(-1)}><ArrowLeft size={16} /> Back</button>
+                <div>
+                    <h1 className="rd-page-title"><Radar size={20} /> Monitors</h1>
+                    <p className="mon-subtitle">Scheduled scans compared run-over-run, with alerts on regressions</p>
+                </div>
+            </header>
+
+            <div className="rd-view">
+                {error && <div className="mon-error">{error}</div>}
+
+                {/* Open alerts */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Bell size={16} style={{ color: '#ff6b6b' }} /> Open Alerts</h3>
+                        <span className="rd-card-count">{alerts.length}</span>
+                    </div>
+                    {alerts.length === 0 ? (
+                        <div className="mon-empty">No open alerts.</div>
+                    ) : (
+                        <div className="rd-table-scroll">
+                            <table className="rd-table">
+                                <thead><tr><th>When</th><th>Site</th><th>Alert</th><th>Details</th><th></th></tr></thead>
+                                <tbody>
+                                    {alerts.map(alert => (
+                                        <tr key={alert._id}>
+                                            <td>{formatDateTime(alert.created_at)}</td>
+                                            <td className="rd-fix-name">{alert.url}</td>
+                                            <td>
+                                                <span className="mon-severity" style={{ color: SEVERITY_COLOR[alert.severity] }}>{alert.severity}</span>
+                                                {ALERT_TYPE_LABELS[alert.type]}
+                                            </td>
+                                            <td className="rd-desc-cell">
+                                                {alert.message}
+                                                <div className="mon-links">
+                                                    <Link to={`/report/${alert.report_id}`}>Report</Link>
+                                                    <Link to={`/report/${alert.previous_report_id}/diff/${alert.report_id}`}>Diff vs previous</Link>
+                                                </div>
+                                            </td>
+                                            <td>
+                                                <button className="mon-btn" onClick={() => act(() => acknowledgeMonitorAlert(alert._id))}>
+                                                    <CheckCircle size={14} /> Acknowledge
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </motion.div>
+
+                {/* Monitor list */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Radar size={16} style={{ color: '#aee92b' }} /> Monitored URLs</h3>
+                        <span className="rd-card-count rd-card-count--green">{monitors?.length ?? 0}</span>
+                    </div>
+                    {monitors && monitors.length === 0 ? (
+                        <div className="mon-empty">No monitors yet. Add a URL below to start scheduled scans.</div>
+                    ) : (
+                        <div className="rd-table-scroll">
+                            <table className="rd-table">
+                                <thead>
+                                    <tr><th>Site</th><th>Schedule</th><th>Last run</th><th>Health</th><th>Alerts</th><th>Next run</th><th></th></tr>
+                                </thead>
+                                <tbody>
+                                    {monitors?.map(m => (
+                                        <tr key={m._id} className={m.enabled ? '' : 'mon-row--paused'}>
+                                            <td>
+                                                <div className="rd-fix-name">{m.name}</div>
+                                                <div className="mon-url">{m.url}</div>
+                                            </td>
+                                            <td>
+                                                {FREQUENCY_LABELS[m.frequency]}
+                                                {m.options.emulate_mobile && <span className="mon-tag">mobile</span>}
+                                                {!m.enabled && <span className="mon-tag">paused</span>}
+                                            </td>
+                                            <td>
+                                                {m.running ? (
+                                                    <span className="mon-running"><RefreshCw size={12} /> Running</span>
+                                                ) : (
+                                                    <>
+                                                        {formatDateTime(m.last_run_at)}
+                                                        {m.last_status === 'failed' && (
+                                                            <div className="mon-failed" title={m.last_error || undefined}>failed</div>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+                                            <td>
+                                                {m.last_report_id && m.last_health_score != null
+                                                    ? <Link to={`/report/${m.last_report_id}`}>{m.last_health_score} ({m.last_health_grade})</Link>
+                                                    : '—'}
+                                            </td>
+                                            <td>
+                                                {m.open_alerts
+                                                    ? <span className="mon-alert-count">{m.open_alerts}</span>
+                                                    : '0'}
+                                            </td>
+                                            <td>{m.enabled ? formatDateTime(m.next_run_at) : '—'}</td>
+                                            <td className="mon-actions">
+                                                <button className="mon-btn" disabled={m.running} onClick={() => act(() => runMonitorNow(m._id))} title="Run now">
+                                                    <RefreshCw size={14} />
+                                                </button>
+                                                <button
+                                                    className="mon-btn"
+                                                    onClick={() => act(() => updateMonitor(m._id, { enabled: !m.enabled }))}
+                                                    title={m.enabled ? 'Pause' : 'Resume'}
+                                                >
+                                                    {m.enabled ? <Pause size={14} /> : <Play size={14} />}
+                                                </button>
+                                                <button
+                                                    className="mon-btn mon-btn--danger"
+                                                    onClick={() => {
+                                                        if (window.confirm(`Delete the monitor for ${m.url}?`)) act(() => deleteMonitor(m._id));
+                                                    }}
+                                                    title="Delete"
+                                                >
+                                                    <Trash2 size={14} />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </motion.div>
+
+                {/* New monitor */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.2, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Plus size={16} style={{ color: '#4ecdc4' }} /> Add Monitor</h3>
+                    </div>
+                    <form className="mon-form" onSubmit={handleCreate}>
+                        <label>
+                            URL
+                            <input
+                                type="url"
+                                required
+                                placeholder="https://example.com"
+                                value={form.url}
+                                onChange={e => setForm(f => ({ ...f, url: e.target.value }))}
+                            />
+                        </label>
+                        <label>
+                            Name
+                            <input
+                                type="text"
+                                placeholder="Defaults to the host name"
+                                value={form.name}
+                                onChange={e => setForm(f => ({ ...f, name: e.target.value }))}
+                            />
+                        </label>
+                        <label>
+                            Frequency
+                            <select
+                                value={form.frequency}
+                                onChange={e => setForm(f => ({ ...f, frequency: e.target.value as MonitorFrequency }))}
+                            >
+                                {(Object.keys(FREQUENCY_LABELS) as MonitorFrequency[]).map(freq => (
+                                    <option key={freq} value={freq}>{FREQUENCY_LABELS[freq]}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Alert on health drop (points)
+                            <input
+                                type="number"
+                                min={1}
+                                max={100}
+                                value={form.healthScoreDrop}
+                                onChange={e => setForm(f => ({ ...f, healthScoreDrop: Number(e.target.value) }))}
+                            />
+                        </label>
+                        <label>
+                            Alert on visual change (%)
+                            <input
+                                type="number"
+                                min={0.1}
+                                max={100}
+                                step={0.1}
+                                placeholder="Off"
+                                value={form.visualChangePct}
+                                onChange={e => setForm(f => ({ ...f, visualChangePct: e.target.value }))}
+                            />
+                        </label>
+                        <label className="mon-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={form.emulateMobile}
+                                onChange={e => setForm(f => ({ ...f, emulateMobile: e.target.checked }))}
+                            />
+                            Mobile scan
+                        </label>
+                        <button type="submit" className="mon-btn mon-btn--primary" disabled={saving}>
+                            <Plus size={14} /> {saving ? 'Adding…' : 'Add monitor'}
+                        </button>
+                        {formError && <div className="mon-form-error">{formError}</div>}
+                    </form>
+                </motion.div>
+            </div>
+        </div>
+    );
+}
+
+export default Monitors;
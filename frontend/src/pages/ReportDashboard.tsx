@@ -1,16 +1,19 @@
 import { useEffect, useState, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import {
     Menu, X, Home, Zap, Search, Smartphone, FileText,
     TrendingUp, AlertTriangle, CheckCircle, XCircle,
-    Info, Brain, Target, ArrowLeft, Printer,
-    ChevronRight, Shield, BarChart3
+    Info, Brain, Target, ArrowLeft, Printer, Download, Camera,
+    ChevronRight, Shield, BarChart3, Activity, Globe
 } from 'lucide-react';
 import { motion, useInView, useSpring, useTransform } from 'framer-motion';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, RadialBarChart, RadialBar, AreaChart, Area } from 'recharts';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, RadialBarChart, RadialBar, AreaChart, Area, LineChart, Line, Legend, ReferenceLine, ReferenceDot } from 'recharts';
 import {
-    getReport, type Report,
-    startCompetitorAnalysis
+    getReport, type Report, type SecurityGradeStatus, type BudgetItemStatus,
+    getSiteHistory, type SiteHistory, type SiteHistoryPoint, type ScoredModule,
+    startCompetitorAnalysis, getReportExportUrl, getScreenshotUrl, type ScreenshotKind,
+    type ScreenshotAnnotations, type ScreenshotAnnotation, type AnnotationType, type InteractionSummary,
+    type InteractionMeasurement, type CoverageSummary, type ThirdPartySummary
 } from '../services/api';
 import Loader from '../components/Loader';
 import Chatbot from '../components/Chatbot';
@@ -46,8 +49,67 @@ const MODULE_META: Record<string, { color: string; icon: any; label: string }> =
     seo: { color: '#4ecdc4', icon: Search, label: 'SEO' },
     ux: { color: '#a78bfa', icon: Smartphone, label: 'UX & A11y' },
     content: { color: '#f59e0b', icon: FileText, label: 'Content' },
+    security: { color: '#60a5fa', icon: Shield, label: 'Security' },
 };
 
+const SECURITY_HEADER_LABELS: Record<string, string> = {
+    csp: 'Content-Security-Policy',
+    hsts: 'Strict-Transport-Security',
+    frame_options: 'X-Frame-Options / frame-ancestors',
+    content_type_options: 'X-Content-Type-Options',
+    referrer_policy: 'Referrer-Policy',
+    permissions_policy: 'Permissions-Policy',
+};
+
+const SECURITY_STATUS_COLOR: Record<SecurityGradeStatus, string> = {
+    pass: '#aee92b',
+    warn: '#f59e0b',
+    fail: '#ff6b6b',
+};
+
+const BUDGET_STATUS_COLOR: Record<BudgetItemStatus, string> = {
+    pass: '#aee92b',
+    fail: '#ff6b6b',
+    no_data: '#9aa0a6',
+};
+
+const INTERACTION_LABELS: Record<InteractionMeasurement['type'], string> = {
+    click: 'Click',
+    tap: 'Tap',
+    keypress: 'Key press',
+};
+
+// Last path segment of a resource URL, e.g. "bundle.js"
+const fileName = (url: string) => {
+    try {
+        const { pathname, hostname } = new URL(url);
+        return pathname.split('/').filter(Boolean).pop() || hostname;
+    } catch {
+        return url;
+    }
+};
+
+const formatBudgetValue = (value: number | null, unit: string) =>
+    value === null ? '—' : `${Number.isInteger(value) ? value : value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+
+const TREND_METRICS: Array<{ key: keyof SiteHistoryPoint['metrics']; label: string; color: string }> = [
+    { key: 'lcp_s', label: 'LCP (s)', color: '#ff6b6b' },
+    { key: 'cls', label: 'CLS', color: '#f59e0b' },
+    { key: 'tbt_ms', label: 'TBT (ms)', color: '#4ecdc4' },
+    { key: 'word_count', label: 'Word Count', color: '#a78bfa' },
+    { key: 'axe_violations', label: 'Axe Violations', color: '#60a5fa' },
+];
+
+const CHART_TOOLTIP_STYLE = {
+    background: '#151a1e',
+    border: '1px solid rgba(255,255,255,0.1)',
+    borderRadius: '8px',
+    fontSize: '12px'
+};
+
+const formatRunDate = (iso: string) =>
+    new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
 /* ─── Severity badge ─── */
 function SeverityBadge({ severity }: { severity: string }) {
     const map: Record<string, { bg: string; color: string; icon: any }> = {
@@ -55,6 +117,7 @@ function SeverityBadge({ severity }: { severity: string }) {
         high: { bg: 'rgba(245,158,11,0.12)', color: '#f59e0b', icon: AlertTriangle },
         medium: { bg: 'rgba(245,158,11,0.08)', color: '#f59e0b', icon: AlertTriangle },
         low: { bg: 'rgba(174,233,43,0.12)', color: '#aee92b', icon: Info },
+        info: { bg: 'rgba(78,205,196,0.12)', color: '#4ecdc4', icon: Info },
     };
     const s = map[severity] || map.low;
     const Icon = s.icon;
@@ -225,6 +288,61 @@ function PerformanceMetricsChart({ metrics }: { metrics: any }) {
 }
 
 /* ─── SEO Breakdown Chart ─── */
+/* ─── Score trends (health + modules) ─── */
+function ScoreTrendChart({ points, currentId }: { points: SiteHistoryPoint[]; currentId?: string }) {
+    const data = points.map((p, run) => ({ run, date: formatRunDate(p.created_at), health: p.website_health_score, ...p.module_scores }));
+    const modules = (Object.keys(MODULE_META) as ScoredModule[]).filter(m => points.some(p => p.module_scores[m] !== null));
+    const currentRun = points.findIndex(p => p.report_id === currentId);
+
+    return (
+        <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={data} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                <XAxis
+                    dataKey="run"
+                    tickFormatter={(run: number) => data[run]?.date ?? ''}
+                    tick={{ fill: '#9aa0a6', fontSize: 11 }}
+                    axisLine={{ stroke: 'rgba(255,255,255,0.1)' }}
+                />
+                <YAxis domain={[0, 100]} tick={{ fill: '#9aa0a6', fontSize: 11 }} axisLine={{ stroke: 'rgba(255,255,255,0.1)' }} />
+                <Tooltip contentStyle={CHART_TOOLTIP_STYLE} labelFormatter={(run) => data[Number(run)]?.date ?? ''} />
+                <Legend wrapperStyle={{ fontSize: '11px' }} />
+                {points.map((p, run) => p.regressed && (
+                    <ReferenceLine key={p.report_id} x={run} stroke="#ff6b6b" strokeDasharray="4 4" />
+                ))}
+                {currentRun >= 0 && <ReferenceLine x={currentRun} stroke="#aee92b" strokeOpacity={0.4} />}
+                <Line type="monotone" dataKey="health" name="Health" stroke="#aee92b" strokeWidth={3} dot={{ r: 3 }} connectNulls />
+                {modules.map(m => (
+                    <Line key={m} type="monotone" dataKey={m} name={MODULE_META[m].label} stroke={MODULE_META[m].color} strokeWidth={1.5} dot={false} connectNulls />
+                ))}
+            </LineChart>
+        </ResponsiveContainer>
+    );
+}
+
+/* ─── Single metric trend with regressed runs marked ─── */
+function MetricTrendChart({ points, metric, color }: { points: SiteHistoryPoint[]; metric: keyof SiteHistoryPoint['metrics']; color: string }) {
+    const data = points.map((p, run) => ({ run, date: formatRunDate(p.created_at), value: p.metrics[metric] }));
+    const regressed = points
+        .map((p, run) => ({ run, value: p.metrics[metric], hit: p.regressions.some(r => r.field === `metrics.${metric}`) }))
+        .filter(r => r.hit && r.value !== null);
+
+    return (
+        <ResponsiveContainer width="100%" height={160}>
+            <LineChart data={data} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                <XAxis dataKey="run" tick={false} axisLine={{ stroke: 'rgba(255,255,255,0.1)' }} />
+                <YAxis tick={{ fill: '#9aa0a6', fontSize: 11 }} axisLine={{ stroke: 'rgba(255,255,255,0.1)' }} />
+                <Tooltip contentStyle={CHART_TOOLTIP_STYLE} labelFormatter={(run) => data[Number(run)]?.date ?? ''} />
+                <Line type="monotone" dataKey="value" stroke={color} strokeWidth={2} dot={{ r: 2 }} connectNulls />
+                {regressed.map(r => (
+                    <ReferenceDot key={r.run} x={r.run} y={r.value ?? 0} r={5} fill="#ff6b6b" stroke="none" />
+                ))}
+            </LineChart>
+        </ResponsiveContainer>
+    );
+}
+
 function SEOBreakdownChart({ seo }: { seo: any }) {
     const data = [
         {
@@ -278,6 +396,129 @@ function SEOBreakdownChart({ seo }: { seo: any }) {
     );
 }
 
+/* ─── Screenshot with finding overlays ─── */
+const ANNOTATION_COLORS: Record<ScreenshotAnnotation['severity'], string> = {
+    critical: '#ff6b6b',
+    high: '#f59e0b',
+    medium: '#facc15',
+    low: '#aee92b',
+    info: '#4ecdc4',
+};
+const ANNOTATION_TYPES: { type: AnnotationType; label: string }[] = [
+    { type: 'axe', label: 'Accessibility' },
+    { type: 'touch_target', label: 'Touch targets' },
+    { type: 'small_text', label: 'Tiny text' },
+    { type: 'cta', label: 'CTAs' },
+];
+
+function AnnotatedScreenshot({ reportId, annotations, kinds }: {
+    reportId: string; annotations: ScreenshotAnnotations; kinds: ScreenshotKind[];
+}) {
+    const [kind, setKind] = useState<ScreenshotKind>(kinds[0]);
+    const [hidden, setHidden] = useState<AnnotationType[]>([]);
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+
+    const frame = kind === 'viewport' ? annotations.viewport_size : annotations.page_size;
+    const visible = annotations.items.filter(a => a.rect.y < frame.height && a.rect.x < frame.width);
+    // Largest first so smaller boxes stay clickable on top
+    const boxes = visible
+        .filter(a => !hidden.includes(a.type))
+        .sort((a, b) => b.rect.width * b.rect.height - a.rect.width * a.rect.height);
+    const selected = boxes.find(a => a.id === selectedId) || null;
+
+    const selectKind = (next: ScreenshotKind) => {
+        setSelectedId(null);
+        setKind(next);
+    };
+    const toggleType = (type: AnnotationType) =>
+        setHidden(h => (h.includes(type) ? h.filter(t => t !== type) : [...h, type]));
+
+    return (
+        <>
+            <div className="rd-card-header">
+                <h3><Camera size={16} style={{ color: MODULE_META.ux.color }} /> Annotated Screenshot</h3>
+                {kinds.length > 1 && (
+                    <div className="rd-annot-toggle">
+                        {kinds.map(k => (
+                            <button key={k} className={kind === k ? 'active' : ''} onClick={() => selectKind(k)}>
+                                {k === 'viewport' ? 'Viewport' : 'Full page'}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+            <div className="rd-annot-legend">
+                {ANNOTATION_TYPES.map(({ type, label }) => {
+                    const count = visible.filter(a => a.type === type).length;
+                    if (count === 0) return null;
+                    return (
+                        <button key={type} className={hidden.includes(type) ? 'off' : ''} onClick={() => toggleType(type)}>
+                            {label} <span className="rd-card-count">{count}</span>
+                        </button>
+                    );
+                })}
+                <span className="rd-annot-scale">
+                    {(['critical', 'high', 'medium', 'low', 'info'] as const).map(s => (
+                        <span key={s}><i style={{ background: ANNOTATION_COLORS[s] }} />{s}</span>
+                    ))}
+                </span>
+            </div>
+            <div className="rd-annot-layout">
+                <div className="rd-annot-frame">
+                    <div className="rd-annot-canvas">
+                        <img src={getScreenshotUrl(reportId, kind)} alt={`${kind === 'viewport' ? 'Viewport' : 'Full page'} screenshot`} />
+                        {boxes.map(a => (
+                            <button
+                                key={a.id}
+                                className={`rd-annot-box ${a.id === selectedId ? 'active' : ''}`}
+                                title={a.title}
+                                onClick={() => setSelectedId(a.id === selectedId ? null : a.id)}
+                                style={{
+                                    left: `${(a.rect.x / frame.width) * 100}%`,
+                                    top: `${(a.rect.y / frame.height) * 100}%`,
+                                    width: `${(Math.min(a.rect.width, frame.width - a.rect.x) / frame.width) * 100}%`,
+                                    height: `${(Math.min(a.rect.height, frame.height - a.rect.y) / frame.height) * 100}%`,
+                                    borderColor: ANNOTATION_COLORS[a.severity],
+                                }}
+                            />
+                        ))}
+                    </div>
+                </div>
+                <div className="rd-annot-detail">
+                    {selected ? (
+                        <>
+                            <SeverityBadge severity={selected.severity} />
+                            <h4>{selected.title}</h4>
+                            <div className="rd-data-row">
+                                <span className="rd-data-label">Rule</span>
+                                <span className="rd-data-value">{selected.rule}</span>
+                            </div>
+                            {selected.impact && (
+                                <div className="rd-data-row">
+                                    <span className="rd-data-label">Impact</span>
+                                    <span className="rd-data-value">{selected.impact}</span>
+                                </div>
+                            )}
+                            <div className="rd-data-row">
+                                <span className="rd-data-label">Element</span>
+                                <span className="rd-data-value rd-annot-element">{selected.label}</span>
+                            </div>
+                            {selected.fix && <p className="rd-annot-fix">{selected.fix}</p>}
+                            {selected.help_url && (
+                                <a href={selected.help_url} target="_blank" rel="noreferrer">Rule documentation</a>
+                            )}
+                        </>
+                    ) : (
+                        <p className="rd-annot-hint">
+                            {boxes.length > 0 ? 'Click a box to see the rule, its impact and the fix.' : 'No findings to show on this screenshot.'}
+                        </p>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
+
 /* ═══════════════════════  MAIN COMPONENT  ═══════════════════════ */
 export function ReportDashboard() {
     const { reportId } = useParams();
@@ -288,6 +529,8 @@ export function ReportDashboard() {
     const [activeView, setActiveView] = useState('overview');
     const [sidebarOpen, setSidebarOpen] = useState(false);
     const [competitorLoading, setCompetitorLoading] = useState(false);
+    const [history, setHistory] = useState<SiteHistory | null>(null);
+    const [historyError, setHistoryError] = useState<string | null>(null);
 
     useEffect(() => {
         if (!reportId) { setLoading(false); return; }
@@ -298,6 +541,15 @@ export function ReportDashboard() {
         })();
     }, [reportId]);
 
+    // Trends are loaded on first visit to the view
+    useEffect(() => {
+        if (activeView !== 'trends' || !report || history) return;
+        const { hostname, pathname } = new URL(report.url);
+        getSiteHistory(hostname, { path: pathname, device: report.device_preset || (report.emulate_mobile ? 'mobile' : 'desktop') })
+            .then(setHistory)
+            .catch((e: Error) => setHistoryError(e.message || 'Failed to load history'));
+    }, [activeView, report, history]);
+
     if (loading) return <Loader />;
     if (error || !report) return <div className="rd-error">{error || 'Report not found'}</div>;
 
@@ -306,31 +558,51 @@ export function ReportDashboard() {
     const seo = report.modules?.seo;
     const ux = report.modules?.ux;
     const content = report.modules?.content;
+    const security = report.modules?.security;
     const ai = report.ai_insights;
 
     const overallScore = agg?.website_health_score ?? 0;
     const overallGrade = getGrade(overallScore);
+    // Reports from before scoring profiles were scored with the balanced weights
+    const profile = report.scoring_profile;
+    const profileLabel = profile?.label || 'Balanced';
+    const profileWeights = profile?.weights as Record<string, number> | undefined;
 
     const mScores = {
         performance: agg?.module_scores?.performance ?? perf?.score ?? 0,
         seo: agg?.module_scores?.seo ?? seo?.score ?? 0,
         ux: agg?.module_scores?.ux ?? ux?.score ?? 0,
         content: agg?.module_scores?.content ?? content?.score ?? 0,
+        // Reports from before the security module have no security score
+        ...(security ? { security: agg?.module_scores?.security ?? security.score } : {}),
     };
+    const securityScore = mScores.security ?? 0;
+    const certDays = security?.tls?.days_until_expiry;
+    const certExpiryColor = certDays == null ? undefined : certDays < 14 ? '#ff6b6b' : certDays < 30 ? '#f59e0b' : '#aee92b';
 
     const allIssues = [
         ...(perf?.issues || []).map((i: any) => ({ ...i, module: 'performance' })),
         ...(seo?.issues || []).map((i: any) => ({ ...i, module: 'seo' })),
         ...(ux?.issues || []).map((i: any) => ({ ...i, module: 'ux' })),
         ...(content?.issues || []).map((i: any) => ({ ...i, module: 'content' })),
+        ...(security?.issues || []).map(i => ({ ...i, module: 'security' })),
     ];
     const allFixes = [
         ...(perf?.fixes || []).map((f: any) => ({ ...f, module: 'performance' })),
         ...(seo?.fixes || []).map((f: any) => ({ ...f, module: 'seo' })),
         ...(ux?.fixes || []).map((f: any) => ({ ...f, module: 'ux' })),
         ...(content?.fixes || []).map((f: any) => ({ ...f, module: 'content' })),
+        ...(security?.fixes || []).map(f => ({ ...f, module: 'security' })),
     ];
     allFixes.sort((a, b) => (a.priority || 99) - (b.priority || 99));
+    const screenshots = ([
+        { kind: 'viewport', label: 'Viewport', stored: !!report.raw_artifacts?.screenshot_viewport_path },
+        { kind: 'full', label: 'Full Page', stored: !!report.raw_artifacts?.screenshot_full_path },
+    ] as { kind: ScreenshotKind; label: string; stored: boolean }[]).filter(s => s.stored);
+    const annotations = report.raw_artifacts?.annotations as ScreenshotAnnotations | undefined;
+    const interactions = perf?.interactions as InteractionSummary | undefined;
+    const coverage = perf?.coverage as CoverageSummary | undefined;
+    const thirdParties = perf?.third_parties as ThirdPartySummary | undefined;
 
     const NAV_MAIN = [
         { id: 'overview', label: 'Overview', icon: Home },
@@ -338,10 +610,12 @@ export function ReportDashboard() {
         { id: 'seo', label: 'SEO', icon: Search },
         { id: 'ux', label: 'UX & A11y', icon: Smartphone },
         { id: 'content', label: 'Content', icon: FileText },
+        ...(security ? [{ id: 'security', label: 'Security', icon: Shield }] : []),
     ];
     const NAV_SETTINGS = [
         { id: 'ai', label: 'AI Insights', icon: Brain },
         { id: 'issues', label: 'Issues & Fixes', icon: AlertTriangle },
+        { id: 'trends', label: 'Trends', icon: TrendingUp },
         { id: 'competitor', label: 'Competitor Analysis', icon: Target },
     ];
 
@@ -410,6 +684,11 @@ export function ReportDashboard() {
                         <button className="rd-sb-item" onClick={() => window.print()}>
                             <Printer size={16} /><span>Print Report</span>
                         </button>
+                        {reportId && (
+                            <a className="rd-sb-item" href={getReportExportUrl(reportId, 'pdf')} download>
+                                <Download size={16} /><span>Export PDF</span>
+                            </a>
+                        )}
                         <button className="rd-sb-item" onClick={() => navigate(`/dashboard/${reportId}`)}>
                             <ArrowLeft size={16} /><span>Back to Dashboard</span>
                         </button>
@@ -504,7 +783,7 @@ export function ReportDashboard() {
                                 <div className="rd-card rd-card--wide">
                                     <div className="rd-card-header">
                                         <h3>Score Overview</h3>
-                                        <span className="rd-card-badge">Health Score</span>
+                                        <span className="rd-card-badge" title={profile?.description || 'Module weights used for the health score'}>{profileLabel} profile</span>
                                     </div>
                                     <div className="rd-score-overview">
                                         <DonutChart
@@ -524,6 +803,9 @@ export function ReportDashboard() {
                                                     <div key={k} className="rd-legend-item">
                                                         <span className="rd-legend-dot" style={{ background: MODULE_META[k].color }} />
                                                         <span className="rd-legend-name">{MODULE_META[k].label}</span>
+                                                        {profileWeights?.[k] != null && (
+                                                            <span className="rd-legend-weight">{Math.round(profileWeights[k] * 100)}%</span>
+                                                        )}
                                                         <span className="rd-legend-val">{v}/100</span>
                                                     </div>
                                                 ))}
@@ -717,9 +999,123 @@ export function ReportDashboard() {
                                         label="TTFB (ms)"
                                         color={perf.metrics?.ttfb_ms <= 800 ? '#aee92b' : perf.metrics?.ttfb_ms <= 1800 ? '#f59e0b' : '#ff6b6b'}
                                     />
+                                    {perf.metrics?.inp_ms != null && (
+                                        <RadialProgressChart
+                                            value={perf.metrics.inp_ms}
+                                            max={500}
+                                            label="INP (ms)"
+                                            color={perf.metrics.inp_ms <= 200 ? '#aee92b' : perf.metrics.inp_ms <= 500 ? '#f59e0b' : '#ff6b6b'}
+                                        />
+                                    )}
                                 </div>
                             </motion.div>
 
+                            {/* Synthetic interactions behind INP */}
+                            {interactions?.items?.length ? (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.15, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><Activity size={16} style={{ color: MODULE_META.performance.color }} /> Interactions</h3>
+                                        <span className="rd-card-badge">
+                                            {interactions.supported ? `INP ${interactions.inp_ms ?? '—'}${interactions.inp_ms != null ? 'ms' : ''}` : 'Event Timing unavailable'}
+                                        </span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>Interaction</th><th>Element</th><th>Latency</th><th>Input delay</th><th>Processing</th><th>Presentation</th></tr></thead>
+                                            <tbody>
+                                                {interactions.items.map((item, idx) => (
+                                                    <tr key={idx}>
+                                                        <td className="rd-fix-name">{INTERACTION_LABELS[item.type]}</td>
+                                                        <td className="rd-desc-cell" title={item.target?.selector}>{item.label}</td>
+                                                        <td style={{ color: item.latency_ms == null ? undefined : item.latency_ms <= 200 ? '#aee92b' : item.latency_ms <= 500 ? '#f59e0b' : '#ff6b6b' }}>
+                                                            {item.error ? 'Failed' : item.latency_ms != null ? `${item.latency_ms}ms` : '< 16ms'}
+                                                        </td>
+                                                        <td className="rd-desc-cell">{item.input_delay_ms != null ? `${item.input_delay_ms}ms` : '—'}</td>
+                                                        <td className="rd-desc-cell">{item.processing_ms != null ? `${item.processing_ms}ms` : '—'}</td>
+                                                        <td className="rd-desc-cell">{item.presentation_delay_ms != null ? `${item.presentation_delay_ms}ms` : '—'}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            ) : null}
+
+                            {/* Unused JS/CSS from coverage */}
+                            {coverage?.files?.length ? (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.18, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><FileText size={16} style={{ color: MODULE_META.performance.color }} /> Unused Code</h3>
+                                        <span className="rd-card-badge">
+                                            JS {Math.round(coverage.js.unused_kb)} KB ({coverage.js.unused_pct}%) · CSS {Math.round(coverage.css.unused_kb)} KB ({coverage.css.unused_pct}%)
+                                        </span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>File</th><th>Type</th><th>Size</th><th>Unused</th><th>Est. savings</th></tr></thead>
+                                            <tbody>
+                                                {coverage.files.filter(f => f.unused_kb >= 1).map(file => (
+                                                    <tr key={`${file.type} ${file.url}`}>
+                                                        <td className="rd-desc-cell" title={file.url}>{file.inline ? `Inline ${file.type === 'js' ? 'scripts' : 'styles'}` : fileName(file.url)}</td>
+                                                        <td>{file.type.toUpperCase()}</td>
+                                                        <td className="rd-desc-cell">{Math.round(file.total_kb)} KB</td>
+                                                        <td style={{ color: file.unused_pct >= 75 ? '#ff6b6b' : file.unused_pct >= 40 ? '#f59e0b' : '#aee92b' }}>
+                                                            {Math.round(file.unused_kb)} KB ({file.unused_pct}%)
+                                                        </td>
+                                                        <td className="rd-desc-cell">~{Math.round(file.wasted_transfer_kb)} KB</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            ) : null}
+
+                            {/* Third-party vendors */}
+                            {thirdParties?.vendors?.length ? (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.19, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><Globe size={16} style={{ color: MODULE_META.performance.color }} /> Third-Party Scripts</h3>
+                                        <span className="rd-card-badge">
+                                            {thirdParties.third_party.vendors} vendors · {Math.round(thirdParties.third_party.kb)} KB ({thirdParties.third_party.kb_pct}% of weight) · {thirdParties.third_party.main_thread_ms}ms main thread
+                                        </span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>Vendor</th><th>Category</th><th>Requests</th><th>Size</th><th>Main thread</th></tr></thead>
+                                            <tbody>
+                                                {thirdParties.vendors.map(v => (
+                                                    <tr key={v.vendor}>
+                                                        <td className="rd-fix-name" title={v.origins.map(o => o.origin).join('\n')}>{v.vendor}</td>
+                                                        <td className="rd-desc-cell">{v.category_label}</td>
+                                                        <td className="rd-desc-cell">{v.requests}</td>
+                                                        <td className="rd-desc-cell">{Math.round(v.kb)} KB</td>
+                                                        <td style={{ color: v.main_thread_ms >= 500 ? '#ff6b6b' : v.main_thread_ms >= 100 ? '#f59e0b' : undefined }}>
+                                                            {v.main_thread_ms > 0 ? `${v.main_thread_ms}ms` : '—'}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            ) : null}
+
                             {/* Performance Metrics Chart */}
                             <motion.div
                                 className="rd-card"
@@ -746,6 +1142,39 @@ export function ReportDashboard() {
                                 <MetricTile label="DOM Nodes" value={perf.metrics?.dom_nodes} unit="" good={800} bad={1500} desc="DOM Node Count" decimals={0} />
                             </motion.div>
 
+                            {/* Performance Budget */}
+                            {report.budget && (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.35, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><Target size={16} style={{ color: MODULE_META.performance.color }} /> Performance Budget</h3>
+                                        <span className="rd-card-badge" style={{ color: BUDGET_STATUS_COLOR[report.budget.status] }}>
+                                            {report.budget.label} · {report.budget.status === 'pass' ? 'Within budget' : `${report.budget.failed_count} over budget`}
+                                        </span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>Metric</th><th>Status</th><th>Actual</th><th>Budget</th><th>Overage</th></tr></thead>
+                                            <tbody>
+                                                {report.budget.items.map(item => (
+                                                    <tr key={item.metric}>
+                                                        <td className="rd-fix-name">{item.label}</td>
+                                                        <td><span className="rd-p-badge" style={{ background: `${BUDGET_STATUS_COLOR[item.status]}1f`, color: BUDGET_STATUS_COLOR[item.status] }}>{item.status === 'no_data' ? 'N/A' : item.status.toUpperCase()}</span></td>
+                                                        <td className="rd-desc-cell">{formatBudgetValue(item.actual, item.unit)}</td>
+                                                        <td className="rd-desc-cell">{formatBudgetValue(item.budget, item.unit)}</td>
+                                                        <td className="rd-desc-cell">{item.status === 'fail' ? `+${formatBudgetValue(item.overage, item.unit)}${item.overage_pct !== null ? ` (${item.overage_pct}%)` : ''}` : '—'}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            )}
+
                             {/* Issues and Fixes */}
                             {perf.issues?.length > 0 && (
                                 <motion.div
@@ -1010,6 +1439,19 @@ export function ReportDashboard() {
                                         <span className="rd-data-label">Scan Mode</span>
                                         <span className="rd-data-value">{ux.scan_mode === 'mobile' ? '📱 Mobile' : '🖥️ Desktop'}</span>
                                     </div>
+                                    {report.emulation && (
+                                        <div className="rd-data-row">
+                                            <span className="rd-data-label">Device</span>
+                                            <span className="rd-data-value">
+                                                {[
+                                                    report.emulation.label,
+                                                    `${report.emulation.viewport.width}×${report.emulation.viewport.height}`,
+                                                    report.emulation.cpu_slowdown > 1 && `${report.emulation.cpu_slowdown}× CPU`,
+                                                    report.emulation.network_conditions && `${report.emulation.network_conditions.download_kbps} kbps / ${report.emulation.network_conditions.latency_ms} ms`,
+                                                ].filter(Boolean).join(' · ')}
+                                            </span>
+                                        </div>
+                                    )}
                                     <div className="rd-data-row">
                                         <span className="rd-data-label">Viewport Meta</span>
                                         <span className="rd-data-value" style={{ color: ux.viewport_meta_present ? '#aee92b' : '#ff6b6b' }}>
@@ -1068,6 +1510,17 @@ export function ReportDashboard() {
                                 </div>
                             </motion.div>
 
+                            {annotations && screenshots.length > 0 && reportId && (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.15, duration: 0.5 }}
+                                >
+                                    <AnnotatedScreenshot reportId={reportId} annotations={annotations} kinds={screenshots.map(s => s.kind)} />
+                                </motion.div>
+                            )}
+
                             {ux.issues?.length > 0 && (
                                 <motion.div
                                     className="rd-card"
@@ -1276,6 +1729,177 @@ export function ReportDashboard() {
                         </div>
                     )}
 
+                    {activeView === 'security' && security && (
+                        <div className="rd-view">
+                            <motion.div
+                                className="rd-mod-hero"
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ duration: 0.5 }}
+                            >
+                                <div className="rd-mod-hero-left">
+                                    <div className="rd-mod-hero-icon" style={{ background: `${MODULE_META.security.color}15`, color: MODULE_META.security.color }}>
+                                        <Shield size={22} />
+                                    </div>
+                                    <div>
+                                        <div className="rd-mod-hero-score" style={{ color: MODULE_META.security.color }}>
+                                            <AnimatedCounter value={securityScore} />
+                                            <span className="rd-mod-hero-max">/100</span>
+                                        </div>
+                                        <span className="rd-mod-hero-grade" style={{ background: `${gradeColor(securityScore)}18`, color: gradeColor(securityScore) }}>
+                                            {getGrade(securityScore)} Grade
+                                        </span>
+                                    </div>
+                                </div>
+                                <div className="rd-mod-hero-bar">
+                                    <div className="rd-mod-hero-fill" style={{ width: `${securityScore}%`, background: `linear-gradient(90deg, ${MODULE_META.security.color}, ${MODULE_META.security.color}80)` }} />
+                                </div>
+                            </motion.div>
+
+                            {/* Security headers */}
+                            <motion.div
+                                className="rd-card"
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ delay: 0.1, duration: 0.5 }}
+                            >
+                                <div className="rd-card-header">
+                                    <h3><Shield size={16} style={{ color: MODULE_META.security.color }} /> Security Headers</h3>
+                                    <span className="rd-card-badge">Response Headers</span>
+                                </div>
+                                <div className="rd-table-scroll">
+                                    <table className="rd-table">
+                                        <thead><tr><th>Header</th><th>Grade</th><th>Value</th><th>Notes</th></tr></thead>
+                                        <tbody>
+                                            {Object.entries(security.header_grades || {}).map(([name, grade]) => (
+                                                <tr key={name}>
+                                                    <td className="rd-fix-name">{SECURITY_HEADER_LABELS[name] || name}</td>
+                                                    <td><span className="rd-p-badge" style={{ background: `${SECURITY_STATUS_COLOR[grade.status]}1f`, color: SECURITY_STATUS_COLOR[grade.status] }}>{grade.status.toUpperCase()}</span></td>
+                                                    <td className="rd-desc-cell">{grade.value || '—'}</td>
+                                                    <td className="rd-desc-cell">{grade.notes.join('; ') || '—'}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </motion.div>
+
+                            {/* TLS and mixed content */}
+                            <motion.div
+                                className="rd-card"
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ delay: 0.2, duration: 0.5 }}
+                            >
+                                <div className="rd-data-grid">
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">HTTPS</span>
+                                        <span className="rd-data-value" style={{ color: security.is_https ? '#aee92b' : '#ff6b6b' }}>
+                                            <span className="rd-data-dot" style={{ background: security.is_https ? '#aee92b' : '#ff6b6b' }} />
+                                            {security.is_https ? 'Yes' : 'No'}
+                                        </span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">TLS Protocol</span>
+                                        <span className="rd-data-value" style={{ color: security.tls?.outdated_protocol ? '#ff6b6b' : undefined }}>
+                                            {security.tls?.protocol || '—'}
+                                        </span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">Certificate Issuer</span>
+                                        <span className="rd-data-value">{security.tls?.issuer || '—'}</span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">Certificate Expiry</span>
+                                        <span className="rd-data-value" style={{ color: certExpiryColor }}>
+                                            <span className="rd-data-dot" style={{ background: certExpiryColor }} />
+                                            {security.tls?.days_until_expiry != null
+                                                ? security.tls.expired ? 'Expired' : `${security.tls.days_until_expiry} days`
+                                                : '—'}
+                                        </span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">Active Mixed Content</span>
+                                        <span className="rd-data-value" style={{ color: (security.mixed_content?.active_count ?? 0) === 0 ? '#aee92b' : '#ff6b6b' }}>
+                                            <span className="rd-data-dot" style={{ background: (security.mixed_content?.active_count ?? 0) === 0 ? '#aee92b' : '#ff6b6b' }} />
+                                            {security.mixed_content?.active_count ?? 0}
+                                        </span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">Passive Mixed Content</span>
+                                        <span className="rd-data-value" style={{ color: (security.mixed_content?.passive_count ?? 0) === 0 ? '#aee92b' : '#f59e0b' }}>
+                                            <span className="rd-data-dot" style={{ background: (security.mixed_content?.passive_count ?? 0) === 0 ? '#aee92b' : '#f59e0b' }} />
+                                            {security.mixed_content?.passive_count ?? 0}
+                                        </span>
+                                    </div>
+                                    <div className="rd-data-row">
+                                        <span className="rd-data-label">Risk Level</span>
+                                        <span className="rd-data-value">{security.security_risk_level || '—'}</span>
+                                    </div>
+                                </div>
+                            </motion.div>
+
+                            {/* Issues and Fixes */}
+                            {security.issues?.length > 0 && (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.3, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><AlertTriangle size={16} style={{ color: MODULE_META.security.color }} /> Issues</h3>
+                                        <span className="rd-card-count">{security.issues.length}</span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>Severity</th><th>Description</th></tr></thead>
+                                            <tbody>
+                                                {security.issues.map((issue, idx) => (
+                                                    <tr key={idx}>
+                                                        <td><SeverityBadge severity={issue.severity} /></td>
+                                                        <td className="rd-desc-cell">{issue.ai && <span className="rd-ai-pill">AI</span>}{issue.description}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            )}
+
+                            {security.fixes?.length > 0 && (
+                                <motion.div
+                                    className="rd-card"
+                                    initial={{ opacity: 0, y: 20 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    transition={{ delay: 0.4, duration: 0.5 }}
+                                >
+                                    <div className="rd-card-header">
+                                        <h3><CheckCircle size={16} style={{ color: '#aee92b' }} /> Fixes</h3>
+                                        <span className="rd-card-count rd-card-count--green">{security.fixes.length}</span>
+                                    </div>
+                                    <div className="rd-table-scroll">
+                                        <table className="rd-table">
+                                            <thead><tr><th>P</th><th>Fix</th><th>Details</th></tr></thead>
+                                            <tbody>
+                                                {security.fixes.map((fix, idx) => (
+                                                    <tr key={idx}>
+                                                        <td><span className="rd-p-badge" style={{
+                                                            background: fix.priority === 1 ? 'rgba(255,107,107,0.12)' : fix.priority === 2 ? 'rgba(245,158,11,0.12)' : 'rgba(245,158,11,0.08)',
+                                                            color: fix.priority === 1 ? '#ff6b6b' : '#f59e0b'
+                                                        }}>P{fix.priority}</span></td>
+                                                        <td className="rd-fix-name">{fix.ai && <span className="rd-ai-pill">AI</span>}{fix.title}</td>
+                                                        <td className="rd-desc-cell">{fix.description}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </motion.div>
+                            )}
+                        </div>
+                    )}
+
                     {/* ═══════ AI INSIGHTS VIEW ═══════ */}
                     {activeView === 'ai' && (
                         <div className="rd-view">
@@ -1369,26 +1993,49 @@ export function ReportDashboard() {
                                 </div>
                             </div>
 
-                            {allIssues.length > 0 && (
-                                <div className="rd-card">
-                                    <div className="rd-card-header"><h3><AlertTriangle size={16} /> All Issues</h3><span className="rd-card-count">{allIssues.length}</span></div>
-                                    <div className="rd-table-scroll">
-                                        <table className="rd-table">
-                                            <thead><tr><th>Module</th><th>Severity</th><th>Description</th></tr></thead>
-                                            <tbody>
-                                                {allIssues.map((issue: any, idx: number) => (
-                                                    <tr key={idx}>
-                                                        <td><div className="rd-mod-badge" style={{ borderColor: `${MODULE_META[issue.module]?.color}40` }}><span className="rd-mod-dot" style={{ background: MODULE_META[issue.module]?.color }} />{MODULE_META[issue.module]?.label}</div></td>
-                                                        <td><SeverityBadge severity={issue.severity} /></td>
-                                                        <td className="rd-desc-cell">{issue.ai && <span className="rd-ai-pill">AI</span>}{issue.description}</td>
-                                                    </tr>
-                                                ))}
-                                            </tbody>
-                                        </table>
-                                    </div>
+                            {reportId && (allIssues.length > 0 || allFixes.length > 0) && (
+                                <div className="rd-export-bar">
+                                    <span>Export issues &amp; fixes</span>
+                                    <a href={getReportExportUrl(reportId, 'sarif')} download><Download size={13} /> SARIF</a>
+                                    <a href={getReportExportUrl(reportId, 'csv')} download><Download size={13} /> CSV</a>
+                                    <a href={getReportExportUrl(reportId, 'junit')} download><Download size={13} /> JUnit</a>
                                 </div>
                             )}
 
+                            <div className={`rd-issues-layout ${screenshots.length > 0 ? 'rd-issues-layout--shots' : ''}`}>
+                                {allIssues.length > 0 && (
+                                    <div className="rd-card">
+                                        <div className="rd-card-header"><h3><AlertTriangle size={16} /> All Issues</h3><span className="rd-card-count">{allIssues.length}</span></div>
+                                        <div className="rd-table-scroll">
+                                            <table className="rd-table">
+                                                <thead><tr><th>Module</th><th>Severity</th><th>Description</th></tr></thead>
+                                                <tbody>
+                                                    {allIssues.map((issue: any, idx: number) => (
+                                                        <tr key={idx}>
+                                                            <td><div className="rd-mod-badge" style={{ borderColor: `${MODULE_META[issue.module]?.color}40` }}><span className="rd-mod-dot" style={{ background: MODULE_META[issue.module]?.color }} />{MODULE_META[issue.module]?.label}</div></td>
+                                                            <td><SeverityBadge severity={issue.severity} /></td>
+                                                            <td className="rd-desc-cell">{issue.ai && <span className="rd-ai-pill">AI</span>}{issue.description}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {reportId && screenshots.length > 0 && (
+                                    <aside className="rd-card rd-shots">
+                                        <div className="rd-card-header"><h3><Camera size={16} /> Screenshots</h3></div>
+                                        {screenshots.map(shot => (
+                                            <a key={shot.kind} className="rd-shot" href={getScreenshotUrl(reportId, shot.kind)} target="_blank" rel="noreferrer">
+                                                <img src={getScreenshotUrl(reportId, shot.kind, true)} alt={`${shot.label} screenshot`} loading="lazy" />
+                                                <span>{shot.label}</span>
+                                            </a>
+                                        ))}
+                                    </aside>
+                                )}
+                            </div>
+
                             {allFixes.length > 0 && (
                                 <div className="rd-card">
                                     <div className="rd-card-header"><h3><CheckCircle size={16} /> Recommended Fixes</h3><span className="rd-card-count rd-card-count--green">{allFixes.length}</span></div>
@@ -1416,6 +2063,96 @@ export function ReportDashboard() {
                     )}
 
                     {/* ═══════ COMPETITOR ANALYSIS VIEW ═══════ */}
+                    {activeView === 'trends' && (
+                        <div className="rd-view">
+                            <motion.div
+                                className="rd-card"
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ duration: 0.5 }}
+                            >
+                                <div className="rd-card-header">
+                                    <h3><TrendingUp size={16} style={{ color: '#aee92b' }} /> Score Trends</h3>
+                                    {history && (
+                                        <span className="rd-card-badge">
+                                            {history.host}{history.path} · {history.device} · {history.count} runs
+                                        </span>
+                                    )}
+                                </div>
+                                {historyError ? (
+                                    <div className="rd-trend-empty">{historyError}</div>
+                                ) : !history ? (
+                                    <div className="rd-trend-empty">Loading history…</div>
+                                ) : history.count < 2 ? (
+                                    <div className="rd-trend-empty">
+                                        Only one analysis of this URL so far. Re-run it or <Link to="/monitors">schedule a monitor</Link> to start tracking trends.
+                                    </div>
+                                ) : (
+                                    <ScoreTrendChart points={history.points} currentId={report._id} />
+                                )}
+                            </motion.div>
+
+                            {history && history.count >= 2 && (
+                                <>
+                                    <motion.div
+                                        className="rd-trend-grid"
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        transition={{ delay: 0.1, duration: 0.5 }}
+                                    >
+                                        {TREND_METRICS.map(m => (
+                                            <div key={m.key} className="rd-card">
+                                                <div className="rd-card-header">
+                                                    <h3>{m.label}</h3>
+                                                </div>
+                                                <MetricTrendChart points={history.points} metric={m.key} color={m.color} />
+                                            </div>
+                                        ))}
+                                    </motion.div>
+
+                                    <motion.div
+                                        className="rd-card"
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        transition={{ delay: 0.2, duration: 0.5 }}
+                                    >
+                                        <div className="rd-card-header">
+                                            <h3><AlertTriangle size={16} style={{ color: '#ff6b6b' }} /> Regressed Runs</h3>
+                                            <span className="rd-card-count">{history.regression_count}</span>
+                                        </div>
+                                        {history.regression_count === 0 ? (
+                                            <div className="rd-trend-empty">No run regressed against the one before it.</div>
+                                        ) : (
+                                            <div className="rd-table-scroll">
+                                                <table className="rd-table">
+                                                    <thead><tr><th>Run</th><th>Health</th><th>Regressions</th><th>Compare</th></tr></thead>
+                                                    <tbody>
+                                                        {history.points.map((p, i) => ({ p, previous: history.points[i - 1] })).filter(({ p }) => p.regressed).reverse().map(({ p, previous }) => (
+                                                            <tr key={p.report_id}>
+                                                                <td className="rd-fix-name">
+                                                                    {p.report_id === report._id
+                                                                        ? `${formatRunDate(p.created_at)} (this report)`
+                                                                        : <Link to={`/report/${p.report_id}`}>{formatRunDate(p.created_at)}</Link>}
+                                                                </td>
+                                                                <td>{p.website_health_score ?? '—'}</td>
+                                                                <td className="rd-desc-cell">
+                                                                    {p.regressions.map(r => `${r.label} ${r.previous} → ${r.current}`).join(' · ')}
+                                                                </td>
+                                                                <td>
+                                                                    <Link to={`/report/${previous.report_id}/diff/${p.report_id}`}>Diff vs previous</Link>
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </div>
+                                        )}
+                                    </motion.div>
+                                </>
+                            )}
+                        </div>
+                    )}
+
                     {activeView === 'competitor' && (
                         <div className="rd-view">
                             <motion.div
@@ -0,0 +1,361 @@
+import { useEffect, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ArrowRight, AlertTriangle, CheckCircle, GitCompare, Gauge, Search, Eye } from 'lucide-react';
+import {
+    getReportDiff, type ReportDiff as ReportDiffData, type ValueDiff, type DiffDirection,
+    type DiffIssue, type ScoredModule, type TextDiff,
+    getVisualDiff, getVisualDiffImageUrl, getScreenshotUrl, type VisualDiff, type ScreenshotKind
+} from '../services/api';
+import Loader from '../components/Loader';
+import './ReportDashboard.css';
+import './ReportDiff.css';
+
+const MODULE_LABELS: Record<ScoredModule, string> = {
+    performance: 'Performance',
+    ux: 'UX & A11y',
+    seo: 'SEO',
+    content: 'Content',
+    security: 'Security',
+};
+
+const METRIC_LABELS: Record<string, { label: string; unit: string }> = {
+    lcp_s: { label: 'LCP', unit: 's' },
+    cls: { label: 'CLS', unit: '' },
+    fcp_s: { label: 'FCP', unit: 's' },
+    ttfb_s: { label: 'TTFB', unit: 's' },
+    tbt_ms: { label: 'TBT', unit: 'ms' },
+    inp_ms: { label: 'INP', unit: 'ms' },
+    total_requests: { label: 'Requests', unit: '' },
+    total_kb: { label: 'Total weight', unit: 'KB' },
+    total_js_kb: { label: 'JavaScript', unit: 'KB' },
+    total_css_kb: { label: 'CSS', unit: 'KB' },
+    total_images_kb: { label: 'Images', unit: 'KB' },
+    total_fonts_kb: { label: 'Fonts', unit: 'KB' },
+};
+
+const SEO_TEXT_FIELDS: Array<{ key: 'title' | 'meta_description' | 'canonical' | 'robots_meta'; label: string }> = [
+    { key: 'title', label: 'Title' },
+    { key: 'meta_description', label: 'Meta description' },
+    { key: 'canonical', label: 'Canonical' },
+    { key: 'robots_meta', label: 'Robots meta' },
+];
+
+const formatDate = (iso: string) =>
+    new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatNumber = (value: number | null, unit = '') =>
+    value === null ? '—' : `${Number.isInteger(value) ? value : value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+
+function DeltaBadge({ diff, unit = '' }: { diff: ValueDiff; unit?: string }) {
+    if (diff.delta === null) return <span className="rdiff-delta rdiff-delta--unknown">n/a</span>;
+    const sign = diff.delta > 0 ? '+' : '';
+    return <span className={`rdiff-delta rdiff-delta--${diff.direction}`}>{sign}{formatNumber(diff.delta, unit)}</span>;
+}
+
+function ScoreCard({ label, diff }: { label: string; diff: ValueDiff }) {
+    return (
+        <div className={`rdiff-score rdiff-score--${diff.direction}`}>
+            <span className="rdiff-score-label">{label}</span>
+            <div className="rdiff-score-values">
+                <span>{formatNumber(diff.before)}</span>
+                <ArrowRight size={14} />
+                <strong>{formatNumber(diff.after)}</strong>
+            </div>
+            <DeltaBadge diff={diff} />
+        </div>
+    );
+}
+
+function IssueList({ title, issues, tone }: { title: string; issues: Array<DiffIssue & { module: ScoredModule }>; tone: DiffDirection }) {
+    return (
+        <div className={`rdiff-issues rdiff-issues--${tone}`}>
+            <div className="rdiff-issues-header">
+                <span>{title}</span>
+                <span className="rdiff-issues-count">{issues.length}</span>
+            </div>
+            {issues.length === 0 ? (
+                <p className="rdiff-empty">None</p>
+            ) : (
+                <ul>
+                    {issues.map(issue => (
+                        <li key={`${issue.module}-${issue.id}`}>
+                            <span className="rdiff-issue-module">{MODULE_LABELS[issue.module]}</span>
+                            <span className={`rdiff-sev rdiff-sev--${issue.severity}`}>
+                                {issue.severity_before && issue.severity_before !== issue.severity
+                                    ? `${issue.severity_before} → ${issue.severity}`
+                                    : issue.severity}
+                            </span>
+                            {issue.description}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function MetricTable({ title, metrics }: { title: string; metrics: Record<string, ValueDiff> }) {
+    return (
+        <div className="rd-table-scroll">
+            <table className="rd-table">
+                <thead><tr><th>{title}</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>
+                    {Object.entries(metrics).map(([key, diff]) => {
+                        const meta = METRIC_LABELS[key] || { label: key, unit: '' };
+                        return (
+                            <tr key={key}>
+                                <td className="rd-fix-name">{meta.label}</td>
+                                <td className="rd-desc-cell">{formatNumber(diff.before, meta.unit)}</td>
+                                <td className="rd-desc-cell">{formatNumber(diff.after, meta.unit)}</td>
+                                <td><DeltaBadge diff={diff} unit={meta.unit} /></td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function TextChange({ label, diff }: { label: string; diff: TextDiff }) {
+    return (
+        <tr>
+            <td className="rd-fix-name">{label}</td>
+            {diff.changed ? (
+                <td className="rd-desc-cell">
+                    <div className="rdiff-text rdiff-text--removed">{diff.before || '(none)'}</div>
+                    <div className="rdiff-text rdiff-text--added">{diff.after || '(none)'}</div>
+                </td>
+            ) : (
+                <td className="rd-desc-cell rdiff-unchanged">Unchanged</td>
+            )}
+        </tr>
+    );
+}
+
+function ListChange({ label, added, removed }: { label: string; added: string[]; removed: string[] }) {
+    return (
+        <tr>
+            <td className="rd-fix-name">{label}</td>
+            {added.length === 0 && removed.length === 0 ? (
+                <td className="rd-desc-cell rdiff-unchanged">Unchanged</td>
+            ) : (
+                <td className="rd-desc-cell">
+                    {removed.map(item => <div key={`-${item}`} className="rdiff-text rdiff-text--removed">{item || '(empty)'}</div>)}
+                    {added.map(item => <div key={`+${item}`} className="rdiff-text rdiff-text--added">{item || '(empty)'}</div>)}
+                </td>
+            )}
+        </tr>
+    );
+}
+
+function VisualChanges({ a, b }: { a: string; b: string }) {
+    const [kind, setKind] = useState<ScreenshotKind>('viewport');
+    const [visual, setVisual] = useState<VisualDiff | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        // Ignore a slow response for a kind that is no longer selected
+        let current = true;
+        getVisualDiff(a, b, kind)
+            .then(result => { if (current) setVisual(result); })
+            .catch((e: { response?: { data?: { error?: string } }; message?: string }) => {
+                if (current) setError(e.response?.data?.error || e.message || 'Failed to compare screenshots');
+            });
+        return () => { current = false; };
+    }, [a, b, kind]);
+
+    const selectKind = (next: ScreenshotKind) => {
+        if (next === kind) return;
+        setVisual(null);
+        setError(null);
+        setKind(next);
+    };
+
+    const panels = [
+        { label: 'Before', src: getScreenshotUrl(a, kind) },
+        { label: 'After', src: getScreenshotUrl(b, kind) },
+        { label: 'Changes', src: getVisualDiffImageUrl(a, b, kind), regions: true },
+    ];
+
+    return (
+        <>
+            <div className="rd-card-header">
+                <h3><Eye size={16} style={{ color: '#a78bfa' }} /> Visual Changes</h3>
+                <div className="rdiff-toggle">
+                    {(['viewport', 'full'] as ScreenshotKind[]).map(k => (
+                        <button key={k} className={kind === k ? 'active' : ''} onClick={() => selectKind(k)}>
+                            {k === 'viewport' ? 'Viewport' : 'Full page'}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {error ? (
+                <p className="rdiff-empty">{error}</p>
+            ) : !visual ? (
+                <p className="rdiff-empty">Comparing screenshots…</p>
+            ) : (
+                <>
+                    <div className="rdiff-visual-summary">
+                        <span className={`rdiff-delta rdiff-delta--${visual.changed_pixels > 0 ? 'regressed' : 'unchanged'}`}>
+                            {visual.changed_pct}% changed
+                        </span>
+                        <span>{visual.regions.length} region{visual.regions.length === 1 ? '' : 's'}</span>
+                        {visual.size_mismatch && <span>Screenshot sizes differ</span>}
+                        {visual.truncated && <span>Compared the first {visual.height}px</span>}
+                    </div>
+                    <div className="rdiff-visual-grid">
+                        {panels.map(panel => (
+                            <figure key={panel.label} className="rdiff-visual-panel">
+                                <figcaption>{panel.label}</figcaption>
+                                <div className="rdiff-visual-frame">
+                                    <div className="rdiff-visual-canvas">
+                                        <img src={panel.src} alt={`${panel.label} screenshot`} />
+                                        {panel.regions && visual.regions.map((r, i) => (
+                                            <span
+                                                key={i}
+                                                className="rdiff-visual-region"
+                                                title={`${r.changed_pixels} px changed`}
+                                                style={{
+                                                    left: `${(r.x / visual.width) * 100}%`,
+                                                    top: `${(r.y / visual.height) * 100}%`,
+                                                    width: `${(r.width / visual.width) * 100}%`,
+                                                    height: `${(r.height / visual.height) * 100}%`,
+                                                }}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            </figure>
+                        ))}
+                    </div>
+                </>
+            )}
+        </>
+    );
+}
+
+/* ═══════════════════════  REPORT DIFF  ═══════════════════════ */
+export function ReportDiff() {
+    const { a, b } = useParams();
+    const navigate = useNavigate();
+    const [diff, setDiff] = useState<ReportDiffData | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (!a || !b) return;
+        getReportDiff(a, b)
+            .then(setDiff)
+            .catch((e: { response?: { data?: { error?: string } }; message?: string }) =>
+                setError(e.response?.data?.error || e.message || 'Failed to compare reports'));
+    }, [a, b]);
+
+    if (error) return <div className="rd-error">{error}</div>;
+    if (!diff) return <Loader />;
+
+    const modules = Object.keys(diff.scores.modules) as ScoredModule[];
+    const collect = (kind: 'new' | 'resolved' | 'persisting') =>
+        modules.flatMap(m => (diff.issues[m]?.[kind] || []).map(issue => ({ ...issue, module: m })));
+    const seo = diff.seo_changes;
+
+    return (
+        <div className="rdiff">
+            <header className="rdiff-header">
+                <button className="rdiff-back" onClick={() => navigate(-1)}><ArrowLeft size={16} /> Back</button>
+                <div>
+                    <h1 className="rd-page-title"><GitCompare size={20} /> Report Diff</h1>
+                    <p className="rdiff-subtitle">
+                        {diff.target.url} · <Link to={`/report/${diff.base.id}`}>{formatDate(diff.base.created_at)}</Link>
+                        {' → '}
+                        <Link to={`/report/${diff.target.id}`}>{formatDate(diff.target.created_at)}</Link>
+                    </p>
+                </div>
+            </header>
+
+            <div className="rd-view">
+                {diff.warnings.length > 0 && (
+                    <div className="rdiff-warning">
+                        <AlertTriangle size={16} />
+                        <span>{diff.warnings.join(' · ')}</span>
+                    </div>
+                )}
+
+                {/* Scores */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Gauge size={16} style={{ color: '#aee92b' }} /> Scores</h3>
+                        <span className="rd-card-badge">
+                            Grade {diff.scores.health_grade.before ?? '—'} → {diff.scores.health_grade.after ?? '—'}
+                        </span>
+                    </div>
+                    <div className="rdiff-score-grid">
+                        <ScoreCard label="Health" diff={diff.scores.website_health_score} />
+                        {modules.map(m => {
+                            const moduleDiff = diff.scores.modules[m];
+                            return moduleDiff ? <ScoreCard key={m} label={MODULE_LABELS[m]} diff={moduleDiff} /> : null;
+                        })}
+                    </div>
+                </motion.div>
+
+                {/* Issues */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><AlertTriangle size={16} style={{ color: '#ff6b6b' }} /> Issues</h3>
+                        <span className="rd-card-badge">Matched by issue id · AI suggestions excluded</span>
+                    </div>
+                    <div className="rdiff-issue-grid">
+                        <IssueList title="New" issues={collect('new')} tone="regressed" />
+                        <IssueList title="Resolved" issues={collect('resolved')} tone="improved" />
+                        <IssueList title="Persisting" issues={collect('persisting')} tone="unchanged" />
+                    </div>
+                </motion.div>
+
+                {/* Metrics */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.2, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><CheckCircle size={16} style={{ color: '#4ecdc4' }} /> Metrics</h3>
+                    </div>
+                    <div className="rdiff-metric-grid">
+                        <MetricTable title="Performance" metrics={diff.metrics.performance} />
+                        <MetricTable title="Resources" metrics={diff.metrics.resources} />
+                    </div>
+                </motion.div>
+
+                {/* Screenshots */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.25, duration: 0.4 }}>
+                    <VisualChanges a={diff.base.id} b={diff.target.id} />
+                </motion.div>
+
+                {/* On-page SEO */}
+                <motion.div className="rd-card" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.3, duration: 0.4 }}>
+                    <div className="rd-card-header">
+                        <h3><Search size={16} style={{ color: '#4ecdc4' }} /> On-page SEO</h3>
+                    </div>
+                    <div className="rd-table-scroll">
+                        <table className="rd-table">
+                            <tbody>
+                                {SEO_TEXT_FIELDS.map(f => <TextChange key={f.key} label={f.label} diff={seo[f.key]} />)}
+                                <ListChange label="H1 headings" added={seo.headings.h1s.added} removed={seo.headings.h1s.removed} />
+                                <ListChange label="H2 headings" added={seo.headings.h2s.added} removed={seo.headings.h2s.removed} />
+                                <ListChange
+                                    label="Structured data types"
+                                    added={seo.structured_data.types_added}
+                                    removed={seo.structured_data.types_removed}
+                                />
+                                {seo.structured_data.changed && seo.structured_data.types_added.length === 0 && seo.structured_data.types_removed.length === 0 && (
+                                    <tr>
+                                        <td className="rd-fix-name">Structured data</td>
+                                        <td className="rd-desc-cell">Same types, changed properties</td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </motion.div>
+            </div>
+        </div>
+    );
+}
+
+export default ReportDiff;
@@ -13,6 +13,152 @@ const api = axios.create({
 export interface AnalyzeRequest {
     url: string;
     emulateMobile?: boolean;
+    devicePreset?: string;
+    scoringProfile?: string;
+    budget?: string;
+    failOnBudget?: boolean;
+    auth?: ScanAuth;
+}
+
+// Credentials for pages behind a login; the server keeps them encrypted until the scan finishes
+export interface ScanAuth {
+    cookies?: { name: string; value: string; domain?: string; path?: string; url?: string }[];
+    storageState?: Record<string, unknown>;
+    headers?: Record<string, string>;
+    loginScript?: {
+        action: 'goto' | 'fill' | 'click' | 'waitForUrl' | 'waitForSelector';
+        url?: string;
+        selector?: string;
+        value?: string;
+        timeout?: number;
+    }[];
+}
+
+// Device/network emulation a scan ran with (GET /api/devices lists the presets)
+export interface DeviceEmulation {
+    preset: string;
+    label: string;
+    viewport: { width: number; height: number };
+    device_scale_factor: number;
+    is_mobile: boolean;
+    has_touch: boolean;
+    user_agent: string;
+    cpu_slowdown: number;
+    network: string;
+    network_conditions: { latency_ms: number; download_kbps: number; upload_kbps: number } | null;
+    throttling_applied?: boolean;
+}
+
+export type ScoredModule = 'performance' | 'ux' | 'seo' | 'content' | 'security';
+
+export interface ScoringProfile {
+    name: string;
+    label: string;
+    description?: string;
+    builtin?: boolean;
+    weights: Record<ScoredModule, number>;
+    boosts: Record<string, number>;
+}
+
+export type JobState = 'pending' | 'running' | 'completed' | 'failed';
+
+export type BudgetItemStatus = 'pass' | 'fail' | 'no_data';
+
+export interface BudgetItem {
+    metric: string;
+    label: string;
+    unit: string;
+    budget: number;
+    actual: number | null;
+    status: BudgetItemStatus;
+    overage: number | null;
+    overage_pct: number | null;
+}
+
+export interface BudgetResult {
+    name: string;
+    label: string;
+    status: 'pass' | 'fail';
+    enforced?: boolean;
+    passed_count: number;
+    failed_count: number;
+    no_data_count: number;
+    items: BudgetItem[];
+}
+
+export interface AnalyzeJobResponse {
+    success: boolean;
+    jobId: string;
+    reportId: string;
+    status: JobState;
+    statusUrl: string;
+}
+
+export interface JobStatus {
+    success: boolean;
+    jobId: string;
+    reportId: string;
+    url: string;
+    status: JobState;
+    progress: number;
+    message?: string;
+    stage?: string;
+    error: string | null;
+    budget?: Pick<BudgetResult, 'name' | 'status' | 'failed_count' | 'enforced'> | null;
+    created_at: string;
+    started_at?: string;
+    finished_at?: string;
+}
+
+export interface JobProgressEvent {
+    jobId: string;
+    reportId?: string;
+    status: JobState;
+    progress: number;
+    message?: string;
+    stage?: string;
+    module?: string;
+    score?: number | null;
+    event?: string;
+    error?: string | null;
+    timestamp?: string;
+}
+
+export type SecurityGradeStatus = 'pass' | 'warn' | 'fail';
+
+export interface SecurityHeaderGrade {
+    status: SecurityGradeStatus;
+    value: string | null;
+    notes: string[];
+}
+
+export interface SecurityModuleResult {
+    score: number;
+    security_risk_level: 'low' | 'medium' | 'high';
+    primary_security_risks: string[];
+    recommendation_flag: string;
+    is_https: boolean;
+    confidence?: 'high' | 'low';
+    // null when the main document never arrived (navigation failed)
+    header_grades: Record<string, SecurityHeaderGrade> | null;
+    tls: {
+        available: boolean;
+        protocol: string | null;
+        issuer: string | null;
+        subject_name: string | null;
+        valid_to: string | null;
+        days_until_expiry: number | null;
+        expired: boolean;
+        outdated_protocol: boolean;
+    };
+    mixed_content: {
+        active_count: number;
+        passive_count: number;
+        active: Array<{ url: string; content_type: string | null; type: string | null }>;
+        passive: Array<{ url: string; content_type: string | null; type: string | null }>;
+    };
+    issues: Array<{ id: string; severity: string; category: string; description: string; ai?: boolean }>;
+    fixes: Array<{ id?: string; issue_id?: string; title: string; description: string; effort_hours?: number; impact_pct?: number; priority?: number; ai?: boolean }>;
 }
 
 export interface AnalyzeResponse {
@@ -29,6 +175,7 @@ export interface AnalyzeResponse {
         ux: number;
         seo: number;
         content: number;
+        security?: number;
     };
     dominant_risk_domains: string[];
     action_recommendation: string;
@@ -48,6 +195,7 @@ export interface Report {
         ux: any;
         seo: any;
         content: any;
+        security?: SecurityModuleResult;
     };
 
     aggregator: {
@@ -62,6 +210,7 @@ export interface Report {
             ux: number;
             seo: number;
             content: number;
+            security?: number;
         };
     };
 
@@ -72,17 +221,310 @@ export interface Report {
         longTermGoals: string[];
     };
     raw_artifacts?: any;
+    emulate_mobile?: boolean;
+    device_preset?: string;
+    emulation?: DeviceEmulation;
+    authentication?: { cookies: number; storage_state: boolean; headers: string[]; login_steps: number } | null;
+    scoring_profile?: ScoringProfile;
+    budget?: BudgetResult;
+}
+
+export interface SiteHistoryRegression {
+    field: string;
+    label: string;
+    previous: number;
+    current: number;
+    change: number;
+}
+
+export interface SiteHistoryPoint {
+    report_id: string;
+    created_at: string;
+    url: string;
+    website_health_score: number | null;
+    health_grade: string | null;
+    scoring_profile: string;
+    module_scores: Record<ScoredModule, number | null>;
+    metrics: {
+        lcp_s: number | null;
+        cls: number | null;
+        tbt_ms: number | null;
+        word_count: number | null;
+        axe_violations: number | null;
+    };
+    regressions: SiteHistoryRegression[];
+    regressed: boolean;
+}
+
+export type DiffDirection = 'improved' | 'regressed' | 'unchanged' | 'unknown';
+
+export interface ValueDiff {
+    before: number | null;
+    after: number | null;
+    delta: number | null;
+    direction: DiffDirection;
+}
+
+export interface DiffIssue {
+    id: string;
+    severity: string;
+    category: string | null;
+    description: string;
+    severity_before?: string;
+}
+
+export interface ModuleIssueDiff {
+    new: DiffIssue[];
+    resolved: DiffIssue[];
+    persisting: DiffIssue[];
+}
+
+export interface TextDiff {
+    before: string | null;
+    after: string | null;
+    changed: boolean;
+}
+
+export interface ListDiff {
+    added: string[];
+    removed: string[];
+    changed: boolean;
+}
+
+export interface DiffReportSummary {
+    id: string;
+    url: string;
+    final_url: string | null;
+    created_at: string;
+    emulate_mobile: boolean;
+    device_preset: string;
+    scoring_profile: string;
+}
+
+export interface ReportDiff {
+    base: DiffReportSummary;
+    target: DiffReportSummary;
+    warnings: string[];
+    scores: {
+        website_health_score: ValueDiff;
+        health_grade: { before: string | null; after: string | null };
+        modules: Partial<Record<ScoredModule, ValueDiff>>;
+    };
+    issues: Partial<Record<ScoredModule, ModuleIssueDiff>> & {
+        totals: { new: number; resolved: number; persisting: number };
+    };
+    metrics: {
+        performance: Record<string, ValueDiff>;
+        resources: Record<string, ValueDiff>;
+    };
+    seo_changes: {
+        title: TextDiff;
+        meta_description: TextDiff;
+        canonical: TextDiff;
+        robots_meta: TextDiff;
+        headings: {
+            h1s: ListDiff;
+            h2s: ListDiff;
+            counts: Record<string, { before: number | null; after: number | null }>;
+        };
+        structured_data: {
+            types_before: string[];
+            types_after: string[];
+            types_added: string[];
+            types_removed: string[];
+            changed: boolean;
+        };
+    };
+}
+
+export interface SiteHistory {
+    host: string;
+    path: string;
+    // Device preset of the series
+    device: string;
+    count: number;
+    regression_count: number;
+    points: SiteHistoryPoint[];
+}
+
+export type MonitorFrequency = 'hourly' | 'daily' | 'weekly';
+
+export interface Monitor {
+    _id: string;
+    name: string;
+    url: string;
+    frequency: MonitorFrequency;
+    enabled: boolean;
+    options: {
+        emulate_mobile: boolean;
+        scoring_profile?: string;
+        rule_sets?: string[];
+        budget?: string;
+    };
+    thresholds: { health_score_drop: number; visual_change_pct: number | null };
+    next_run_at: string | null;
+    last_run_at: string | null;
+    running: boolean;
+    run_count: number;
+    last_status?: 'completed' | 'failed';
+    last_error?: string | null;
+    last_report_id?: string | null;
+    last_health_score?: number | null;
+    last_health_grade?: string | null;
+    open_alerts?: number;
+    created_at: string;
+}
+
+export interface MonitorInput {
+    url?: string;
+    name?: string;
+    frequency?: MonitorFrequency;
+    enabled?: boolean;
+    emulateMobile?: boolean;
+    scoringProfile?: string;
+    ruleSets?: string[];
+    budget?: string;
+    thresholds?: { health_score_drop?: number; visual_change_pct?: number | null };
+}
+
+export type MonitorAlertType = 'health_score_drop' | 'recommendation_flag_worse' | 'new_critical_issues' | 'visual_change';
+
+export interface MonitorAlert {
+    _id: string;
+    monitor_id: string;
+    url: string;
+    type: MonitorAlertType;
+    severity: 'critical' | 'high' | 'medium';
+    message: string;
+    details: Record<string, unknown>;
+    report_id: string;
+    previous_report_id: string;
+    acknowledged: boolean;
+    acknowledged_at?: string | null;
+    created_at: string;
+}
+
+export interface MonitorRun {
+    report_id: string;
+    status: string;
+    created_at: string;
+    website_health_score: number | null;
+    health_grade: string | null;
+    error: string | null;
+}
+
+export interface MonitorDetail {
+    monitor: Monitor;
+    runs: MonitorRun[];
+    alerts: MonitorAlert[];
+}
+
+export interface DevicePresetInfo extends DeviceEmulation {
+    description: string;
+    mobile: boolean;
+}
+
+export type JourneyAction = 'navigate' | 'click' | 'fill' | 'wait' | 'assert';
+
+export interface JourneyStep {
+    action: JourneyAction;
+    name?: string;
+    url?: string;
+    selector?: string;
+    value?: string;
+    text?: string;
+    duration_ms?: number;
+    timeout?: number;
+}
+
+export type JourneyRunStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+export interface JourneyRunSummary {
+    _id: string;
+    status: JourneyRunStatus;
+    device_preset?: string;
+    failed_step: number | null;
+    summary?: {
+        steps_total: number;
+        steps_passed: number;
+        total_duration_ms: number;
+        avg_performance_score: number | null;
+        avg_ux_score: number | null;
+    };
+    error?: string;
+    created_at: string;
+    finished_at?: string;
+}
+
+export interface Journey {
+    _id: string;
+    name: string;
+    description?: string;
+    steps: JourneyStep[];
+    device_preset: string;
+    last_run_id?: string | null;
+    last_run?: JourneyRunSummary | null;
+    created_at: string;
+}
+
+export interface JourneyInput {
+    name?: string;
+    description?: string;
+    steps?: JourneyStep[];
+    devicePreset?: string;
+}
+
+export interface JourneyStepResult {
+    index: number;
+    name: string;
+    action: JourneyAction;
+    status: 'passed' | 'failed' | 'skipped';
+    started_at?: string;
+    duration_ms?: number;
+    url?: string;
+    title?: string | null;
+    new_document?: boolean;
+    metrics?: {
+        lcp_s: number | null;
+        fcp_s: number | null;
+        ttfb_s: number | null;
+        cls: number;
+        tbt_ms: number;
+        long_tasks: number;
+        total_requests: number;
+        total_js_kb: number;
+        total_css_kb: number;
+        total_images_kb: number;
+    };
+    ux?: {
+        violations_count: number;
+        violations_by_impact: Record<'critical' | 'serious' | 'moderate' | 'minor', number>;
+        violations: { id: string; impact: string | null; help: string; nodes: number }[];
+        ctas_count: number;
+        ctas_above_fold: number;
+    };
+    scores?: { performance?: number; ux?: number };
+    screenshot_path?: string;
+    error?: string;
 }
 
-// Analyze a website
-export const analyzeWebsite = async (data: AnalyzeRequest): Promise<AnalyzeResponse> => {
+export interface JourneyRun extends JourneyRunSummary {
+    journey_id: string;
+    journey_name: string;
+    emulation?: DeviceEmulation;
+    steps: JourneyStepResult[];
+    started_at?: string;
+}
+
+// Queue a website analysis (poll getJobStatus for the result)
+export const analyzeWebsite = async (data: AnalyzeRequest): Promise<AnalyzeJobResponse> => {
     const response = await api.post('/api/analyze', data);
     return response.data;
 };
 
-// Analyze a website in mobile mode
-export const analyzeMobile = async (url: string): Promise<AnalyzeResponse> => {
-    const response = await api.post('/api/analyze/mobile', { url });
+// Queue a website analysis in mobile mode
+export const analyzeMobile = async (url: string, scoringProfile?: string): Promise<AnalyzeJobResponse> => {
+    const response = await api.post('/api/analyze/mobile', { url, scoringProfile });
     return response.data;
 };
 
@@ -98,12 +540,281 @@ export const getReport = async (reportId: string): Promise<Report> => {
     return response.data;
 };
 
-// Get job status
-export const getJobStatus = async (jobId: string) => {
+export type ReportExportFormat = 'pdf' | 'sarif' | 'csv' | 'junit';
+
+// Download URL for a report export (PDF, or issues/fixes as SARIF, CSV or JUnit XML)
+export const getReportExportUrl = (reportId: string, format: ReportExportFormat) =>
+    `${API_URL}/api/reports/${reportId}/export.${format}`;
+
+export type ScreenshotKind = 'viewport' | 'full';
+
+export interface VisualDiffRegion {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    changed_pixels: number;
+}
+
+export interface VisualDiff {
+    kind: ScreenshotKind;
+    width: number;
+    height: number;
+    changed_pixels: number;
+    total_pixels: number;
+    changed_pct: number;
+    size_mismatch: boolean;
+    truncated: boolean;
+    regions: VisualDiffRegion[];
+    base: { report_id: string; created_at: string };
+    target: { report_id: string; created_at: string };
+}
+
+export type AnnotationType = 'axe' | 'touch_target' | 'small_text' | 'cta';
+
+// Overlay box on a report screenshot; rect is in CSS px from the top of the page
+export interface ScreenshotAnnotation {
+    id: string;
+    type: AnnotationType;
+    severity: 'critical' | 'high' | 'medium' | 'low' | 'info';
+    rule: string;
+    title: string;
+    impact: string | null;
+    fix: string | null;
+    help_url: string | null;
+    label: string;
+    rect: { x: number; y: number; width: number; height: number };
+}
+
+export interface ScreenshotAnnotations {
+    page_size: { width: number; height: number };
+    viewport_size: { width: number; height: number };
+    items: ScreenshotAnnotation[];
+}
+
+// Synthetic interaction measured for INP; latency_ms is null when it painted within 16ms
+export interface InteractionMeasurement {
+    type: 'click' | 'tap' | 'keypress';
+    label: string;
+    target: { selector: string; text: string } | null;
+    event: string | null;
+    latency_ms: number | null;
+    input_delay_ms: number | null;
+    processing_ms: number | null;
+    presentation_delay_ms: number | null;
+    error: string | null;
+}
+
+export interface InteractionSummary {
+    supported: boolean;
+    count: number;
+    inp_ms: number | null;
+    worst: InteractionMeasurement | null;
+    items: InteractionMeasurement[];
+}
+
+// Unused JS/CSS during page load; inline code is merged under the page URL
+export interface CoverageFile {
+    url: string;
+    type: 'js' | 'css';
+    inline: boolean;
+    total_kb: number;
+    unused_kb: number;
+    unused_pct: number;
+    wasted_transfer_kb: number;
+}
+
+export interface CoverageTotals {
+    files: number;
+    total_kb: number;
+    unused_kb: number;
+    unused_pct: number;
+}
+
+export interface CoverageSummary {
+    js: CoverageTotals;
+    css: CoverageTotals;
+    total_unused_kb: number;
+    files: CoverageFile[];
+}
+
+export type ThirdPartyCategory =
+    | 'analytics' | 'advertising' | 'tag_manager' | 'chat' | 'cdn' | 'social'
+    | 'video' | 'consent' | 'fonts' | 'payments' | 'other';
+
+// Unknown vendors are named after their site, e.g. "example-cdn.net"
+export interface ThirdPartyVendor {
+    vendor: string;
+    category: ThirdPartyCategory;
+    category_label: string;
+    known: boolean;
+    requests: number;
+    kb: number;
+    main_thread_ms: number;
+    origins: { origin: string; requests: number; kb: number }[];
+}
+
+export interface ThirdPartySummary {
+    first_party: { site: string; requests: number; kb: number; main_thread_ms: number };
+    third_party: { vendors: number; requests: number; kb: number; kb_pct: number; main_thread_ms: number };
+    categories: Partial<Record<ThirdPartyCategory, { label: string; vendors: number; requests: number; kb: number; main_thread_ms: number }>>;
+    vendors: ThirdPartyVendor[];
+}
+
+// Stored screenshot of a report; thumb returns the small JPEG preview
+export const getScreenshotUrl = (reportId: string, kind: ScreenshotKind, thumb = false) =>
+    `${API_URL}/api/reports/${reportId}/screenshots/${kind}${thumb ? '?size=thumb' : ''}`;
+
+// Pixel comparison of two reports' screenshots (same URL and viewport)
+export const getVisualDiff = async (a: string, b: string, kind: ScreenshotKind = 'viewport'): Promise<VisualDiff> => {
+    const response = await api.get(`/api/reports/${a}/visual-diff/${b}`, { params: { kind } });
+    return response.data;
+};
+
+export const getVisualDiffImageUrl = (a: string, b: string, kind: ScreenshotKind) =>
+    `${API_URL}/api/reports/${a}/visual-diff/${b}/image?kind=${kind}`;
+
+export const getJobStatus = async (jobId: string): Promise<JobStatus> => {
     const response = await api.get(`/api/job/${jobId}/status`);
     return response.data;
 };
 
+// Stream job progress over Server-Sent Events; returns an unsubscribe function
+export const subscribeToJobEvents = (
+    jobId: string,
+    onEvent: (event: JobProgressEvent) => void,
+    onError: () => void
+) => {
+    const source = new EventSource(`${API_URL}/api/job/${jobId}/events`);
+    let finished = false;
+
+    source.addEventListener('progress', (e) => {
+        const event: JobProgressEvent = JSON.parse((e as MessageEvent).data);
+        if (event.status === 'completed' || event.status === 'failed') {
+            finished = true;
+            source.close();
+        }
+        onEvent(event);
+    });
+    source.onerror = () => {
+        source.close();
+        if (!finished) onError();
+    };
+
+    return () => source.close();
+};
+
+// List built-in and custom scoring profiles
+export const getScoringProfiles = async (): Promise<ScoringProfile[]> => {
+    const response = await api.get('/api/profiles');
+    return response.data.profiles;
+};
+
+// Compare two reports (changes going from report a to report b)
+export const getReportDiff = async (a: string, b: string): Promise<ReportDiff> => {
+    const response = await api.get(`/api/reports/${a}/diff/${b}`);
+    return response.data;
+};
+
+// Score/metric history for a host + path across all reports
+export const getSiteHistory = async (
+    host: string,
+    params: { path?: string; device?: string; limit?: number } = {}
+): Promise<SiteHistory> => {
+    const response = await api.get(`/api/sites/${encodeURIComponent(host)}/history`, { params });
+    return response.data;
+};
+
+// Scheduled monitors
+export const getMonitors = async (): Promise<Monitor[]> => {
+    const response = await api.get('/api/monitors');
+    return response.data.monitors;
+};
+
+export const getMonitor = async (monitorId: string): Promise<MonitorDetail> => {
+    const response = await api.get(`/api/monitors/${monitorId}`);
+    return response.data;
+};
+
+export const createMonitor = async (data: MonitorInput): Promise<Monitor> => {
+    const response = await api.post('/api/monitors', data);
+    return response.data.monitor;
+};
+
+export const updateMonitor = async (monitorId: string, data: MonitorInput): Promise<Monitor> => {
+    const response = await api.put(`/api/monitors/${monitorId}`, data);
+    return response.data.monitor;
+};
+
+export const deleteMonitor = async (monitorId: string): Promise<void> => {
+    await api.delete(`/api/monitors/${monitorId}`);
+};
+
+// Start a monitor run now (runs in the background)
+export const runMonitorNow = async (monitorId: string): Promise<void> => {
+    await api.post(`/api/monitors/${monitorId}/run`);
+};
+
+export const getMonitorAlerts = async (params: { acknowledged?: boolean; limit?: number } = {}): Promise<MonitorAlert[]> => {
+    const response = await api.get('/api/monitors/alerts', { params });
+    return response.data.alerts;
+};
+
+export const acknowledgeMonitorAlert = async (alertId: string, acknowledged = true): Promise<MonitorAlert> => {
+    const response = await api.put(`/api/monitors/alerts/${alertId}`, { acknowledged });
+    return response.data.alert;
+};
+
+// Device emulation presets
+export const getDevicePresets = async (): Promise<DevicePresetInfo[]> => {
+    const response = await api.get('/api/devices');
+    return response.data.presets;
+};
+
+// Multi-step journeys
+export const getJourneys = async (): Promise<Journey[]> => {
+    const response = await api.get('/api/journeys');
+    return response.data.journeys;
+};
+
+export const getJourney = async (journeyId: string): Promise<Journey> => {
+    const response = await api.get(`/api/journeys/${journeyId}`);
+    return response.data.journey;
+};
+
+export const createJourney = async (data: JourneyInput): Promise<Journey> => {
+    const response = await api.post('/api/journeys', data);
+    return response.data.journey;
+};
+
+export const updateJourney = async (journeyId: string, data: JourneyInput): Promise<Journey> => {
+    const response = await api.put(`/api/journeys/${journeyId}`, data);
+    return response.data.journey;
+};
+
+export const deleteJourney = async (journeyId: string): Promise<void> => {
+    await api.delete(`/api/journeys/${journeyId}`);
+};
+
+// Start a journey run (runs in the background; poll getJourneyRun)
+export const runJourney = async (journeyId: string): Promise<string> => {
+    const response = await api.post(`/api/journeys/${journeyId}/run`);
+    return response.data.run_id;
+};
+
+export const getJourneyRuns = async (journeyId: string, limit?: number): Promise<JourneyRunSummary[]> => {
+    const response = await api.get(`/api/journeys/${journeyId}/runs`, { params: { limit } });
+    return response.data.runs;
+};
+
+export const getJourneyRun = async (journeyId: string, runId: string): Promise<JourneyRun> => {
+    const response = await api.get(`/api/journeys/${journeyId}/runs/${runId}`);
+    return response.data.run;
+};
+
+export const getJourneyStepScreenshotUrl = (journeyId: string, runId: string, index: number) =>
+    `${API_URL}/api/journeys/${journeyId}/runs/${runId}/steps/${index}/screenshot`;
+
 // Competitor Analysis (3:1)
 export const startCompetitorAnalysis = async (userReportId: string) => {
     const response = await api.post('/api/competitor/analyze-3-1', { userReportId });